@@ -10,19 +10,88 @@ const CONFIG = {
   
   // Validation Limits
   MAX_ACTION_TYPE_NAME_LENGTH: 50,
+  MAX_ACTION_UNIT_LENGTH: 20,
+  MAX_ACTION_ICON_LENGTH: 8, // Room for multi-codepoint emoji
+  MAX_HABIT_CATEGORY_LENGTH: 24,
   MIN_ACTION_TYPE_NAME_LENGTH: 2,
   MAX_ACTION_VALUE: 10000,
   MAX_TARGET_GOAL: 100000000, // 10 crore
   MAX_NOTES_LENGTH: 500,
   MIN_PASSWORD_LENGTH: 6,
+
+  // Password Hashing (PBKDF2 via WebCrypto)
+  PASSWORD_HASH_ALGORITHM: 'SHA-256',
+  PASSWORD_HASH_ITERATIONS: 310000,
+  PASSWORD_SALT_BYTES: 16,
+  PASSWORD_HASH_BYTES: 32,
+  RECOVERY_CODE_COUNT: 8,
+  RECOVERY_CODE_LENGTH: 10,
+
+  // Authentication
+  AUTH_PROVIDER: import.meta.env.VITE_AUTH_PROVIDER || 'username', // 'username' or 'supabase'
+  SESSION_HEADER: 'x-habitide-session', // Read by public.app_user_id() in the row-level security policies
+
+  // Offline sync
+  OUTBOX_DB_NAME: 'habitide-offline',
+  OUTBOX_DB_VERSION: 2,
+
+  // Reminders
+  REMINDER_TAG: 'daily-reminder',
+  REMINDER_MAX_ACTIONS: 2, // Notification action buttons most platforms show
+  WEEKDAY_LABELS: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'], // Indexed by Date.getDay()
+  REMINDER_LOOKAHEAD_DAYS: 60,
+  MAX_TIMEOUT_DELAY: 2 ** 31 - 1, // setTimeout fires at once for longer delays (~24.8 days)
+  VAPID_PUBLIC_KEY: import.meta.env.VITE_VAPID_PUBLIC_KEY || '',
+
+  // Paused days
+  PAUSE_TYPES: {
+    vacation: { label: 'Vacation', icon: '🏖️' },
+    sick: { label: 'Sick', icon: '🤒' },
+    rest: { label: 'Rest', icon: '😴' }
+  },
+  MAX_PAUSE_DAYS: 90,
+
+  // Habit categories offered until the user edits the list
+  DEFAULT_HABIT_CATEGORIES: ['Health', 'Finance', 'Mind', 'Discipline'],
+  
+  // Trash
+  TRASH_RETENTION_DAYS: 30, // Deleted actions, action types and data resets stay restorable this long
   
   // Date Constraints
   MAX_FUTURE_DAYS: 7,
   MAX_PAST_YEARS: 1,
+  MAX_DAY_ROLLOVER_HOUR: 6, // Latest hour a new habit day may start at
+
+  // Goals
+  MAX_GOALS: 6,
+  MAX_GOAL_NAME_LENGTH: 40,
+  MAX_GOAL_AMOUNT: 100000000, // ₹10 crore
+
+  // Real-money debts
+  MAX_DEBTS: 10,
+  MAX_DEBT_NAME_LENGTH: 40,
+  MAX_INTEREST_RATE: 100,
+  MAX_PAYOFF_PLAN_MONTHS: 600,
+
+  // Spending journal
+  SPENDING_CATEGORIES: ['Food & drinks', 'Shopping', 'Entertainment', 'Subscriptions', 'Travel', 'Gadgets', 'Other'],
+  SPENDING_BUDGET_WARNING_RATIO: 0.8,
+  SPENDING_BREAKDOWN_MONTHS: 6,
+  MAX_MERCHANT_LENGTH: 40,
+
+  // Insights
+  INSIGHTS_RANGES: [30, 90, 365], // Preset ranges in days, besides all time
+  INSIGHTS_DEFAULT_RANGE_DAYS: 90,
+  INSIGHTS_TOP_DAYS: 3,
+  INSIGHTS_MAX_CHART_POINTS: 92, // Longer ranges are charted per week, then per month
   
   // UI & Animation
   NOTIFICATION_DURATION: 3000,
   NOTIFICATION_QUEUE_DELAY: 300,
+  UNDO_DURATION: 8000,
+  BUDGET_WARNING_DURATION: 6000,
+  CALENDAR_MAX_HABIT_ICONS: 3,
+  HABIT_DETAIL_PERIODS: 28,
   THEME_TRANSITION_DURATION: 300,
   RIPPLE_ANIMATION_DURATION: 600,
   
@@ -33,7 +102,8 @@ const CONFIG = {
   
   // Time Constants
   MILLISECONDS_PER_DAY: 24 * 60 * 60 * 1000,
-  STATS_CALCULATION_WINDOW_DAYS: 30,
+  STATS_CALCULATION_WINDOW_DAYS: 30, // Default trailing window for the payoff forecast
+  FORECAST_WINDOWS: [7, 30, 90],
   MAX_CONSECUTIVE_DAYS_CHECK: 365,
   
   // Error Types
@@ -96,6 +166,15 @@ const supabase = createClient(
       headers: { 
         'X-Client-Info': 'habitide-tracker@1.0.0',
         'Cache-Control': 'no-cache'
+      },
+      // Row-level security resolves username/password accounts from their session token, not a user_id in the query
+      fetch: (input, init = {}) => {
+        const token = localStorage.getItem('habitide-session-token');
+        if (!token) return fetch(input, init);
+
+        const headers = new Headers(init.headers);
+        headers.set(CONFIG.SESSION_HEADER, token);
+        return fetch(input, { ...init, headers });
       }
     }
   }
@@ -128,6 +207,11 @@ class DatabaseManager {
     );
   }
 
+  // Let withRetry retry only failures that look like lost connectivity
+  static throwIfConnectionError(error) {
+    if (error && this.isConnectionError(error)) throw error;
+  }
+
   static async healthCheck() {
     try {
       const { data, error } = await supabase
@@ -199,6 +283,169 @@ class DatabaseManager {
   }
 }
 
+// Offline outbox for action changes
+/**
+ * IndexedDB-backed queue of action inserts, updates and deletes.
+ * Entries: { seq, userId, op: 'insert' | 'update' | 'delete', actionId, payload, queuedAt }.
+ * Local (not yet synced) actions use negative ids so they never collide with server ids.
+ * Also keeps the last loaded action list per user so the app can start offline, and the
+ * reminder settings the service worker needs to build notifications (public/sw.js reads this database).
+ */
+class ActionOutbox {
+  constructor(dbName = CONFIG.OUTBOX_DB_NAME) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+    this.lastLocalId = 0;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+
+        const request = indexedDB.open(this.dbName, CONFIG.OUTBOX_DB_VERSION);
+        request.onupgradeneeded = () => {
+          // Create whatever is missing: the service worker may have opened an empty database first
+          const db = request.result;
+          if (!db.objectStoreNames.contains('outbox')) {
+            const outbox = db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+            outbox.createIndex('userId', 'userId');
+          }
+          if (!db.objectStoreNames.contains('snapshots')) {
+            db.createObjectStore('snapshots', { keyPath: 'userId' });
+          }
+          if (!db.objectStoreNames.contains('reminders')) {
+            db.createObjectStore('reminders', { keyPath: 'userId' });
+          }
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // A newer version opened in another tab: step aside and reopen on next use
+          db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+        request.onblocked = () => {
+          console.warn('HabitideApp: Offline database upgrade is waiting for other tabs to close it');
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run fn(store) inside a transaction and resolve with its request result once committed
+  async run(storeName, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = fn(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  nextLocalId() {
+    this.lastLocalId = Math.min(-Date.now(), this.lastLocalId - 1);
+    return this.lastLocalId;
+  }
+
+  isLocalId(actionId) {
+    return Number(actionId) < 0;
+  }
+
+  /**
+   * Pending entries for a user, oldest first
+   * @param {string} userId - Owner of the entries
+   * @returns {Promise<Object[]>} Entries in replay order
+   */
+  async getAll(userId) {
+    const entries = await this.run('outbox', 'readonly', store => store.index('userId').getAll(userId));
+    return (entries || []).sort((a, b) => a.seq - b.seq);
+  }
+
+  async count(userId) {
+    return this.run('outbox', 'readonly', store => store.index('userId').count(userId));
+  }
+
+  // Oldest pending entry for a user, or undefined when the queue is empty
+  async peek(userId) {
+    return (await this.getAll(userId))[0];
+  }
+
+  async remove(seq) {
+    return this.run('outbox', 'readwrite', store => store.delete(seq));
+  }
+
+  async put(entry) {
+    return this.run('outbox', 'readwrite', store => store.put(entry));
+  }
+
+  /**
+   * Append a change to the end of the queue
+   * @param {Object} entry - { userId, op, actionId, payload }
+   */
+  async enqueue(entry) {
+    return this.run('outbox', 'readwrite', store => store.add({ ...entry, queuedAt: new Date().toISOString() }));
+  }
+
+  // Point later entries at the server id once a local insert has synced
+  async remapActionId(userId, localId, serverId) {
+    const entries = await this.getAll(userId);
+    for (const entry of entries.filter(item => item.actionId === localId)) {
+      await this.put({ ...entry, actionId: serverId });
+    }
+  }
+
+  /**
+   * Apply pending entries on top of a server action list
+   * @param {Object[]} actions - Actions as loaded from the server
+   * @param {Object[]} entries - Pending outbox entries
+   * @returns {Object[]} Actions as the user last saw them
+   */
+  applyPending(actions, entries) {
+    let result = [...actions];
+    entries.forEach(entry => {
+      if (entry.op === 'insert') {
+        result.unshift({ ...entry.payload, id: entry.actionId });
+      } else if (entry.op === 'update') {
+        result = result.map(action => action.id === entry.actionId ? { ...action, ...entry.payload } : action);
+      } else if (entry.op === 'delete') {
+        result = result.filter(action => action.id !== entry.actionId);
+      } else if (entry.op === 'restore') {
+        result = [{ ...entry.payload, id: entry.actionId }, ...result.filter(action => action.id !== entry.actionId)];
+      }
+    });
+    return result;
+  }
+
+  async saveSnapshot(userId, actions) {
+    return this.run('snapshots', 'readwrite', store => store.put({ userId, actions, savedAt: new Date().toISOString() }));
+  }
+
+  async loadSnapshot(userId) {
+    const snapshot = await this.run('snapshots', 'readonly', store => store.get(userId));
+    return snapshot?.actions || null;
+  }
+
+  async saveReminder(reminder) {
+    return this.run('reminders', 'readwrite', store => store.put(reminder));
+  }
+
+  async removeReminder(userId) {
+    return this.run('reminders', 'readwrite', store => store.delete(userId));
+  }
+}
+
 console.log("HabitideApp: DEBUG - Supabase client object:", supabase); // DEBUG LOG
 
 // Performance Utilities
@@ -296,46 +543,123 @@ const PerformanceUtils = {
 // Utility functions
 const formatCurrency = (amount) => `₹${Math.abs(amount).toLocaleString('en-IN')}`;
 
-// Enhanced date utility with timezone handling and edge case protection
+// The user's day: dates follow their chosen timezone (the browser's by default), and
+// times before the rollover hour still count toward the previous day
+const dayBoundary = { timeZone: undefined, rolloverHour: 0 };
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Apply the user's timezone and day-rollover settings to every date computation
+ */
+const setDayBoundary = ({ timezone, dayRolloverHour } = {}) => {
+  dayBoundary.timeZone = isValidTimeZone(timezone) ? timezone : undefined;
+  dayBoundary.rolloverHour = Number.isInteger(dayRolloverHour) && dayRolloverHour >= 0 && dayRolloverHour <= CONFIG.MAX_DAY_ROLLOVER_HOUR
+    ? dayRolloverHour
+    : 0;
+};
+
+const getUserTimeZone = () => dayBoundary.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Wall-clock date and time of an instant in the user's timezone
+ * @returns {{date: string, hour: number, minute: number}}
+ */
+const getZonedParts = (instant = new Date()) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: dayBoundary.timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(instant).map(part => [part.type, part.value]));
+
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour), minute: Number(parts.minute) };
+};
+
+// Local midnight of a YYYY-MM-DD day, for calendar arithmetic and weekday lookups
+const parseDateString = (dateString) => new Date(`${dateString}T00:00:00`);
+
+/**
+ * The habit day (YYYY-MM-DD) an instant such as a created_at timestamp counts toward
+ */
+const getHabitDateString = (instant = new Date()) => {
+  const { date, hour } = getZonedParts(new Date(instant));
+  if (hour >= dayBoundary.rolloverHour) return date;
+
+  const previous = parseDateString(date);
+  previous.setDate(previous.getDate() - 1);
+  return getDateString(previous);
+};
+
+const getTodayString = () => getHabitDateString(new Date());
+
+// Today's habit day as a local Date, for code that walks the calendar day by day
+const getToday = () => parseDateString(getTodayString());
+
+/**
+ * The instant a wall-clock time on a day falls at in the user's timezone
+ */
+const getZonedInstant = (dateString, timeString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hours, minutes] = timeString.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Shift by how far the zone's wall clock is from UTC at that moment
+  const zoned = getZonedParts(new Date(guess));
+  const [zonedYear, zonedMonth, zonedDay] = zoned.date.split('-').map(Number);
+  const offset = Date.UTC(zonedYear, zonedMonth - 1, zonedDay, zoned.hour, zoned.minute) - guess;
+  return new Date(guess - offset);
+};
+
+// Normalise any date value to a YYYY-MM-DD calendar day; Date objects are read in local time
 const getDateString = (date) => {
+  const format = (value) => `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+
   try {
-    if (!date) {
-      const today = new Date();
-      return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
-    }
+    if (!date) return getTodayString();
     if (typeof date === 'string') {
       // Handle various date string formats
       if (date.includes('T')) return date.split('T')[0];
       if (date.match(/^\d{4}-\d{2}-\d{2}$/)) return date;
       // Try to parse as date and convert using local time
       const parsed = new Date(date);
-      if (isNaN(parsed.getTime())) {
-        const today = new Date();
-        return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
-      }
-      return `${parsed.getFullYear()}-${String(parsed.getMonth() + 1).padStart(2, '0')}-${String(parsed.getDate()).padStart(2, '0')}`;
+      return isNaN(parsed.getTime()) ? getTodayString() : format(parsed);
     }
     if (date instanceof Date) {
-      if (isNaN(date.getTime())) {
-        const today = new Date();
-        return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
-      }
-      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+      return isNaN(date.getTime()) ? getTodayString() : format(date);
     }
     // Try to convert other types to date
     const converted = new Date(date);
-    if (isNaN(converted.getTime())) {
-      const today = new Date();
-      return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
-    }
-    return `${converted.getFullYear()}-${String(converted.getMonth() + 1).padStart(2, '0')}-${String(converted.getDate()).padStart(2, '0')}`;
+    return isNaN(converted.getTime()) ? getTodayString() : format(converted);
   } catch (error) {
     console.warn('Date conversion error:', error, 'for date:', date);
-    const today = new Date();
-    return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+    return getTodayString();
   }
 };
 
+// Time of day as HH:MM in the user's timezone, the format stored on each action
+const getTimeString = (date = new Date()) => {
+  const { hour, minute } = getZonedParts(date);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+// Sort key for an action's HH:MM time: times before the rollover hour come at the end of their day
+const getTimeSortKey = (time) => {
+  if (!time) return '';
+  return Number(time.slice(0, 2)) < dayBoundary.rolloverHour ? `${Number(time.slice(0, 2)) + 24}${time.slice(2)}` : time;
+};
+
 /**
  * Enhanced date validation with timezone and boundary checking
  */
@@ -344,34 +668,26 @@ const validateDate = (dateString) => {
     return { valid: false, error: MESSAGES.ERROR.DATE_REQUIRED };
   }
 
-  try {
-    const date = new Date(dateString);
-    
-    // Check if date is valid
-    if (isNaN(date.getTime())) {
-      return { valid: false, error: MESSAGES.ERROR.INVALID_DATE_FORMAT };
-    }
+  // Compare calendar days, so the result doesn't depend on how the browser parses the string
+  if (!/^\d{4}-\d{2}-\d{2}/.test(dateString) || isNaN(parseDateString(getDateString(dateString)).getTime())) {
+    return { valid: false, error: MESSAGES.ERROR.INVALID_DATE_FORMAT };
+  }
 
-    const today = new Date();
-    const minDate = new Date();
-    minDate.setFullYear(today.getFullYear() - CONFIG.MAX_PAST_YEARS);
-    
-    const maxDate = new Date();
-    maxDate.setDate(today.getDate() + CONFIG.MAX_FUTURE_DAYS);
+  const dateStr = getDateString(dateString);
+  const today = getToday();
+  const minDate = new Date(today);
+  minDate.setFullYear(today.getFullYear() - CONFIG.MAX_PAST_YEARS);
+  const maxDate = addDays(today, CONFIG.MAX_FUTURE_DAYS);
 
-    // Check date boundaries
-    if (date < minDate) {
-      return { valid: false, error: `Date cannot be more than ${CONFIG.MAX_PAST_YEARS} year(s) in the past.` };
-    }
-    
-    if (date > maxDate) {
-      return { valid: false, error: `Date cannot be more than ${CONFIG.MAX_FUTURE_DAYS} days in the future.` };
-    }
+  if (dateStr < getDateString(minDate)) {
+    return { valid: false, error: `Date cannot be more than ${CONFIG.MAX_PAST_YEARS} year(s) in the past.` };
+  }
 
-    return { valid: true, date };
-  } catch (error) {
-    return { valid: false, error: MESSAGES.ERROR.INVALID_DATE_FORMAT };
+  if (dateStr > getDateString(maxDate)) {
+    return { valid: false, error: `Date cannot be more than ${CONFIG.MAX_FUTURE_DAYS} days in the future.` };
   }
+
+  return { valid: true, date: parseDateString(dateStr) };
 };
 
 /**
@@ -402,6 +718,15 @@ const addDays = (date, days) => {
   }
 };
 
+/**
+ * Whole days from one YYYY-MM-DD date to another, ignoring DST shifts
+ */
+const daysBetween = (fromDateString, toDateString) => {
+  const [fromYear, fromMonth, fromDay] = fromDateString.split('-').map(Number);
+  const [toYear, toMonth, toDay] = toDateString.split('-').map(Number);
+  return Math.round((Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / CONFIG.MILLISECONDS_PER_DAY);
+};
+
 /**
  * Input sanitization utility
  */
@@ -423,122 +748,614 @@ const isValidEmail = (email) => {
   return emailRegex.test(email);
 };
 
-// Main app class
-class HabitideApp {
-  constructor() {
-    console.log('HabitideApp: Constructor called');
-    
-    // Initialize properties
-    this.user = null;
-    this.data = {
-      actions: [],
-      settings: { 
-        targetGoal: 20000, 
-        reminderTime: '20:00', 
-        theme: 'light', 
-        quickActions: [1, 2, 3, 4] 
-      },
-      actionTypes: { positive: [], negative: [] },
-      customWorkouts: {},
-      workoutState: {},
-      lastFetched: 0
+// Password hashing utilities
+const PasswordUtils = {
+  bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+  },
+
+  base64ToBytes(base64) {
+    const binary = atob(base64);
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  },
+
+  /**
+   * Derive a PBKDF2 hash for a password
+   * @param {string} password - Plain text password
+   * @param {string|null} salt - Base64 salt (a new random salt is generated when omitted)
+   * @param {number} iterations - PBKDF2 iteration count
+   * @returns {Promise<Object>} Base64 hash, base64 salt and iteration count
+   */
+  async hash(password, salt = null, iterations = CONFIG.PASSWORD_HASH_ITERATIONS) {
+    if (!globalThis.crypto?.subtle) {
+      throw new Error('Secure password hashing is not available in this browser');
+    }
+
+    const saltBytes = salt
+      ? this.base64ToBytes(salt)
+      : crypto.getRandomValues(new Uint8Array(CONFIG.PASSWORD_SALT_BYTES));
+
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+
+    const derivedBits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: CONFIG.PASSWORD_HASH_ALGORITHM, salt: saltBytes, iterations },
+      keyMaterial,
+      CONFIG.PASSWORD_HASH_BYTES * 8
+    );
+
+    return {
+      hash: this.bytesToBase64(new Uint8Array(derivedBits)),
+      salt: this.bytesToBase64(saltBytes),
+      iterations
     };
+  },
 
-    // Initialize workout routines (YOUR ACTUAL WORKOUT PLAN)
-    this.workoutRoutines = {
-      Monday: {
-        focus: "Strength Training - Full Body",
-        totalTime: "45-60 mins",
-        phases: [
-          {
-            type: "warmup",
-            name: "Warm-up",
-            duration: "5 mins",
-            exercises: [
-              { name: "Light cardio", duration: "5 mins" }
-            ]
-          },
-          {
-            type: "superset",
-            name: "Superset 1",
-            exercises: [
-              { name: "Squats", sets: 3, reps: "8-12", notes: "Focus on form" },
-              { name: "Bench Press", sets: 3, reps: "8-12", notes: "Control the weight" }
-            ],
-            restTime: "1-2 minutes between supersets"
-          },
-          {
-            type: "single",
-            name: "Deadlifts",
-            exercises: [
-              { name: "Deadlifts", sets: 3, reps: "8-12", notes: "Keep back straight" }
-            ],
-            restTime: "1-2 minutes between sets"
-          },
-          {
-            type: "superset",
-            name: "Superset 2",
-            exercises: [
-              { name: "Overhead Press", sets: 3, reps: "8-12", notes: "Engage core" },
-              { name: "Bent-over Rows", sets: 3, reps: "8-12", notes: "Squeeze shoulder blades" }
-            ],
-            restTime: "1-2 minutes between supersets"
-          },
-          {
-            type: "single",
-            name: "Core Work",
-            exercises: [
-              { name: "Planks", sets: 3, reps: "30-60 seconds", notes: "Keep straight line" }
-            ],
-            restTime: "1 minute between sets"
-          },
-          {
-            type: "cooldown",
-            name: "Cool-down",
-            duration: "5 mins",
-            exercises: [
-              { name: "Stretching", duration: "5 mins" }
-            ]
-          }
-        ]
-      },
-      Tuesday: {
-        focus: "Cardio - HIIT",
-        totalTime: "25-30 mins",
-        phases: [
-          {
-            type: "warmup",
-            name: "Warm-up",
-            duration: "5 mins",
-            exercises: [
-              { name: "Light jogging", duration: "5 mins" }
-            ]
-          },
-          {
-            type: "hiit",
-            name: "HIIT Circuit",
-            exercises: [
-              { name: "Sprint intervals", sets: 1, reps: "15-20 minutes", notes: "30s sprint, 30s rest - repeat" }
-            ],
-            restTime: "30 seconds rest between sprints"
-          },
-          {
-            type: "cooldown",
-            name: "Cool-down",
-            duration: "5 mins",
-            exercises: [
-              { name: "Walking and stretching", duration: "5 mins" }
-            ]
-          }
-        ]
-      },
-      Wednesday: {
-        focus: "Strength Training - Full Body",
-        totalTime: "45-60 mins",
-        phases: [
-          {
-            type: "warmup",
-            name: "Warm-up",
+  /**
+   * Build the password columns for a users row
+   */
+  async createRecord(password) {
+    const { hash, salt, iterations } = await this.hash(password);
+    return {
+      password_hash: hash,
+      password_salt: salt,
+      password_iterations: iterations,
+      password_reset_required: false
+    };
+  },
+
+  /**
+   * Whether the account must set a new password before it can sign in
+   */
+  requiresReset(record) {
+    return !!record?.password_reset_required;
+  },
+
+  /**
+   * Whether the stored hash uses the old base64 "hashing" (only those rows have no salt)
+   */
+  isLegacy(record) {
+    return !!record && !record.password_salt && !this.requiresReset(record);
+  },
+
+  /**
+   * Hash a password the way a users row's hash was made; the server compares it with the stored one
+   * @returns {Promise<Object>} { hash, needsUpgrade, resetRequired } - hash is null when the account has no usable password
+   */
+  async derive(password, record) {
+    if (!record || this.requiresReset(record)) {
+      return { hash: null, needsUpgrade: false, resetRequired: !!record };
+    }
+
+    if (this.isLegacy(record)) {
+      let legacyHash = null;
+      try {
+        legacyHash = btoa(password);
+      } catch (error) {
+        // btoa() throws on non-Latin1 input, which legacy accounts could never have stored
+      }
+      return { hash: legacyHash, needsUpgrade: true, resetRequired: false };
+    }
+
+    const iterations = record.password_iterations || CONFIG.PASSWORD_HASH_ITERATIONS;
+    const { hash } = await this.hash(password, record.password_salt, iterations);
+    return { hash, needsUpgrade: iterations < CONFIG.PASSWORD_HASH_ITERATIONS, resetRequired: false };
+  },
+
+  /**
+   * Alphabet for recovery codes (no 0/O or 1/I/L to avoid transcription mistakes)
+   */
+  RECOVERY_CODE_ALPHABET: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789',
+
+  /**
+   * Generate plain-text one-time recovery codes formatted as XXXXX-XXXXX
+   */
+  generateRecoveryCodes(count = CONFIG.RECOVERY_CODE_COUNT) {
+    const alphabet = this.RECOVERY_CODE_ALPHABET;
+    return Array.from({ length: count }, () => {
+      const bytes = crypto.getRandomValues(new Uint8Array(CONFIG.RECOVERY_CODE_LENGTH));
+      const code = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+      const half = Math.ceil(code.length / 2);
+      return `${code.slice(0, half)}-${code.slice(half)}`;
+    });
+  },
+
+  normalizeRecoveryCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+};
+
+// Authentication providers
+
+/**
+ * Base class for pluggable authentication backends.
+ * Sessions are plain objects: { user: { id, username }, provider }.
+ * Auth methods resolve to { success, error } where error is a user-facing message;
+ * unexpected database failures are thrown.
+ */
+class AuthProvider {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  get type() {
+    return 'base';
+  }
+
+  get supportsPasswords() {
+    return false;
+  }
+
+  // Whether individual sessions can be listed and revoked
+  get supportsSessions() {
+    return false;
+  }
+
+  async signUp(credentials) {
+    throw new Error(`${this.constructor.name} does not implement signUp()`);
+  }
+
+  async signIn(credentials) {
+    throw new Error(`${this.constructor.name} does not implement signIn()`);
+  }
+
+  async signOut() {
+    throw new Error(`${this.constructor.name} does not implement signOut()`);
+  }
+
+  async getSession() {
+    throw new Error(`${this.constructor.name} does not implement getSession()`);
+  }
+
+  /**
+   * Subscribe to session changes
+   * @param {Function} callback - Receives the new session, or null when signed out
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  async emitChange(session) {
+    await Promise.all([...this.listeners].map(listener => listener(session)));
+  }
+
+  static create(type = CONFIG.AUTH_PROVIDER) {
+    switch (type) {
+      case 'supabase':
+        return new SupabaseAuthProvider();
+      case 'username':
+        return new UsernamePasswordAuthProvider();
+      default:
+        console.warn(`Unknown auth provider "${type}", falling back to username/password`);
+        return new UsernamePasswordAuthProvider();
+    }
+  }
+}
+
+/**
+ * Username/password accounts stored in the custom `users` table.
+ * Sessions live in the `sessions` table, which the API can't reach directly: they are
+ * issued, validated and revoked by the security definer functions in
+ * supabase/migrations/20261019000400_sessions.sql. The browser only keeps the opaque
+ * token and a cached copy of the user for offline display.
+ */
+class UsernamePasswordAuthProvider extends AuthProvider {
+  constructor() {
+    super();
+    this.sessionId = null;
+  }
+
+  get type() {
+    return 'username';
+  }
+
+  get supportsPasswords() {
+    return true;
+  }
+
+  get supportsSessions() {
+    return true;
+  }
+
+  get token() {
+    return localStorage.getItem('habitide-session-token');
+  }
+
+  // Call a session function, mapping rejected credentials to a user-facing message
+  async rpc(name, params, credentialsError = null) {
+    const { data, error } = await supabase.rpc(name, params);
+    if (error?.code === '28P01' && credentialsError) return { error: credentialsError };
+    if (error) throw error;
+    return { data };
+  }
+
+  // Ask the server for a session; it checks the derived password hash against the stored one
+  async issueSession(username, passwordHash) {
+    const { data, error } = await this.rpc('issue_session', {
+      p_username: username,
+      p_password_hash: passwordHash,
+      p_user_agent: navigator.userAgent
+    }, 'Invalid username or password');
+    if (error) return { error };
+
+    const user = { id: data.user_id, username: data.username };
+    this.sessionId = data.session_id;
+    localStorage.setItem('habitide-session-token', data.token);
+    localStorage.setItem('habitide-user', JSON.stringify(user));
+    return { session: { user, provider: this.type } };
+  }
+
+  clearSession() {
+    this.sessionId = null;
+    localStorage.removeItem('habitide-session-token');
+    localStorage.removeItem('habitide-user');
+    localStorage.removeItem('habitide-session-timestamp'); // Written by older versions
+  }
+
+  // Fetch the readable part of a users row (never the password hash); resolves to null when no row matches
+  async fetchUser(column, value) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, username, password_salt, password_iterations, password_reset_required')
+      .eq(column, value)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
+    return data || null;
+  }
+
+  async signUp({ username, password }) {
+    const existingUser = await this.fetchUser('username', username);
+    if (existingUser) {
+      return { success: false, error: 'Username already exists. Please choose a different one.' };
+    }
+
+    // Derive a salted PBKDF2 hash for the new password
+    const passwordFields = await PasswordUtils.createRecord(password);
+
+    const { error: insertError } = await supabase
+      .from('users')
+      .insert({
+        id: crypto.randomUUID(), // Generate UUID for user (to match database schema)
+        username: username,
+        ...passwordFields,
+        created_at: new Date().toISOString()
+      });
+
+    if (insertError) throw insertError;
+
+    const { session, error } = await this.issueSession(username, passwordFields.password_hash);
+    if (error) throw new Error(error);
+
+    // One-time recovery codes: the server keeps only salted hashes, the plain codes are shown once
+    const recoveryCodes = PasswordUtils.generateRecoveryCodes();
+    await this.updatePassword(passwordFields.password_hash, { recoveryCodes });
+
+    await this.emitChange(session);
+    return { success: true, session, recoveryCodes };
+  }
+
+  async signIn({ username, password }) {
+    const userData = await this.fetchUser('username', username);
+    const derived = await PasswordUtils.derive(password, userData);
+
+    if (derived.resetRequired) {
+      // Recovered and legacy placeholder accounts never got recovery codes; they can only set a password while still signed in
+      const { data: hasRecoveryCodes } = await this.rpc('has_recovery_codes', { p_username: username });
+      return {
+        success: false,
+        error: hasRecoveryCodes
+          ? 'This account needs a new password. Use "Forgot password?" with a recovery code to set one.'
+          : 'This account has no password yet. Open Habitide on a device where you\'re still signed in to set one.'
+      };
+    }
+
+    if (!derived.hash) {
+      return { success: false, error: 'Invalid username or password' };
+    }
+
+    const { session, error } = await this.issueSession(username, derived.hash);
+    if (error) return { success: false, error };
+
+    // Transparently move legacy base64 (or weaker) hashes to the current format
+    if (derived.needsUpgrade) {
+      await this.upgradePasswordHash(password, derived.hash);
+    }
+
+    await this.emitChange(session);
+    return { success: true, session };
+  }
+
+  async signOut() {
+    if (this.sessionId) {
+      try {
+        await this.revokeSession(this.sessionId);
+      } catch (error) {
+        // The token is dropped locally either way and the row expires on its own
+        console.warn('HabitideApp: Could not revoke session on sign-out:', error);
+      }
+    }
+
+    this.clearSession();
+    await this.emitChange(null);
+  }
+
+  /**
+   * Validate the stored token on the server, which also slides its expiry.
+   * Resolves to { user, provider, missing: true } when the users row is gone.
+   */
+  async getSession() {
+    const token = this.token;
+    if (!token) {
+      // A bare habitide-user entry (older versions) can't be verified, so it isn't trusted
+      this.clearSession();
+      return null;
+    }
+
+    let cachedUser = null;
+    try {
+      cachedUser = JSON.parse(localStorage.getItem('habitide-user'));
+    } catch (error) {
+      console.warn('HabitideApp: Ignoring unreadable cached user:', error);
+    }
+
+    let sessionInfo;
+    try {
+      ({ data: sessionInfo } = await this.rpc('validate_session', { p_token: token }));
+    } catch (error) {
+      // Don't sign the user out just because the database is unreachable
+      if (DatabaseManager.isConnectionError(error) && cachedUser?.id) {
+        console.warn('HabitideApp: Could not validate session, using cached user while offline:', error);
+        return { user: cachedUser, provider: this.type, offline: true };
+      }
+      throw error;
+    }
+
+    if (!sessionInfo) {
+      console.log('HabitideApp: Session expired or revoked, clearing user data');
+      this.clearSession();
+      return null;
+    }
+
+    this.sessionId = sessionInfo.session_id;
+
+    if (!sessionInfo.username) {
+      return { user: { id: sessionInfo.user_id, username: cachedUser?.username }, provider: this.type, missing: true };
+    }
+
+    const user = { id: sessionInfo.user_id, username: sessionInfo.username };
+    localStorage.setItem('habitide-user', JSON.stringify(user));
+    return { user, provider: this.type, resetRequired: sessionInfo.reset_required };
+  }
+
+  // Active (unexpired, unrevoked) sessions of the signed-in account, most recently used first
+  async listSessions() {
+    const { data } = await this.rpc('list_sessions', { p_token: this.token });
+    return data || [];
+  }
+
+  async revokeSession(sessionId) {
+    await this.rpc('revoke_session', { p_token: this.token, p_session_id: sessionId });
+  }
+
+  // Revoke every session of the signed-in account, optionally keeping this device signed in
+  async revokeAllSessions({ keepCurrent = false } = {}) {
+    await this.rpc('revoke_all_sessions', { p_token: this.token, p_keep_current: keepCurrent });
+  }
+
+  /**
+   * Change the signed-in account's password and/or recovery codes on the server
+   * @param {string|null} currentHash - Hash derived from the current password (not needed while a reset is required)
+   * @returns {Promise<Object>} { error } when the current password was wrong
+   */
+  async updatePassword(currentHash, { password = null, recoveryCodes = null, revokeOthers = false } = {}) {
+    return this.rpc('update_password', {
+      p_token: this.token,
+      p_current_hash: currentHash,
+      p_password: password,
+      p_recovery_codes: recoveryCodes,
+      p_revoke_others: revokeOthers
+    }, 'Current password is incorrect');
+  }
+
+  // Hash the signed-in account's current password for the server to check
+  async deriveCurrentHash(userId, password) {
+    return (await PasswordUtils.derive(password, await this.fetchUser('id', userId))).hash;
+  }
+
+  // Rewrite a verified password with the current hashing parameters
+  async upgradePasswordHash(password, currentHash) {
+    try {
+      await this.updatePassword(currentHash, { password: await PasswordUtils.createRecord(password) });
+      console.log('HabitideApp: Password hash upgraded');
+    } catch (error) {
+      // Sign-in already succeeded; the upgrade will be retried on the next sign-in
+      console.warn('HabitideApp: Password hash upgrade failed:', error);
+    }
+  }
+
+  /**
+   * Set a password for an account that has none, and issue fresh recovery codes
+   * @returns {Promise<string[]>} The plain recovery codes, to be shown once
+   */
+  async setPassword(password) {
+    const recoveryCodes = PasswordUtils.generateRecoveryCodes();
+    const { error } = await this.updatePassword(null, {
+      password: await PasswordUtils.createRecord(password),
+      recoveryCodes
+    });
+
+    if (error) throw new Error(error);
+    return recoveryCodes;
+  }
+
+  async changePassword(userId, currentPassword, newPassword) {
+    const currentHash = await this.deriveCurrentHash(userId, currentPassword);
+
+    // Anyone holding the old password is signed out everywhere except here
+    const { error } = await this.updatePassword(currentHash, {
+      password: await PasswordUtils.createRecord(newPassword),
+      revokeOthers: true
+    });
+
+    return error ? { success: false, error } : { success: true };
+  }
+
+  // Replace all recovery codes (invalidates any unused ones); requires the current password
+  async regenerateRecoveryCodes(userId, currentPassword) {
+    const currentHash = await this.deriveCurrentHash(userId, currentPassword);
+    const recoveryCodes = PasswordUtils.generateRecoveryCodes();
+
+    const { error } = await this.updatePassword(currentHash, { recoveryCodes });
+
+    return error ? { success: false, error } : { success: true, recoveryCodes };
+  }
+
+  // Reset a forgotten (or forced-reset) password with a one-time recovery code
+  async resetPassword({ username, recoveryCode, password }) {
+    if (!PasswordUtils.normalizeRecoveryCode(recoveryCode)) {
+      return { success: false, error: 'Invalid username or recovery code' };
+    }
+
+    // The server checks and burns the code, sets the new password (clearing any forced-reset state) and signs out every session
+    const { data: remainingCodes, error } = await this.rpc('reset_password_with_code', {
+      p_username: username,
+      p_code: recoveryCode,
+      p_password: await PasswordUtils.createRecord(password)
+    }, 'Invalid username or recovery code');
+
+    return error ? { success: false, error } : { success: true, remainingCodes };
+  }
+
+  // Recreate a missing users row in the forced-reset state (no usable password yet)
+  async recoverUser(user) {
+    const { data: newUser, error } = await supabase
+      .from('users')
+      .insert({
+        id: user.id,
+        username: user.username || 'recovered_user',
+        password_hash: null,
+        password_salt: null,
+        password_iterations: null,
+        password_reset_required: true,
+        created_at: new Date().toISOString()
+      })
+      .select('id, username')
+      .single();
+
+    if (error) throw error;
+    return { id: newUser.id, username: newUser.username };
+  }
+}
+
+/**
+ * Supabase Auth email accounts signed in with magic links
+ */
+class SupabaseAuthProvider extends AuthProvider {
+  constructor() {
+    super();
+
+    supabase.auth.onAuthStateChange((event, session) => {
+      if (event === 'SIGNED_IN' || event === 'SIGNED_OUT') {
+        // Defer so Supabase finishes its own bookkeeping before listeners query the database
+        setTimeout(() => this.emitChange(this.toSession(session)), 0);
+      }
+    });
+  }
+
+  get type() {
+    return 'supabase';
+  }
+
+  toSession(session) {
+    if (!session?.user) return null;
+    return {
+      user: {
+        id: session.user.id,
+        username: session.user.email?.split('@')[0] || 'user',
+        email: session.user.email
+      },
+      provider: this.type
+    };
+  }
+
+  async sendMagicLink(email, shouldCreateUser) {
+    if (!isValidEmail(email)) {
+      return { success: false, error: 'Please enter a valid email address' };
+    }
+
+    const { error } = await supabase.auth.signInWithOtp({
+      email,
+      options: { shouldCreateUser, emailRedirectTo: window.location.origin }
+    });
+
+    if (error) throw error;
+    return { success: true, pending: true, message: `Check ${email} for your sign-in link.` };
+  }
+
+  async signUp({ email }) {
+    return this.sendMagicLink(email, true);
+  }
+
+  async signIn({ email }) {
+    return this.sendMagicLink(email, false);
+  }
+
+  async signOut() {
+    const { error } = await supabase.auth.signOut();
+    if (error) throw error;
+    await this.emitChange(null);
+  }
+
+  async getSession() {
+    const { data, error } = await supabase.auth.getSession();
+    if (error) {
+      console.warn('HabitideApp: Supabase session lookup failed:', error);
+      return null;
+    }
+    return this.toSession(data.session);
+  }
+}
+
+// Main app class
+class HabitideApp {
+  constructor() {
+    console.log('HabitideApp: Constructor called');
+    
+    // Initialize properties
+    this.user = null;
+    this.data = {
+      actions: [],
+      settings: { 
+        targetGoal: 20000, 
+        reminderTime: '20:00', 
+        theme: 'light', 
+        quickActions: [1, 2, 3, 4] 
+      },
+      actionTypes: { positive: [], negative: [] },
+      customWorkouts: {},
+      workoutState: {},
+      lastFetched: 0
+    };
+
+    // Initialize workout routines (YOUR ACTUAL WORKOUT PLAN)
+    this.workoutRoutines = {
+      Monday: {
+        focus: "Strength Training - Full Body",
+        totalTime: "45-60 mins",
+        phases: [
+          {
+            type: "warmup",
+            name: "Warm-up",
             duration: "5 mins",
             exercises: [
               { name: "Light cardio", duration: "5 mins" }
@@ -548,17 +1365,103 @@ class HabitideApp {
             type: "superset",
             name: "Superset 1",
             exercises: [
-              { name: "Lunges", sets: 3, reps: "10 per leg", notes: "Alternate legs" },
-              { name: "Push-ups", sets: 3, reps: "To failure", notes: "Maintain form" }
+              { name: "Squats", sets: 3, reps: "8-12", notes: "Focus on form" },
+              { name: "Bench Press", sets: 3, reps: "8-12", notes: "Control the weight" }
             ],
             restTime: "1-2 minutes between supersets"
           },
           {
-            type: "superset",
-            name: "Superset 2",
+            type: "single",
+            name: "Deadlifts",
             exercises: [
-              { name: "Pull-ups/Lat Pulldowns", sets: 3, reps: "8-12", notes: "Full range of motion" },
-              { name: "Dumbbell Shoulder Press", sets: 3, reps: "8-12", notes: "Control the weight" }
+              { name: "Deadlifts", sets: 3, reps: "8-12", notes: "Keep back straight" }
+            ],
+            restTime: "1-2 minutes between sets"
+          },
+          {
+            type: "superset",
+            name: "Superset 2",
+            exercises: [
+              { name: "Overhead Press", sets: 3, reps: "8-12", notes: "Engage core" },
+              { name: "Bent-over Rows", sets: 3, reps: "8-12", notes: "Squeeze shoulder blades" }
+            ],
+            restTime: "1-2 minutes between supersets"
+          },
+          {
+            type: "single",
+            name: "Core Work",
+            exercises: [
+              { name: "Planks", sets: 3, reps: "30-60 seconds", notes: "Keep straight line" }
+            ],
+            restTime: "1 minute between sets"
+          },
+          {
+            type: "cooldown",
+            name: "Cool-down",
+            duration: "5 mins",
+            exercises: [
+              { name: "Stretching", duration: "5 mins" }
+            ]
+          }
+        ]
+      },
+      Tuesday: {
+        focus: "Cardio - HIIT",
+        totalTime: "25-30 mins",
+        phases: [
+          {
+            type: "warmup",
+            name: "Warm-up",
+            duration: "5 mins",
+            exercises: [
+              { name: "Light jogging", duration: "5 mins" }
+            ]
+          },
+          {
+            type: "hiit",
+            name: "HIIT Circuit",
+            exercises: [
+              { name: "Sprint intervals", sets: 1, reps: "15-20 minutes", notes: "30s sprint, 30s rest - repeat" }
+            ],
+            restTime: "30 seconds rest between sprints"
+          },
+          {
+            type: "cooldown",
+            name: "Cool-down",
+            duration: "5 mins",
+            exercises: [
+              { name: "Walking and stretching", duration: "5 mins" }
+            ]
+          }
+        ]
+      },
+      Wednesday: {
+        focus: "Strength Training - Full Body",
+        totalTime: "45-60 mins",
+        phases: [
+          {
+            type: "warmup",
+            name: "Warm-up",
+            duration: "5 mins",
+            exercises: [
+              { name: "Light cardio", duration: "5 mins" }
+            ]
+          },
+          {
+            type: "superset",
+            name: "Superset 1",
+            exercises: [
+              { name: "Lunges", sets: 3, reps: "10 per leg", notes: "Alternate legs" },
+              { name: "Push-ups", sets: 3, reps: "To failure", notes: "Maintain form" }
+            ],
+            restTime: "1-2 minutes between supersets"
+          },
+          {
+            type: "superset",
+            name: "Superset 2",
+            exercises: [
+              { name: "Pull-ups/Lat Pulldowns", sets: 3, reps: "8-12", notes: "Full range of motion" },
+              { name: "Dumbbell Shoulder Press", sets: 3, reps: "8-12", notes: "Control the weight" }
             ],
             restTime: "1-2 minutes between supersets"
           },
@@ -683,10 +1586,22 @@ class HabitideApp {
     this.cache = new Map();
     this.notificationQueue = [];
     this.renderFlags = { shouldRenderDashboard: true, shouldRenderBadges: true };
-    
-    // Session expiry: 30 days
-    this.SESSION_DURATION = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
-    
+
+    // Active authentication backend (chosen by CONFIG.AUTH_PROVIDER)
+    this.auth = AuthProvider.create();
+
+    // Action changes are queued here first and replayed by syncOutbox()
+    this.outbox = new ActionOutbox();
+    this.isSyncing = false;
+    this.syncedActionIds = new Map(); // Local id -> server id, for UI still holding a local id
+    this.trashedActions = new Map(); // Trash rows by id, for the Restore buttons
+    this.statsCategoryFilter = null; // Habit category the dashboard totals are narrowed to
+    this.forecastWindow = CONFIG.STATS_CALCULATION_WINDOW_DAYS; // Trailing days the payoff forecast is based on
+    this.insightsRange = null; // { start, end } day strings; null is the default trailing range
+    this.insightsGoalId = null; // Goal the burn-down chart follows; null is the first goal
+    this.reminderTimeouts = {}; // Reminder id -> in-tab fallback timer
+    this.offlineNoticeShown = false;
+
     // Performance optimizations
     this.debouncedSave = PerformanceUtils.debounce(this.saveDataToDatabase.bind(this), CONFIG.SAVE_DEBOUNCE_DELAY);
     this.throttledRender = PerformanceUtils.throttle(this.renderAll.bind(this), CONFIG.RENDER_THROTTLE_DELAY);
@@ -721,35 +1636,23 @@ class HabitideApp {
     
     // Initialize theme first
     this.initializeTheme();
-    
-    // Check for localStorage session first (for backward compatibility)
-    const savedUser = localStorage.getItem('habitide-user');
-    if (savedUser) {
-      try {
-        this.user = JSON.parse(savedUser);
-        console.log('HabitideApp: Found localStorage user:', this.user.id);
-        await this.postAuthenticationFlow(this.user);
-        return;
-      } catch (error) {
-        console.error('HabitideApp: Error parsing saved user:', error);
-        localStorage.removeItem('habitide-user');
-      }
+
+    // The auth provider is the only source of session changes
+    this.auth.onChange(session => this.handleAuthChange(session));
+    console.log('HabitideApp: Using auth provider:', this.auth.type);
+
+    window.addEventListener('online', () => this.syncOutbox());
+    window.addEventListener('offline', () => this.updateSyncIndicator());
+    this.registerServiceWorker();
+
+    await this.checkAuth();
+
+    if (this.user) {
+      await this.postAuthenticationFlow(this.user);
+    } else {
+      this.showAuthUI();
     }
-    
-    // Set up Supabase auth state listener as fallback
-    supabase.auth.onAuthStateChange(async (event, session) => {
-      console.log('HabitideApp: Auth state changed:', event, session?.user?.id);
-      
-      if (session?.user) {
-        console.log('HabitideApp: User authenticated via Supabase:', session.user.id);
-        this.user = { id: session.user.id, username: session.user.email?.split('@')[0] || 'user' };
-        await this.postAuthenticationFlow(session.user);
-      } else {
-        console.log('HabitideApp: No authenticated user');
-        this.showAuthUI();
-      }
-    });
-    
+
     // Set up visibility change handler
     // Removed auto-check auth on visibility change to prevent frequent logouts
     // document.addEventListener('visibilitychange', this.handleVisibilityChange);
@@ -757,6 +1660,27 @@ class HabitideApp {
     console.log('HabitideApp: Initialization complete');
   }
 
+  // Installable/offline shell; skipped in dev so it doesn't fight Vite's HMR
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+
+    navigator.serviceWorker.addEventListener('message', event => {
+      if (event.data?.type === 'served-from-cache' && !this.offlineNoticeShown) {
+        this.offlineNoticeShown = true;
+        this.showNotification(MESSAGES.WARNING.OFFLINE_MODE, 'warning');
+      }
+
+      // A quick action was logged from a reminder notification
+      if (event.data?.type === 'action-logged' && this.user?.id === event.data.userId) {
+        this.handleActionLoggedFromNotification(event.data);
+      }
+    });
+
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.warn('HabitideApp: Service worker registration failed:', error);
+    });
+  }
+
   async postAuthenticationFlow(user) {
     console.log('HabitideApp: Starting post-authentication flow');
     if (!user || !user.id) {
@@ -786,6 +1710,10 @@ class HabitideApp {
         
         // Navigate to the target section - let navigateToSection handle all rendering
         await this.navigateToSection(targetSection);
+
+        // Replay anything queued while offline (runs in the background)
+        this.syncOutbox();
+        this.setupDailyReminder();
         
         console.log('HabitideApp: Post-authentication flow complete');
     } catch (error) {
@@ -820,93 +1748,76 @@ class HabitideApp {
 
   async checkAuth() {
     console.log("HabitideApp: DEBUG - checkAuth() called");
-    
-    // Check localStorage for user session
-    const savedUser = localStorage.getItem('habitide-user');
-    const sessionTimestamp = localStorage.getItem('habitide-session-timestamp');
-    
-    if (savedUser && sessionTimestamp) {
-      const sessionAge = Date.now() - parseInt(sessionTimestamp);
-      const sessionExpired = sessionAge > (30 * 24 * 60 * 60 * 1000); // 30 days
-      
-      if (sessionExpired) {
-        console.log("HabitideApp: DEBUG - Session expired, clearing user data");
-        localStorage.removeItem('habitide-user');
-        localStorage.removeItem('habitide-session-timestamp');
-        localStorage.removeItem('habitide-current-section');
-        this.user = null;
-        return;
-      }
-      
-      try {
-        this.user = JSON.parse(savedUser);
-        console.log("HabitideApp: DEBUG - User found in localStorage:", this.user);
-        
-        // Verify user still exists in database
-        const { data: userData, error } = await supabase
-          .from('users')
-          .select('id, username')
-          .eq('id', this.user.id)
-          .single();
-        
-        if (error || !userData) {
-          console.log("HabitideApp: DEBUG - User not found in database, attempting recovery...");
-          
-          // Try to recover the user by creating the missing record
-          const recoveryResult = await this.recoverMissingUser(this.user);
-          if (recoveryResult) {
-            console.log("HabitideApp: DEBUG - User recovered successfully");
-          } else {
-            console.log("HabitideApp: DEBUG - User recovery failed, clearing session");
-            this.user = null;
-            localStorage.removeItem('habitide-user');
-          }
+
+    try {
+      const session = await this.auth.getSession();
+
+      if (session?.missing) {
+        console.log("HabitideApp: DEBUG - User not found in database, attempting recovery...");
+
+        // Try to recover the user by creating the missing record
+        const recoveryResult = await this.recoverMissingUser(session.user);
+        if (recoveryResult) {
+          console.log("HabitideApp: DEBUG - User recovered successfully");
         } else {
-          this.user = userData;
-          console.log("HabitideApp: DEBUG - User verified in database");
+          console.log("HabitideApp: DEBUG - User recovery failed, clearing session");
+          this.user = null;
+          await this.auth.signOut();
         }
-      } catch (error) {
-        console.error("HabitideApp: DEBUG - Error parsing saved user:", error);
-        this.user = null;
-        localStorage.removeItem('habitide-user');
+      } else {
+        this.user = session?.user || null;
+
+        // Still signed in to an account without a usable password: this session is the only way to set one
+        if (session?.resetRequired) this.showForcedPasswordResetModal();
       }
-    } else {
+    } catch (error) {
+      console.error("HabitideApp: DEBUG - Error restoring session:", error);
       this.user = null;
-      console.log("HabitideApp: DEBUG - No user found in localStorage");
     }
-    
+
     console.log("HabitideApp: DEBUG - checkAuth() completed. this.user set to:", this.user ? 'Object' : 'null');
   }
 
+  // Single entry point for sign-in/sign-out, whichever provider triggered it
+  async handleAuthChange(session) {
+    const nextUser = session?.user || null;
+
+    // Ignore repeated events for the user who is already active (or already signed out)
+    if ((nextUser?.id || null) === (this.user?.id || null)) return;
+
+    if (!nextUser) {
+      console.log('HabitideApp: Signed out');
+      if (this.user) this.cancelDailyReminder(this.user.id);
+      this.user = null;
+      localStorage.removeItem('habitide-current-section');
+      navigator.serviceWorker?.controller?.postMessage({ type: 'clear-data-cache' });
+      this.showAuthUI();
+      this.updateSyncIndicator();
+      return;
+    }
+
+    console.log('HabitideApp: Signed in:', nextUser.id);
+    this.user = nextUser;
+    await this.postAuthenticationFlow(this.user);
+  }
+
   // New method to recover missing user records
   async recoverMissingUser(userData) {
+    if (!this.auth.supportsPasswords) return false;
+
     try {
       console.log("HabitideApp: DEBUG - Attempting to recover user:", userData.id);
-      
-      // Create the missing user record
-      const { data: newUser, error: createError } = await supabase
-        .from('users')
-        .insert({
-          id: userData.id,
-          username: userData.username || 'recovered_user',
-          password_hash: 'needs_reset', // User will need to reset password
-          created_at: new Date().toISOString()
-        })
-        .select()
-        .single();
-      
-      if (createError) {
-        console.error("HabitideApp: DEBUG - Failed to recover user:", createError);
-        return false;
-      }
-      
+
+      // Create the missing user record in the forced-reset state (no usable password yet)
+      this.user = await this.auth.recoverUser(userData);
+
       // Also ensure they have a profile
       await this.ensureUserProfile();
-      
-      this.user = { id: newUser.id, username: newUser.username };
-      this.showNotification('Account recovered successfully. You may need to reset your password.', 'info');
+
+      this.showNotification('Account recovered successfully. Please set a new password.', 'info');
+      this.showForcedPasswordResetModal();
       return true;
-      
+
     } catch (error) {
       console.error("HabitideApp: DEBUG - User recovery error:", error);
       return false;
@@ -964,7 +1875,7 @@ class HabitideApp {
   }
 
   setTodayDate() {
-    const today = new Date();
+    const today = getToday();
     const year = today.getFullYear();
     const month = String(today.getMonth() + 1).padStart(2, '0');
     const day = String(today.getDate()).padStart(2, '0');
@@ -990,7 +1901,7 @@ class HabitideApp {
   }
 
   setTodayDateForModal() {
-    const today = new Date();
+    const today = getToday();
     const year = today.getFullYear();
     const month = String(today.getMonth() + 1).padStart(2, '0');
     const day = String(today.getDate()).padStart(2, '0');
@@ -1060,7 +1971,7 @@ class HabitideApp {
       return { valid: false, error: MESSAGES.ERROR.ACTION_TYPE_NOT_FOUND };
     }
 
-    const dateToUse = dateString || getDateString(new Date());
+    const dateToUse = dateString || getTodayString();
     
     // Enhanced date validation using global validateDate function
     const dateValidation = validateDate(dateToUse);
@@ -1084,7 +1995,14 @@ class HabitideApp {
     };
   }
 
-  showNotification(message, type = 'info', duration = CONFIG.NOTIFICATION_DURATION) {
+  /**
+   * Queue a toast notification
+   * @param {string} message - Text to show
+   * @param {string} type - success, error, warning or info
+   * @param {number} duration - How long it stays up in ms
+   * @param {{label: string, handler: Function}|null} action - Optional button, e.g. Undo
+   */
+  showNotification(message, type = 'info', duration = CONFIG.NOTIFICATION_DURATION, action = null) {
     // Initialize notification queue if not exists
     if (!this.notificationQueue) {
       this.notificationQueue = [];
@@ -1095,7 +2013,8 @@ class HabitideApp {
       id: Date.now() + Math.random(),
       message,
       type,
-      duration
+      duration,
+      action
     };
 
     // Add to queue
@@ -1168,7 +2087,8 @@ class HabitideApp {
       notification.innerHTML = `
         <div style="display: flex; align-items: center; gap: 12px;">
           <span style="font-size: 18px;">${icons[notificationData.type] || icons.info}</span>
-          <span>${notificationData.message}</span>
+          <span style="flex: 1;">${notificationData.message}</span>
+          ${notificationData.action ? `<button class="notification-action">${notificationData.action.label}</button>` : ''}
         </div>
       `;
 
@@ -1179,8 +2099,11 @@ class HabitideApp {
         notification.style.transform = isMobile ? 'translateY(0)' : 'translateX(0)';
       });
 
-      // Auto-remove after duration
-      setTimeout(() => {
+      let dismissed = false;
+      const dismiss = () => {
+        if (dismissed) return;
+        dismissed = true;
+        clearTimeout(autoRemoveTimeout);
         notification.style.transform = 'translateX(100%)';
         setTimeout(() => {
           if (notification.parentNode) {
@@ -1188,10 +2111,22 @@ class HabitideApp {
           }
           resolve();
         }, 300);
-      }, notificationData.duration);
+      };
+
+      // Auto-remove after duration
+      const autoRemoveTimeout = setTimeout(dismiss, notificationData.duration);
+
+      notification.querySelector('.notification-action')?.addEventListener('click', () => {
+        dismiss();
+        notificationData.action.handler();
+      });
     });
   }
 
+  showUndoNotification(message, onUndo) {
+    this.showNotification(message, 'info', CONFIG.UNDO_DURATION, { label: 'Undo', handler: onUndo });
+  }
+
   setNavigationActiveState(sectionName) {
     // Remove active class from all nav links
     const navLinks = document.querySelectorAll('.nav-link, .nav-mobile-link');
@@ -1244,6 +2179,8 @@ class HabitideApp {
             await this.renderWorkout();
         } else if (sectionName === 'calendar') {
             await this.renderCalendar();
+        } else if (sectionName === 'insights') {
+            this.renderInsights();
         } else if (sectionName === 'profile') {
             await this.renderProfile();
         }
@@ -1409,10 +2346,16 @@ class HabitideApp {
         const typeIdElement = document.getElementById('modalActionType');
         const notesElement = document.getElementById('modalActionNotes');
         const dateElement = document.getElementById('modalActionDate');
+        const quantityElement = document.getElementById('modalActionQuantity');
+        const timeElement = document.getElementById('modalActionTime');
         
         const typeId = typeIdElement?.value;
         const notes = notesElement?.value?.trim() || '';
         const date = dateElement?.value;
+        const quantity = parseFloat(quantityElement?.value) || 0;
+        const time = timeElement?.value || null;
+        const payment = this.readPaymentInput('modal');
+        const spending = this.readSpendingInput('modal');
         
         if (!date) {
           this.showNotification('Please select a date', 'error');
@@ -1427,19 +2370,31 @@ class HabitideApp {
         }
 
         // Check if this action already exists for the selected date
-        const selectedDateStr = getDateString(new Date(date));
+        const selectedDateStr = getDateString(date);
         const actionsForDate = (this.data.actions || []).filter(action => 
-          getDateString(new Date(action.date)) === selectedDateStr
+          getDateString(action.date) === selectedDateStr
         );
         
-        const isDuplicate = actionsForDate.some(action => action.action_type_id === parseInt(typeId));
+        const actionType = this.findActionType(parseInt(typeId));
         
-        if (isDuplicate) {
+        if (actionType && this.isActionLimitReached(actionType, actionsForDate)) {
           this.showNotification('This action has already been completed for the selected date', 'warning');
           return;
         }
         
-        this.addAction(parseInt(typeId), 0, notes, date, false); // Modal form action
+        if (payment === undefined) {
+          this.showNotification('Please enter the amount you paid', 'error');
+          document.getElementById('modalPaymentAmount')?.focus();
+          return;
+        }
+        
+        if (spending === undefined) {
+          this.showNotification('Please enter a valid amount spent, or leave it blank', 'error');
+          document.getElementById('modalSpentAmount')?.focus();
+          return;
+        }
+        
+        this.addAction(parseInt(typeId), quantity, notes, date, false, time, { ...payment, ...spending }); // Modal form action
         this.closeAddActionModal();
       });
       modalAddActionBtn.dataset.listenerAttached = 'true';
@@ -1457,7 +2412,9 @@ class HabitideApp {
     if (modalActionTypeSelect && !modalActionTypeSelect.dataset.listenerAttached) {
       modalActionTypeSelect.addEventListener('change', (e) => {
         const typeId = parseInt(e.target.value);
-        // You can add hint logic here if needed
+        this.toggleQuantityInput('modalQuantityGroup', typeId);
+        this.togglePaymentInput('modal', typeId);
+        this.toggleSpendingInput('modal', typeId);
       });
       modalActionTypeSelect.dataset.listenerAttached = 'true';
     }
@@ -1501,9 +2458,11 @@ class HabitideApp {
       
       // Set today's date first
       this.setTodayDateForModal();
+      const timeInput = document.getElementById('modalActionTime');
+      if (timeInput) timeInput.value = getTimeString();
       
       // Then populate action types for today's date
-      const todayStr = getDateString(new Date());
+      const todayStr = getTodayString();
       this.populateModalActionTypes(todayStr);
       
       // Focus on the first input
@@ -1527,14 +2486,20 @@ class HabitideApp {
     const typeElement = document.getElementById('modalActionType');
     const notesElement = document.getElementById('modalActionNotes');
     
+    const timeElement = document.getElementById('modalActionTime');
+    
     if (typeElement) typeElement.value = '';
     if (notesElement) notesElement.value = '';
+    if (timeElement) timeElement.value = getTimeString();
+    this.toggleQuantityInput('modalQuantityGroup', null);
+    this.togglePaymentInput('modal', null);
+    this.toggleSpendingInput('modal', null);
     
     // Reset to today's date
     this.setTodayDateForModal();
     
     // Refresh dropdown for today's date
-    const todayStr = getDateString(new Date());
+    const todayStr = getTodayString();
     this.populateModalActionTypes(todayStr);
   }
 
@@ -1567,16 +2532,13 @@ class HabitideApp {
     // Get actions for the selected date
     const selectedDateStr = getDateString(new Date(selectedDate));
     const actionsForDate = (this.data.actions || []).filter(action => 
-      getDateString(new Date(action.date)) === selectedDateStr
+      getDateString(action.date) === selectedDateStr
     );
     
-    const completedActionTypeIds = new Set(actionsForDate.map(action => action.action_type_id));
-
     console.log('Modal dropdown debug:', {
       selectedDate,
       selectedDateStr,
       actionsForDate: actionsForDate.length,
-      completedActionTypeIds: Array.from(completedActionTypeIds),
       totalActionTypes: actionTypes.length
     });
 
@@ -1584,14 +2546,14 @@ class HabitideApp {
     let completedCount = 0;
 
     actionTypes.forEach(type => {
-      const isCompleted = completedActionTypeIds.has(type.id);
+      const isCompleted = this.isActionLimitReached(type, actionsForDate);
       
       if (isCompleted) {
         // Add completed action as disabled option with visual indicator
         const option = document.createElement('option');
         option.value = type.id;
         option.disabled = true;
-        option.textContent = `${type.name} (${type.value > 0 ? '+' : ''}${formatCurrency(type.value)}) ✓ Completed`;
+        option.textContent = `${type.name} (${this.formatActionTypeValue(type)}) ✓ Completed`;
         option.style.color = '#999';
         option.style.fontStyle = 'italic';
         selectElement.appendChild(option);
@@ -1600,7 +2562,7 @@ class HabitideApp {
         // Add available action as normal option
         const option = document.createElement('option');
         option.value = type.id;
-        option.textContent = `${type.name} (${type.value > 0 ? '+' : ''}${formatCurrency(type.value)})`;
+        option.textContent = `${type.name} (${this.formatActionTypeValue(type)})`;
         selectElement.appendChild(option);
         availableCount++;
       }
@@ -1646,16 +2608,11 @@ class HabitideApp {
         <!-- Progress Overview -->
         <div class="dashboard-section card progress-overview">
           <div class="card__body">
-            <h3>Progress Overview</h3>
+            <div class="progress-overview-header">
+              <h3>Progress Overview</h3>
+              <select class="form-control" id="statsCategoryFilter" aria-label="Filter points by category"></select>
+            </div>
             <div class="progress-stats">
-              <div class="stat-card target-goal">
-                <span class="stat-label">Starting Debt</span>
-                <span class="stat-value" id="targetGoalDisplay"></span>
-              </div>
-              <div class="stat-card current-level">
-                <span class="stat-label">Current Debt</span>
-                <span class="stat-value" id="currentLevelDisplay"></span>
-              </div>
               <div class="stat-card points-earned">
                 <span class="stat-label">Points Earned</span>
                 <span class="stat-value positive" id="totalEarned"></span>
@@ -1665,18 +2622,31 @@ class HabitideApp {
                 <span class="stat-value negative" id="totalLost"></span>
               </div>
             </div>
-            <div class="goal-progress" style="margin-top: var(--space-32);">
-              <div class="progress-header">
-                <span class="progress-title">Goal Progress</span>
-                <span class="progress-percentage" id="progressPercentage"></span>
-              </div>
-              <div class="progress-bar">
-                <div class="progress-fill" id="progressFill"></div>
-              </div>
-              <div class="progress-description">
-                <span id="progressDescription"></span>
+            <div class="progress-header goals-header">
+              <span class="progress-title">Goals</span>
+              <div class="forecast-windows" role="group" aria-label="Forecast based on">
+                ${CONFIG.FORECAST_WINDOWS.map(days => `
+                  <button class="btn btn--outline btn--sm forecast-window-btn" data-forecast-window="${days}" title="Forecast from the last ${days} days">${days}d</button>
+                `).join('')}
               </div>
             </div>
+            <div class="goal-cards" id="goalCards"></div>
+          </div>
+        </div>
+
+        <!-- Debt Payoff -->
+        <div class="dashboard-section card" id="debtPlannerCard">
+          <div class="card__body">
+            <h3>Debt Payoff</h3>
+            <div class="debt-planner" id="debtPlanner"></div>
+          </div>
+        </div>
+
+        <!-- Spending -->
+        <div class="dashboard-section card" id="spendingCard">
+          <div class="card__body">
+            <h3>Spending</h3>
+            <div class="spending-summary" id="spendingSummary"></div>
           </div>
         </div>
 
@@ -1700,6 +2670,27 @@ class HabitideApp {
           </div>
         </div>
 
+        <!-- Habit Streaks -->
+        <div class="dashboard-section card" id="habitStreaksCard" hidden>
+          <div class="card__body">
+            <h3>Habit Streaks</h3>
+            <p class="habit-streak-summary" id="habitStreakSummary"></p>
+            <div class="habit-streak-list" id="habitStreaks"></div>
+          </div>
+        </div>
+
+        <!-- Days Clean -->
+        <div class="dashboard-section card" id="cleanCountersCard">
+          <div class="card__body">
+            <h3>Days Clean</h3>
+            <div class="clean-counter-list" id="cleanCounters"></div>
+            <div class="add-action-type-form">
+              <select class="form-control" id="cleanTrackerSelect"></select>
+              <button class="btn btn--secondary" onclick="app.addCleanTracker()">Track</button>
+            </div>
+          </div>
+        </div>
+
         <!-- Recent Activities -->
         <div class="dashboard-section card activities-card">
           <div class="card__body">
@@ -1732,12 +2723,36 @@ class HabitideApp {
                 <label class="form-label" for="modalActionDate">Select Date</label>
                 <input type="date" class="form-control" id="modalActionDate">
               </div>
+              <div class="form-group">
+                <label class="form-label" for="modalActionTime">Time</label>
+                <input type="time" class="form-control" id="modalActionTime">
+              </div>
               <div class="form-group">
                 <label class="form-label" for="modalActionType">Action Type</label>
                 <select class="form-control" id="modalActionType">
                   <option value="">Choose an action...</option>
                 </select>
               </div>
+              <div class="form-group" id="modalQuantityGroup" hidden>
+                <label class="form-label" for="modalActionQuantity">Quantity</label>
+                <input type="number" class="form-control" id="modalActionQuantity" min="0" step="any">
+              </div>
+              <div class="form-group" id="modalPaymentGroup" hidden>
+                <label class="form-label" for="modalPaymentAmount">Amount paid (₹)</label>
+                <input type="number" class="form-control" id="modalPaymentAmount" min="0" step="0.01">
+                <select class="form-control" id="modalPaymentDebt" aria-label="Debt paid"></select>
+              </div>
+              <div class="form-group" id="modalSpendingGroup" hidden>
+                <label class="form-label" for="modalSpentAmount">Amount spent (₹, optional)</label>
+                <input type="number" class="form-control" id="modalSpentAmount" min="0" step="0.01">
+                <div class="spending-fields">
+                  <select class="form-control" id="modalSpendingCategory" aria-label="Spending category">
+                    <option value="">No category</option>
+                    ${CONFIG.SPENDING_CATEGORIES.map(category => `<option value="${category}">${category}</option>`).join('')}
+                  </select>
+                  <input type="text" class="form-control" id="modalMerchant" maxlength="${CONFIG.MAX_MERCHANT_LENGTH}" placeholder="Where? (optional)">
+                </div>
+              </div>
               <div class="form-group">
                 <label class="form-label" for="modalActionNotes">Notes (Optional)</label>
                 <input type="text" class="form-control" id="modalActionNotes" placeholder="Add a note...">
@@ -1756,6 +2771,7 @@ class HabitideApp {
     this.setTodayDateForModal();
     
     // Populate dynamic content
+    this.renderStatsCategoryFilter();
     this.updateDashboardStats();
     this.populateActionTypeSelects();
     this.renderQuickActions();
@@ -1791,7 +2807,7 @@ class HabitideApp {
     `;
     
     // Render today's workout initially and set the correct tab as active
-    const today = new Date().toLocaleString('en-us', { weekday: 'long' });
+    const today = this.getWeekdayName();
     
     // Update active tab to today
     document.querySelectorAll('.workout-tab').forEach(tab => {
@@ -1816,6 +2832,44 @@ class HabitideApp {
     });
   }
 
+  // Completed vs total sets/phases for a day's routine, including custom exercises
+  getWorkoutProgress(day) {
+    const routine = this.workoutRoutines[day];
+    const customWorkout = this.data.customWorkouts && this.data.customWorkouts[day];
+    const dayState = this.data.workoutState?.[day] || {};
+    let totalItems = 0;
+    let completedItems = 0;
+
+    routine?.phases?.forEach((phase, phaseIndex) => {
+      if (phase.type === 'warmup' || phase.type === 'cooldown' || phase.type === 'cardio' || phase.type === 'activity' || phase.type === 'recovery') {
+        totalItems += 1;
+        const phaseState = dayState[`phase_${phaseIndex}`];
+        if (phaseState?.completed) completedItems += 1;
+      } else {
+        phase.exercises?.forEach((exercise, exerciseIndex) => {
+          const totalSets = exercise.sets || 1;
+          totalItems += totalSets;
+          
+          const exerciseState = dayState[`phase_${phaseIndex}_ex_${exerciseIndex}`] || {};
+          completedItems += Object.values(exerciseState).filter(completed => completed).length;
+        });
+      }
+    });
+    
+    // Add custom exercises to progress calculation
+    if (customWorkout && customWorkout.customExercises) {
+      customWorkout.customExercises.forEach((exercise, exerciseIndex) => {
+        const totalSets = exercise.sets || 1;
+        totalItems += totalSets;
+        
+        const exerciseState = dayState[`custom_ex_${exerciseIndex}`] || {};
+        completedItems += Object.values(exerciseState).filter(completed => completed).length;
+      });
+    }
+
+    return { totalItems, completedItems };
+  }
+
   renderWorkoutDay(day) {
     const workoutContent = document.getElementById('workoutContent');
     if (!workoutContent) return;
@@ -1848,37 +2902,7 @@ class HabitideApp {
     if (!this.data.workoutState) this.data.workoutState = {};
     if (!this.data.workoutState[day]) this.data.workoutState[day] = {};
 
-    // Calculate progress for new phase structure
-    let totalItems = 0;
-    let completedItems = 0;
-    
-    routine.phases?.forEach((phase, phaseIndex) => {
-      if (phase.type === 'warmup' || phase.type === 'cooldown' || phase.type === 'cardio' || phase.type === 'activity' || phase.type === 'recovery') {
-        totalItems += 1;
-        const phaseState = this.data.workoutState[day][`phase_${phaseIndex}`];
-        if (phaseState?.completed) completedItems += 1;
-      } else {
-        phase.exercises?.forEach((exercise, exerciseIndex) => {
-          const totalSets = exercise.sets || 1;
-          totalItems += totalSets;
-          
-          const exerciseState = this.data.workoutState[day][`phase_${phaseIndex}_ex_${exerciseIndex}`] || {};
-          completedItems += Object.values(exerciseState).filter(completed => completed).length;
-        });
-      }
-    });
-    
-    // Add custom exercises to progress calculation
-    if (customWorkout && customWorkout.customExercises) {
-      customWorkout.customExercises.forEach((exercise, exerciseIndex) => {
-        const totalSets = exercise.sets || 1;
-        totalItems += totalSets;
-        
-        const exerciseState = this.data.workoutState[day][`custom_ex_${exerciseIndex}`] || {};
-        completedItems += Object.values(exerciseState).filter(completed => completed).length;
-      });
-    }
-
+    const { totalItems, completedItems } = this.getWorkoutProgress(day);
     const progressPercentage = totalItems > 0 ? (completedItems / totalItems) * 100 : 0;
 
     workoutContent.innerHTML = `
@@ -1985,1624 +3009,4314 @@ class HabitideApp {
     `;
   }
 
-  renderWorkoutPhase(day, phase, phaseIndex) {
-    const phaseKey = `phase_${phaseIndex}`;
-    const phaseState = this.data.workoutState[day][phaseKey] || {};
-    
-    // Handle different phase types
-    if (phase.type === 'warmup' || phase.type === 'cooldown' || phase.type === 'cardio' || phase.type === 'activity' || phase.type === 'recovery' || phase.type === 'hiit') {
-      const isCompleted = phaseState.completed || false;
-      
-      return `
-        <div class="phase-card ${phase.type} ${isCompleted ? 'completed' : ''}">
-          <div class="phase-header">
-            <div class="phase-info">
-              <h4 class="phase-name">
-                ${this.getPhaseIcon(phase.type)} ${phase.name}
-              </h4>
-              <span class="phase-duration">${phase.duration || phase.target}</span>
-              ${phase.restTime ? `<span class="phase-rest">Rest: ${phase.restTime}</span>` : ''}
-            </div>
-            <div class="phase-status">
-              <label class="phase-complete-label ${isCompleted ? 'completed' : ''}">
-                <input type="checkbox" class="phase-complete-checkbox" 
-                       ${isCompleted ? 'checked' : ''}
-                       onchange="app.togglePhase('${day}', ${phaseIndex}, this.checked)">
-                ${isCompleted ? '✅ Complete' : 'Mark Complete'}
-              </label>
-            </div>
-          </div>
-          <div class="phase-exercises">
-            ${phase.exercises.map(exercise => `
-              <div class="phase-exercise-item">
-                <strong>${exercise.name}</strong>
-                ${exercise.duration ? `<span class="exercise-duration"> - ${exercise.duration}</span>` : ''}
-                ${exercise.target ? `<span class="exercise-target"> - ${exercise.target}</span>` : ''}
-                <p class="exercise-description">${exercise.description}</p>
-              </div>
-            `).join('')}
-          </div>
-        </div>
-      `;
-    }
+  renderWorkoutPhase(day, phase, phaseIndex) {
+    const phaseKey = `phase_${phaseIndex}`;
+    const phaseState = this.data.workoutState[day][phaseKey] || {};
+    
+    // Handle different phase types
+    if (phase.type === 'warmup' || phase.type === 'cooldown' || phase.type === 'cardio' || phase.type === 'activity' || phase.type === 'recovery' || phase.type === 'hiit') {
+      const isCompleted = phaseState.completed || false;
+      
+      return `
+        <div class="phase-card ${phase.type} ${isCompleted ? 'completed' : ''}">
+          <div class="phase-header">
+            <div class="phase-info">
+              <h4 class="phase-name">
+                ${this.getPhaseIcon(phase.type)} ${phase.name}
+              </h4>
+              <span class="phase-duration">${phase.duration || phase.target}</span>
+              ${phase.restTime ? `<span class="phase-rest">Rest: ${phase.restTime}</span>` : ''}
+            </div>
+            <div class="phase-status">
+              <label class="phase-complete-label ${isCompleted ? 'completed' : ''}">
+                <input type="checkbox" class="phase-complete-checkbox" 
+                       ${isCompleted ? 'checked' : ''}
+                       onchange="app.togglePhase('${day}', ${phaseIndex}, this.checked)">
+                ${isCompleted ? '✅ Complete' : 'Mark Complete'}
+              </label>
+            </div>
+          </div>
+          <div class="phase-exercises">
+            ${phase.exercises.map(exercise => `
+              <div class="phase-exercise-item">
+                <strong>${exercise.name}</strong>
+                ${exercise.duration ? `<span class="exercise-duration"> - ${exercise.duration}</span>` : ''}
+                ${exercise.target ? `<span class="exercise-target"> - ${exercise.target}</span>` : ''}
+                <p class="exercise-description">${exercise.description}</p>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      `;
+    }
+    
+    // Handle superset and single exercise phases
+    const totalSets = phase.exercises.reduce((sum, ex) => sum + (ex.sets || 0), 0);
+    let completedSets = 0;
+    
+    phase.exercises.forEach((exercise, exerciseIndex) => {
+      const exerciseState = this.data.workoutState[day][`${phaseKey}_ex_${exerciseIndex}`] || {};
+      completedSets += Object.values(exerciseState).filter(completed => completed).length;
+    });
+    
+    const phaseProgress = totalSets > 0 ? (completedSets / totalSets) * 100 : 0;
+    const isPhaseComplete = phaseProgress === 100;
+    
+    return `
+      <div class="phase-card ${phase.type} ${isPhaseComplete ? 'completed' : ''}">
+        <div class="phase-header">
+          <div class="phase-info">
+            <h4 class="phase-name">
+              ${this.getPhaseIcon(phase.type)} ${phase.name}
+            </h4>
+            ${phase.restTime ? `<span class="phase-rest">Rest between sets: ${phase.restTime}</span>` : ''}
+            <div class="phase-progress">
+              <span class="phase-progress-text">${completedSets}/${totalSets} sets completed</span>
+              <div class="phase-progress-bar">
+                <div class="phase-progress-fill" style="width: ${phaseProgress}%"></div>
+              </div>
+            </div>
+          </div>
+        </div>
+        <div class="phase-exercises">
+          ${phase.exercises.map((exercise, exerciseIndex) => {
+            const exerciseState = this.data.workoutState[day][`${phaseKey}_ex_${exerciseIndex}`] || {};
+            const exerciseCompletedSets = Object.values(exerciseState).filter(completed => completed).length;
+            const isExerciseComplete = exerciseCompletedSets === exercise.sets;
+            
+            return `
+              <div class="exercise-card ${isExerciseComplete ? 'completed' : ''}">
+                <div class="exercise-header">
+                  <div class="exercise-info">
+                    <h5 class="exercise-name">${exercise.name}</h5>
+                    <span class="exercise-sets-reps">${exercise.sets} sets × ${exercise.reps}</span>
+                    ${exercise.notes ? `<p class="exercise-notes">${exercise.notes}</p>` : ''}
+                  </div>
+                  <div class="exercise-status">
+                    ${isExerciseComplete ? '✅' : `${exerciseCompletedSets}/${exercise.sets}`}
+                  </div>
+                </div>
+                <div class="sets-tracker">
+                  ${Array.from({length: exercise.sets}, (_, setIndex) => {
+                    const isSetCompleted = exerciseState[setIndex] || false;
+                    return `
+                      <label class="set-label ${isSetCompleted ? 'completed' : ''}">
+                        <input type="checkbox" class="set-checkbox" 
+                               ${isSetCompleted ? 'checked' : ''}
+                               onchange="app.toggleSet('${day}', '${phaseKey}_ex_${exerciseIndex}', ${setIndex}, this.checked)">
+                        Set ${setIndex + 1}
+                      </label>
+                    `;
+                  }).join('')}
+                </div>
+              </div>
+            `;
+          }).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  getPhaseIcon(type) {
+    const icons = {
+      warmup: '🔥',
+      superset: '💪',
+      single: '🎯',
+      hiit: '⚡',
+      cardio: '🏃',
+      cooldown: '🧘',
+      activity: '⚽',
+      recovery: '🌱'
+    };
+    return icons[type] || '💪';
+  }
+
+  toggleSet(day, exerciseKey, setIndex, completed) {
+    // Initialize nested objects if they don't exist
+    if (!this.data.workoutState) this.data.workoutState = {};
+    if (!this.data.workoutState[day]) this.data.workoutState[day] = {};
+    if (!this.data.workoutState[day][exerciseKey]) this.data.workoutState[day][exerciseKey] = {};
+    
+    // Update set completion state
+    this.data.workoutState[day][exerciseKey][setIndex] = completed;
+    
+    // Save to database
+    this.saveData();
+    
+    // Re-render the workout day to update progress
+    this.renderWorkoutDay(day);
+    this.refreshReminders(); // Workout-targeted reminders depend on progress
+  }
+
+  togglePhase(day, phaseIndex, completed) {
+    // Initialize nested objects if they don't exist
+    if (!this.data.workoutState) this.data.workoutState = {};
+    if (!this.data.workoutState[day]) this.data.workoutState[day] = {};
+    
+    const phaseKey = `phase_${phaseIndex}`;
+    if (!this.data.workoutState[day][phaseKey]) this.data.workoutState[day][phaseKey] = {};
+    
+    // Update phase completion state
+    this.data.workoutState[day][phaseKey].completed = completed;
+    
+    // Save to database
+    this.saveData();
+    
+    // Re-render the workout day to update progress
+    this.renderWorkoutDay(day);
+    this.refreshReminders();
+  }
+
+  markWorkoutDayComplete(day) {
+    if (confirm(`Mark the entire ${day} workout as complete? This will mark all exercises and sets as done.`)) {
+      // Get the default routine and custom workout
+      const defaultRoutine = this.workoutRoutines[day];
+      const customWorkout = this.data.customWorkouts && this.data.customWorkouts[day];
+      
+      if (!defaultRoutine || !defaultRoutine.phases) return;
+      
+      // Initialize workout state if needed
+      if (!this.data.workoutState) this.data.workoutState = {};
+      if (!this.data.workoutState[day]) this.data.workoutState[day] = {};
+      
+      // Mark all default phases as complete
+      defaultRoutine.phases.forEach((phase, phaseIndex) => {
+        const phaseKey = `phase_${phaseIndex}`;
+        
+        if (phase.type === 'warmup' || phase.type === 'cooldown' || phase.type === 'cardio' || phase.type === 'activity' || phase.type === 'recovery' || phase.type === 'hiit') {
+          // For time-based phases, just mark as completed
+          this.data.workoutState[day][phaseKey] = { completed: true };
+        } else {
+          // For set-based phases, mark all sets as complete
+          phase.exercises.forEach((exercise, exerciseIndex) => {
+            const exerciseKey = `${phaseKey}_ex_${exerciseIndex}`;
+            this.data.workoutState[day][exerciseKey] = {};
+            
+            // Mark all sets as complete
+            for (let setIndex = 0; setIndex < exercise.sets; setIndex++) {
+              this.data.workoutState[day][exerciseKey][setIndex] = true;
+            }
+          });
+        }
+      });
+      
+      // Mark all custom exercises as complete
+      if (customWorkout && customWorkout.customExercises) {
+        customWorkout.customExercises.forEach((exercise, exerciseIndex) => {
+          const exerciseKey = `custom_ex_${exerciseIndex}`;
+          this.data.workoutState[day][exerciseKey] = {};
+          
+          // Mark all sets as complete
+          for (let setIndex = 0; setIndex < exercise.sets; setIndex++) {
+            this.data.workoutState[day][exerciseKey][setIndex] = true;
+          }
+        });
+      }
+      
+      // Save to database
+      this.saveData();
+      
+      // Re-render the workout day
+      this.renderWorkoutDay(day);
+      this.refreshReminders();
+      
+      this.showNotification(`🎉 ${day} workout marked as complete!`, 'success');
+    }
+  }
+
+  resetWorkoutDay(day) {
+    const previousState = this.data.workoutState?.[day];
+    if (!previousState) return;
+
+    delete this.data.workoutState[day];
+    this.saveData();
+    this.renderWorkoutDay(day);
+    this.refreshReminders();
+
+    this.showUndoNotification(`${day} progress reset`, () => {
+      this.data.workoutState[day] = previousState;
+      this.saveData();
+      this.renderWorkoutDay(day);
+      this.refreshReminders();
+    });
+  }
+
+  checkWeeklyReset() {
+    const now = getToday();
+    const isSunday = now.getDay() === 0; // Sunday is 0
+    const lastReset = this.data.lastWeeklyReset ? parseDateString(getHabitDateString(this.data.lastWeeklyReset)) : null;
+    
+    // Check if it's Sunday and we haven't reset this week
+    if (isSunday && (!lastReset || this.getWeekStart(now) > this.getWeekStart(lastReset))) {
+      this.performWeeklyReset();
+    }
+  }
+
+  getWeekStart(date) {
+    const d = new Date(date);
+    const day = d.getDay();
+    const diff = d.getDate() - day; // Adjust to Sunday
+    return new Date(d.setDate(diff));
+  }
+
+  performWeeklyReset() {
+    const previous = {
+      workoutProgress: this.data.workoutProgress,
+      workoutState: this.data.workoutState,
+      customWorkouts: this.data.customWorkouts,
+      lastWeeklyReset: this.data.lastWeeklyReset
+    };
+
+    // Reset all workout progress
+    this.data.workoutProgress = {};
+    this.data.workoutState = {};
+    
+    // Clear ALL custom workouts for the week
+    this.data.customWorkouts = {};
+    
+    // Update last reset timestamp
+    this.data.lastWeeklyReset = new Date().toISOString();
+    
+    // Save the changes
+    this.saveData();
+    
+    this.showUndoNotification('🔄 Weekly reset completed! All workouts restored to defaults and progress cleared!', () => {
+      Object.assign(this.data, previous);
+      this.saveData();
+      this.renderWorkout();
+      this.refreshReminders();
+    });
+    console.log('Weekly reset performed - all custom workouts cleared');
+  }
+
+  resetAllWorkouts() {
+    this.performWeeklyReset();
+    this.renderWorkout(); // Re-render all workout days
+  }
+
+  renderCalendar() {
+    const section = document.getElementById('calendar');
+    if (!section) return;
+    section.innerHTML = `
+      <div class="container" id="calendarContainer">
+        <div class="section-header">
+          <h1>Calendar View</h1>
+          <p>View and manage your daily actions</p>
+        </div>
+        <div class="calendar-container">
+          <div class="calendar-main">
+            <div class="calendar-header">
+              <button class="btn btn--outline" id="prevMonth">‹</button>
+              <h3 id="currentMonth">June 2025</h3>
+              <button class="btn btn--outline" id="nextMonth">›</button>
+            </div>
+            <div class="calendar-grid" id="calendarGrid"></div>
+          </div>
+          <div class="calendar-sidebar">
+            <div class="card">
+              <div class="card__body">
+                <h3 id="selectedDateDisplay">Select a date</h3>
+                <div class="selected-date-actions" id="selectedDateActions">
+                  <p class="empty-state">No actions for this date</p>
+                </div>
+                <div class="calendar-action-form">
+                  <select class="form-control" id="calendarActionType">
+                    <option value="">Add action for this date...</option>
+                  </select>
+                  <div class="form-group" id="calendarQuantityGroup" hidden>
+                    <input type="number" class="form-control" id="calendarActionQuantity" min="0" step="any">
+                  </div>
+                  <button class="btn btn--primary btn--full-width" id="addCalendarAction">Add Action</button>
+                </div>
+              </div>
+            </div>
+            <div class="card">
+              <div class="card__body">
+                <h3>Pause Days</h3>
+                <div id="calendarPauseInfo"></div>
+                <div class="calendar-action-form">
+                  <select class="form-control" id="pauseType">
+                    ${Object.entries(CONFIG.PAUSE_TYPES).map(([type, { icon, label }]) => `<option value="${type}">${icon} ${label}</option>`).join('')}
+                  </select>
+                  <label class="form-label" for="pauseEndDate">From the selected date until</label>
+                  <input type="date" class="form-control" id="pauseEndDate">
+                  <button class="btn btn--secondary btn--full-width" id="addPauseBtn">Mark as Paused</button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    // Re-attach event listeners for calendar navigation
+    document.getElementById('prevMonth')?.addEventListener('click', () => this.changeMonth(-1));
+    document.getElementById('nextMonth')?.addEventListener('click', () => this.changeMonth(1));
+    document.getElementById('addCalendarAction')?.addEventListener('click', () => this.addCalendarAction());
+    document.getElementById('addPauseBtn')?.addEventListener('click', () => this.addPause());
+    document.getElementById('calendarActionType')?.addEventListener('change', (e) => {
+      this.toggleQuantityInput('calendarQuantityGroup', parseInt(e.target.value));
+    });
+    
+    // Populate dynamic content
+    this.renderCalendarGrid();
+    
+    // Initialize selected date to today if not set
+    if (!this.selectedDate) {
+      this.selectedDate = getToday();
+    }
+    
+    // Make sure the selected date is properly displayed
+    this.updateSelectedDateActions();
+    this.populateActionTypeSelects();
+    this.populateCalendarActionTypes(); // Initialize calendar dropdown for selected date
+  }
+
+  renderCalendarGrid() {
+    const calendarGrid = document.getElementById('calendarGrid');
+    const currentMonthElement = document.getElementById('currentMonth');
+    if (!calendarGrid || !currentMonthElement) return;
+
+    const currentDate = this.currentDate || getToday();
+    const year = currentDate.getFullYear();
+    const month = currentDate.getMonth();
+    
+    // Update month display
+    currentMonthElement.textContent = currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    
+    // Get first day of month and number of days
+    const firstDay = new Date(year, month, 1);
+    const lastDay = new Date(year, month + 1, 0);
+    const startDate = new Date(firstDay);
+    startDate.setDate(startDate.getDate() - firstDay.getDay()); // Start from Sunday
+    
+    // Generate calendar grid
+    let calendarHTML = `
+      <div class="calendar-weekdays">
+        <div class="calendar-weekday">Sun</div>
+        <div class="calendar-weekday">Mon</div>
+        <div class="calendar-weekday">Tue</div>
+        <div class="calendar-weekday">Wed</div>
+        <div class="calendar-weekday">Thu</div>
+        <div class="calendar-weekday">Fri</div>
+        <div class="calendar-weekday">Sat</div>
+      </div>
+      <div class="calendar-days">
+    `;
+    
+    const todayStr = getTodayString();
+    
+    // Generate 6 weeks of calendar
+    for (let week = 0; week < 6; week++) {
+      for (let day = 0; day < 7; day++) {
+        const currentCalendarDate = new Date(startDate);
+        currentCalendarDate.setDate(startDate.getDate() + (week * 7) + day);
+        
+        const dateStr = getDateString(currentCalendarDate);
+        const isCurrentMonth = currentCalendarDate.getMonth() === month;
+        const isToday = dateStr === todayStr;
+        const isSelected = this.selectedDate && getDateString(this.selectedDate) === dateStr;
+        
+        // Pre-calculate day actions for better performance
+        const dayActions = this.data.actions ? this.data.actions.filter(action => 
+          getDateString(action.date) === dateStr
+        ) : [];
+        
+        const hasActions = dayActions.length > 0;
+        const dayTotal = hasActions ? dayActions.reduce((sum, action) => sum + (action.value || 0), 0) : 0;
+        const pause = this.getPauseForDate(dateStr);
+        
+        const dayClasses = [
+          'calendar-day',
+          !isCurrentMonth ? 'empty' : '',
+          isToday ? 'today' : '',
+          isSelected ? 'selected' : '',
+          hasActions ? 'has-actions' : '',
+          pause ? `paused paused--${pause.type}` : ''
+        ].filter(Boolean).join(' ');
+        
+        calendarHTML += `
+          <div class="${dayClasses}" 
+               data-date="${dateStr}"
+               onclick="app.selectCalendarDate('${dateStr}')"
+               title="${pause ? `${CONFIG.PAUSE_TYPES[pause.type].label} · ` : ''}${hasActions ? `${dayActions.length} ${dayActions.length === 1 ? 'entry' : 'entries'} · Total: ${formatCurrency(dayTotal)}` : 'No actions'}">
+            <span class="calendar-day-number">${currentCalendarDate.getDate()}</span>
+            ${hasActions ? this.renderCalendarDayHabits(dayActions) : ''}
+            ${hasActions ? `<span class="calendar-day-indicator ${dayTotal >= 0 ? 'positive' : 'negative'}"></span>` : ''}
+          </div>
+        `;
+      }
+    }
+    
+    calendarHTML += '</div>';
+    calendarGrid.innerHTML = calendarHTML;
+  }
+
+  // Icons (or colour dots) of the distinct habits logged on a day, capped so the cell stays readable
+  renderCalendarDayHabits(dayActions) {
+    const types = [...new Set(dayActions.map(action => action.action_type_id))]
+      .map(typeId => this.findActionType(typeId))
+      .filter(type => type && (type.icon || type.color));
+    if (types.length === 0) return '';
+
+    return `
+      <span class="calendar-day-habits">
+        ${types.slice(0, CONFIG.CALENDAR_MAX_HABIT_ICONS).map(type => type.icon
+          ? `<span class="habit-icon">${type.icon}</span>`
+          : `<span class="habit-dot" style="${this.getHabitColorStyle(type)}"></span>`).join('')}
+      </span>
+    `;
+  }
+
+  // Paused days (vacation, sick, rest): skipped by streaks, targets and reminders
+
+  getPauses() {
+    return this.data.settings?.pauses || [];
+  }
+
+  getPauseForDate(dateStr) {
+    return this.getPauses().find(pause => pause.start <= dateStr && dateStr <= pause.end) || null;
+  }
+
+  isPausedDate(dateStr) {
+    return Boolean(this.getPauseForDate(dateStr));
+  }
+
+  // Days the workout plan itself schedules as rest (Sunday by default)
+  isPlannedRestDay(date) {
+    return this.workoutRoutines[this.getWeekdayName(date)]?.focus === 'Rest';
+  }
+
+  renderCalendarPause() {
+    const container = document.getElementById('calendarPauseInfo');
+    const endInput = document.getElementById('pauseEndDate');
+    if (!container || !this.selectedDate) return;
+
+    const dateStr = getDateString(this.selectedDate);
+    const pause = this.getPauseForDate(dateStr);
+    if (endInput) {
+      endInput.min = dateStr;
+      if (!endInput.value || endInput.value < dateStr) endInput.value = dateStr;
+    }
+
+    if (!pause) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const { icon, label } = CONFIG.PAUSE_TYPES[pause.type];
+    const range = pause.start === pause.end
+      ? parseDateString(pause.start).toLocaleDateString()
+      : `${parseDateString(pause.start).toLocaleDateString()} - ${parseDateString(pause.end).toLocaleDateString()}`;
+    container.innerHTML = `
+      <div class="pause-info paused--${pause.type}">
+        <span>${icon} ${label}: ${range}</span>
+        <button class="btn btn--outline btn--sm" onclick="app.removePause('${pause.id}')" title="Remove pause">✕</button>
+      </div>
+    `;
+  }
+
+  async addPause() {
+    if (!this.selectedDate) return;
+
+    const type = document.getElementById('pauseType')?.value;
+    const start = getDateString(this.selectedDate);
+    const end = document.getElementById('pauseEndDate')?.value || start;
+
+    if (!CONFIG.PAUSE_TYPES[type]) return;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(end) || end < start) {
+      this.showNotification('The pause must end on or after the selected date.', 'error');
+      return;
+    }
+    if (daysBetween(start, end) >= CONFIG.MAX_PAUSE_DAYS) {
+      this.showNotification(`Pauses can be at most ${CONFIG.MAX_PAUSE_DAYS} days long.`, 'error');
+      return;
+    }
+    if (this.getPauses().some(pause => pause.start <= end && start <= pause.end)) {
+      this.showNotification('These dates overlap an existing pause - remove it first.', 'warning');
+      return;
+    }
+
+    this.data.settings.pauses = [...this.getPauses(), { id: `pause-${Date.now()}`, type, start, end }];
+    await this.saveData();
+    this.afterPausesChanged();
+    this.showNotification(`${CONFIG.PAUSE_TYPES[type].label} days marked`, 'success');
+  }
+
+  async removePause(pauseId) {
+    const removed = this.getPauses().find(pause => pause.id === pauseId);
+    if (!removed) return;
+
+    this.data.settings.pauses = this.getPauses().filter(pause => pause.id !== pauseId);
+    await this.saveData();
+    this.afterPausesChanged();
+    this.showUndoNotification(`${CONFIG.PAUSE_TYPES[removed.type].label} pause removed`, async () => {
+      this.data.settings.pauses = [...this.getPauses(), removed];
+      await this.saveData();
+      this.afterPausesChanged();
+    });
+  }
+
+  afterPausesChanged() {
+    this.renderCalendarGrid();
+    this.renderCalendarPause();
+    this.updateDashboardStats();
+    this.renderBadges('badgesContainer');
+    this.refreshReminders();
+  }
+
+  renderProfile() {
+    const section = document.getElementById('profile');
+    if (!section) return;
+    
+    const settings = this.data.settings || { targetGoal: 20000, reminderTime: '20:00', theme: 'light', quickActions: [] };
+    const positiveTypes = this.data.actionTypes?.positive || [];
+    const negativeTypes = this.data.actionTypes?.negative || [];
+    const archivedTypes = this.data.actionTypes?.archived || [];
+    const habitCategories = this.getHabitCategories();
+    
+    section.innerHTML = `
+      <div class="container" id="profileContainer">
+        <div class="section-header">
+          <h1>Profile Settings</h1>
+          <p>Customize your goals and action types</p>
+        </div>
+        
+        <div class="profile-grid">
+          <!-- Goals -->
+          <div class="card">
+            <div class="card__body">
+              <h3>Goals</h3>
+              <div class="action-types-list">
+                ${this.getGoals().map(goal => `
+                  <div class="action-type-item">
+                    <div class="action-type-info">
+                      <span class="action-type-name">${goal.name}</span>
+                      <span class="action-type-value">${formatCurrency(goal.targetGoal)}</span>
+                      <small class="action-type-limit">${this.describeGoalTypes(goal)}${goal.deadline ? ` · by ${parseDateString(goal.deadline).toLocaleDateString()}` : ''}</small>
+                    </div>
+                    <button class="btn btn--outline btn--sm" onclick="app.showCloseCycleModal('${goal.id}')" title="Close season">🏁</button>
+                    <button class="btn btn--outline btn--sm" onclick="app.showGoalModal('${goal.id}')" title="Edit">✏️</button>
+                    <button class="btn btn--outline btn--sm" onclick="app.deleteGoal('${goal.id}')" title="Delete">🗑️</button>
+                  </div>
+                `).join('')}
+              </div>
+              <button class="btn btn--secondary" onclick="app.showGoalModal()">Add Goal</button>
+            </div>
+          </div>
+
+          <!-- Debts -->
+          <div class="card">
+            <div class="card__body">
+              <h3>Debts</h3>
+              <div class="action-types-list">
+                ${this.getDebts().map(debt => `
+                  <div class="action-type-item">
+                    <div class="action-type-info">
+                      <span class="action-type-name">${debt.name}</span>
+                      <span class="action-type-value">${formatCurrency(this.getDebtBalance(debt))}</span>
+                      <small class="action-type-limit">${debt.interestRate}% a year · ${formatCurrency(debt.minimumPayment)} minimum</small>
+                    </div>
+                    <button class="btn btn--outline btn--sm" onclick="app.showDebtModal('${debt.id}')" title="Edit">✏️</button>
+                    <button class="btn btn--outline btn--sm" onclick="app.deleteDebt('${debt.id}')" title="Delete">🗑️</button>
+                  </div>
+                `).join('') || '<p class="empty-state">Add what you actually owe. Log actions of a type marked as a debt payment with the amount paid to bring balances down.</p>'}
+              </div>
+              <button class="btn btn--secondary" onclick="app.showDebtModal()">Add Debt</button>
+            </div>
+          </div>
+
+          <!-- Past Seasons -->
+          <div class="card">
+            <div class="card__body">
+              <h3>Past Seasons</h3>
+              <div class="season-list">
+                ${this.renderPastSeasons()}
+              </div>
+            </div>
+          </div>
+
+          <!-- General Settings -->
+          <div class="card">
+            <div class="card__body">
+              <h3>Settings</h3>
+              <div class="form-group">
+                <label class="form-label">Theme</label>
+                <select class="form-control" id="themeSelect">
+                  <option value="light" ${settings.theme === 'light' ? 'selected' : ''}>Light</option>
+                  <option value="dark" ${settings.theme === 'dark' ? 'selected' : ''}>Dark</option>
+                </select>
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="timezoneInput">Timezone</label>
+                <input type="text" class="form-control" id="timezoneInput" list="timezoneOptions" value="${getUserTimeZone()}">
+                <datalist id="timezoneOptions">
+                  ${(Intl.supportedValuesOf?.('timeZone') || []).map(zone => `<option value="${zone}"></option>`).join('')}
+                </datalist>
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="dayRolloverSelect">New day starts at</label>
+                <select class="form-control" id="dayRolloverSelect">
+                  ${Array.from({ length: CONFIG.MAX_DAY_ROLLOVER_HOUR + 1 }, (_, hour) => `
+                    <option value="${hour}" ${hour === dayBoundary.rolloverHour ? 'selected' : ''}>${String(hour).padStart(2, '0')}:00${hour === 0 ? ' (midnight)' : ''}</option>
+                  `).join('')}
+                </select>
+                <small class="form-hint">Anything logged before this time counts toward the previous day.</small>
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="spendingBudgetInput">Monthly spending budget (₹)</label>
+                <input type="number" class="form-control" id="spendingBudgetInput" min="0" step="100" value="${settings.spendingBudget ?? ''}" placeholder="No budget">
+                <small class="form-hint">You'll get a warning at ${Math.round(CONFIG.SPENDING_BUDGET_WARNING_RATIO * 100)}% of the budget.</small>
+              </div>
+              <div class="form-group">
+                <label class="reprice-option">
+                  <input type="checkbox" id="scaleSpendingPenaltyInput" ${settings.scaleSpendingPenalty ? 'checked' : ''}>
+                  Purchases with an amount lose as many points as rupees spent
+                </label>
+                <small class="form-hint">Applies to spending actions logged from now on; earlier ones keep the value they were logged with.</small>
+              </div>
+              <button class="btn btn--primary" id="saveSettingsBtn">Save Settings</button>
+              
+              <div class="user-zone" style="margin-top: var(--space-24); padding-top: var(--space-24); border-top: 1px solid var(--color-border);">
+                <h4 style="margin-bottom: var(--space-16);">Account</h4>
+                <p style="color: var(--color-text-secondary); font-size: var(--font-size-sm); margin-bottom: var(--space-16);">
+                  Signed in as: <strong>${this.user?.email || this.user?.username}</strong>
+                </p>
+                <button class="btn btn--outline" onclick="app.signOut()" style="margin-bottom: var(--space-16);">Sign Out</button>
+                ${this.auth.supportsSessions ? `
+
+                <h4 style="margin-bottom: var(--space-12);">Active Sessions</h4>
+                <ul class="session-list" id="activeSessionsList">
+                  <li class="session-item">Loading sessions...</li>
+                </ul>
+                <button class="btn btn--outline" id="signOutEverywhereBtn" style="margin-bottom: var(--space-16);">Sign Out Everywhere</button>
+                ` : ''}
+                ${this.auth.supportsPasswords ? `
+
+                <h4 style="margin-bottom: var(--space-12);">Change Password</h4>
+                <div class="form-group">
+                  <label class="form-label" for="currentPasswordInput">Current Password</label>
+                  <input type="password" class="form-control" id="currentPasswordInput" autocomplete="current-password">
+                </div>
+                <div class="form-group">
+                  <label class="form-label" for="newPasswordInput">New Password</label>
+                  <input type="password" class="form-control" id="newPasswordInput" autocomplete="new-password" placeholder="At least ${CONFIG.MIN_PASSWORD_LENGTH} characters">
+                </div>
+                <div class="form-group">
+                  <label class="form-label" for="confirmNewPasswordInput">Confirm New Password</label>
+                  <input type="password" class="form-control" id="confirmNewPasswordInput" autocomplete="new-password">
+                </div>
+                <button class="btn btn--secondary" id="changePasswordBtn">Change Password</button>
+                <button class="btn btn--outline" id="regenerateRecoveryCodesBtn" title="Requires your current password" style="margin-left: 8px;">New Recovery Codes</button>
+                ` : ''}
+              </div>
+              
+              <div class="danger-zone" style="margin-top: var(--space-24); padding-top: var(--space-24); border-top: 1px solid var(--color-border);">
+                <h4 style="color: var(--color-error); margin-bottom: var(--space-16);">Danger Zone</h4>
+                <button class="btn btn--outline" id="resetDataBtn" style="border-color: var(--color-error); color: var(--color-error);">Reset All Data</button>
+                <button class="btn btn--outline" id="removeDuplicatesBtn" style="border-color: var(--color-warning); color: var(--color-warning); margin-left: 8px;">Remove Duplicates</button>
+              </div>
+            </div>
+          </div>
+
+          <!-- Quick Actions Selection -->
+          <div class="card">
+            <div class="card__body">
+              <h3>Quick Actions</h3>
+              <p style="font-size: var(--font-size-sm); color: var(--color-text-secondary); margin-bottom: var(--space-16);">
+                Select which actions appear in the dashboard quick actions section (up to 6)
+              </p>
+              <div id="quickActionsSelection">
+                ${[...positiveTypes, ...negativeTypes].map(type => {
+                  const isSelected = (settings.quickActions || []).includes(type.id);
+                  return `
+                    <div class="quick-action-option">
+                      <label>
+                        <input type="checkbox" value="${type.id}" ${isSelected ? 'checked' : ''}>
+                        <span>${type.name} (${type.value > 0 ? '+' : ''}${type.value})</span>
+                      </label>
+                    </div>
+                  `;
+                }).join('')}
+              </div>
+              <button class="btn btn--secondary" id="saveQuickActionsBtn">Save Quick Actions</button>
+            </div>
+          </div>
+
+          <!-- Reminders -->
+          <div class="card">
+            <div class="card__body">
+              <h3>Reminders</h3>
+              <div class="action-types-list" id="remindersList">
+                ${this.getReminders().map(reminder => `
+                  <div class="action-type-item">
+                    <div class="action-type-info">
+                      <span class="action-type-name">${reminder.time} · ${this.describeReminderDays(reminder.days)}</span>
+                      <span class="reminder-target">${this.describeReminderTarget(reminder.target)}</span>
+                    </div>
+                    <button class="btn btn--outline btn--sm" onclick="app.deleteReminder('${reminder.id}')" title="Delete">🗑️</button>
+                  </div>
+                `).join('') || '<p class="empty-state">No reminders set</p>'}
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="newReminderTime">Time</label>
+                <input type="time" class="form-control" id="newReminderTime" value="20:00">
+              </div>
+              <div class="reminder-days" id="newReminderDays">
+                ${CONFIG.WEEKDAY_LABELS.map((label, day) => `
+                  <label><input type="checkbox" value="${day}" checked> ${label}</label>
+                `).join('')}
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="newReminderTarget">Remind me</label>
+                <select class="form-control" id="newReminderTarget">
+                  <option value="">With a daily summary</option>
+                  <option value="workout">If the workout day isn't complete</option>
+                  ${[...positiveTypes, ...negativeTypes].map(type => `
+                    <option value="action:${type.id}">If "${type.name}" isn't logged</option>
+                  `).join('')}
+                </select>
+              </div>
+              <button class="btn btn--secondary" id="addReminderBtn">Add Reminder</button>
+            </div>
+          </div>
+
+          <!-- Habit Categories -->
+          <div class="card">
+            <div class="card__body">
+              <h3>Habit Categories</h3>
+              <div class="habit-category-list" id="habitCategoryList">
+                ${habitCategories.map(category => `
+                  <span class="habit-category-tag">
+                    ${category}
+                    <button class="habit-category-remove" data-habit-category="${category}" title="Remove category">×</button>
+                  </span>
+                `).join('')}
+              </div>
+              <div class="add-action-type-form">
+                <input type="text" class="form-control" id="newHabitCategoryName" placeholder="New category (e.g. Sleep)" maxlength="${CONFIG.MAX_HABIT_CATEGORY_LENGTH}">
+                <button class="btn btn--secondary" id="addHabitCategoryBtn">Add</button>
+              </div>
+            </div>
+          </div>
+
+          <!-- Positive Action Types -->
+          <div class="card">
+            <div class="card__body">
+              <h3>Positive Actions</h3>
+              <div class="action-types-list" id="positiveActionsList">
+                ${positiveTypes.map(type => `
+                  <div class="action-type-item ${type.color ? 'habit-colored' : ''}" style="${this.getHabitColorStyle(type)}">
+                    <div class="action-type-info">
+                      <span class="action-type-name">${this.renderActionTypeLabel(type)}</span>
+                      <span class="action-type-value positive">${this.formatActionTypeValue(type)}</span>
+                      ${type.habit_category ? `<small class="habit-category-tag">${type.habit_category}</small>` : ''}
+                      ${this.allowsMultiple(type) ? `<small class="action-type-limit">${type.daily_cap ? `up to ${type.daily_cap}×/day` : 'multiple/day'}</small>` : ''}
+                      ${this.isDebtPaymentType(type) ? '<small class="action-type-limit">💳 debt payment</small>' : ''}
+                      ${type.frequency ? `<small class="action-type-limit">🎯 ${this.describeFrequency(type.frequency)}</small>` : ''}
+                    </div>
+                    <button class="btn btn--outline btn--sm" onclick="app.showHabitDetail(${type.id})" title="Details">📊</button>
+                    <button class="btn btn--outline btn--sm" onclick="app.showEditActionTypeModal(${type.id})" title="Edit">✏️</button>
+                    <button class="btn btn--outline btn--sm" onclick="app.archiveActionType(${type.id})" title="Archive">📦</button>
+                  </div>
+                `).join('')}
+              </div>
+              <div class="add-action-type-form">
+                <input type="text" class="form-control" id="newPositiveActionName" placeholder="Action name">
+                <input type="number" class="form-control" id="newPositiveActionValue" placeholder="Points">
+                <input type="text" class="form-control" id="newPositiveActionUnit" placeholder="Unit (optional, e.g. pages)">
+                <input type="number" class="form-control" id="newPositiveActionUnitSize" placeholder="Per how many units" min="1" step="any">
+                <label class="action-multiple-option"><input type="checkbox" id="newPositiveActionMultiple"> Multiple per day</label>
+                <input type="number" class="form-control" id="newPositiveActionDailyCap" placeholder="Daily cap (optional)" min="1">
+                <label class="action-multiple-option"><input type="checkbox" id="newPositiveActionDebtPayment"> Debt payment</label>
+                <input type="text" class="form-control habit-icon-input" id="newPositiveActionIcon" placeholder="Icon (emoji)" maxlength="${CONFIG.MAX_ACTION_ICON_LENGTH}">
+                <input type="color" class="habit-color-input" id="newPositiveActionColor" value="#22c55e" title="Colour">
+                <select class="form-control" id="newPositiveActionHabitCategory">
+                  <option value="">No category</option>
+                  ${habitCategories.map(category => `<option value="${category}">${category}</option>`).join('')}
+                </select>
+                <button class="btn btn--secondary" id="addPositiveActionTypeBtn">Add</button>
+              </div>
+            </div>
+          </div>
+
+          <!-- Negative Action Types -->
+          <div class="card">
+            <div class="card__body">
+              <h3>Negative Actions</h3>
+              <div class="action-types-list" id="negativeActionsList">
+                ${negativeTypes.map(type => `
+                  <div class="action-type-item ${type.color ? 'habit-colored' : ''}" style="${this.getHabitColorStyle(type)}">
+                    <div class="action-type-info">
+                      <span class="action-type-name">${this.renderActionTypeLabel(type)}</span>
+                      <span class="action-type-value negative">${this.formatActionTypeValue(type)}</span>
+                      ${type.habit_category ? `<small class="habit-category-tag">${type.habit_category}</small>` : ''}
+                      ${this.allowsMultiple(type) ? `<small class="action-type-limit">${type.daily_cap ? `up to ${type.daily_cap}×/day` : 'multiple/day'}</small>` : ''}
+                      ${this.isSpendingType(type) ? '<small class="action-type-limit">💸 spending</small>' : ''}
+                      ${type.frequency ? `<small class="action-type-limit">🎯 ${this.describeFrequency(type.frequency)}</small>` : ''}
+                    </div>
+                    <button class="btn btn--outline btn--sm" onclick="app.showHabitDetail(${type.id})" title="Details">📊</button>
+                    <button class="btn btn--outline btn--sm" onclick="app.showEditActionTypeModal(${type.id})" title="Edit">✏️</button>
+                    <button class="btn btn--outline btn--sm" onclick="app.archiveActionType(${type.id})" title="Archive">📦</button>
+                  </div>
+                `).join('')}
+              </div>
+              <div class="add-action-type-form">
+                <input type="text" class="form-control" id="newNegativeActionName" placeholder="Action name">
+                <input type="number" class="form-control" id="newNegativeActionValue" placeholder="Points (will be negative)">
+                <input type="text" class="form-control" id="newNegativeActionUnit" placeholder="Unit (optional, e.g. pages)">
+                <input type="number" class="form-control" id="newNegativeActionUnitSize" placeholder="Per how many units" min="1" step="any">
+                <label class="action-multiple-option"><input type="checkbox" id="newNegativeActionMultiple"> Multiple per day</label>
+                <input type="number" class="form-control" id="newNegativeActionDailyCap" placeholder="Daily cap (optional)" min="1">
+                <label class="action-multiple-option"><input type="checkbox" id="newNegativeActionSpending"> Spending</label>
+                <input type="text" class="form-control habit-icon-input" id="newNegativeActionIcon" placeholder="Icon (emoji)" maxlength="${CONFIG.MAX_ACTION_ICON_LENGTH}">
+                <input type="color" class="habit-color-input" id="newNegativeActionColor" value="#ef4444" title="Colour">
+                <select class="form-control" id="newNegativeActionHabitCategory">
+                  <option value="">No category</option>
+                  ${habitCategories.map(category => `<option value="${category}">${category}</option>`).join('')}
+                </select>
+                <button class="btn btn--secondary" id="addNegativeActionTypeBtn">Add</button>
+              </div>
+            </div>
+          </div>
+
+          <!-- Archived Action Types -->
+          ${archivedTypes.length > 0 ? `
+          <div class="card">
+            <div class="card__body">
+              <h3>Archived Actions</h3>
+              <p style="margin-bottom: var(--space-12); color: var(--color-text-secondary);">
+                Archived habits keep their history but can't be logged.
+              </p>
+              <div class="action-types-list" id="archivedActionsList">
+                ${archivedTypes.map(type => `
+                  <div class="action-type-item">
+                    <div class="action-type-info">
+                      <span class="action-type-name">${type.name}</span>
+                      <span class="action-type-value ${type.value >= 0 ? 'positive' : 'negative'}">${this.formatActionTypeValue(type)}</span>
+                      <small class="action-type-limit">${(this.data.actions || []).filter(action => action.action_type_id === type.id).length} logged</small>
+                    </div>
+                    <button class="btn btn--outline btn--sm" onclick="app.unarchiveActionType(${type.id})" title="Restore">↩️</button>
+                    <button class="btn btn--outline btn--sm" onclick="app.deleteActionType(${type.id})" title="Delete with its history">🗑️</button>
+                  </div>
+                `).join('')}
+              </div>
+            </div>
+          </div>
+          ` : ''}
+
+          <!-- Trash -->
+          <div class="card">
+            <div class="card__body">
+              <h3>Trash</h3>
+              <p style="margin-bottom: var(--space-12); color: var(--color-text-secondary);">
+                Deleted items can be restored for ${CONFIG.TRASH_RETENTION_DAYS} days.
+              </p>
+              <ul class="trash-list" id="trashList">
+                <li class="trash-item">Loading trash...</li>
+              </ul>
+            </div>
+          </div>
+
+          <!-- Badge Progress -->
+          <div class="card">
+            <div class="card__body">
+              <h3>Badge Progress</h3>
+              <div class="badge-progress-list" id="badgeProgressList">
+                <!-- This will be populated by renderBadges -->
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    // Attach event listeners
+    document.getElementById('saveSettingsBtn')?.addEventListener('click', () => this.saveSettings());
+    document.getElementById('changePasswordBtn')?.addEventListener('click', () => this.changePassword());
+    document.getElementById('regenerateRecoveryCodesBtn')?.addEventListener('click', () => this.regenerateRecoveryCodes());
+    document.getElementById('signOutEverywhereBtn')?.addEventListener('click', () => this.signOutEverywhere());
+    if (this.auth.supportsSessions) this.renderActiveSessions();
+    this.renderTrash();
+    document.getElementById('resetDataBtn')?.addEventListener('click', () => this.resetAllData());
+    document.getElementById('removeDuplicatesBtn')?.addEventListener('click', () => this.removeDuplicateDefaultActions());
+    document.getElementById('saveQuickActionsBtn')?.addEventListener('click', () => this.saveQuickActions());
+    document.getElementById('addReminderBtn')?.addEventListener('click', () => this.addReminder());
+    document.getElementById('addHabitCategoryBtn')?.addEventListener('click', () => this.addHabitCategory());
+    document.querySelectorAll('#habitCategoryList [data-habit-category]').forEach(button => {
+      button.addEventListener('click', () => this.deleteHabitCategory(button.dataset.habitCategory));
+    });
+    document.getElementById('addPositiveActionTypeBtn')?.addEventListener('click', () => this.addActionType('positive'));
+    document.getElementById('addNegativeActionTypeBtn')?.addEventListener('click', () => this.addActionType('negative'));
+    
+    // Render badges in the badge progress section
+    this.renderBadges('badgeProgressList'); // Explicitly target profile badges container
+  }
+
+  async saveQuickActions() {
+    const checkboxes = document.querySelectorAll('#quickActionsSelection input[type="checkbox"]');
+    const selected = Array.from(checkboxes)
+      .filter(c => c.checked)
+      .map(c => parseInt(c.value))
+      .slice(0, CONFIG.MAX_QUICK_ACTIONS); // Limit quick actions per config
+    
+    // Remove duplicates and update settings
+    this.data.settings.quickActions = [...new Set(selected)];
+    await this.saveData();
+          // REMOVED: No notification for saving quick actions
+    this.renderQuickActions(); // Re-render to show changes
+  }
+
+  describeReminderDays(days) {
+    if (days.length === 7) return 'Every day';
+    if (days.length === 5 && [1, 2, 3, 4, 5].every(day => days.includes(day))) return 'Weekdays';
+    if (days.length === 2 && days.includes(0) && days.includes(6)) return 'Weekends';
+    return [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)).map(day => CONFIG.WEEKDAY_LABELS[day]).join('/');
+  }
+
+  async addReminder() {
+    const time = document.getElementById('newReminderTime')?.value;
+    const days = Array.from(document.querySelectorAll('#newReminderDays input:checked')).map(input => parseInt(input.value));
+    const targetValue = document.getElementById('newReminderTarget')?.value || '';
+
+    if (!time || !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time)) {
+      this.showNotification('Please enter a valid reminder time in HH:MM format.', 'error');
+      return;
+    }
+
+    if (days.length === 0) {
+      this.showNotification('Pick at least one day for the reminder.', 'error');
+      return;
+    }
+
+    let target = null;
+    if (targetValue === 'workout') {
+      target = { type: 'workout' };
+    } else if (targetValue.startsWith('action:')) {
+      target = { type: 'action', actionTypeId: parseInt(targetValue.split(':')[1]) };
+    }
+
+    this.data.settings.reminders = [...this.getReminders(), { id: crypto.randomUUID(), time, days, target }];
+    await this.saveData();
+    this.renderProfile();
+
+    // Asks for permission the first time, then reschedules every reminder
+    this.requestNotificationPermission();
+  }
+
+  async addHabitCategory() {
+    const input = document.getElementById('newHabitCategoryName');
+    const name = sanitizeInput(input?.value || '');
+
+    if (!name || name.length > CONFIG.MAX_HABIT_CATEGORY_LENGTH) {
+      this.showNotification(`Category names must be 1-${CONFIG.MAX_HABIT_CATEGORY_LENGTH} characters.`, 'error');
+      return;
+    }
+
+    const categories = this.getHabitCategories();
+    if (categories.some(category => category.toLowerCase() === name.toLowerCase())) {
+      this.showNotification('That category already exists.', 'warning');
+      return;
+    }
+
+    this.data.settings.habitCategories = [...categories, name];
+    await this.saveData();
+    this.renderProfile();
+    this.renderStatsCategoryFilter();
+  }
+
+  // Types keep their category name, so re-adding it later regroups them
+  async deleteHabitCategory(name) {
+    this.data.settings.habitCategories = this.getHabitCategories().filter(category => category !== name);
+    await this.saveData();
+    this.renderProfile();
+    this.renderStatsCategoryFilter();
+  }
+
+  async deleteReminder(reminderId) {
+    this.data.settings.reminders = this.getReminders().filter(reminder => reminder.id !== reminderId);
+    await this.saveData();
+    this.renderProfile();
+    this.setupDailyReminder();
+  }
+
+  async addActionType(category, isDefault = false) {
+    const name = document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionName`).value.trim();
+    const valueInput = document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionValue`);
+    const unitInput = document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionUnit`);
+    const unitSizeInput = document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionUnitSize`);
+    const multipleInput = document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionMultiple`);
+    const dailyCapInput = document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionDailyCap`);
+    const debtPaymentInput = document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionDebtPayment`);
+    const spendingInput = document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionSpending`);
+    const iconInput = document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionIcon`);
+    const colorInput = document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionColor`);
+    const habitCategoryInput = document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionHabitCategory`);
+    let value = parseInt(valueInput.value);
+    const icon = sanitizeInput(iconInput?.value || '').slice(0, CONFIG.MAX_ACTION_ICON_LENGTH) || null;
+    const color = this.normalizeHabitColor(colorInput?.value);
+    const habitCategory = habitCategoryInput?.value || null;
+    const unit = (unitInput?.value || '').trim() || null;
+    const unitSize = unit ? parseFloat(unitSizeInput?.value) || 1 : null;
+    const allowMultiple = Boolean(multipleInput?.checked);
+    const dailyCap = allowMultiple ? parseInt(dailyCapInput?.value) || null : null;
+    
+    // Enhanced validation
+    if (!name) {
+      this.showNotification('Please enter a name for the action type.', 'error');
+      return;
+    }
+    
+    if (name.length < CONFIG.MIN_ACTION_TYPE_NAME_LENGTH) {
+      this.showNotification(`Action type name must be at least ${CONFIG.MIN_ACTION_TYPE_NAME_LENGTH} characters long.`, 'error');
+      return;
+    }
+    
+    if (name.length > CONFIG.MAX_ACTION_TYPE_NAME_LENGTH) {
+      this.showNotification(`Action type name must be less than ${CONFIG.MAX_ACTION_TYPE_NAME_LENGTH} characters.`, 'error');
+      return;
+    }
+    
+    if (isNaN(value) || value === 0) {
+      this.showNotification('Please enter a valid non-zero value.', 'error');
+      return;
+    }
+    
+    if (Math.abs(value) > CONFIG.MAX_ACTION_VALUE) {
+      this.showNotification(`Value cannot exceed ±${CONFIG.MAX_ACTION_VALUE} points.`, 'error');
+      return;
+    }
+    
+    if (unit && (unit.length > CONFIG.MAX_ACTION_UNIT_LENGTH || unitSize <= 0)) {
+      this.showNotification(`Unit must be at most ${CONFIG.MAX_ACTION_UNIT_LENGTH} characters with a positive size.`, 'error');
+      return;
+    }
+    
+    if (dailyCap !== null && dailyCap < 1) {
+      this.showNotification('Daily cap must be at least 1.', 'error');
+      return;
+    }
+    
+    // Ensure negative values for negative category
+    if (category === 'negative' && value > 0) value = -value;
+    
+    // Ensure positive values for positive category  
+    if (category === 'positive' && value < 0) value = Math.abs(value);
+
+    try {
+      // Check for duplicate name in same category
+      const { data: existing, error: checkError } = await supabase
+        .from('action_types')
+        .select('id')
+        .eq('user_id', this.user.id)
+        .eq('name', name)
+        .eq('category', category)
+        .is('deleted_at', null);
+
+      if (checkError) {
+        this.showNotification('Error checking for duplicates.', 'error');
+        return;
+      }
+
+      if (existing && existing.length > 0) {
+        this.showNotification('An action type with this name already exists in this category.', 'error');
+        return;
+      }
+
+      const { error } = await supabase
+        .from('action_types')
+        .insert({
+          name,
+          value,
+          unit,
+          unit_size: unitSize,
+          allow_multiple: allowMultiple,
+          daily_cap: dailyCap,
+          is_debt_payment: Boolean(debtPaymentInput?.checked),
+          is_spending: Boolean(spendingInput?.checked),
+          icon,
+          color,
+          habit_category: habitCategory,
+          category,
+          is_default: false,
+          user_id: this.user.id
+        });
+
+      if (!error) {
+        this.showConfirmationModal(
+          'Action Type Added!',
+          `Successfully added "${name}" to ${category} actions with value ${this.formatActionTypeValue({ value, unit, unit_size: unitSize })}.`,
+          'success'
+        );
+        await this.loadActionTypes();
+        this.renderProfile();
+        this.renderQuickActions();
+        this.populateActionTypeSelects();
+        valueInput.value = '';
+        if (unitInput) unitInput.value = '';
+        if (unitSizeInput) unitSizeInput.value = '';
+        if (multipleInput) multipleInput.checked = false;
+        if (dailyCapInput) dailyCapInput.value = '';
+        if (debtPaymentInput) debtPaymentInput.checked = false;
+        if (spendingInput) spendingInput.checked = false;
+        if (iconInput) iconInput.value = '';
+        if (habitCategoryInput) habitCategoryInput.value = '';
+        document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionName`).value = '';
+      } else {
+        console.error('Database error adding action type:', error);
+        if (error.code === '23505') {
+          this.showConfirmationModal(
+            'Duplicate Action Type',
+            'An action type with this name already exists. Please choose a different name.',
+            'warning'
+          );
+        } else {
+          this.showConfirmationModal(
+            'Database Error',
+            'Failed to save action type to database. Please try again.',
+            'error'
+          );
+        }
+      }
+    } catch (error) {
+      console.error('Error adding action type:', error);
+      if (error.message?.includes('Network') || error.message?.includes('fetch')) {
+        this.showConfirmationModal(
+          'Connection Error',
+          'Unable to add action type due to network issues. Please check your connection and try again.',
+          'error'
+        );
+      } else {
+        this.showConfirmationModal(
+          'Unexpected Error',
+          'An unexpected error occurred while adding the action type. Please try again.',
+          'error'
+        );
+      }
+    }
+  }
+
+  async deleteActionType(actionTypeId) {
+    // Both are stamped with the same time so a restore brings back exactly these actions
+    const deletedAt = new Date().toISOString();
+
+    try {
+      // First trash all actions of this type
+      const { error: actionsError } = await supabase
+        .from('actions')
+        .update({ deleted_at: deletedAt })
+        .eq('user_id', this.user.id)
+        .eq('action_type_id', actionTypeId)
+        .is('deleted_at', null);
+
+      if (actionsError) {
+        console.error('Error deleting actions:', actionsError);
+        this.showNotification('Error deleting associated actions.', 'error');
+        return;
+      }
+
+      // Then trash the action type
+      const { error: typeError } = await supabase
+        .from('action_types')
+        .update({ deleted_at: deletedAt })
+        .eq('id', actionTypeId)
+        .eq('user_id', this.user.id);
+
+      if (!typeError) {
+        this.data.actions = this.data.actions.filter(action => action.action_type_id !== actionTypeId);
+        await this.loadActionTypes();
+        this.renderProfile();
+        this.renderQuickActions();
+        this.populateActionTypeSelects();
+        this.renderRecentActivities();
+        this.updateDashboardStats();
+        this.showUndoNotification('Action type moved to trash', () => this.restoreActionType(actionTypeId, deletedAt));
+      } else {
+        console.error('Error deleting action type:', typeError);
+        this.showNotification('Failed to delete action type.', 'error');
+      }
+    } catch (error) {
+      console.error('Error in deleteActionType:', error);
+      this.showNotification('An error occurred while deleting the action type.', 'error');
+    }
+  }
+
+  async archiveActionType(actionTypeId) {
+    await this.setActionTypeArchived(actionTypeId, new Date().toISOString());
+  }
+
+  async unarchiveActionType(actionTypeId) {
+    await this.setActionTypeArchived(actionTypeId, null);
+  }
+
+  async setActionTypeArchived(actionTypeId, archivedAt) {
+    if (!this.user) return;
+
+    try {
+      const { data, error } = await supabase
+        .from('action_types')
+        .update({ archived_at: archivedAt })
+        .eq('id', actionTypeId)
+        .eq('user_id', this.user.id)
+        .select();
+
+      if (error) throw error;
+      if (!data?.length) {
+        this.showNotification('Default action types can\'t be archived.', 'warning');
+        return;
+      }
+
+      await this.loadActionTypes();
+      this.renderProfile();
+      this.forceReRenderQuickActions();
+      this.populateActionTypeSelects();
+      this.refreshReminders();
+
+      const name = data[0].name;
+      if (archivedAt) {
+        this.showUndoNotification(`"${name}" archived`, () => this.unarchiveActionType(actionTypeId));
+      } else {
+        this.showNotification(`"${name}" restored`, 'success');
+      }
+    } catch (error) {
+      console.error('Failed to update archived state:', error);
+      this.showNotification('Failed to update action type.', 'error');
+    }
+  }
+
+  showEditActionTypeModal(actionTypeId) {
+    const actionType = this.findActionType(actionTypeId);
+    if (!actionType) {
+      this.showNotification(MESSAGES.ERROR.ACTION_TYPE_NOT_FOUND, 'error');
+      return;
+    }
+
+    const history = actionType.value_history || [];
+    const { frequency } = actionType;
+
+    this.closeEditActionTypeModal();
+    document.body.insertAdjacentHTML('beforeend', `
+      <div class="modal-overlay active" id="editActionTypeModal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3>Edit Action Type</h3>
+            <button class="modal-close" onclick="app.closeEditActionTypeModal()">×</button>
+          </div>
+          <div class="modal-body">
+            <div class="form-container">
+              <div class="form-group">
+                <label class="form-label" for="editActionTypeName">Name</label>
+                <input type="text" class="form-control" id="editActionTypeName">
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="editActionTypeValue">Value${actionType.unit ? ` (per ${actionType.unit_size > 1 ? `${actionType.unit_size} ` : ''}${actionType.unit})` : ''}</label>
+                <input type="number" class="form-control" id="editActionTypeValue" value="${actionType.value}">
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="editActionTypeIcon">Icon and colour</label>
+                <div class="add-action-type-form">
+                  <input type="text" class="form-control habit-icon-input" id="editActionTypeIcon" placeholder="Emoji" maxlength="${CONFIG.MAX_ACTION_ICON_LENGTH}" value="${actionType.icon || ''}">
+                  <input type="color" class="habit-color-input" id="editActionTypeColor" value="${actionType.color || (actionType.value >= 0 ? '#22c55e' : '#ef4444')}">
+                </div>
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="editActionTypeHabitCategory">Category</label>
+                <select class="form-control" id="editActionTypeHabitCategory">
+                  <option value="">No category</option>
+                  ${[...new Set([...this.getHabitCategories(), ...(actionType.habit_category ? [actionType.habit_category] : [])])].map(category => `
+                    <option value="${category}" ${category === actionType.habit_category ? 'selected' : ''}>${category}</option>
+                  `).join('')}
+                </select>
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="editActionTypeFrequency">Target</label>
+                <select class="form-control" id="editActionTypeFrequency">
+                  <option value="">No target</option>
+                  <option value="daily" ${frequency?.type === 'daily' ? 'selected' : ''}>Every day</option>
+                  <option value="weekly" ${frequency?.type === 'weekly' ? 'selected' : ''}>Times per week</option>
+                  <option value="weekdays" ${frequency?.type === 'weekdays' ? 'selected' : ''}>On specific days</option>
+                </select>
+                <input type="number" class="form-control" id="editActionTypeFrequencyTimes" min="1" max="7" placeholder="Times per week"
+                       value="${frequency?.times || 3}" ${frequency?.type === 'weekly' ? '' : 'hidden'}>
+                <div class="reminder-days" id="editActionTypeFrequencyDays" ${frequency?.type === 'weekdays' ? '' : 'hidden'}>
+                  ${CONFIG.WEEKDAY_LABELS.map((label, day) => `
+                    <label><input type="checkbox" value="${day}" ${!frequency?.days || frequency.days.includes(day) ? 'checked' : ''}> ${label}</label>
+                  `).join('')}
+                </div>
+              </div>
+              ${actionType.category === 'positive' ? `
+              <div class="form-group">
+                <label class="reprice-option"><input type="checkbox" id="editActionTypeDebtPayment" ${this.isDebtPaymentType(actionType) ? 'checked' : ''}> Debt payment - logs record an amount paid towards a debt</label>
+              </div>
+              ` : `
+              <div class="form-group">
+                <label class="reprice-option"><input type="checkbox" id="editActionTypeSpending" ${this.isSpendingType(actionType) ? 'checked' : ''}> Spending - logs record the amount spent, category and merchant</label>
+              </div>
+              `}
+              <div class="form-group" id="editActionTypeRepriceGroup" hidden>
+                <label class="form-label">Apply the new value to</label>
+                <label class="reprice-option"><input type="radio" name="repriceMode" value="future" checked> Future logs only</label>
+                <label class="reprice-option"><input type="radio" name="repriceMode" value="all"> Future logs and all past actions</label>
+              </div>
+              ${history.length > 0 ? `
+              <div class="form-group">
+                <label class="form-label">Value history</label>
+                <ul class="value-history">
+                  ${history.map(entry => `
+                    <li>${entry.value > 0 ? '+' : ''}${formatCurrency(entry.value)} until ${new Date(entry.until).toLocaleDateString()}${entry.repriced ? ' (past actions re-priced)' : ''}</li>
+                  `).join('')}
+                </ul>
+              </div>
+              ` : ''}
+            </div>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn--secondary" onclick="app.closeEditActionTypeModal()">Cancel</button>
+            <button class="btn btn--primary" onclick="app.saveActionTypeEdit(${actionType.id})">Save Changes</button>
+          </div>
+        </div>
+      </div>
+    `);
+
+    document.getElementById('editActionTypeName').value = actionType.name;
+    document.getElementById('editActionTypeValue').addEventListener('input', (e) => {
+      document.getElementById('editActionTypeRepriceGroup').hidden = Number(e.target.value) === actionType.value;
+    });
+    document.getElementById('editActionTypeFrequency').addEventListener('change', (e) => {
+      document.getElementById('editActionTypeFrequencyTimes').hidden = e.target.value !== 'weekly';
+      document.getElementById('editActionTypeFrequencyDays').hidden = e.target.value !== 'weekdays';
+    });
+  }
+
+  readFrequencyInput() {
+    const type = document.getElementById('editActionTypeFrequency')?.value;
+    if (type === 'daily') return { type };
+    if (type === 'weekly') {
+      const times = parseInt(document.getElementById('editActionTypeFrequencyTimes')?.value);
+      return times >= 1 && times <= 7 ? { type, times } : undefined;
+    }
+    if (type === 'weekdays') {
+      const days = Array.from(document.querySelectorAll('#editActionTypeFrequencyDays input:checked')).map(input => parseInt(input.value));
+      return days.length > 0 ? { type, days } : undefined;
+    }
+    return null;
+  }
+
+  closeEditActionTypeModal() {
+    document.getElementById('editActionTypeModal')?.remove();
+  }
+
+  async saveActionTypeEdit(actionTypeId) {
+    const actionType = this.findActionType(actionTypeId);
+    if (!actionType || !this.user) return;
+
+    const name = document.getElementById('editActionTypeName')?.value.trim() || '';
+    let value = parseInt(document.getElementById('editActionTypeValue')?.value);
+
+    if (name.length < CONFIG.MIN_ACTION_TYPE_NAME_LENGTH || name.length > CONFIG.MAX_ACTION_TYPE_NAME_LENGTH) {
+      this.showNotification(`Action type name must be ${CONFIG.MIN_ACTION_TYPE_NAME_LENGTH}-${CONFIG.MAX_ACTION_TYPE_NAME_LENGTH} characters long.`, 'error');
+      return;
+    }
+
+    if (isNaN(value) || value === 0 || Math.abs(value) > CONFIG.MAX_ACTION_VALUE) {
+      this.showNotification(`Please enter a non-zero value up to ±${CONFIG.MAX_ACTION_VALUE} points.`, 'error');
+      return;
+    }
+
+    // The category decides the sign, as when adding
+    value = actionType.category === 'negative' ? -Math.abs(value) : Math.abs(value);
+
+    const frequency = this.readFrequencyInput();
+    if (frequency === undefined) {
+      this.showNotification('Please pick 1-7 times per week, or at least one day for the target.', 'error');
+      return;
+    }
+
+    const sameCategory = this.data.actionTypes[actionType.category] || [];
+    if (sameCategory.some(type => type.id !== actionTypeId && type.name.toLowerCase() === name.toLowerCase())) {
+      this.showNotification('An action type with this name already exists in this category.', 'error');
+      return;
+    }
+
+    const valueChanged = value !== actionType.value;
+    const reprice = valueChanged && document.querySelector('input[name="repriceMode"]:checked')?.value === 'all';
+    const changes = {
+      name,
+      value,
+      icon: sanitizeInput(document.getElementById('editActionTypeIcon')?.value || '').slice(0, CONFIG.MAX_ACTION_ICON_LENGTH) || null,
+      color: this.normalizeHabitColor(document.getElementById('editActionTypeColor')?.value),
+      habit_category: document.getElementById('editActionTypeHabitCategory')?.value || null,
+      frequency
+    };
+    const debtPaymentInput = document.getElementById('editActionTypeDebtPayment');
+    if (debtPaymentInput) changes.is_debt_payment = debtPaymentInput.checked;
+    const spendingInput = document.getElementById('editActionTypeSpending');
+    if (spendingInput) changes.is_spending = spendingInput.checked;
+    if (valueChanged) {
+      // Past actions keep the value they were logged with unless re-priced, so record what it used to be
+      changes.value_history = [
+        ...(actionType.value_history || []),
+        { value: actionType.value, until: new Date().toISOString(), repriced: reprice }
+      ];
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('action_types')
+        .update(changes)
+        .eq('id', actionTypeId)
+        .eq('user_id', this.user.id)
+        .select();
+
+      if (error) throw error;
+      if (!data?.length) {
+        this.showNotification('Default action types can\'t be edited - add your own instead.', 'warning');
+        return;
+      }
+
+      if (reprice) {
+        await this.repriceActions({ ...actionType, ...changes });
+      }
+
+      this.closeEditActionTypeModal();
+      await this.loadActionTypes();
+      this.renderProfile();
+      this.forceReRenderQuickActions();
+      this.populateActionTypeSelects();
+      this.renderRecentActivities();
+      this.updateDashboardStats();
+      this.showNotification(reprice ? `"${name}" updated and past actions re-priced` : `"${name}" updated`, 'success');
+    } catch (error) {
+      console.error('Failed to update action type:', error);
+      this.showNotification('Failed to update action type.', 'error');
+    }
+  }
+
+  // Recompute the stored value of every logged action of a type at its current price
+  async repriceActions(actionType) {
+    const ofType = this.data.actions.filter(action => action.action_type_id === actionType.id);
+    const affected = ofType.filter(action => !this.outbox.isLocalId(action.id));
+
+    // Logs that haven't synced yet are re-priced through the outbox, after their insert
+    for (const action of ofType.filter(item => this.outbox.isLocalId(item.id))) {
+      await this.outbox.enqueue({
+        userId: this.user.id,
+        op: 'update',
+        actionId: action.id,
+        payload: { value: this.computeActionValue(actionType, action.quantity, action.spent_amount, action.penalty_scaled) }
+      });
+    }
+
+    if (this.isQuantityType(actionType) || this.isSpendingType(actionType)) {
+      // Each value depends on its own quantity or amount spent
+      for (const action of affected) {
+        const { error } = await supabase
+          .from('actions')
+          .update({ value: this.computeActionValue(actionType, action.quantity, action.spent_amount, action.penalty_scaled) })
+          .eq('id', action.id)
+          .eq('user_id', this.user.id);
+        if (error) throw error;
+      }
+    } else {
+      const { error } = await supabase
+        .from('actions')
+        .update({ value: actionType.value })
+        .eq('user_id', this.user.id)
+        .eq('action_type_id', actionType.id)
+        .is('deleted_at', null);
+      if (error) throw error;
+    }
+
+    this.data.actions = this.data.actions.map(action => action.action_type_id === actionType.id
+      ? { ...action, value: this.computeActionValue(actionType, action.quantity, action.spent_amount, action.penalty_scaled) }
+      : action);
+    this.syncOutbox();
+  }
+
+  async removeDuplicateDefaultActions() {
+    if (!this.user) {
+      this.showNotification('User not logged in.', 'error');
+      return;
+    }
+
+    if (!confirm('Are you sure you want to remove duplicate action types? This action cannot be undone.')) {
+      return;
+    }
+
+    try {
+      // Get all action types for current user
+      const { data: actionTypes, error } = await supabase
+        .from('action_types')
+        .select('*')
+        .eq('user_id', this.user.id)
+        .order('id', { ascending: true });
+        
+      if (error) {
+        console.error('Error fetching action types:', error);
+        this.showNotification('Failed to fetch action types.', 'error');
+        return;
+      }
+
+      if (!actionTypes || actionTypes.length === 0) {
+        this.showNotification('No action types found.', 'info');
+        return;
+      }
+
+      // Build a map: key = name|category|value, value = array of action type objects
+      const keyMap = {};
+      for (const type of actionTypes) {
+        const key = `${type.name.trim().toLowerCase()}|${type.category}|${type.value}`;
+        if (!keyMap[key]) keyMap[key] = [];
+        keyMap[key].push(type);
+      }
+
+      // For each key, keep the first (lowest ID), delete the rest
+      const toDelete = [];
+      const toKeep = [];
+      Object.entries(keyMap).forEach(([key, arr]) => {
+        if (arr.length > 1) {
+          // Sort by ID ascending, keep the first
+          arr.sort((a, b) => a.id - b.id);
+          const keep = arr[0];
+          const remove = arr.slice(1);
+          toKeep.push(keep);
+          remove.forEach(type => toDelete.push(type.id));
+          console.log(`Duplicate key: ${key} - Keeping ID ${keep.id}, deleting IDs:`, remove.map(t => t.id));
+        }
+      });
+
+      if (toDelete.length === 0) {
+        this.showNotification('No duplicate action types found.', 'info');
+        return;
+      }
+
+      // Before deleting, update any existing actions that reference the duplicate action types
+      for (const duplicateId of toDelete) {
+        // Find which action type should replace this duplicate
+        const duplicateType = actionTypes.find(at => at.id === duplicateId);
+        if (!duplicateType) continue;
+
+        const keepType = toKeep.find(kt => 
+          kt.name.trim().toLowerCase() === duplicateType.name.trim().toLowerCase() &&
+          kt.category === duplicateType.category &&
+          kt.value === duplicateType.value
+        );
+
+        if (keepType) {
+          // Update actions that reference the duplicate to use the keeper
+          const { error: updateError } = await supabase
+            .from('actions')
+            .update({ action_type_id: keepType.id })
+            .eq('user_id', this.user.id)
+            .eq('action_type_id', duplicateId);
+
+          if (updateError) {
+            console.error('Error updating action references:', updateError);
+          } else {
+            console.log(`Updated actions referencing duplicate ${duplicateId} to use ${keepType.id}`);
+          }
+        }
+      }
+
+      // Delete all duplicates from DB
+      const { error: delError } = await supabase
+        .from('action_types')
+        .delete()
+        .in('id', toDelete)
+        .eq('user_id', this.user.id); // Extra safety check
+
+      if (delError) {
+        console.error('Error deleting duplicates:', delError);
+        this.showNotification('Failed to delete duplicate action types.', 'error');
+        return;
+      }
+
+      this.showNotification(`Removed ${toDelete.length} duplicate action type${toDelete.length > 1 ? 's' : ''}!`, 'success');
+      
+      // Reload data and update UI
+      await this.loadActionTypes();
+      this.renderAll();
+      
+    } catch (error) {
+      console.error('Error removing duplicates:', error);
+      this.showNotification('An error occurred while removing duplicates.', 'error');
+    }
+  }
+
+  showCustomWorkoutModal(day) {
+    let modal = document.querySelector('.custom-workout-modal');
+    if (modal) modal.remove();
+
+    // Get ALL exercises - combine default routine with any custom additions
+    const customWorkout = this.data.customWorkouts && this.data.customWorkouts[day];
+    const defaultRoutine = this.workoutRoutines[day];
+    
+    let currentExercises = [];
+    
+    // First, add all exercises from the default routine
+    if (defaultRoutine && defaultRoutine.phases) {
+      defaultRoutine.phases.forEach(phase => {
+        if (phase.exercises) {
+          phase.exercises.forEach(exercise => {
+            if (exercise.sets && exercise.reps) {
+              currentExercises.push({
+                name: exercise.name,
+                sets: exercise.sets,
+                reps: exercise.reps,
+                notes: exercise.notes || '',
+                source: 'default'
+              });
+            }
+          });
+        }
+      });
+    }
+    
+    // Then, add any custom exercises (if they exist)
+    if (customWorkout && customWorkout.customExercises) {
+      customWorkout.customExercises.forEach(exercise => {
+        currentExercises.push({
+          name: exercise.name,
+          sets: exercise.sets,
+          reps: exercise.reps,
+          notes: exercise.notes || '',
+          source: 'custom'
+        });
+      });
+    }
+
+    const exercisesHTML = currentExercises.map((ex, index) => `
+      <div class="exercise-item" data-index="${index}" data-source="${ex.source || 'custom'}">
+        <div class="exercise-inputs">
+          <div class="input-group">
+            <label>Exercise Name ${ex.source === 'default' ? '(Default)' : '(Custom)'}</label>
+            <input type="text" class="exercise-input" value="${ex.name}" placeholder="e.g., Push-ups" ${ex.source === 'default' ? 'readonly' : ''}>
+          </div>
+          <div class="input-group">
+            <label>Sets</label>
+            <input type="number" class="exercise-input" value="${ex.sets || ''}" placeholder="3" min="1" ${ex.source === 'default' ? 'readonly' : ''}>
+          </div>
+          <div class="input-group">
+            <label>Reps</label>
+            <input type="text" class="exercise-input" value="${ex.reps || ''}" placeholder="e.g., 10-12" ${ex.source === 'default' ? 'readonly' : ''}>
+          </div>
+        </div>
+        ${ex.source === 'default' ? '' : '<button class="remove-exercise-btn" onclick="this.parentElement.remove()" title="Remove custom exercise"><span>🗑️</span></button>'}
+      </div>
+    `).join('');
+
+    document.body.insertAdjacentHTML('beforeend', `
+      <div class="custom-workout-modal">
+        <div class="modal-backdrop" onclick="if(event.target === this) document.querySelector('.custom-workout-modal').remove()"></div>
+        <div class="custom-workout-modal-content">
+          <div class="modal-header">
+            <h3>Custom Workout for ${day}</h3>
+            <button class="modal-close" onclick="document.querySelector('.custom-workout-modal').remove()">×</button>
+          </div>
+          <div class="modal-body">
+            <div class="exercises-section">
+              <div class="section-title">
+                <h4>Exercises</h4>
+                <button class="btn-add-exercise" onclick="app.addCustomExerciseField()">
+                  <span>+</span> Add Exercise
+                </button>
+              </div>
+              <div id="custom-exercises-container" class="exercises-container">
+                ${exercisesHTML || '<div class="no-exercises">No exercises added yet. Click "Add Exercise" to start.</div>'}
+              </div>
+            </div>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn--outline" onclick="document.querySelector('.custom-workout-modal').remove()">Cancel</button>
+            ${customWorkout ? `<button class="btn btn--secondary" onclick="app.restoreDefaultWorkout('${day}')" style="margin-right: 8px;">Restore Default</button>` : ''}
+            <button class="btn btn--primary" onclick="app.saveCustomWorkout('${day}')">Save Workout</button>
+          </div>
+        </div>
+      </div>
+    `);
+    
+
+  }
+
+  addCustomExerciseField() {
+    const container = document.getElementById('custom-exercises-container');
+    
+    // Remove the "no exercises" message if it exists
+    const noExercisesMsg = container.querySelector('.no-exercises');
+    if (noExercisesMsg) {
+      noExercisesMsg.remove();
+    }
+    
+    container.insertAdjacentHTML('beforeend', `
+      <div class="exercise-item" data-source="custom">
+        <div class="exercise-inputs">
+          <div class="input-group">
+            <label>Exercise Name (Custom)</label>
+            <input type="text" class="exercise-input" placeholder="e.g., Push-ups">
+          </div>
+          <div class="input-group">
+            <label>Sets (optional)</label>
+            <input type="number" class="exercise-input" placeholder="3" min="0">
+          </div>
+          <div class="input-group">
+            <label>Reps (optional)</label>
+            <input type="text" class="exercise-input" placeholder="e.g., 10-12, or time duration">
+          </div>
+        </div>
+        <button class="remove-exercise-btn" onclick="this.parentElement.remove()" title="Remove exercise">
+          <span>🗑️</span>
+        </button>
+      </div>
+    `);
+  }
+
+  async saveCustomWorkout(day) {
+    const container = document.getElementById('custom-exercises-container');
+    const customExercises = [];
+    
+    // Only save exercises that are marked as 'custom' (not default) OR don't have data-source attribute (new ones)
+    container.querySelectorAll('.exercise-item').forEach(item => {
+      const dataSource = item.getAttribute('data-source');
+      if (dataSource === 'custom' || !dataSource) {
+        const inputs = item.querySelectorAll('.exercise-input');
+        const name = inputs[0].value.trim();
+        const sets = parseInt(inputs[1].value, 10) || 0; // Default to 0 if empty
+        const reps = inputs[2].value.trim() || 'As needed'; // Default text if empty
+        
+        if (name) { // Only name is required now
+          customExercises.push({ 
+            name, 
+            sets: sets || 0, 
+            reps: reps || 'As needed', 
+            notes: 'Custom exercise' 
+          });
+        }
+      }
+    });
+
+    console.log('HabitideApp: Saving custom exercises for', day, 'with', customExercises.length, 'custom exercises');
+
+    if (!this.data.customWorkouts) {
+      this.data.customWorkouts = {};
+    }
+
+    if (customExercises.length > 0) {
+      // Store only the custom exercises, default exercises remain in workoutRoutines
+      this.data.customWorkouts[day] = {
+        customExercises: customExercises,
+        hasCustom: true
+      };
+      
+      console.log('HabitideApp: Custom exercises saved:', this.data.customWorkouts[day]);
+      
+      // Save to database
+      await this.saveData();
+      this.showNotification(`Added ${customExercises.length} custom exercise(s) to ${day}!`, 'success');
+    } else {
+      // Check if there were previously custom exercises to determine the message
+      const hadCustom = this.data.customWorkouts && this.data.customWorkouts[day];
+      
+      if (hadCustom) {
+        // Remove custom workout if no custom exercises
+        delete this.data.customWorkouts[day];
+        await this.saveData();
+        this.showNotification('All custom exercises removed.', 'info');
+      } else {
+        this.showNotification('No custom exercises to save. Please add at least one exercise.', 'warning');
+      }
+    }
+   
+    document.querySelector('.custom-workout-modal').remove();
+    this.renderWorkoutDay(day);
+  }
+
+  restoreDefaultWorkout(day) {
+    if (confirm(`Restore the default workout for ${day}? This will replace your current custom workout.`)) {
+      // Remove custom workout for this day
+      if (this.data.customWorkouts && this.data.customWorkouts[day]) {
+        delete this.data.customWorkouts[day];
+      }
+      
+      // Clear workout state for this day to reset progress
+      if (this.data.workoutState && this.data.workoutState[day]) {
+        delete this.data.workoutState[day];
+      }
+      
+      // Save changes
+      this.saveData();
+      
+      // Close modal and refresh workout display
+      document.querySelector('.custom-workout-modal').remove();
+      this.renderWorkoutDay(day);
+      
+      this.showNotification(`${day} workout restored to default!`, 'success');
+    }
+  }
+
+  // Method to specifically restore Wednesday supersets
+  restoreWednesdayDefault() {
+    if (confirm('Restore Wednesday to the default superset workout? This will clear any custom workout and progress.')) {
+      // Remove custom workout for Wednesday
+      if (this.data.customWorkouts && this.data.customWorkouts['Wednesday']) {
+        delete this.data.customWorkouts['Wednesday'];
+      }
+      
+      // Clear workout state for Wednesday to reset progress
+      if (this.data.workoutState && this.data.workoutState['Wednesday']) {
+        delete this.data.workoutState['Wednesday'];
+      }
+      
+      // Save changes
+      this.saveData();
+      
+      // Refresh workout display
+      this.renderWorkoutDay('Wednesday');
+      
+      this.showNotification('Wednesday workout restored to default supersets!', 'success');
+      console.log('Wednesday default workout restored:', this.workoutRoutines['Wednesday']);
+    }
+  }
+
+  // Debug method to check Wednesday workout status
+  checkWednesdayWorkout() {
+    console.log('=== Wednesday Workout Status ===');
+    console.log('Default workout exists:', !!this.workoutRoutines['Wednesday']);
+    console.log('Default workout:', this.workoutRoutines['Wednesday']);
+    console.log('Custom workout exists:', !!(this.data.customWorkouts && this.data.customWorkouts['Wednesday']));
+    console.log('Custom workout:', this.data.customWorkouts && this.data.customWorkouts['Wednesday']);
+    console.log('Workout state:', this.data.workoutState && this.data.workoutState['Wednesday']);
+    
+    const customWorkout = this.data.customWorkouts && this.data.customWorkouts['Wednesday'];
+    const routine = customWorkout || this.workoutRoutines['Wednesday'];
+    console.log('Current active workout:', routine);
+    
+    if (this.workoutRoutines['Wednesday']) {
+      const supersetCount = this.workoutRoutines['Wednesday'].phases.filter(phase => phase.type === 'superset').length;
+      console.log('Default workout superset count:', supersetCount);
+    }
+    
+    return {
+      hasDefault: !!this.workoutRoutines['Wednesday'],
+      hasCustom: !!(this.data.customWorkouts && this.data.customWorkouts['Wednesday']),
+      activeWorkout: routine,
+      supersetCount: this.workoutRoutines['Wednesday'] ? 
+        this.workoutRoutines['Wednesday'].phases.filter(phase => phase.type === 'superset').length : 0
+    };
+  }
+
+  async addCalendarAction() {
+    const select = document.getElementById('calendarActionType');
+    const actionTypeId = parseInt(select.value);
+    
+    if (!actionTypeId) {
+      this.showNotification('Please select an action type', 'error');
+      return;
+    }
+
+    if (!this.selectedDate) {
+      this.showNotification('Please select a date first', 'error');
+      return;
+    }
+
+    // Use selected date
+    const targetDate = this.selectedDate;
+    const dateString = getDateString(targetDate);
+    
+    // Check if this action already exists for the selected date
+    const actionsForDate = (this.data.actions || []).filter(action => 
+      getDateString(action.date) === dateString
+    );
+    
+    const actionType = this.findActionType(actionTypeId);
+    
+    if (actionType && this.isActionLimitReached(actionType, actionsForDate)) {
+      this.showNotification('This action has already been completed for the selected date', 'warning');
+      return;
+    }
+    
+    const quantity = parseFloat(document.getElementById('calendarActionQuantity')?.value) || 0;
+    await this.addAction(actionTypeId, quantity, '', dateString, false); // Manual action from calendar
+    
+    // Refresh calendar and selected date display
+    this.renderCalendarGrid(); // Only re-render the grid, not the whole calendar
+    this.updateSelectedDateActions();
+    this.populateCalendarActionTypes(); // Refresh dropdown to show updated state
+    
+    // Reset select
+    select.value = '';
+    this.toggleQuantityInput('calendarQuantityGroup', null);
+  }
+
+  // Data Export/Backup Feature
+  async exportData() {
+    const dataToExport = {
+      actions: this.data.actions,
+      settings: this.data.settings,
+      workoutProgress: this.data.workoutProgress,
+      customWorkouts: this.data.customWorkouts,
+      workoutState: this.data.workoutState,
+      actionTypes: this.data.actionTypes,
+      exportDate: new Date().toISOString(),
+      appVersion: "1.0.0"
+    };
+    
+    const blob = new Blob([JSON.stringify(dataToExport, null, 2)], {type: 'application/json'});
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `habitide-backup-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    
+    this.showNotification('Data exported successfully!', 'success');
+  }
+
+  async importData(file) {
+    try {
+      // Enhanced file validation
+      if (!file || !file.size) {
+        throw new Error('No file selected or file is empty');
+      }
+
+      if (file.size > 10 * 1024 * 1024) { // 10MB limit
+        throw new Error('File is too large. Maximum size is 10MB.');
+      }
+
+      if (!file.name.toLowerCase().endsWith('.json')) {
+        throw new Error('Invalid file format. Please select a JSON file.');
+      }
+
+      const text = await file.text();
+      let importedData;
+      
+      try {
+        importedData = JSON.parse(text);
+      } catch (parseError) {
+        throw new Error('Invalid JSON format. File may be corrupted.');
+      }
+      
+      // Enhanced data validation with integrity checks
+      if (!importedData || typeof importedData !== 'object') {
+        throw new Error('Invalid backup file structure');
+      }
+
+      if (!importedData.actions || !Array.isArray(importedData.actions)) {
+        throw new Error('Invalid actions data in backup file');
+      }
+      
+      if (!importedData.settings || typeof importedData.settings !== 'object') {
+        throw new Error('Invalid settings data in backup file');
+      }
+
+      // Validate critical data structures
+      const requiredFields = ['actions', 'settings'];
+      for (const field of requiredFields) {
+        if (!(field in importedData)) {
+          throw new Error(`Missing required field: ${field}`);
+        }
+      }
+
+      // Validate action data integrity
+      const invalidActions = importedData.actions.filter(action => {
+        return !action.id || !action.action_type_id || !action.date;
+      });
+
+      if (invalidActions.length > 0) {
+        throw new Error(`Found ${invalidActions.length} invalid action(s) in backup file`);
+      }
+
+      // Validate date formats in actions
+      const invalidDates = importedData.actions.filter(action => {
+        try {
+          const date = new Date(action.date);
+          return isNaN(date.getTime());
+        } catch {
+          return true;
+        }
+      });
+
+      if (invalidDates.length > 0) {
+        throw new Error(`Found ${invalidDates.length} action(s) with invalid dates`);
+      }
+
+      // Show confirmation with data summary
+      const exportDate = importedData.exportDate ? 
+        new Date(importedData.exportDate).toLocaleDateString() : 
+        'unknown date';
+      
+      const actionCount = importedData.actions.length;
+      const confirmMessage = `Import data from ${exportDate}?\n\nThis will import ${actionCount} action(s) and overwrite your current data.\n\nThis action cannot be undone.`;
+      
+      const confirmImport = confirm(confirmMessage);
+      
+      if (!confirmImport) return;
+      
+      // Create backup of current data before import
+      const currentBackup = {
+        actions: [...this.data.actions],
+        settings: { ...this.data.settings },
+        workoutProgress: { ...this.data.workoutProgress },
+        customWorkouts: { ...this.data.customWorkouts },
+        workoutState: { ...this.data.workoutState },
+        actionTypes: { ...this.data.actionTypes },
+        backupDate: new Date().toISOString()
+      };
+
+      try {
+        // Import data with proper merging and validation
+        this.data.actions = importedData.actions.map(action => ({
+          ...action,
+          // Ensure consistent data structure
+          id: action.id,
+          action_type_id: action.action_type_id,
+          date: getDateString(action.date),
+          notes: sanitizeInput(action.notes || ''),
+          user_id: this.user.id // Ensure proper user association
+        }));
+
+        // Merge settings carefully, preserving current user-specific settings
+        this.data.settings = {
+          ...this.data.settings,
+          ...importedData.settings,
+          // Preserve critical user settings
+          userId: this.user.id
+        };
+        setDayBoundary(this.data.settings);
+
+        // Import optional data structures with fallbacks
+        this.data.workoutProgress = importedData.workoutProgress || {};
+        this.data.customWorkouts = importedData.customWorkouts || {};
+        this.data.workoutState = importedData.workoutState || {};
+        
+        if (importedData.actionTypes && 
+            importedData.actionTypes.positive && 
+            importedData.actionTypes.negative) {
+          this.data.actionTypes = importedData.actionTypes;
+        }
+
+        // Invalidate caches after import
+        this.invalidateStatsCache();
+        
+        // Save data with validation
+        await this.saveData();
+        
+        this.showNotification(MESSAGES.SUCCESS.DATA_IMPORTED, 'success');
+        this.renderAll();
+        
+      } catch (saveError) {
+        // Restore backup on save failure
+        console.error('Failed to save imported data, restoring backup:', saveError);
+        this.data = {
+          actions: currentBackup.actions,
+          settings: currentBackup.settings,
+          workoutProgress: currentBackup.workoutProgress,
+          customWorkouts: currentBackup.customWorkouts,
+          workoutState: currentBackup.workoutState,
+          actionTypes: currentBackup.actionTypes
+        };
+        
+        throw new Error('Failed to save imported data. Your original data has been restored.');
+      }
+      
+    } catch (error) {
+      console.error('Import error:', error);
+      this.showNotification(`Import failed: ${error.message}`, 'error');
+    }
+  }
+
+  // Notification System
+  async requestNotificationPermission() {
+    if (!('Notification' in window)) {
+      console.log('This browser does not support notifications');
+      return false;
+    }
+
+    if (Notification.permission === 'granted') {
+      await this.setupDailyReminder();
+      return true;
+    }
+
+    if (Notification.permission !== 'denied') {
+      const permission = await Notification.requestPermission();
+      if (permission === 'granted') {
+        this.showNotification('Notifications enabled! You\'ll get daily reminders.', 'success');
+        await this.setupDailyReminder();
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  async getServiceWorkerRegistration() {
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return null;
+    return navigator.serviceWorker.ready;
+  }
+
+  // Reminder list; accounts from before per-weekday schedules get their single daily reminderTime
+  getReminders() {
+    if (Array.isArray(this.data.settings.reminders)) return this.data.settings.reminders;
+    return [{ id: 'daily', time: this.data.settings.reminderTime || '20:00', days: [0, 1, 2, 3, 4, 5, 6], target: null }];
+  }
+
+  describeReminderTarget(target) {
+    if (target?.type === 'action') {
+      const type = this.findActionType(target.actionTypeId);
+      return type ? `if "${type.name}" isn't logged` : 'if a deleted action isn\'t logged';
+    }
+    if (target?.type === 'workout') return 'if the workout day isn\'t complete';
+    return 'daily summary';
+  }
+
+  // A targeted reminder is met once its action is logged / its workout day is done; summaries never are
+  isReminderConditionMet(reminder, date = new Date()) {
+    const dateStr = getHabitDateString(date);
+
+    if (reminder.target?.type === 'action') {
+      return this.data.actions.some(action =>
+        action.action_type_id === reminder.target.actionTypeId && getDateString(action.date) === dateStr
+      );
+    }
+
+    if (reminder.target?.type === 'workout') {
+      // Workout progress is tracked for the current week only
+      if (dateStr !== getTodayString()) return false;
+      const { totalItems, completedItems } = this.getWorkoutProgress(this.getWeekdayName(parseDateString(dateStr)));
+      return totalItems > 0 && completedItems >= totalItems;
+    }
+
+    return false;
+  }
+
+  getWeekdayName(date = getToday()) {
+    return date.toLocaleDateString('en-US', { weekday: 'long' });
+  }
+
+  // Next time this reminder should fire, skipping today if its condition is already met
+  getNextReminderDate(reminder) {
+    const now = new Date();
+    // Reminder times and weekdays are wall-clock times in the user's timezone
+    const firstDay = parseDateString(getZonedParts(now).date);
+
+    // Look past a pause too, so reminders resume when it ends
+    for (let offset = 0; offset <= CONFIG.REMINDER_LOOKAHEAD_DAYS; offset++) {
+      const day = addDays(firstDay, offset);
+      const candidate = getZonedInstant(getDateString(day), reminder.time);
+
+      if (candidate <= now || !reminder.days.includes(day.getDay())) continue;
+      if (this.isPausedDate(getHabitDateString(candidate))) continue;
+      if (this.isReminderConditionMet(reminder, candidate)) continue;
+      return candidate;
+    }
+    return null;
+  }
+
+  // Delivered by the service worker: a Notification Trigger where supported, Web Push otherwise
+  async setupDailyReminder() {
+    if (!this.user || !('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const registration = await this.getServiceWorkerRegistration();
+    if (!registration) {
+      // No service worker (e.g. dev server) - fall back to timers in this tab
+      this.scheduleReminderTimeouts();
+      return;
+    }
+
+    try {
+      // The service worker builds push notifications and logs quick actions from this record
+      await this.outbox.saveReminder(this.getReminderConfig());
+
+      if ('showTrigger' in Notification.prototype) {
+        await this.scheduleTriggeredReminders(registration);
+      } else {
+        await this.subscribeToReminderPush(registration);
+      }
+    } catch (error) {
+      console.error('HabitideApp: Failed to set up reminder:', error);
+      this.scheduleReminderTimeouts();
+    }
+  }
+
+  getReminderConfig() {
+    const allTypes = [...this.data.actionTypes.positive, ...this.data.actionTypes.negative];
+    const toReminderType = type => ({ id: type.id, name: type.name, value: type.value, unit: type.unit || null, multiEntry: this.allowsMultiple(type) });
+    // Quantity types need an amount, which a notification button can't ask for
+    const quickActions = (this.data.settings.quickActions || [])
+      .map(typeId => allTypes.find(type => type.id === typeId))
+      .filter(type => type && !this.isQuantityType(type))
+      .map(toReminderType);
+    const reminders = this.getReminders();
+
+    return {
+      userId: this.user.id,
+      reminders,
+      timezone: getUserTimeZone(),
+      dayRolloverHour: dayBoundary.rolloverHour,
+      quickActions,
+      pauses: this.getPauses(),
+      // Types named by action-targeted reminders, so the service worker can label and log them
+      targetTypes: reminders
+        .filter(reminder => reminder.target?.type === 'action')
+        .map(reminder => allTypes.find(type => type.id === reminder.target.actionTypeId))
+        .filter(Boolean)
+        .map(toReminderType),
+      // The service worker can't evaluate workout progress itself
+      workoutCompletedOn: reminders.some(reminder => reminder.target?.type === 'workout') &&
+        this.isReminderConditionMet({ target: { type: 'workout' } }) ? getTodayString() : null,
+      supabaseUrl: import.meta.env.VITE_SUPABASE_URL,
+      supabaseKey: import.meta.env.VITE_SUPABASE_ANON_KEY,
+      sessionHeader: CONFIG.SESSION_HEADER,
+      sessionToken: localStorage.getItem('habitide-session-token')
+    };
+  }
+
+  /**
+   * Notification for one reminder on a given day
+   * @returns {{title: string, options: Object}} Arguments for showNotification()
+   */
+  buildReminderNotification(reminder, reminderDate = new Date()) {
+    const dateStr = getHabitDateString(reminderDate);
+    const dayActions = this.data.actions.filter(a => getDateString(a.date) === dateStr);
+    const data = { userId: this.user.id, date: dateStr, reminderId: reminder.id };
+    const options = { icon: '/favicon.svg', badge: '/favicon.svg', tag: `${CONFIG.REMINDER_TAG}-${reminder.id}`, data };
+
+    if (reminder.target?.type === 'action') {
+      const type = this.findActionType(reminder.target.actionTypeId);
+      return {
+        title: `⏰ ${type?.name || 'Habit'} reminder`,
+        options: {
+          ...options,
+          body: `"${type?.name || 'This habit'}" isn't logged yet today.`,
+          actions: type && !this.isQuantityType(type) ? [{ action: `log:${type.id}`, title: `✓ Log ${type.name}` }] : []
+        }
+      };
+    }
+
+    if (reminder.target?.type === 'workout') {
+      return {
+        title: '💪 Workout reminder',
+        options: { ...options, body: `Your ${this.getWeekdayName(parseDateString(dateStr))} workout isn't complete yet.`, actions: [] }
+      };
+    }
+
+    const body = dayActions.length === 0
+      ? 'You haven\'t logged any actions today. Start building your habits!'
+      : `Great job! You've completed ${dayActions.length} action${dayActions.length > 1 ? 's' : ''} today. Keep it up!`;
+
+    const actions = this.getReminderConfig().quickActions
+      .filter(type => !dayActions.some(action => action.action_type_id === type.id))
+      .slice(0, CONFIG.REMINDER_MAX_ACTIONS)
+      .map(type => ({ action: `log:${type.id}`, title: `✓ ${type.name}` }));
+
+    return { title: '🎯 Habitide Daily Reminder', options: { ...options, body, actions } };
+  }
+
+  async closeReminderNotifications(registration) {
+    const existing = await registration.getNotifications({ includeTriggered: true });
+    existing
+      .filter(notification => notification.tag.startsWith(CONFIG.REMINDER_TAG))
+      .forEach(notification => notification.close());
+  }
+
+  // Notification Triggers fire without the page; rescheduled whenever today's progress changes
+  async scheduleTriggeredReminders(registration) {
+    await this.closeReminderNotifications(registration);
+
+    for (const reminder of this.getReminders()) {
+      const reminderDate = this.getNextReminderDate(reminder);
+      if (!reminderDate) continue;
+
+      const { title, options } = this.buildReminderNotification(reminder, reminderDate);
+      await registration.showNotification(title, {
+        ...options,
+        showTrigger: new TimestampTrigger(reminderDate.getTime())
+      });
+    }
+  }
+
+  // Store one subscription per browser; the push sender fires each reminder's time/weekdays in the user's timezone
+  async subscribeToReminderPush(registration) {
+    if (!('PushManager' in window) || !CONFIG.VAPID_PUBLIC_KEY) {
+      console.warn('HabitideApp: Web Push unavailable, using in-tab reminders');
+      this.scheduleReminderTimeouts();
+      return;
+    }
+
+    const subscription = await registration.pushManager.getSubscription() ||
+      await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: PasswordUtils.base64ToBytes(CONFIG.VAPID_PUBLIC_KEY.replace(/-/g, '+').replace(/_/g, '/'))
+      });
+
+    const { reminders, timezone } = this.getReminderConfig();
+    // Saved for the account behind the session token, never a client-supplied user_id
+    const { error } = await supabase.rpc('save_push_subscription', {
+      p_endpoint: subscription.endpoint,
+      p_subscription: subscription.toJSON(),
+      p_reminders: reminders.map(({ id, time, days, target }) => ({ id, time, days, target: target || null })),
+      p_timezone: timezone
+    });
+
+    if (error) throw error;
+  }
+
+  clearReminderTimeouts() {
+    Object.values(this.reminderTimeouts || {}).forEach(timeoutId => clearTimeout(timeoutId));
+    this.reminderTimeouts = {};
+  }
+
+  async cancelDailyReminder(userId) {
+    this.clearReminderTimeouts();
+
+    try {
+      await this.outbox.removeReminder(userId);
+
+      const registration = await this.getServiceWorkerRegistration();
+      if (!registration) return;
+
+      await this.closeReminderNotifications(registration);
+
+      const subscription = await registration.pushManager?.getSubscription();
+      if (subscription) {
+        await supabase.rpc('delete_push_subscription', { p_endpoint: subscription.endpoint });
+        await subscription.unsubscribe();
+      }
+    } catch (error) {
+      console.warn('HabitideApp: Failed to cancel reminder:', error);
+    }
+  }
+
+  // Re-evaluate reminder conditions after actions or workout progress change
+  async refreshReminders() {
+    if (!this.user || !('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const registration = await this.getServiceWorkerRegistration();
+    if (!registration) {
+      this.scheduleReminderTimeouts();
+      return;
+    }
+
+    try {
+      await this.outbox.saveReminder(this.getReminderConfig());
+      if ('showTrigger' in Notification.prototype) await this.scheduleTriggeredReminders(registration);
+    } catch (error) {
+      console.warn('HabitideApp: Failed to refresh reminders:', error);
+    }
+  }
+
+  scheduleReminderTimeouts() {
+    // Clear any existing reminders
+    this.clearReminderTimeouts();
+
+    this.getReminders().forEach(reminder => {
+      const reminderDate = this.getNextReminderDate(reminder);
+      if (!reminderDate) return;
+
+      const delay = reminderDate.getTime() - Date.now();
+      if (delay > CONFIG.MAX_TIMEOUT_DELAY) {
+        // Past a long pause - wake up partway and schedule again
+        this.reminderTimeouts[reminder.id] = setTimeout(() => this.scheduleReminderTimeouts(), CONFIG.MAX_TIMEOUT_DELAY);
+        return;
+      }
+
+      this.reminderTimeouts[reminder.id] = setTimeout(() => {
+        this.sendDailyReminder(reminder);
+        this.scheduleReminderTimeouts(); // Schedule the next ones
+      }, delay);
+    });
+  }
+
+  sendDailyReminder(reminder) {
+    // Targeted reminders only fire while their condition is still unmet
+    if (Notification.permission !== 'granted' || this.isReminderConditionMet(reminder)) return;
+    if (this.isPausedDate(getTodayString())) return;
+
+    const { title, options } = this.buildReminderNotification(reminder);
+    const notification = new Notification(title, { ...options, actions: undefined });
+
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+
+    setTimeout(() => notification.close(), 10000); // Auto-close after 10 seconds
+  }
+
+  // Helper function to diagnose database issues - call from browser console: app.diagnoseDatabaseIssues()
+  async diagnoseDatabaseIssues() {
+    if (!this.user) {
+      console.log("HabitideApp: DIAGNOSTIC - No user logged in");
+      return;
+    }
+    
+    console.log("HabitideApp: DIAGNOSTIC - Starting database diagnostics...");
+    console.log("HabitideApp: DIAGNOSTIC - User ID:", this.user.id);
+    
+    // Test database connection
+    try {
+      const { data, error } = await supabase.from('user_settings').select('*').limit(1);
+      if (error) {
+        console.error("HabitideApp: DIAGNOSTIC - Database connection error:", error);
+      } else {
+        console.log("HabitideApp: DIAGNOSTIC - Database connection successful");
+      }
+    } catch (e) {
+      console.error("HabitideApp: DIAGNOSTIC - Exception during database test:", e);
+    }
+    
+    // Test current settings
+    console.log("HabitideApp: DIAGNOSTIC - Current settings object:", this.data.settings);
+    
+    // Test action types
+    console.log("HabitideApp: DIAGNOSTIC - Action types:", this.data.actionTypes);
+    
+    // Test actions in local data vs database
+    console.log("HabitideApp: DIAGNOSTIC - Local actions count:", this.data.actions.length);
+    console.log("HabitideApp: DIAGNOSTIC - Recent local actions:", this.data.actions.slice(0, 5));
+    
+    try {
+      const { data: dbActions, error } = await supabase
+        .from('actions')
+        .select('*')
+        .eq('user_id', this.user.id)
+        .order('date', { ascending: false })
+        .limit(5);
+        
+      if (error) {
+        console.error("HabitideApp: DIAGNOSTIC - Error fetching actions from DB:", error);
+      } else {
+        console.log("HabitideApp: DIAGNOSTIC - Database actions count:", dbActions.length);
+        console.log("HabitideApp: DIAGNOSTIC - Recent database actions:", dbActions);
+      }
+    } catch (e) {
+      console.error("HabitideApp: DIAGNOSTIC - Exception fetching actions:", e);
+    }
+  }
+
+  async ensureUserHasDefaultActionTypes() {
+    if (!this.user) {
+      console.warn('Cannot seed action types: no user logged in');
+      return false;
+    }
+
+    try {
+      // Check if user already has action types OR if default types exist
+      const { data: existing, error: checkError } = await supabase
+        .from('action_types')
+        .select('id')
+        .or(`user_id.eq.${this.user.id},is_default.eq.true`)
+        .limit(1);
+
+      if (checkError) {
+        console.error('Error checking existing action types:', checkError);
+        return false;
+      }
+
+      if (existing && existing.length > 0) {
+        console.log('User already has action types or defaults exist, skipping seeding');
+        return true;
+      }
+
+      // Default actions to seed - 16 total actions
+      const defaultActions = [
+        // Positive Actions (8 total)
+        { name: 'Workout/Exercise', value: 2000, category: 'positive' },
+        { name: 'Debt Payment', value: 5000, category: 'positive', is_debt_payment: true },
+        { name: 'Healthy Meal', value: 1000, category: 'positive' },
+        { name: 'Meditation', value: 2000, category: 'positive' },
+        { name: 'Early Sleep', value: 2000, category: 'positive' },
+        { name: 'Learning', value: 2000, category: 'positive' },
+        { name: 'See sunrise', value: 5000, category: 'positive' },
+        { name: 'Reading', value: 2000, category: 'positive' },
+        // Negative Actions (8 total)
+        { name: 'Junk Food', value: -2000, category: 'negative' },
+        { name: 'Skipped Workout', value: -3000, category: 'negative' },
+        { name: 'Impulse Purchase', value: -3000, category: 'negative', is_spending: true },
+        { name: 'Porn', value: -5000, category: 'negative' },
+        { name: 'Procrastination', value: -5000, category: 'negative' },
+        { name: 'Miss sunrise', value: -10000, category: 'negative' },
+        { name: 'Overtrading', value: -10000, category: 'negative' },
+        { name: 'Bad financial decision', value: -10000, category: 'negative', is_spending: true }
+      ];
+
+      // Insert all for this user
+      const { data, error } = await supabase.from('action_types').insert(
+        defaultActions.map(a => ({ ...a, is_default: true, user_id: this.user.id }))
+      );
+
+      if (error) {
+        console.error('Error seeding default action types:', error);
+        return false;
+      }
+
+      console.log(`Successfully seeded ${defaultActions.length} default action types for user ${this.user.id}`);
+      return true;
+    } catch (error) {
+      console.error('Exception in ensureUserHasDefaultActionTypes:', error);
+      return false;
+    }
+  }
+
+  ensureMainSectionsExist() {
+    // Check if main-content exists
+    let mainContent = document.querySelector('.main-content');
+    if (!mainContent) {
+      mainContent = document.createElement('main');
+      mainContent.className = 'main-content';
+      document.body.appendChild(mainContent);
+    }
+    // Section definitions
+    const sections = [
+      { id: 'dashboard', active: true },
+      { id: 'workout', active: false },
+      { id: 'calendar', active: false },
+      { id: 'insights', active: false },
+      { id: 'profile', active: false }
+    ];
+    // For each section, ensure it exists
+    sections.forEach(({ id, active }) => {
+      let section = document.getElementById(id);
+      if (!section) {
+        section = document.createElement('section');
+        section.id = id;
+        section.className = 'section' + (active ? ' active' : '');
+        section.innerHTML = '';
+        mainContent.appendChild(section);
+      }
+    });
+  }
+
+  /**
+   * Totals for the active goal cycle over all actions, or only those whose type is in one habit
+   * category or counts toward one goal
+   * @param {string|null} habitCategory - Category name, or null for everything
+   * @param {Object|null} goal - Goal whose ledger to total; null counts every action in the first goal's cycle against its amount
+   */
+  calculateStats(habitCategory = null, goal = null) {
+    const ledgerGoal = goal || this.getGoals()[0];
+    const actions = (this.data.actions || []).filter(action =>
+      (!habitCategory || this.findActionType(action.action_type_id)?.habit_category === habitCategory) &&
+      (goal ? this.goalCountsAction(goal, action) : this.isInGoalCycle(ledgerGoal, action))
+    );
+    const targetGoal = ledgerGoal.targetGoal || 0;
     
-    // Handle superset and single exercise phases
-    const totalSets = phase.exercises.reduce((sum, ex) => sum + (ex.sets || 0), 0);
-    let completedSets = 0;
+    let totalEarned = 0;
+    let totalLost = 0;
+    let currentDebt = targetGoal; // Start with the debt amount
     
-    phase.exercises.forEach((exercise, exerciseIndex) => {
-      const exerciseState = this.data.workoutState[day][`${phaseKey}_ex_${exerciseIndex}`] || {};
-      completedSets += Object.values(exerciseState).filter(completed => completed).length;
+    actions.forEach(action => {
+      // Use the action's stored value; only rows saved without one fall back to the action type
+      const value = action.value ?? this.getActionValue(action);
+        if (value > 0) {
+          totalEarned += value;
+        currentDebt -= value; // SUBTRACT positive points from debt
+        } else {
+        totalLost += Math.abs(value); // Store as positive for display
+        currentDebt += Math.abs(value); // ADD negative points to debt
+      }
     });
     
-    const phaseProgress = totalSets > 0 ? (completedSets / totalSets) * 100 : 0;
-    const isPhaseComplete = phaseProgress === 100;
+    // Ensure debt doesn't go below 0
+    currentDebt = Math.max(0, currentDebt);
     
-    return `
-      <div class="phase-card ${phase.type} ${isPhaseComplete ? 'completed' : ''}">
-        <div class="phase-header">
-          <div class="phase-info">
-            <h4 class="phase-name">
-              ${this.getPhaseIcon(phase.type)} ${phase.name}
-            </h4>
-            ${phase.restTime ? `<span class="phase-rest">Rest between sets: ${phase.restTime}</span>` : ''}
-            <div class="phase-progress">
-              <span class="phase-progress-text">${completedSets}/${totalSets} sets completed</span>
-              <div class="phase-progress-bar">
-                <div class="phase-progress-fill" style="width: ${phaseProgress}%"></div>
-              </div>
-            </div>
-          </div>
-        </div>
-        <div class="phase-exercises">
-          ${phase.exercises.map((exercise, exerciseIndex) => {
-            const exerciseState = this.data.workoutState[day][`${phaseKey}_ex_${exerciseIndex}`] || {};
-            const exerciseCompletedSets = Object.values(exerciseState).filter(completed => completed).length;
-            const isExerciseComplete = exerciseCompletedSets === exercise.sets;
-            
-            return `
-              <div class="exercise-card ${isExerciseComplete ? 'completed' : ''}">
-                <div class="exercise-header">
-                  <div class="exercise-info">
-                    <h5 class="exercise-name">${exercise.name}</h5>
-                    <span class="exercise-sets-reps">${exercise.sets} sets × ${exercise.reps}</span>
-                    ${exercise.notes ? `<p class="exercise-notes">${exercise.notes}</p>` : ''}
-                  </div>
-                  <div class="exercise-status">
-                    ${isExerciseComplete ? '✅' : `${exerciseCompletedSets}/${exercise.sets}`}
-                  </div>
-                </div>
-                <div class="sets-tracker">
-                  ${Array.from({length: exercise.sets}, (_, setIndex) => {
-                    const isSetCompleted = exerciseState[setIndex] || false;
-                    return `
-                      <label class="set-label ${isSetCompleted ? 'completed' : ''}">
-                        <input type="checkbox" class="set-checkbox" 
-                               ${isSetCompleted ? 'checked' : ''}
-                               onchange="app.toggleSet('${day}', '${phaseKey}_ex_${exerciseIndex}', ${setIndex}, this.checked)">
-                        Set ${setIndex + 1}
-                      </label>
-                    `;
-                  }).join('')}
-                </div>
-              </div>
-            `;
-          }).join('')}
-        </div>
-      </div>
-    `;
+    return {
+      totalEarned,
+      totalLost,
+      currentDebt,
+      targetGoal
+    };
   }
 
-  getPhaseIcon(type) {
-    const icons = {
-      warmup: '🔥',
-      superset: '💪',
-      single: '🎯',
-      hiit: '⚡',
-      cardio: '🏃',
-      cooldown: '🧘',
-      activity: '⚽',
-      recovery: '🌱'
-    };
-    return icons[type] || '💪';
+  renderStatsCategoryFilter() {
+    const select = document.getElementById('statsCategoryFilter');
+    if (!select) return;
+
+    const categories = this.getHabitCategories();
+    if (!categories.includes(this.statsCategoryFilter)) this.statsCategoryFilter = null;
+
+    select.innerHTML = `
+      <option value="">All categories</option>
+      ${categories.map(category => `<option value="${category}" ${category === this.statsCategoryFilter ? 'selected' : ''}>${category}</option>`).join('')}
+    `;
+
+    if (!select.dataset.listenerAttached) {
+      select.addEventListener('change', (e) => {
+        this.statsCategoryFilter = e.target.value || null;
+        this.updateDashboardStats();
+      });
+      select.dataset.listenerAttached = 'true';
+    }
   }
 
-  toggleSet(day, exerciseKey, setIndex, completed) {
-    // Initialize nested objects if they don't exist
-    if (!this.data.workoutState) this.data.workoutState = {};
-    if (!this.data.workoutState[day]) this.data.workoutState[day] = {};
-    if (!this.data.workoutState[day][exerciseKey]) this.data.workoutState[day][exerciseKey] = {};
-    
-    // Update set completion state
-    this.data.workoutState[day][exerciseKey][setIndex] = completed;
-    
-    // Save to database
-    this.saveData();
+  updateDashboardStats() {
+    // The category filter narrows the earned/lost cards; goal progress always covers everything
+    const categoryStats = this.calculateStats(this.statsCategoryFilter);
     
-    // Re-render the workout day to update progress
-    this.renderWorkoutDay(day);
+    const totalEarned = document.getElementById('totalEarned');
+    const totalLost = document.getElementById('totalLost');
+
+    if (totalEarned) totalEarned.textContent = formatCurrency(categoryStats.totalEarned || 0);
+    if (totalLost) totalLost.textContent = formatCurrency(categoryStats.totalLost || 0);
+
+    this.renderGoalCards();
+    this.renderDebtPlanner();
+    this.renderSpending();
+    this.renderHabitStreaks();
+    this.renderCleanCounters();
   }
 
-  togglePhase(day, phaseIndex, completed) {
-    // Initialize nested objects if they don't exist
-    if (!this.data.workoutState) this.data.workoutState = {};
-    if (!this.data.workoutState[day]) this.data.workoutState[day] = {};
-    
-    const phaseKey = `phase_${phaseIndex}`;
-    if (!this.data.workoutState[day][phaseKey]) this.data.workoutState[day][phaseKey] = {};
-    
-    // Update phase completion state
-    this.data.workoutState[day][phaseKey].completed = completed;
-    
-    // Save to database
-    this.saveData();
-    
-    // Re-render the workout day to update progress
-    this.renderWorkoutDay(day);
+  /**
+   * Project when a goal's debt reaches zero from the net points of the trailing window (today included),
+   * and the daily pace its optional deadline needs. A cycle younger than the window is averaged over
+   * the days it has run, so a new goal or season isn't diluted by days before it began
+   * @param {number} windowDays - Trailing days to average over
+   */
+  calculateForecast(windowDays, goal) {
+    const stats = this.calculateStats(null, goal);
+    const today = getTodayString();
+    const windowStart = getDateString(addDays(getToday(), -(windowDays - 1)));
+    const netPoints = (this.data.actions || [])
+      .filter(action => {
+        const dateStr = getDateString(action.date);
+        return dateStr >= windowStart && dateStr <= today && this.goalCountsAction(goal, action);
+      })
+      .reduce((sum, action) => sum + (action.value ?? this.getActionValue(action)), 0);
+
+    const paceDays = Math.min(windowDays, Math.max(1, daysBetween(this.getGoalCycleStart(goal), today) + 1));
+    const dailyPace = netPoints / paceDays;
+    const { currentDebt } = stats;
+    const daysToPayoff = currentDebt > 0 && dailyPace > 0 ? Math.ceil(currentDebt / dailyPace) : null;
+
+    const deadline = goal.deadline || null;
+    const daysToDeadline = deadline ? daysBetween(today, deadline) : null;
+    const requiredPace = deadline && currentDebt > 0 && daysToDeadline > 0 ? currentDebt / daysToDeadline : null;
+
+    return {
+      ...stats,
+      netPoints,
+      paceDays,
+      dailyPace,
+      payoffDate: daysToPayoff !== null ? getDateString(addDays(getToday(), daysToPayoff)) : null,
+      deadline,
+      daysToDeadline,
+      requiredPace,
+      onPace: requiredPace !== null ? dailyPace >= requiredPace : null
+    };
   }
 
-  markWorkoutDayComplete(day) {
-    if (confirm(`Mark the entire ${day} workout as complete? This will mark all exercises and sets as done.`)) {
-      // Get the default routine and custom workout
-      const defaultRoutine = this.workoutRoutines[day];
-      const customWorkout = this.data.customWorkouts && this.data.customWorkouts[day];
-      
-      if (!defaultRoutine || !defaultRoutine.phases) return;
-      
-      // Initialize workout state if needed
-      if (!this.data.workoutState) this.data.workoutState = {};
-      if (!this.data.workoutState[day]) this.data.workoutState[day] = {};
-      
-      // Mark all default phases as complete
-      defaultRoutine.phases.forEach((phase, phaseIndex) => {
-        const phaseKey = `phase_${phaseIndex}`;
-        
-        if (phase.type === 'warmup' || phase.type === 'cooldown' || phase.type === 'cardio' || phase.type === 'activity' || phase.type === 'recovery' || phase.type === 'hiit') {
-          // For time-based phases, just mark as completed
-          this.data.workoutState[day][phaseKey] = { completed: true };
-        } else {
-          // For set-based phases, mark all sets as complete
-          phase.exercises.forEach((exercise, exerciseIndex) => {
-            const exerciseKey = `${phaseKey}_ex_${exerciseIndex}`;
-            this.data.workoutState[day][exerciseKey] = {};
-            
-            // Mark all sets as complete
-            for (let setIndex = 0; setIndex < exercise.sets; setIndex++) {
-              this.data.workoutState[day][exerciseKey][setIndex] = true;
-            }
-          });
-        }
-      });
-      
-      // Mark all custom exercises as complete
-      if (customWorkout && customWorkout.customExercises) {
-        customWorkout.customExercises.forEach((exercise, exerciseIndex) => {
-          const exerciseKey = `custom_ex_${exerciseIndex}`;
-          this.data.workoutState[day][exerciseKey] = {};
-          
-          // Mark all sets as complete
-          for (let setIndex = 0; setIndex < exercise.sets; setIndex++) {
-            this.data.workoutState[day][exerciseKey][setIndex] = true;
-          }
+  renderGoalCards() {
+    const container = document.getElementById('goalCards');
+    if (!container) return;
+
+    if (!container.dataset.listenerAttached) {
+      document.querySelectorAll('[data-forecast-window]').forEach(button => {
+        button.addEventListener('click', () => {
+          this.forecastWindow = parseInt(button.dataset.forecastWindow);
+          this.renderGoalCards();
         });
-      }
-      
-      // Save to database
-      this.saveData();
-      
-      // Re-render the workout day
-      this.renderWorkoutDay(day);
-      
-      this.showNotification(`🎉 ${day} workout marked as complete!`, 'success');
+      });
+      container.dataset.listenerAttached = 'true';
     }
+
+    document.querySelectorAll('[data-forecast-window]').forEach(button => {
+      button.classList.toggle('active', parseInt(button.dataset.forecastWindow) === this.forecastWindow);
+    });
+
+    container.innerHTML = this.getGoals().map(goal => {
+      const forecast = this.calculateForecast(this.forecastWindow, goal);
+      const progressPercent = goal.targetGoal > 0
+        ? Math.max(0, Math.min(100, ((goal.targetGoal - forecast.currentDebt) / goal.targetGoal) * 100))
+        : 0;
+
+      return `
+        <div class="goal-progress goal-card">
+          <div class="progress-header">
+            <span class="progress-title">${goal.name}${goal.season > 1 ? ` <small class="archived-label">season ${goal.season}</small>` : ''}</span>
+            <span class="progress-percentage">${Math.round(progressPercent)}%</span>
+          </div>
+          <div class="goal-amounts">
+            <span>Started at ${formatCurrency(goal.targetGoal)}</span>
+            <span>Now ${formatCurrency(forecast.currentDebt)}</span>
+          </div>
+          <div class="progress-bar">
+            <div class="progress-fill" style="width: ${progressPercent}%"></div>
+          </div>
+          <div class="progress-description">
+            ${forecast.currentDebt <= 0 ? '🎉 Goal achieved! You\'ve eliminated this debt!' : `${formatCurrency(forecast.currentDebt)} remaining · ${this.describeGoalTypes(goal)}`}
+          </div>
+          <div class="forecast-details">
+            ${goal.cycleStart > getTodayString() ? `<p>New season starts ${parseDateString(goal.cycleStart).toLocaleDateString()}.</p>` : ''}
+            ${this.describeForecast(forecast).map(line => `<p>${line}</p>`).join('')}
+          </div>
+          ${forecast.currentDebt <= 0 ? `
+          <button class="btn btn--primary btn--sm" onclick="app.showCloseCycleModal('${goal.id}')">🏁 Start a New Season</button>
+          ` : ''}
+        </div>
+      `;
+    }).join('');
   }
 
-  resetWorkoutDay(day) {
-    if (confirm(`Reset all progress for ${day}? This cannot be undone.`)) {
-      if (this.data.workoutState && this.data.workoutState[day]) {
-        delete this.data.workoutState[day];
+  describeForecast(forecast) {
+    const formatDay = dateStr => parseDateString(dateStr).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+    const formatPace = pace => `${pace >= 0 ? '+' : '-'}${formatCurrency(Math.round(pace))}/day`;
+    if (forecast.currentDebt <= 0) return [];
+
+    const lines = [`Last ${forecast.paceDays} day${forecast.paceDays === 1 ? '' : 's'}: ${formatPace(forecast.dailyPace)} on average`];
+    lines.push(forecast.payoffDate
+      ? `At this pace you'll be debt-free around <strong>${formatDay(forecast.payoffDate)}</strong>.`
+      : 'At this pace the debt isn\'t shrinking, so there\'s no payoff date yet.');
+
+    if (forecast.deadline) {
+      if (forecast.daysToDeadline <= 0) {
+        lines.push(`The deadline of ${formatDay(forecast.deadline)} has passed - set a new one in Profile.`);
+      } else {
+        const status = forecast.onPace
+          ? `<span class="positive">ahead of pace</span>`
+          : `<span class="negative">behind pace by ${formatCurrency(Math.round(forecast.requiredPace - forecast.dailyPace))}/day</span>`;
+        lines.push(`To be debt-free by ${formatDay(forecast.deadline)} you need ${formatPace(forecast.requiredPace)} - you're ${status}.`);
       }
-      this.saveData();
-      this.renderWorkoutDay(day);
     }
+    return lines;
   }
 
-  checkWeeklyReset() {
-    const now = new Date();
-    const isSunday = now.getDay() === 0; // Sunday is 0
-    const lastReset = this.data.lastWeeklyReset ? new Date(this.data.lastWeeklyReset) : null;
-    
-    // Check if it's Sunday and we haven't reset this week
-    if (isSunday && (!lastReset || this.getWeekStart(now) > this.getWeekStart(lastReset))) {
-      this.performWeeklyReset();
-    }
-  }
+  // Goals: each has its own starting amount, optional deadline and the action types that count toward it
 
-  getWeekStart(date) {
-    const d = new Date(date);
-    const day = d.getDay();
-    const diff = d.getDate() - day; // Adjust to Sunday
-    return new Date(d.setDate(diff));
+  getGoals() {
+    const settings = this.data.settings || {};
+    if (Array.isArray(settings.goals) && settings.goals.length > 0) return settings.goals;
+
+    // Settings saved before multiple goals: one goal every action counts toward
+    return [{ id: 'goal-debt', name: 'Debt', targetGoal: settings.targetGoal || 20000, deadline: settings.goalDeadline || null, actionTypeIds: null }];
   }
 
-  performWeeklyReset() {
-    // Reset all workout progress
-    this.data.workoutProgress = {};
-    this.data.workoutState = {};
-    
-    // Clear ALL custom workouts for the week
-    this.data.customWorkouts = {};
-    
-    // Update last reset timestamp
-    this.data.lastWeeklyReset = new Date().toISOString();
-    
-    // Save the changes
-    this.saveData();
-    
-    this.showNotification('🔄 Weekly reset completed! All workouts restored to defaults and progress cleared!', 'success');
-    console.log('Weekly reset performed - all custom workouts cleared');
+  // A goal without a type list counts every action in its current cycle
+  goalCountsAction(goal, action) {
+    return (!goal.actionTypeIds || goal.actionTypeIds.includes(action.action_type_id)) && this.isInGoalCycle(goal, action);
   }
 
-  resetAllWorkouts() {
-    if (confirm('Reset all workout progress for the entire week? This cannot be undone.')) {
-      this.performWeeklyReset();
-      this.renderWorkout(); // Re-render all workout days
-    }
+  // Goals that were never cycled count all history
+  isInGoalCycle(goal, action) {
+    return !goal.cycleStart || getDateString(action.date) >= goal.cycleStart;
   }
 
-  renderCalendar() {
-    const section = document.getElementById('calendar');
-    if (!section) return;
-    section.innerHTML = `
-      <div class="container" id="calendarContainer">
-        <div class="section-header">
-          <h1>Calendar View</h1>
-          <p>View and manage your daily actions</p>
-        </div>
-        <div class="calendar-container">
-          <div class="calendar-main">
-            <div class="calendar-header">
-              <button class="btn btn--outline" id="prevMonth">‹</button>
-              <h3 id="currentMonth">June 2025</h3>
-              <button class="btn btn--outline" id="nextMonth">›</button>
-            </div>
-            <div class="calendar-grid" id="calendarGrid"></div>
-          </div>
-          <div class="calendar-sidebar">
-            <div class="card">
-              <div class="card__body">
-                <h3 id="selectedDateDisplay">Select a date</h3>
-                <div class="selected-date-actions" id="selectedDateActions">
-                  <p class="empty-state">No actions for this date</p>
-                </div>
-                <div class="calendar-action-form">
-                  <select class="form-control" id="calendarActionType">
-                    <option value="">Add action for this date...</option>
-                  </select>
-                  <button class="btn btn--primary btn--full-width" id="addCalendarAction">Add Action</button>
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    
-    // Re-attach event listeners for calendar navigation
-    document.getElementById('prevMonth')?.addEventListener('click', () => this.changeMonth(-1));
-    document.getElementById('nextMonth')?.addEventListener('click', () => this.changeMonth(1));
-    document.getElementById('addCalendarAction')?.addEventListener('click', () => this.addCalendarAction());
-    
-    // Populate dynamic content
-    this.renderCalendarGrid();
-    
-    // Initialize selected date to today if not set
-    if (!this.selectedDate) {
-      this.selectedDate = new Date();
-    }
-    
-    // Make sure the selected date is properly displayed
-    this.updateSelectedDateActions();
-    this.populateActionTypeSelects();
-    this.populateCalendarActionTypes(); // Initialize calendar dropdown for selected date
+  describeGoalTypes(goal) {
+    if (!goal.actionTypeIds) return 'all actions count';
+    return `${goal.actionTypeIds.length} action type${goal.actionTypeIds.length === 1 ? '' : 's'} count`;
   }
 
-  renderCalendarGrid() {
-    const calendarGrid = document.getElementById('calendarGrid');
-    const currentMonthElement = document.getElementById('currentMonth');
-    if (!calendarGrid || !currentMonthElement) return;
+  async saveGoals(goals) {
+    // targetGoal mirrors the first goal for anything that still reads a single amount
+    this.data.settings = { ...this.data.settings, goals, targetGoal: goals[0].targetGoal };
+    delete this.data.settings.goalDeadline;
+    await this.saveData();
+    this.renderProfile();
+    this.updateDashboardStats();
+    this.renderBadges('badgesContainer');
+  }
 
-    const currentDate = this.currentDate || new Date();
-    const year = currentDate.getFullYear();
-    const month = currentDate.getMonth();
-    
-    // Update month display
-    currentMonthElement.textContent = currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-    
-    // Get first day of month and number of days
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-    const startDate = new Date(firstDay);
-    startDate.setDate(startDate.getDate() - firstDay.getDay()); // Start from Sunday
-    
-    // Generate calendar grid
-    let calendarHTML = `
-      <div class="calendar-weekdays">
-        <div class="calendar-weekday">Sun</div>
-        <div class="calendar-weekday">Mon</div>
-        <div class="calendar-weekday">Tue</div>
-        <div class="calendar-weekday">Wed</div>
-        <div class="calendar-weekday">Thu</div>
-        <div class="calendar-weekday">Fri</div>
-        <div class="calendar-weekday">Sat</div>
-      </div>
-      <div class="calendar-days">
-    `;
-    
-    const today = new Date();
-    const todayStr = getDateString(today);
-    
-    // Generate 6 weeks of calendar
-    for (let week = 0; week < 6; week++) {
-      for (let day = 0; day < 7; day++) {
-        const currentCalendarDate = new Date(startDate);
-        currentCalendarDate.setDate(startDate.getDate() + (week * 7) + day);
-        
-        const dateStr = getDateString(currentCalendarDate);
-        const isCurrentMonth = currentCalendarDate.getMonth() === month;
-        const isToday = dateStr === todayStr;
-        const isSelected = this.selectedDate && getDateString(this.selectedDate) === dateStr;
-        
-        // Pre-calculate day actions for better performance
-        const dayActions = this.data.actions ? this.data.actions.filter(action => 
-          getDateString(action.date) === dateStr
-        ) : [];
-        
-        const hasActions = dayActions.length > 0;
-        const dayTotal = hasActions ? dayActions.reduce((sum, action) => sum + (action.value || 0), 0) : 0;
-        
-        const dayClasses = [
-          'calendar-day',
-          !isCurrentMonth ? 'empty' : '',
-          isToday ? 'today' : '',
-          isSelected ? 'selected' : '',
-          hasActions ? 'has-actions' : ''
-        ].filter(Boolean).join(' ');
-        
-        calendarHTML += `
-          <div class="${dayClasses}" 
-               data-date="${dateStr}"
-               onclick="app.selectCalendarDate('${dateStr}')"
-               title="${hasActions ? `Total: ${formatCurrency(dayTotal)}` : 'No actions'}">
-            <span class="calendar-day-number">${currentCalendarDate.getDate()}</span>
-            ${hasActions ? `<span class="calendar-day-indicator ${dayTotal >= 0 ? 'positive' : 'negative'}"></span>` : ''}
-          </div>
-        `;
-      }
+  showGoalModal(goalId = null) {
+    const goal = this.getGoals().find(item => item.id === goalId) || null;
+    if (!goal && this.getGoals().length >= CONFIG.MAX_GOALS) {
+      this.showNotification(`You can have up to ${CONFIG.MAX_GOALS} goals.`, 'warning');
+      return;
     }
-    
-    calendarHTML += '</div>';
-    calendarGrid.innerHTML = calendarHTML;
-  }
 
-  renderProfile() {
-    const section = document.getElementById('profile');
-    if (!section) return;
-    
-    const settings = this.data.settings || { targetGoal: 20000, reminderTime: '20:00', theme: 'light', quickActions: [] };
-    const positiveTypes = this.data.actionTypes?.positive || [];
-    const negativeTypes = this.data.actionTypes?.negative || [];
-    
-    section.innerHTML = `
-      <div class="container" id="profileContainer">
-        <div class="section-header">
-          <h1>Profile Settings</h1>
-          <p>Customize your goals and action types</p>
-        </div>
-        
-        <div class="profile-grid">
-          <!-- Target Goal Settings -->
-          <div class="card">
-            <div class="card__body">
-              <h3>Target Goal</h3>
-              <div class="form-group">
-                <label class="form-label">Starting Debt Amount (₹)</label>
-                <input type="number" class="form-control" id="targetGoalInput" value="${settings.targetGoal || 20000}">
-              </div>
-              <div class="form-group">
-                <label class="form-label">Daily Reminder</label>
-                <input type="time" class="form-control" id="reminderTimeInput" value="${settings.reminderTime || '20:00'}">
-              </div>
-              <div class="form-group">
-                <label class="form-label">Theme</label>
-                <select class="form-control" id="themeSelect">
-                  <option value="light" ${settings.theme === 'light' ? 'selected' : ''}>Light</option>
-                  <option value="dark" ${settings.theme === 'dark' ? 'selected' : ''}>Dark</option>
-                </select>
-              </div>
-              <button class="btn btn--primary" id="saveSettingsBtn">Save Settings</button>
-              
-              <div class="user-zone" style="margin-top: var(--space-24); padding-top: var(--space-24); border-top: 1px solid var(--color-border);">
-                <h4 style="margin-bottom: var(--space-16);">Account</h4>
-                <p style="color: var(--color-text-secondary); font-size: var(--font-size-sm); margin-bottom: var(--space-16);">
-                  Signed in as: <strong>${this.user?.username}</strong>
-                </p>
-                <button class="btn btn--outline" onclick="app.signOut()" style="margin-bottom: var(--space-16);">Sign Out</button>
-              </div>
-              
-              <div class="danger-zone" style="margin-top: var(--space-24); padding-top: var(--space-24); border-top: 1px solid var(--color-border);">
-                <h4 style="color: var(--color-error); margin-bottom: var(--space-16);">Danger Zone</h4>
-                <button class="btn btn--outline" id="resetDataBtn" style="border-color: var(--color-error); color: var(--color-error);">Reset All Data</button>
-                <button class="btn btn--outline" id="removeDuplicatesBtn" style="border-color: var(--color-warning); color: var(--color-warning); margin-left: 8px;">Remove Duplicates</button>
-              </div>
-            </div>
-          </div>
+    const allTypes = [...(this.data.actionTypes?.positive || []), ...(this.data.actionTypes?.negative || [])];
 
-          <!-- Quick Actions Selection -->
-          <div class="card">
-            <div class="card__body">
-              <h3>Quick Actions</h3>
-              <p style="font-size: var(--font-size-sm); color: var(--color-text-secondary); margin-bottom: var(--space-16);">
-                Select which actions appear in the dashboard quick actions section (up to 6)
-              </p>
-              <div id="quickActionsSelection">
-                ${[...positiveTypes, ...negativeTypes].map(type => {
-                  const isSelected = (settings.quickActions || []).includes(type.id);
-                  return `
-                    <div class="quick-action-option">
-                      <label>
-                        <input type="checkbox" value="${type.id}" ${isSelected ? 'checked' : ''}>
-                        <span>${type.name} (${type.value > 0 ? '+' : ''}${type.value})</span>
-                      </label>
-                    </div>
-                  `;
-                }).join('')}
-              </div>
-              <button class="btn btn--secondary" id="saveQuickActionsBtn">Save Quick Actions</button>
-            </div>
+    this.closeGoalModal();
+    document.body.insertAdjacentHTML('beforeend', `
+      <div class="modal-overlay active" id="goalModal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3>${goal ? 'Edit Goal' : 'New Goal'}</h3>
+            <button class="modal-close" onclick="app.closeGoalModal()">×</button>
           </div>
-
-          <!-- Positive Action Types -->
-          <div class="card">
-            <div class="card__body">
-              <h3>Positive Actions</h3>
-              <div class="action-types-list" id="positiveActionsList">
-                ${positiveTypes.map(type => `
-                  <div class="action-type-item">
-                    <div class="action-type-info">
-                      <span class="action-type-name">${type.name}</span>
-                      <span class="action-type-value positive">+${formatCurrency(type.value)}</span>
-                    </div>
-                    <button class="btn btn--outline btn--sm" onclick="app.deleteActionType(${type.id})" title="Delete">🗑️</button>
-                  </div>
-                `).join('')}
+          <div class="modal-body">
+            <div class="form-container">
+              <div class="form-group">
+                <label class="form-label" for="goalNameInput">Name</label>
+                <input type="text" class="form-control" id="goalNameInput" maxlength="${CONFIG.MAX_GOAL_NAME_LENGTH}" placeholder="e.g. Fitness debt">
               </div>
-              <div class="add-action-type-form">
-                <input type="text" class="form-control" id="newPositiveActionName" placeholder="Action name">
-                <input type="number" class="form-control" id="newPositiveActionValue" placeholder="Points">
-                <button class="btn btn--secondary" id="addPositiveActionTypeBtn">Add</button>
+              <div class="form-group">
+                <label class="form-label" for="goalAmountInput">Starting Debt Amount (₹)</label>
+                <input type="number" class="form-control" id="goalAmountInput" min="1" value="${goal?.targetGoal || ''}">
               </div>
-            </div>
-          </div>
-
-          <!-- Negative Action Types -->
-          <div class="card">
-            <div class="card__body">
-              <h3>Negative Actions</h3>
-              <div class="action-types-list" id="negativeActionsList">
-                ${negativeTypes.map(type => `
-                  <div class="action-type-item">
-                    <div class="action-type-info">
-                      <span class="action-type-name">${type.name}</span>
-                      <span class="action-type-value negative">${formatCurrency(type.value)}</span>
-                    </div>
-                    <button class="btn btn--outline btn--sm" onclick="app.deleteActionType(${type.id})" title="Delete">🗑️</button>
-                  </div>
-                `).join('')}
+              <div class="form-group">
+                <label class="form-label" for="goalDeadlineInput">Debt-free by (optional)</label>
+                <input type="date" class="form-control" id="goalDeadlineInput" min="${getDateString(addDays(getToday(), 1))}" value="${goal?.deadline || ''}">
               </div>
-              <div class="add-action-type-form">
-                <input type="text" class="form-control" id="newNegativeActionName" placeholder="Action name">
-                <input type="number" class="form-control" id="newNegativeActionValue" placeholder="Points (will be negative)">
-                <button class="btn btn--secondary" id="addNegativeActionTypeBtn">Add</button>
+              <div class="form-group">
+                <label class="form-label">Counts toward this goal</label>
+                <label class="reprice-option"><input type="checkbox" id="goalAllTypes" ${!goal?.actionTypeIds ? 'checked' : ''}> All action types</label>
+                <div class="goal-type-options" id="goalTypeOptions" ${!goal?.actionTypeIds ? 'hidden' : ''}>
+                  ${allTypes.map(type => `
+                    <label class="reprice-option">
+                      <input type="checkbox" value="${type.id}" ${goal?.actionTypeIds?.includes(type.id) ? 'checked' : ''}>
+                      ${this.renderActionTypeLabel(type)} <small class="action-type-limit">${this.formatActionTypeValue(type)}</small>
+                    </label>
+                  `).join('')}
+                </div>
               </div>
             </div>
           </div>
-
-          <!-- Badge Progress -->
-          <div class="card">
-            <div class="card__body">
-              <h3>Badge Progress</h3>
-              <div class="badge-progress-list" id="badgeProgressList">
-                <!-- This will be populated by renderBadges -->
-              </div>
-            </div>
+          <div class="modal-footer">
+            <button class="btn btn--secondary" onclick="app.closeGoalModal()">Cancel</button>
+            <button class="btn btn--primary" onclick="app.saveGoal(${goal ? `'${goal.id}'` : 'null'})">${goal ? 'Save Changes' : 'Add Goal'}</button>
           </div>
         </div>
       </div>
-    `;
-    
-    // Attach event listeners
-    document.getElementById('saveSettingsBtn')?.addEventListener('click', () => this.saveSettings());
-    document.getElementById('resetDataBtn')?.addEventListener('click', () => this.resetAllData());
-    document.getElementById('removeDuplicatesBtn')?.addEventListener('click', () => this.removeDuplicateDefaultActions());
-    document.getElementById('saveQuickActionsBtn')?.addEventListener('click', () => this.saveQuickActions());
-    document.getElementById('addPositiveActionTypeBtn')?.addEventListener('click', () => this.addActionType('positive'));
-    document.getElementById('addNegativeActionTypeBtn')?.addEventListener('click', () => this.addActionType('negative'));
-    
-    // Render badges in the badge progress section
-    this.renderBadges('badgeProgressList'); // Explicitly target profile badges container
+    `);
+
+    document.getElementById('goalNameInput').value = goal?.name || '';
+    document.getElementById('goalAllTypes').addEventListener('change', (e) => {
+      document.getElementById('goalTypeOptions').hidden = e.target.checked;
+    });
   }
 
-  async saveQuickActions() {
-    const checkboxes = document.querySelectorAll('#quickActionsSelection input[type="checkbox"]');
-    const selected = Array.from(checkboxes)
-      .filter(c => c.checked)
-      .map(c => parseInt(c.value))
-      .slice(0, CONFIG.MAX_QUICK_ACTIONS); // Limit quick actions per config
-    
-    // Remove duplicates and update settings
-    this.data.settings.quickActions = [...new Set(selected)];
-    await this.saveData();
-          // REMOVED: No notification for saving quick actions
-    this.renderQuickActions(); // Re-render to show changes
+  closeGoalModal() {
+    document.getElementById('goalModal')?.remove();
   }
 
-  async addActionType(category, isDefault = false) {
-    const name = document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionName`).value.trim();
-    const valueInput = document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionValue`);
-    let value = parseInt(valueInput.value);
-    
-    // Enhanced validation
-    if (!name) {
-      this.showNotification('Please enter a name for the action type.', 'error');
+  async saveGoal(goalId) {
+    const name = sanitizeInput(document.getElementById('goalNameInput')?.value || '');
+    const targetGoal = parseInt(document.getElementById('goalAmountInput')?.value);
+    const deadline = document.getElementById('goalDeadlineInput')?.value || null;
+    const allTypes = document.getElementById('goalAllTypes')?.checked;
+    const actionTypeIds = allTypes
+      ? null
+      : Array.from(document.querySelectorAll('#goalTypeOptions input:checked')).map(input => parseInt(input.value));
+
+    if (!name || name.length > CONFIG.MAX_GOAL_NAME_LENGTH) {
+      this.showNotification(`Goal names must be 1-${CONFIG.MAX_GOAL_NAME_LENGTH} characters.`, 'error');
       return;
     }
-    
-    if (name.length < CONFIG.MIN_ACTION_TYPE_NAME_LENGTH) {
-      this.showNotification(`Action type name must be at least ${CONFIG.MIN_ACTION_TYPE_NAME_LENGTH} characters long.`, 'error');
+    if (isNaN(targetGoal) || targetGoal <= 0 || targetGoal > CONFIG.MAX_GOAL_AMOUNT) {
+      this.showNotification(`Please enter a starting amount between ₹1 and ${formatCurrency(CONFIG.MAX_GOAL_AMOUNT)}.`, 'error');
       return;
     }
-    
-    if (name.length > CONFIG.MAX_ACTION_TYPE_NAME_LENGTH) {
-      this.showNotification(`Action type name must be less than ${CONFIG.MAX_ACTION_TYPE_NAME_LENGTH} characters.`, 'error');
+    if (deadline && deadline <= getTodayString()) {
+      this.showNotification('Pick a deadline after today.', 'error');
       return;
     }
-    
-    if (isNaN(value) || value === 0) {
-      this.showNotification('Please enter a valid non-zero value.', 'error');
+    if (actionTypeIds && actionTypeIds.length === 0) {
+      this.showNotification('Pick at least one action type, or count all of them.', 'error');
       return;
     }
-    
-    if (Math.abs(value) > CONFIG.MAX_ACTION_VALUE) {
-      this.showNotification(`Value cannot exceed ±${CONFIG.MAX_ACTION_VALUE} points.`, 'error');
+
+    const goals = this.getGoals();
+    if (goals.some(goal => goal.id !== goalId && goal.name.toLowerCase() === name.toLowerCase())) {
+      this.showNotification('A goal with this name already exists.', 'error');
       return;
     }
-    
-    // Ensure negative values for negative category
-    if (category === 'negative' && value > 0) value = -value;
-    
-    // Ensure positive values for positive category  
-    if (category === 'positive' && value < 0) value = Math.abs(value);
 
-    try {
-      // Check for duplicate name in same category
-      const { data: existing, error: checkError } = await supabase
-        .from('action_types')
-        .select('id')
-        .eq('user_id', this.user.id)
-        .eq('name', name)
-        .eq('category', category);
+    const existing = goals.find(item => item.id === goalId);
+    const goal = { ...existing, id: goalId || `goal-${Date.now()}`, name, targetGoal, deadline, actionTypeIds };
+    await this.saveGoals(goalId ? goals.map(item => item.id === goalId ? goal : item) : [...goals, goal]);
+    this.closeGoalModal();
+    this.showNotification(goalId ? `"${name}" updated` : `"${name}" added`, 'success');
+  }
 
-      if (checkError) {
-        this.showNotification('Error checking for duplicates.', 'error');
-        return;
-      }
+  // Goal cycles: close the current season into settings.seasons and start the goal again from a fresh amount
 
-      if (existing && existing.length > 0) {
-        this.showNotification('An action type with this name already exists in this category.', 'error');
-        return;
-      }
+  getSeasons() {
+    return this.data.settings?.seasons || [];
+  }
 
-      const { error } = await supabase
-        .from('action_types')
-        .insert({
-          name,
-          value,
-          category,
-          is_default: false,
-          user_id: this.user.id
-        });
+  // First day of a goal's current cycle: when it was last cycled, otherwise its first counted action
+  getGoalCycleStart(goal) {
+    if (goal.cycleStart) return goal.cycleStart;
+    const dates = (this.data.actions || [])
+      .filter(action => this.goalCountsAction(goal, action))
+      .map(action => getDateString(action.date))
+      .sort();
+    return dates[0] || getTodayString();
+  }
 
-      if (!error) {
-        this.showConfirmationModal(
-          'Action Type Added!',
-          `Successfully added "${name}" to ${category} actions with value ${value > 0 ? '+' : ''}${formatCurrency(value)}.`,
-          'success'
-        );
-        await this.loadActionTypes();
-        this.renderProfile();
-        this.renderQuickActions();
-        this.populateActionTypeSelects();
-        valueInput.value = '';
-        document.getElementById(`new${category.charAt(0).toUpperCase() + category.slice(1)}ActionName`).value = '';
-      } else {
-        console.error('Database error adding action type:', error);
-        if (error.code === '23505') {
-          this.showConfirmationModal(
-            'Duplicate Action Type',
-            'An action type with this name already exists. Please choose a different name.',
-            'warning'
-          );
-        } else {
-          this.showConfirmationModal(
-            'Database Error',
-            'Failed to save action type to database. Please try again.',
-            'error'
-          );
+  showCloseCycleModal(goalId) {
+    const goal = this.getGoals().find(item => item.id === goalId);
+    if (!goal) return;
+
+    const stats = this.calculateStats(null, goal);
+    const tomorrow = getDateString(addDays(getToday(), 1));
+    const earliestStart = goal.cycleStart && goal.cycleStart >= getTodayString()
+      ? getDateString(addDays(parseDateString(goal.cycleStart), 1))
+      : getTodayString();
+
+    document.getElementById('closeCycleModal')?.remove();
+    document.body.insertAdjacentHTML('beforeend', `
+      <div class="modal-overlay active" id="closeCycleModal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3>Close Season ${goal.season || 1} of "${goal.name}"</h3>
+            <button class="modal-close" onclick="document.getElementById('closeCycleModal').remove()">×</button>
+          </div>
+          <div class="modal-body">
+            <p style="margin-bottom: var(--space-16); color: var(--color-text-secondary);">
+              This season's totals and badges are archived under Past Seasons. Your actions stay as they are -
+              only the new season's progress and badges start from zero.
+            </p>
+            <div class="habit-detail-stats">
+              <div class="stat-card">
+                <span class="stat-label">Started At</span>
+                <span class="stat-value">${formatCurrency(goal.targetGoal)}</span>
+              </div>
+              <div class="stat-card">
+                <span class="stat-label">Ending Debt</span>
+                <span class="stat-value">${formatCurrency(stats.currentDebt)}</span>
+              </div>
+            </div>
+            <div class="form-container">
+              <div class="form-group">
+                <label class="form-label" for="newCycleAmount">New starting debt (₹)</label>
+                <input type="number" class="form-control" id="newCycleAmount" min="1" value="${goal.targetGoal}">
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="newCycleStart">New season starts on</label>
+                <input type="date" class="form-control" id="newCycleStart" min="${earliestStart}" value="${tomorrow >= earliestStart ? tomorrow : earliestStart}">
+                <small class="form-hint">Actions from this day on count toward the new season.</small>
+              </div>
+            </div>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn--secondary" onclick="document.getElementById('closeCycleModal').remove()">Cancel</button>
+            <button class="btn btn--primary" onclick="app.closeGoalCycle('${goal.id}')">Start New Season</button>
+          </div>
+        </div>
+      </div>
+    `);
+  }
+
+  async closeGoalCycle(goalId) {
+    const goals = this.getGoals();
+    const goal = goals.find(item => item.id === goalId);
+    if (!goal) return;
+
+    const targetGoal = parseInt(document.getElementById('newCycleAmount')?.value);
+    const newStart = document.getElementById('newCycleStart')?.value || '';
+    const cycleStart = this.getGoalCycleStart(goal);
+
+    if (isNaN(targetGoal) || targetGoal <= 0 || targetGoal > CONFIG.MAX_GOAL_AMOUNT) {
+      this.showNotification(`Please enter a starting amount between ₹1 and ${formatCurrency(CONFIG.MAX_GOAL_AMOUNT)}.`, 'error');
+      return;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(newStart) || newStart < getTodayString() || newStart <= cycleStart) {
+      this.showNotification('The new season must start today or later, after the current one began.', 'error');
+      return;
+    }
+
+    // Freeze the closing season: its ledger covers every counted action before the new start
+    const closingGoal = { ...goal, cycleStart };
+    const ledger = (this.data.actions || []).filter(action =>
+      this.goalCountsAction(closingGoal, action) && getDateString(action.date) < newStart
+    );
+    const totalEarned = ledger.reduce((sum, action) => sum + Math.max(0, action.value ?? this.getActionValue(action)), 0);
+    const totalLost = ledger.reduce((sum, action) => sum + Math.abs(Math.min(0, action.value ?? this.getActionValue(action))), 0);
+    const endingDebt = Math.max(0, goal.targetGoal - totalEarned + totalLost);
+    const badges = this.getEvaluatedBadges()
+      .filter(badge => (badge.type !== 'savings' || badge.goalId === goal.id) && this.getBadgeProgress(badge) >= badge.requirement)
+      .map(badge => `${badge.icon} ${badge.name}`);
+
+    const season = {
+      id: `season-${Date.now()}`,
+      goalId: goal.id,
+      goalName: goal.name,
+      season: goal.season || 1,
+      start: cycleStart,
+      end: getDateString(addDays(parseDateString(newStart), -1)),
+      targetGoal: goal.targetGoal,
+      totalEarned,
+      totalLost,
+      endingDebt,
+      actionCount: ledger.length,
+      badges,
+      closedAt: new Date().toISOString()
+    };
+
+    const nextGoal = { ...goal, targetGoal, cycleStart: newStart, deadline: null, season: (goal.season || 1) + 1 };
+    this.data.settings.seasons = [season, ...this.getSeasons()];
+    document.getElementById('closeCycleModal')?.remove();
+    await this.saveGoals(goals.map(item => item.id === goalId ? nextGoal : item));
+    this.showNotification(`Season ${season.season} of "${goal.name}" archived - good luck with season ${nextGoal.season}!`, 'success');
+  }
+
+  renderPastSeasons() {
+    const seasons = this.getSeasons();
+    if (seasons.length === 0) return '<p class="empty-state">Close a goal\'s season to see its summary here.</p>';
+
+    const formatDay = dateStr => parseDateString(dateStr).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+    return seasons.map(season => `
+      <div class="season-item">
+        <div class="season-header">
+          <strong>${season.goalName} · Season ${season.season}</strong>
+          <span class="season-result ${season.endingDebt <= 0 ? 'positive' : 'negative'}">${season.endingDebt <= 0 ? '🎉 Cleared' : `${formatCurrency(season.endingDebt)} left`}</span>
+        </div>
+        <small class="season-dates">${formatDay(season.start)} - ${formatDay(season.end)} · ${daysBetween(season.start, season.end) + 1} days · ${season.actionCount} actions</small>
+        <div class="season-totals">
+          <span>Started at ${formatCurrency(season.targetGoal)}</span>
+          <span class="positive">+${formatCurrency(season.totalEarned)}</span>
+          <span class="negative">-${formatCurrency(season.totalLost)}</span>
+        </div>
+        ${season.badges.length > 0 ? `<div class="season-badges">${season.badges.map(badge => `<span class="habit-category-tag">${badge}</span>`).join('')}</div>` : ''}
+      </div>
+    `).join('');
+  }
+
+  async deleteGoal(goalId) {
+    const goals = this.getGoals();
+    const index = goals.findIndex(goal => goal.id === goalId);
+    if (index === -1) return;
+    if (goals.length === 1) {
+      this.showNotification('Keep at least one goal - edit it instead.', 'warning');
+      return;
+    }
+
+    const removed = goals[index];
+    await this.saveGoals(goals.filter(goal => goal.id !== goalId));
+    this.showUndoNotification(`"${removed.name}" deleted`, async () => {
+      const current = this.getGoals();
+      await this.saveGoals([...current.slice(0, index), removed, ...current.slice(index)]);
+    });
+  }
+
+  // Debts: real balances, brought down by the amounts logged with debt payment actions
+
+  getDebts() {
+    return this.data.settings?.debts || [];
+  }
+
+  // Payments dated before the debt was added are already part of its balance
+  getDebtBalance(debt) {
+    const paid = (this.data.actions || [])
+      .filter(action => action.debt_id === debt.id && getDateString(action.date) >= debt.createdAt)
+      .reduce((sum, action) => sum + (action.payment_amount || 0), 0);
+    return Math.max(0, debt.balance - paid);
+  }
+
+  getDebtMonthlyBudget() {
+    const minimums = this.getDebts().reduce((sum, debt) => sum + debt.minimumPayment, 0);
+    return this.data.settings?.debtMonthlyBudget ?? minimums;
+  }
+
+  /**
+   * Month-by-month payoff: interest accrues, every debt gets its minimum, and whatever's left of the
+   * budget goes to the first open debt in strategy order - smallest balance for snowball, highest rate for avalanche
+   * @param {'snowball'|'avalanche'} strategy
+   * @returns {{months: number, totalInterest: number, order: string[], completed: boolean}}
+   */
+  simulateDebtPayoff(debts, monthlyBudget, strategy) {
+    const open = debts
+      .map(debt => ({ name: debt.name, balance: this.getDebtBalance(debt), rate: debt.interestRate, minimum: debt.minimumPayment }))
+      .filter(debt => debt.balance > 0)
+      .sort((a, b) => strategy === 'avalanche'
+        ? b.rate - a.rate || a.balance - b.balance
+        : a.balance - b.balance || b.rate - a.rate);
+
+    const order = [];
+    let months = 0;
+    let totalInterest = 0;
+    while (order.length < open.length && months < CONFIG.MAX_PAYOFF_PLAN_MONTHS) {
+      months++;
+      let available = monthlyBudget;
+      const unpaid = open.filter(debt => debt.balance > 0);
+
+      unpaid.forEach(debt => {
+        const interest = debt.balance * debt.rate / 100 / 12;
+        debt.balance += interest;
+        totalInterest += interest;
+      });
+      unpaid.forEach(debt => {
+        const payment = Math.min(debt.minimum, debt.balance, available);
+        debt.balance -= payment;
+        available -= payment;
+      });
+      unpaid.forEach(debt => {
+        const payment = Math.min(debt.balance, available);
+        debt.balance -= payment;
+        available -= payment;
+        if (debt.balance < 0.01) {
+          debt.balance = 0;
+          order.push(debt.name);
         }
-      }
-    } catch (error) {
-      console.error('Error adding action type:', error);
-      if (error.message?.includes('Network') || error.message?.includes('fetch')) {
-        this.showConfirmationModal(
-          'Connection Error',
-          'Unable to add action type due to network issues. Please check your connection and try again.',
-          'error'
-        );
-      } else {
-        this.showConfirmationModal(
-          'Unexpected Error',
-          'An unexpected error occurred while adding the action type. Please try again.',
-          'error'
-        );
-      }
+      });
     }
+
+    return { months, totalInterest, order, completed: order.length === open.length };
   }
 
-  async deleteActionType(actionTypeId) {
-    if (!confirm('Are you sure you want to delete this action type? This will also delete all associated actions.')) {
+  renderDebtPlanner() {
+    const container = document.getElementById('debtPlanner');
+    if (!container) return;
+
+    if (!container.dataset.listenerAttached) {
+      container.addEventListener('change', (e) => {
+        if (e.target.id === 'debtBudgetInput') this.saveDebtBudget(e.target.value);
+      });
+      container.dataset.listenerAttached = 'true';
+    }
+
+    const debts = this.getDebts();
+    if (debts.length === 0) {
+      container.innerHTML = `<p class="empty-state">Add your debts in Profile to plan how to pay them off.</p>`;
+      return;
+    }
+
+    const budget = this.getDebtMonthlyBudget();
+    const minimums = debts.reduce((sum, debt) => sum + debt.minimumPayment, 0);
+    const remaining = debts.reduce((sum, debt) => sum + this.getDebtBalance(debt), 0);
+    const formatMonth = months => addDays(getToday(), Math.round(months * 30.44)).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+
+    const plans = remaining > 0 ? ['snowball', 'avalanche'].map(strategy => ({ strategy, ...this.simulateDebtPayoff(debts, budget, strategy) })) : [];
+    const best = plans.every(plan => plan.completed)
+      ? plans.reduce((a, b) => b.totalInterest < a.totalInterest - 0.5 ? b : a, plans[0])
+      : null;
+
+    container.innerHTML = `
+      <div class="debt-list">
+        ${debts.map(debt => {
+          const balance = this.getDebtBalance(debt);
+          const paidPercent = debt.balance > 0 ? ((debt.balance - balance) / debt.balance) * 100 : 100;
+          return `
+            <div class="debt-item">
+              <div class="progress-header">
+                <span class="progress-title">${debt.name}</span>
+                <span>${balance > 0 ? formatCurrency(balance) : '🎉 Paid off'}</span>
+              </div>
+              <div class="progress-bar">
+                <div class="progress-fill" style="width: ${paidPercent}%"></div>
+              </div>
+              <small class="action-type-limit">${formatCurrency(debt.balance - balance)} paid of ${formatCurrency(debt.balance)} · ${debt.interestRate}% a year</small>
+            </div>
+          `;
+        }).join('')}
+      </div>
+      ${remaining > 0 ? `
+      <div class="form-group debt-budget">
+        <label class="form-label" for="debtBudgetInput">Monthly budget for debts (₹)</label>
+        <input type="number" class="form-control" id="debtBudgetInput" min="0" step="100" value="${budget}">
+        ${budget < minimums ? `<small class="negative">That's less than the ${formatCurrency(minimums)} of minimum payments.</small>` : ''}
+      </div>
+      <div class="debt-plans">
+        ${plans.map(plan => `
+          <div class="debt-plan ${plan === best ? 'debt-plan--best' : ''}">
+            <strong>${plan.strategy === 'snowball' ? '⛄ Snowball' : '🏔️ Avalanche'}</strong>
+            <small>${plan.strategy === 'snowball' ? 'Smallest balance first' : 'Highest interest first'}</small>
+            ${plan.completed ? `
+              <span>Debt-free in <strong>${plan.months} month${plan.months === 1 ? '' : 's'}</strong> (${formatMonth(plan.months)})</span>
+              <span>${formatCurrency(Math.round(plan.totalInterest))} interest</span>
+            ` : `<span class="negative">Not paid off within ${CONFIG.MAX_PAYOFF_PLAN_MONTHS / 12} years at this budget</span>`}
+            <small>Order: ${plan.order.join(' → ') || '-'}</small>
+          </div>
+        `).join('')}
+      </div>
+      ` : '<p class="progress-description">🎉 Every debt is paid off!</p>'}
+    `;
+  }
+
+  async saveDebtBudget(value) {
+    const budget = parseFloat(value);
+    if (isNaN(budget) || budget < 0) {
+      this.showNotification('Please enter a monthly budget of ₹0 or more.', 'error');
+      this.renderDebtPlanner();
+      return;
+    }
+
+    this.data.settings = { ...this.data.settings, debtMonthlyBudget: budget };
+    await this.saveData();
+    this.renderDebtPlanner();
+  }
+
+  async saveDebts(debts) {
+    this.data.settings = { ...this.data.settings, debts };
+    await this.saveData();
+    this.renderProfile();
+    this.updateDashboardStats();
+  }
+
+  showDebtModal(debtId = null) {
+    const debt = this.getDebts().find(item => item.id === debtId) || null;
+    if (!debt && this.getDebts().length >= CONFIG.MAX_DEBTS) {
+      this.showNotification(`You can track up to ${CONFIG.MAX_DEBTS} debts.`, 'warning');
       return;
     }
 
-    try {
-      // First delete all actions of this type
-      const { error: actionsError } = await supabase
-        .from('actions')
-        .delete()
-        .eq('user_id', this.user.id)
-        .eq('action_type_id', actionTypeId);
-
-      if (actionsError) {
-        console.error('Error deleting actions:', actionsError);
-        this.showNotification('Error deleting associated actions.', 'error');
-        return;
-      }
+    this.closeDebtModal();
+    document.body.insertAdjacentHTML('beforeend', `
+      <div class="modal-overlay active" id="debtModal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3>${debt ? 'Edit Debt' : 'New Debt'}</h3>
+            <button class="modal-close" onclick="app.closeDebtModal()">×</button>
+          </div>
+          <div class="modal-body">
+            <div class="form-container">
+              <div class="form-group">
+                <label class="form-label" for="debtNameInput">Name</label>
+                <input type="text" class="form-control" id="debtNameInput" maxlength="${CONFIG.MAX_DEBT_NAME_LENGTH}" placeholder="e.g. Credit card">
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="debtBalanceInput">Balance${debt ? ` on ${parseDateString(debt.createdAt).toLocaleDateString()}` : ''} (₹)</label>
+                <input type="number" class="form-control" id="debtBalanceInput" min="1" step="0.01" value="${debt?.balance || ''}">
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="debtRateInput">Interest rate (% a year)</label>
+                <input type="number" class="form-control" id="debtRateInput" min="0" max="${CONFIG.MAX_INTEREST_RATE}" step="0.01" value="${debt?.interestRate ?? ''}">
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="debtMinimumInput">Minimum monthly payment (₹)</label>
+                <input type="number" class="form-control" id="debtMinimumInput" min="0" step="0.01" value="${debt?.minimumPayment ?? ''}">
+              </div>
+            </div>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn--secondary" onclick="app.closeDebtModal()">Cancel</button>
+            <button class="btn btn--primary" onclick="app.saveDebt(${debt ? `'${debt.id}'` : 'null'})">${debt ? 'Save Changes' : 'Add Debt'}</button>
+          </div>
+        </div>
+      </div>
+    `);
 
-      // Then delete the action type
-      const { error: typeError } = await supabase
-        .from('action_types')
-        .delete()
-        .eq('id', actionTypeId)
-        .eq('user_id', this.user.id);
+    document.getElementById('debtNameInput').value = debt?.name || '';
+  }
 
-      if (!typeError) {
-        this.showNotification('Action type deleted!', 'success');
-        await this.loadActionTypes();
-        this.renderProfile();
-        this.renderQuickActions();
-        this.populateActionTypeSelects();
-        this.renderRecentActivities();
-      } else {
-        console.error('Error deleting action type:', typeError);
-        this.showNotification('Failed to delete action type.', 'error');
-      }
-    } catch (error) {
-      console.error('Error in deleteActionType:', error);
-      this.showNotification('An error occurred while deleting the action type.', 'error');
-    }
+  closeDebtModal() {
+    document.getElementById('debtModal')?.remove();
   }
 
-  async removeDuplicateDefaultActions() {
-    if (!this.user) {
-      this.showNotification('User not logged in.', 'error');
+  async saveDebt(debtId) {
+    const name = sanitizeInput(document.getElementById('debtNameInput')?.value || '');
+    const balance = parseFloat(document.getElementById('debtBalanceInput')?.value);
+    const interestRate = parseFloat(document.getElementById('debtRateInput')?.value) || 0;
+    const minimumPayment = parseFloat(document.getElementById('debtMinimumInput')?.value) || 0;
+
+    if (!name || name.length > CONFIG.MAX_DEBT_NAME_LENGTH) {
+      this.showNotification(`Debt names must be 1-${CONFIG.MAX_DEBT_NAME_LENGTH} characters.`, 'error');
+      return;
+    }
+    if (isNaN(balance) || balance <= 0 || balance > CONFIG.MAX_GOAL_AMOUNT) {
+      this.showNotification(`Please enter a balance between ₹1 and ${formatCurrency(CONFIG.MAX_GOAL_AMOUNT)}.`, 'error');
+      return;
+    }
+    if (interestRate < 0 || interestRate > CONFIG.MAX_INTEREST_RATE) {
+      this.showNotification(`Interest rates must be between 0% and ${CONFIG.MAX_INTEREST_RATE}%.`, 'error');
+      return;
+    }
+    if (minimumPayment < 0 || minimumPayment > balance) {
+      this.showNotification('The minimum payment must be between ₹0 and the balance.', 'error');
       return;
     }
 
-    if (!confirm('Are you sure you want to remove duplicate action types? This action cannot be undone.')) {
+    const debts = this.getDebts();
+    if (debts.some(debt => debt.id !== debtId && debt.name.toLowerCase() === name.toLowerCase())) {
+      this.showNotification('A debt with this name already exists.', 'error');
       return;
     }
 
-    try {
-      // Get all action types for current user
-      const { data: actionTypes, error } = await supabase
-        .from('action_types')
-        .select('*')
-        .eq('user_id', this.user.id)
-        .order('id', { ascending: true });
-        
-      if (error) {
-        console.error('Error fetching action types:', error);
-        this.showNotification('Failed to fetch action types.', 'error');
-        return;
-      }
+    const existing = debts.find(item => item.id === debtId);
+    const debt = { createdAt: getTodayString(), ...existing, id: debtId || `debt-${Date.now()}`, name, balance, interestRate, minimumPayment };
+    await this.saveDebts(debtId ? debts.map(item => item.id === debtId ? debt : item) : [...debts, debt]);
+    this.closeDebtModal();
+    this.showNotification(debtId ? `"${name}" updated` : `"${name}" added`, 'success');
+  }
 
-      if (!actionTypes || actionTypes.length === 0) {
-        this.showNotification('No action types found.', 'info');
-        return;
-      }
+  // Payments logged against a deleted debt keep their amount but no longer count anywhere
+  async deleteDebt(debtId) {
+    const debts = this.getDebts();
+    const index = debts.findIndex(debt => debt.id === debtId);
+    if (index === -1) return;
+
+    const removed = debts[index];
+    await this.saveDebts(debts.filter(debt => debt.id !== debtId));
+    this.showUndoNotification(`"${removed.name}" deleted`, async () => {
+      const current = this.getDebts();
+      await this.saveDebts([...current.slice(0, index), removed, ...current.slice(index)]);
+    });
+  }
 
-      // Build a map: key = name|category|value, value = array of action type objects
-      const keyMap = {};
-      for (const type of actionTypes) {
-        const key = `${type.name.trim().toLowerCase()}|${type.category}|${type.value}`;
-        if (!keyMap[key]) keyMap[key] = [];
-        keyMap[key].push(type);
-      }
+  // Spending journal: amounts recorded on actions of spending types
 
-      // For each key, keep the first (lowest ID), delete the rest
-      const toDelete = [];
-      const toKeep = [];
-      Object.entries(keyMap).forEach(([key, arr]) => {
-        if (arr.length > 1) {
-          // Sort by ID ascending, keep the first
-          arr.sort((a, b) => a.id - b.id);
-          const keep = arr[0];
-          const remove = arr.slice(1);
-          toKeep.push(keep);
-          remove.forEach(type => toDelete.push(type.id));
-          console.log(`Duplicate key: ${key} - Keeping ID ${keep.id}, deleting IDs:`, remove.map(t => t.id));
-        }
+  /**
+   * Amounts spent per month, newest first, with per-category totals
+   * @returns {{month: string, total: number, categories: Object<string, number>}[]}
+   */
+  getSpendingByMonth() {
+    const months = {};
+    (this.data.actions || [])
+      .filter(action => action.spent_amount > 0)
+      .forEach(action => {
+        const month = getDateString(action.date).slice(0, 7);
+        const category = action.spending_category || 'Uncategorized';
+        months[month] = months[month] || { month, total: 0, categories: {} };
+        months[month].total += action.spent_amount;
+        months[month].categories[category] = (months[month].categories[category] || 0) + action.spent_amount;
       });
+    return Object.values(months).sort((a, b) => b.month.localeCompare(a.month));
+  }
 
-      if (toDelete.length === 0) {
-        this.showNotification('No duplicate action types found.', 'info');
-        return;
-      }
+  getMonthSpending(month) {
+    return this.getSpendingByMonth().find(entry => entry.month === month)?.total || 0;
+  }
 
-      // Before deleting, update any existing actions that reference the duplicate action types
-      for (const duplicateId of toDelete) {
-        // Find which action type should replace this duplicate
-        const duplicateType = actionTypes.find(at => at.id === duplicateId);
-        if (!duplicateType) continue;
+  formatMonth(month) {
+    return parseDateString(`${month}-01`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  }
 
-        const keepType = toKeep.find(kt => 
-          kt.name.trim().toLowerCase() === duplicateType.name.trim().toLowerCase() &&
-          kt.category === duplicateType.category &&
-          kt.value === duplicateType.value
-        );
+  // Warn once a month's spending nears or passes the budget
+  checkSpendingBudget(dateStr) {
+    const budget = this.data.settings?.spendingBudget;
+    if (!budget) return;
 
-        if (keepType) {
-          // Update actions that reference the duplicate to use the keeper
-          const { error: updateError } = await supabase
-            .from('actions')
-            .update({ action_type_id: keepType.id })
-            .eq('user_id', this.user.id)
-            .eq('action_type_id', duplicateId);
+    const month = dateStr.slice(0, 7);
+    const spent = this.getMonthSpending(month);
+    if (spent >= budget) {
+      this.showNotification(`Over budget: ${formatCurrency(spent)} spent of ${formatCurrency(budget)} in ${this.formatMonth(month)}`, 'error', CONFIG.BUDGET_WARNING_DURATION);
+    } else if (spent >= budget * CONFIG.SPENDING_BUDGET_WARNING_RATIO) {
+      this.showNotification(`${formatCurrency(spent)} of your ${formatCurrency(budget)} budget spent in ${this.formatMonth(month)} - ${formatCurrency(budget - spent)} left`, 'warning', CONFIG.BUDGET_WARNING_DURATION);
+    }
+  }
 
-          if (updateError) {
-            console.error('Error updating action references:', updateError);
-          } else {
-            console.log(`Updated actions referencing duplicate ${duplicateId} to use ${keepType.id}`);
-          }
-        }
-      }
+  renderSpending() {
+    const container = document.getElementById('spendingSummary');
+    if (!container) return;
 
-      // Delete all duplicates from DB
-      const { error: delError } = await supabase
-        .from('action_types')
-        .delete()
-        .in('id', toDelete)
-        .eq('user_id', this.user.id); // Extra safety check
+    const budget = this.data.settings?.spendingBudget;
+    const currentMonth = getTodayString().slice(0, 7);
+    const months = this.getSpendingByMonth().slice(0, CONFIG.SPENDING_BREAKDOWN_MONTHS);
+    const spentThisMonth = this.getMonthSpending(currentMonth);
 
-      if (delError) {
-        console.error('Error deleting duplicates:', delError);
-        this.showNotification('Failed to delete duplicate action types.', 'error');
-        return;
-      }
+    const budgetHtml = budget ? (() => {
+      const percent = Math.min(100, (spentThisMonth / budget) * 100);
+      const level = spentThisMonth >= budget ? 'over' : spentThisMonth >= budget * CONFIG.SPENDING_BUDGET_WARNING_RATIO ? 'near' : '';
+      return `
+        <div class="spending-budget ${level ? `spending-budget--${level}` : ''}">
+          <div class="progress-header">
+            <span class="progress-title">${this.formatMonth(currentMonth)}</span>
+            <span>${formatCurrency(spentThisMonth)} of ${formatCurrency(budget)}</span>
+          </div>
+          <div class="progress-bar">
+            <div class="progress-fill" style="width: ${percent}%"></div>
+          </div>
+          <small class="action-type-limit">${spentThisMonth >= budget ? `${formatCurrency(spentThisMonth - budget)} over budget` : `${formatCurrency(budget - spentThisMonth)} left this month`}</small>
+        </div>
+      `;
+    })() : '<p class="form-hint">Set a monthly spending budget in Profile to get warnings before you overspend.</p>';
+
+    container.innerHTML = `
+      ${budgetHtml}
+      ${months.length === 0 ? '<p class="empty-state">Add an amount when you log a spending action to see where the money goes.</p>' : `
+      <div class="spending-months">
+        ${months.map(entry => `
+          <div class="spending-month">
+            <div class="progress-header">
+              <strong>${this.formatMonth(entry.month)}</strong>
+              <span class="negative">${formatCurrency(entry.total)}</span>
+            </div>
+            <div class="spending-categories">
+              ${Object.entries(entry.categories)
+                .sort((a, b) => b[1] - a[1])
+                .map(([category, total]) => `<span class="habit-category-tag">${category} · ${formatCurrency(total)}</span>`)
+                .join('')}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+      `}
+    `;
+  }
 
-      this.showNotification(`Removed ${toDelete.length} duplicate action type${toDelete.length > 1 ? 's' : ''}!`, 'success');
-      
-      // Reload data and update UI
-      await this.loadActionTypes();
-      this.renderAll();
-      
-    } catch (error) {
-      console.error('Error removing duplicates:', error);
-      this.showNotification('An error occurred while removing duplicates.', 'error');
+  // Insights: charts computed from this.data.actions over a chosen date range
+
+  getInsightsRange() {
+    if (this.insightsRange) return this.insightsRange;
+    const end = getTodayString();
+    return { start: getDateString(addDays(getToday(), -(CONFIG.INSIGHTS_DEFAULT_RANGE_DAYS - 1))), end };
+  }
+
+  setInsightsRange(days) {
+    const end = getTodayString();
+    if (days === 'all') {
+      const first = (this.data.actions || []).map(action => getDateString(action.date)).sort()[0];
+      this.insightsRange = { start: first && first < end ? first : end, end };
+    } else {
+      this.insightsRange = { start: getDateString(addDays(getToday(), -(days - 1))), end };
     }
+    this.renderInsights();
   }
 
-  showCustomWorkoutModal(day) {
-    let modal = document.querySelector('.custom-workout-modal');
-    if (modal) modal.remove();
+  // Earliest selectable day: the first logged action, or MAX_PAST_YEARS back if that's earlier
+  getInsightsMinDate() {
+    const yearsBack = getToday();
+    yearsBack.setFullYear(yearsBack.getFullYear() - CONFIG.MAX_PAST_YEARS);
+    const first = (this.data.actions || []).map(action => getDateString(action.date)).sort()[0];
+    const limit = getDateString(yearsBack);
+    return first && first < limit ? first : limit;
+  }
 
-    // Get ALL exercises - combine default routine with any custom additions
-    const customWorkout = this.data.customWorkouts && this.data.customWorkouts[day];
-    const defaultRoutine = this.workoutRoutines[day];
-    
-    let currentExercises = [];
-    
-    // First, add all exercises from the default routine
-    if (defaultRoutine && defaultRoutine.phases) {
-      defaultRoutine.phases.forEach(phase => {
-        if (phase.exercises) {
-          phase.exercises.forEach(exercise => {
-            if (exercise.sets && exercise.reps) {
-              currentExercises.push({
-                name: exercise.name,
-                sets: exercise.sets,
-                reps: exercise.reps,
-                notes: exercise.notes || '',
-                source: 'default'
-              });
-            }
-          });
-        }
-      });
-    }
-    
-    // Then, add any custom exercises (if they exist)
-    if (customWorkout && customWorkout.customExercises) {
-      customWorkout.customExercises.forEach(exercise => {
-        currentExercises.push({
-          name: exercise.name,
-          sets: exercise.sets,
-          reps: exercise.reps,
-          notes: exercise.notes || '',
-          source: 'custom'
-        });
-      });
+  setCustomInsightsRange() {
+    const minDate = this.getInsightsMinDate();
+    const today = getTodayString();
+    let start = document.getElementById('insightsStart')?.value;
+    let end = document.getElementById('insightsEnd')?.value;
+    if (!start || !end) return;
+    if (start > end) {
+      this.showNotification('The start date must be on or before the end date.', 'error');
+      return;
     }
+    start = start < minDate ? minDate : start > today ? today : start;
+    end = end > today ? today : end < start ? start : end;
+    this.insightsRange = { start, end };
+    this.renderInsights();
+  }
+
+  // Charts show single days for short ranges, then weeks, then months
+  getInsightsBucket(dayCount) {
+    if (dayCount <= CONFIG.INSIGHTS_MAX_CHART_POINTS) return 'day';
+    if (dayCount <= CONFIG.INSIGHTS_MAX_CHART_POINTS * 7) return 'week';
+    return 'month';
+  }
+
+  getBucketStart(day, bucket) {
+    if (bucket === 'week') return getDateString(this.getWeekStart(parseDateString(day)));
+    if (bucket === 'month') return `${day.slice(0, 7)}-01`;
+    return day;
+  }
+
+  // Sum each day's net into its bucket: [{ label: first day of the bucket, value, end: last day in range }]
+  groupDailyNet(days, dailyNet, bucket) {
+    const groups = new Map();
+    days.forEach(day => {
+      const label = this.getBucketStart(day, bucket);
+      const group = groups.get(label) || { label, value: 0, end: day };
+      group.value += dailyNet[day];
+      group.end = day;
+      groups.set(label, group);
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Everything the Insights charts need for one date range
+   * @returns {{days: string[], dailyNet: Object<string, number>, bucket: string, periods: {label: string, value: number, end: string}[],
+   *   trend: {label: string, value: number, end: string}[],
+   *   typeCounts: {actionType: Object, count: number}[], heatmap: {actionType: Object, counts: number[]}[],
+   *   weekdayAverages: {day: number, average: number}[]}}
+   */
+  getInsightsData(start, end) {
+    const days = [];
+    for (let day = start; day <= end; day = getDateString(addDays(parseDateString(day), 1))) days.push(day);
+
+    const inRange = (this.data.actions || []).filter(action => {
+      const dateStr = getDateString(action.date);
+      return dateStr >= start && dateStr <= end;
+    });
+
+    const dailyNet = Object.fromEntries(days.map(day => [day, 0]));
+    const byType = new Map();
+    inRange.forEach(action => {
+      dailyNet[getDateString(action.date)] += action.value ?? this.getActionValue(action);
+
+      const actionType = this.findActionType(action.action_type_id);
+      if (!actionType) return;
+      const entry = byType.get(actionType.id) || { actionType, count: 0, counts: [0, 0, 0, 0, 0, 0, 0] };
+      entry.count++;
+      entry.counts[parseDateString(getDateString(action.date)).getDay()]++;
+      byType.set(actionType.id, entry);
+    });
+
+    // Weeks start on Sunday, as in the weekly workout reset; the trend line moves to months when the bars do
+    const bucket = this.getInsightsBucket(days.length);
+
+    const weekdayTotals = Array.from({ length: 7 }, () => ({ total: 0, days: 0 }));
+    days.filter(day => !this.isPausedDate(day)).forEach(day => {
+      const weekday = weekdayTotals[parseDateString(day).getDay()];
+      weekday.total += dailyNet[day];
+      weekday.days++;
+    });
+
+    const types = [...byType.values()].sort((a, b) => b.count - a.count);
+    return {
+      days,
+      dailyNet,
+      bucket,
+      periods: this.groupDailyNet(days, dailyNet, bucket),
+      trend: this.groupDailyNet(days, dailyNet, bucket === 'month' ? 'month' : 'week'),
+      typeCounts: types.map(({ actionType, count }) => ({ actionType, count })),
+      heatmap: types.map(({ actionType, counts }) => ({ actionType, counts })),
+      weekdayAverages: weekdayTotals
+        .map((weekday, day) => ({ day, average: weekday.days > 0 ? weekday.total / weekday.days : null }))
+        .filter(weekday => weekday.average !== null)
+    };
+  }
+
+  // Remaining debt at the end of each period, counting everything the goal has ledgered up to then
+  getBurnDown(goal, periods) {
+    const goalActions = (this.data.actions || [])
+      .filter(action => this.goalCountsAction(goal, action))
+      .map(action => ({ date: getDateString(action.date), value: action.value ?? this.getActionValue(action) }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    let index = 0;
+    let net = 0;
+    return periods.map(period => {
+      while (index < goalActions.length && goalActions[index].date <= period.end) net += goalActions[index++].value;
+      return { label: period.end, value: Math.max(0, goal.targetGoal - net) };
+    });
+  }
+
+  // Vertical scale shared by the charts; always includes zero
+  getChartScale(values, height, padding) {
+    const max = Math.max(0, ...values);
+    const min = Math.min(0, ...values);
+    const span = max - min || 1;
+    return { max, min, y: value => padding + ((max - value) / span) * (height - padding * 2) };
+  }
+
+  renderBarChart(points, label) {
+    const width = 600;
+    const height = 200;
+    const padding = 20;
+    const scale = this.getChartScale(points.map(point => point.value), height, padding);
+    const barWidth = (width - padding * 2) / Math.max(points.length, 1);
+    const zeroY = scale.y(0);
+
+    return `
+      <svg class="insights-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">
+        <line class="chart-axis" x1="${padding}" x2="${width - padding}" y1="${zeroY}" y2="${zeroY}"></line>
+        ${points.map((point, index) => {
+          const y = scale.y(point.value);
+          return `
+            <rect class="chart-bar ${point.value >= 0 ? 'chart-bar--positive' : 'chart-bar--negative'}"
+                  x="${padding + index * barWidth + barWidth * 0.1}" y="${Math.min(y, zeroY)}"
+                  width="${Math.max(barWidth * 0.8, 1)}" height="${Math.abs(zeroY - y)}">
+              <title>${point.label}: ${point.value >= 0 ? '+' : '-'}${formatCurrency(point.value)}</title>
+            </rect>
+          `;
+        }).join('')}
+        ${this.renderChartLabels(points, scale, width, height, padding)}
+      </svg>
+    `;
+  }
+
+  renderLineChart(points, label) {
+    const width = 600;
+    const height = 200;
+    const padding = 20;
+    const scale = this.getChartScale(points.map(point => point.value), height, padding);
+    const step = (width - padding * 2) / Math.max(points.length - 1, 1);
+    const coordinates = points.map((point, index) => `${padding + index * step},${scale.y(point.value)}`).join(' ');
+
+    return `
+      <svg class="insights-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">
+        <line class="chart-axis" x1="${padding}" x2="${width - padding}" y1="${scale.y(0)}" y2="${scale.y(0)}"></line>
+        <polyline class="chart-line" points="${coordinates}"></polyline>
+        ${points.length <= 60 ? points.map((point, index) => `
+          <circle class="chart-point" cx="${padding + index * step}" cy="${scale.y(point.value)}" r="3">
+            <title>${point.label}: ${point.value < 0 ? '-' : ''}${formatCurrency(point.value)}</title>
+          </circle>
+        `).join('') : ''}
+        ${this.renderChartLabels(points, scale, width, height, padding)}
+      </svg>
+    `;
+  }
+
+  // Top and bottom of the scale, plus the first and last day along the bottom
+  renderChartLabels(points, scale, width, height, padding) {
+    const formatLabel = dateStr => parseDateString(dateStr).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+    return `
+      <text class="chart-label" x="${padding}" y="${padding - 6}">${formatCurrency(scale.max)}</text>
+      ${scale.min < 0 ? `<text class="chart-label" x="${padding}" y="${height - 4}">-${formatCurrency(scale.min)}</text>` : ''}
+      ${points.length > 0 ? `
+        <text class="chart-label" x="${width - padding}" y="${height - 4}" text-anchor="end">${formatLabel(points[0].label)} - ${formatLabel(points[points.length - 1].label)}</text>
+      ` : ''}
+    `;
+  }
 
-    const exercisesHTML = currentExercises.map((ex, index) => `
-      <div class="exercise-item" data-index="${index}" data-source="${ex.source || 'custom'}">
-        <div class="exercise-inputs">
-          <div class="input-group">
-            <label>Exercise Name ${ex.source === 'default' ? '(Default)' : '(Custom)'}</label>
-            <input type="text" class="exercise-input" value="${ex.name}" placeholder="e.g., Push-ups" ${ex.source === 'default' ? 'readonly' : ''}>
-          </div>
-          <div class="input-group">
-            <label>Sets</label>
-            <input type="number" class="exercise-input" value="${ex.sets || ''}" placeholder="3" min="1" ${ex.source === 'default' ? 'readonly' : ''}>
-          </div>
-          <div class="input-group">
-            <label>Reps</label>
-            <input type="text" class="exercise-input" value="${ex.reps || ''}" placeholder="e.g., 10-12" ${ex.source === 'default' ? 'readonly' : ''}>
-          </div>
+  renderTypeCountChart(typeCounts) {
+    const width = 600;
+    const rowHeight = 26;
+    const labelWidth = 200;
+    const max = Math.max(1, ...typeCounts.map(entry => entry.count));
+
+    return `
+      <svg class="insights-chart" viewBox="0 0 ${width} ${typeCounts.length * rowHeight}" role="img" aria-label="Logs per action type">
+        ${typeCounts.map(({ actionType, count }, index) => `
+          <text class="chart-label" x="0" y="${index * rowHeight + 17}">${actionType.icon ? `${actionType.icon} ` : ''}${actionType.name}</text>
+          <rect class="chart-bar ${actionType.value >= 0 ? 'chart-bar--positive' : 'chart-bar--negative'}"
+                x="${labelWidth}" y="${index * rowHeight + 4}" height="${rowHeight - 8}"
+                width="${Math.max(((width - labelWidth - 40) * count) / max, 2)}"
+                ${actionType.color ? `style="fill: ${actionType.color}"` : ''}></rect>
+          <text class="chart-label" x="${labelWidth + ((width - labelWidth - 40) * count) / max + 6}" y="${index * rowHeight + 17}">${count}</text>
+        `).join('')}
+      </svg>
+    `;
+  }
+
+  renderWeekdayHeatmap(heatmap) {
+    const max = Math.max(1, ...heatmap.flatMap(row => row.counts));
+    return `
+      <table class="insights-heatmap">
+        <thead>
+          <tr><th></th>${CONFIG.WEEKDAY_LABELS.map(label => `<th>${label}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+          ${heatmap.map(({ actionType, counts }) => `
+            <tr>
+              <th>${this.renderActionTypeLabel(actionType)}</th>
+              ${counts.map((count, day) => `
+                <td class="${actionType.value >= 0 ? 'heat--positive' : 'heat--negative'}" style="--heat: ${count / max}"
+                    title="${actionType.name} on ${CONFIG.WEEKDAY_LABELS[day]}: ${count}">${count || ''}</td>
+              `).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  renderBestWorstDays(data) {
+    const formatDay = dateStr => parseDateString(dateStr).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+    const formatNet = value => `<span class="${value >= 0 ? 'positive' : 'negative'}">${value >= 0 ? '+' : '-'}${formatCurrency(Math.round(value))}</span>`;
+    const loggedDays = new Set((this.data.actions || []).map(action => getDateString(action.date)));
+    const activeDays = data.days
+      .filter(day => loggedDays.has(day))
+      .map(day => ({ day, net: data.dailyNet[day] }))
+      .sort((a, b) => b.net - a.net);
+    if (activeDays.length === 0) return '<p class="empty-state">Nothing logged in this range.</p>';
+
+    const weekdays = [...data.weekdayAverages].sort((a, b) => b.average - a.average);
+    const best = activeDays.filter(entry => entry.net > 0).slice(0, CONFIG.INSIGHTS_TOP_DAYS);
+    const worst = activeDays.filter(entry => entry.net < 0).slice(-CONFIG.INSIGHTS_TOP_DAYS).reverse();
+
+    return `
+      <div class="insights-days">
+        <div>
+          <h4>Best days</h4>
+          ${best.map(entry => `<p>${formatDay(entry.day)} ${formatNet(entry.net)}</p>`).join('') || '<p>-</p>'}
+        </div>
+        <div>
+          <h4>Worst days</h4>
+          ${worst.map(entry => `<p>${formatDay(entry.day)} ${formatNet(entry.net)}</p>`).join('') || '<p>-</p>'}
         </div>
-        ${ex.source === 'default' ? '' : '<button class="remove-exercise-btn" onclick="this.parentElement.remove()" title="Remove custom exercise"><span>🗑️</span></button>'}
       </div>
-    `).join('');
+      ${weekdays.length > 0 ? `
+      <p class="form-hint">
+        Best weekday: <strong>${CONFIG.WEEKDAY_LABELS[weekdays[0].day]}</strong> (${formatNet(weekdays[0].average)} on average) ·
+        worst: <strong>${CONFIG.WEEKDAY_LABELS[weekdays[weekdays.length - 1].day]}</strong> (${formatNet(weekdays[weekdays.length - 1].average)}). Paused days are left out.
+      </p>
+      ` : ''}
+    `;
+  }
 
-    document.body.insertAdjacentHTML('beforeend', `
-      <div class="custom-workout-modal">
-        <div class="modal-backdrop" onclick="if(event.target === this) document.querySelector('.custom-workout-modal').remove()"></div>
-        <div class="custom-workout-modal-content">
-          <div class="modal-header">
-            <h3>Custom Workout for ${day}</h3>
-            <button class="modal-close" onclick="document.querySelector('.custom-workout-modal').remove()">×</button>
+  renderInsights() {
+    const section = document.getElementById('insights');
+    if (!section) return;
+
+    const { start, end } = this.getInsightsRange();
+    const data = this.getInsightsData(start, end);
+    const goals = this.getGoals();
+    const goal = goals.find(item => item.id === this.insightsGoalId) || goals[0];
+    const rangeDays = data.days.length;
+    const bucketName = { day: 'Day', week: 'Week', month: 'Month' }[data.bucket];
+    const trendName = data.bucket === 'month' ? 'Monthly' : 'Weekly';
+
+    section.innerHTML = `
+      <div class="container">
+        <div class="section-header">
+          <h1>Insights</h1>
+          <p>How your habits add up over time</p>
+        </div>
+
+        <div class="card insights-range">
+          <div class="card__body">
+            <div class="forecast-windows" role="group" aria-label="Date range">
+              ${CONFIG.INSIGHTS_RANGES.map(days => `
+                <button class="btn btn--outline btn--sm forecast-window-btn ${start === getDateString(addDays(getToday(), -(days - 1))) && end === getTodayString() ? 'active' : ''}" onclick="app.setInsightsRange(${days})">${days}d</button>
+              `).join('')}
+              <button class="btn btn--outline btn--sm forecast-window-btn" onclick="app.setInsightsRange('all')">All time</button>
+            </div>
+            <div class="insights-range-inputs">
+              <input type="date" class="form-control" id="insightsStart" value="${start}" min="${this.getInsightsMinDate()}" max="${getTodayString()}" aria-label="From">
+              <span>to</span>
+              <input type="date" class="form-control" id="insightsEnd" value="${end}" max="${getTodayString()}" aria-label="To">
+            </div>
           </div>
-          <div class="modal-body">
-            <div class="exercises-section">
-              <div class="section-title">
-                <h4>Exercises</h4>
-                <button class="btn-add-exercise" onclick="app.addCustomExerciseField()">
-                  <span>+</span> Add Exercise
-                </button>
-              </div>
-              <div id="custom-exercises-container" class="exercises-container">
-                ${exercisesHTML || '<div class="no-exercises">No exercises added yet. Click "Add Exercise" to start.</div>'}
-              </div>
+        </div>
+
+        <div class="insights-grid">
+          <div class="card">
+            <div class="card__body">
+              <h3>Net Points per ${bucketName}</h3>
+              ${this.renderBarChart(data.periods, `Net points per ${bucketName.toLowerCase()}`)}
             </div>
           </div>
-          <div class="modal-footer">
-            <button class="btn btn--outline" onclick="document.querySelector('.custom-workout-modal').remove()">Cancel</button>
-            ${customWorkout ? `<button class="btn btn--secondary" onclick="app.restoreDefaultWorkout('${day}')" style="margin-right: 8px;">Restore Default</button>` : ''}
-            <button class="btn btn--primary" onclick="app.saveCustomWorkout('${day}')">Save Workout</button>
+
+          <div class="card">
+            <div class="card__body">
+              <h3>${trendName} Net Points</h3>
+              ${this.renderLineChart(data.trend, `Net points per ${trendName === 'Monthly' ? 'month' : 'week'}`)}
+            </div>
           </div>
-        </div>
-      </div>
-    `);
-    
 
-  }
+          <div class="card">
+            <div class="card__body">
+              <div class="progress-overview-header">
+                <h3>Debt Burn-down</h3>
+                ${goals.length > 1 ? `
+                <select class="form-control" id="insightsGoalSelect" aria-label="Goal">
+                  ${goals.map(item => `<option value="${item.id}" ${item.id === goal.id ? 'selected' : ''}>${item.name}</option>`).join('')}
+                </select>
+                ` : ''}
+              </div>
+              ${this.renderLineChart(this.getBurnDown(goal, data.periods), `Remaining ${goal.name} debt per ${bucketName.toLowerCase()}`)}
+            </div>
+          </div>
 
-  addCustomExerciseField() {
-    const container = document.getElementById('custom-exercises-container');
-    
-    // Remove the "no exercises" message if it exists
-    const noExercisesMsg = container.querySelector('.no-exercises');
-    if (noExercisesMsg) {
-      noExercisesMsg.remove();
-    }
-    
-    container.insertAdjacentHTML('beforeend', `
-      <div class="exercise-item" data-source="custom">
-        <div class="exercise-inputs">
-          <div class="input-group">
-            <label>Exercise Name (Custom)</label>
-            <input type="text" class="exercise-input" placeholder="e.g., Push-ups">
+          <div class="card">
+            <div class="card__body">
+              <h3>Best &amp; Worst Days</h3>
+              ${this.renderBestWorstDays(data)}
+            </div>
           </div>
-          <div class="input-group">
-            <label>Sets (optional)</label>
-            <input type="number" class="exercise-input" placeholder="3" min="0">
+
+          <div class="card">
+            <div class="card__body">
+              <h3>Actions Logged</h3>
+              ${data.typeCounts.length > 0 ? this.renderTypeCountChart(data.typeCounts) : '<p class="empty-state">Nothing logged in this range.</p>'}
+            </div>
           </div>
-          <div class="input-group">
-            <label>Reps (optional)</label>
-            <input type="text" class="exercise-input" placeholder="e.g., 10-12, or time duration">
+
+          <div class="card">
+            <div class="card__body">
+              <h3>Habits by Weekday</h3>
+              ${data.heatmap.length > 0 ? this.renderWeekdayHeatmap(data.heatmap) : '<p class="empty-state">Nothing logged in this range.</p>'}
+              <small class="form-hint">${rangeDays} day${rangeDays === 1 ? '' : 's'}, ${parseDateString(start).toLocaleDateString()} - ${parseDateString(end).toLocaleDateString()}</small>
+            </div>
           </div>
         </div>
-        <button class="remove-exercise-btn" onclick="this.parentElement.remove()" title="Remove exercise">
-          <span>🗑️</span>
-        </button>
       </div>
-    `);
-  }
+    `;
 
-  async saveCustomWorkout(day) {
-    const container = document.getElementById('custom-exercises-container');
-    const customExercises = [];
-    
-    // Only save exercises that are marked as 'custom' (not default) OR don't have data-source attribute (new ones)
-    container.querySelectorAll('.exercise-item').forEach(item => {
-      const dataSource = item.getAttribute('data-source');
-      if (dataSource === 'custom' || !dataSource) {
-        const inputs = item.querySelectorAll('.exercise-input');
-        const name = inputs[0].value.trim();
-        const sets = parseInt(inputs[1].value, 10) || 0; // Default to 0 if empty
-        const reps = inputs[2].value.trim() || 'As needed'; // Default text if empty
-        
-        if (name) { // Only name is required now
-          customExercises.push({ 
-            name, 
-            sets: sets || 0, 
-            reps: reps || 'As needed', 
-            notes: 'Custom exercise' 
-          });
-        }
-      }
+    document.getElementById('insightsStart')?.addEventListener('change', () => this.setCustomInsightsRange());
+    document.getElementById('insightsEnd')?.addEventListener('change', () => this.setCustomInsightsRange());
+    document.getElementById('insightsGoalSelect')?.addEventListener('change', (e) => {
+      this.insightsGoalId = e.target.value;
+      this.renderInsights();
     });
+  }
 
-    console.log('HabitideApp: Saving custom exercises for', day, 'with', customExercises.length, 'custom exercises');
+  // Per-habit targets
 
-    if (!this.data.customWorkouts) {
-      this.data.customWorkouts = {};
-    }
+  describeFrequency(frequency) {
+    if (frequency?.type === 'daily') return 'Every day';
+    if (frequency?.type === 'weekly') return `${frequency.times}× per week`;
+    if (frequency?.type === 'weekdays') return this.describeReminderDays(frequency.days);
+    return 'No target';
+  }
 
-    if (customExercises.length > 0) {
-      // Store only the custom exercises, default exercises remain in workoutRoutines
-      this.data.customWorkouts[day] = {
-        customExercises: customExercises,
-        hasCustom: true
-      };
-      
-      console.log('HabitideApp: Custom exercises saved:', this.data.customWorkouts[day]);
-      
-      // Save to database
-      await this.saveData();
-      this.showNotification(`Added ${customExercises.length} custom exercise(s) to ${day}!`, 'success');
-    } else {
-      // Check if there were previously custom exercises to determine the message
-      const hadCustom = this.data.customWorkouts && this.data.customWorkouts[day];
-      
-      if (hadCustom) {
-        // Remove custom workout if no custom exercises
-        delete this.data.customWorkouts[day];
-        await this.saveData();
-        this.showNotification('All custom exercises removed.', 'info');
-      } else {
-        this.showNotification('No custom exercises to save. Please add at least one exercise.', 'warning');
-      }
-    }
-   
-    document.querySelector('.custom-workout-modal').remove();
-    this.renderWorkoutDay(day);
+  // Targets apply from when the habit was created, or its first log if that's earlier
+  getHabitStartDate(actionType) {
+    const dates = (this.data.actions || [])
+      .filter(action => action.action_type_id === actionType.id)
+      .map(action => getDateString(action.date));
+    if (actionType.created_at) dates.push(getHabitDateString(actionType.created_at));
+    return dates.sort()[0] || getTodayString();
   }
 
-  restoreDefaultWorkout(day) {
-    if (confirm(`Restore the default workout for ${day}? This will replace your current custom workout.`)) {
-      // Remove custom workout for this day
-      if (this.data.customWorkouts && this.data.customWorkouts[day]) {
-        delete this.data.customWorkouts[day];
-      }
-      
-      // Clear workout state for this day to reset progress
-      if (this.data.workoutState && this.data.workoutState[day]) {
-        delete this.data.workoutState[day];
+  /**
+   * The periods a habit's target is judged over, newest first: days for daily and
+   * weekday targets (only the scheduled days), weeks for N-times-per-week targets
+   * @returns {{date: string, count: number, met: boolean, inProgress: boolean}[]}
+   */
+  getHabitPeriods(actionType) {
+    const { frequency } = actionType;
+    const countsByDate = new Map();
+    (this.data.actions || [])
+      .filter(action => action.action_type_id === actionType.id)
+      .forEach(action => {
+        const dateStr = getDateString(action.date);
+        countsByDate.set(dateStr, (countsByDate.get(dateStr) || 0) + 1);
+      });
+
+    const start = this.getHabitStartDate(actionType);
+    const today = getToday();
+    const periods = [];
+
+    if (frequency.type === 'weekly') {
+      let weekStart = this.getWeekStart(today);
+      for (let week = 0; getDateString(addDays(weekStart, 6)) >= start && week * 7 < CONFIG.MAX_STREAK_CALCULATION_DAYS; week++) {
+        let count = 0;
+        let activeDays = 0;
+        for (let offset = 0; offset < 7; offset++) {
+          const dateStr = getDateString(addDays(weekStart, offset));
+          count += countsByDate.get(dateStr) || 0;
+          if (!this.isPausedDate(dateStr)) activeDays++;
+        }
+        // Paused days lower the week's target in proportion; a fully paused week is skipped
+        if (activeDays > 0) {
+          const target = Math.ceil(frequency.times * activeDays / 7);
+          periods.push({ date: getDateString(weekStart), count, met: count >= target, inProgress: week === 0 });
+        }
+        weekStart = addDays(weekStart, -7);
       }
-      
-      // Save changes
-      this.saveData();
-      
-      // Close modal and refresh workout display
-      document.querySelector('.custom-workout-modal').remove();
-      this.renderWorkoutDay(day);
-      
-      this.showNotification(`${day} workout restored to default!`, 'success');
+      return periods;
     }
-  }
 
-  // Method to specifically restore Wednesday supersets
-  restoreWednesdayDefault() {
-    if (confirm('Restore Wednesday to the default superset workout? This will clear any custom workout and progress.')) {
-      // Remove custom workout for Wednesday
-      if (this.data.customWorkouts && this.data.customWorkouts['Wednesday']) {
-        delete this.data.customWorkouts['Wednesday'];
+    const cursor = new Date(today);
+    for (let day = 0; day < CONFIG.MAX_STREAK_CALCULATION_DAYS && getDateString(cursor) >= start; day++) {
+      if (this.isPausedDate(getDateString(cursor))) {
+        cursor.setDate(cursor.getDate() - 1);
+        continue;
       }
-      
-      // Clear workout state for Wednesday to reset progress
-      if (this.data.workoutState && this.data.workoutState['Wednesday']) {
-        delete this.data.workoutState['Wednesday'];
+      if (frequency.type === 'daily' || frequency.days.includes(cursor.getDay())) {
+        const count = countsByDate.get(getDateString(cursor)) || 0;
+        periods.push({ date: getDateString(cursor), count, met: count > 0, inProgress: day === 0 });
       }
-      
-      // Save changes
-      this.saveData();
-      
-      // Refresh workout display
-      this.renderWorkoutDay('Wednesday');
-      
-      this.showNotification('Wednesday workout restored to default supersets!', 'success');
-      console.log('Wednesday default workout restored:', this.workoutRoutines['Wednesday']);
+      cursor.setDate(cursor.getDate() - 1);
     }
+    return periods;
   }
 
-  // Debug method to check Wednesday workout status
-  checkWednesdayWorkout() {
-    console.log('=== Wednesday Workout Status ===');
-    console.log('Default workout exists:', !!this.workoutRoutines['Wednesday']);
-    console.log('Default workout:', this.workoutRoutines['Wednesday']);
-    console.log('Custom workout exists:', !!(this.data.customWorkouts && this.data.customWorkouts['Wednesday']));
-    console.log('Custom workout:', this.data.customWorkouts && this.data.customWorkouts['Wednesday']);
-    console.log('Workout state:', this.data.workoutState && this.data.workoutState['Wednesday']);
-    
-    const customWorkout = this.data.customWorkouts && this.data.customWorkouts['Wednesday'];
-    const routine = customWorkout || this.workoutRoutines['Wednesday'];
-    console.log('Current active workout:', routine);
-    
-    if (this.workoutRoutines['Wednesday']) {
-      const supersetCount = this.workoutRoutines['Wednesday'].phases.filter(phase => phase.type === 'superset').length;
-      console.log('Default workout superset count:', supersetCount);
+  getHabitStats(actionType) {
+    const periods = this.getHabitPeriods(actionType);
+    // The current day or week only counts once it's met - it isn't over yet
+    const judged = periods.filter(period => !period.inProgress || period.met);
+
+    let currentStreak = 0;
+    for (const period of judged) {
+      if (!period.met) break;
+      currentStreak++;
     }
-    
+
+    let bestStreak = 0;
+    let run = 0;
+    [...judged].reverse().forEach(period => {
+      run = period.met ? run + 1 : 0;
+      bestStreak = Math.max(bestStreak, run);
+    });
+
     return {
-      hasDefault: !!this.workoutRoutines['Wednesday'],
-      hasCustom: !!(this.data.customWorkouts && this.data.customWorkouts['Wednesday']),
-      activeWorkout: routine,
-      supersetCount: this.workoutRoutines['Wednesday'] ? 
-        this.workoutRoutines['Wednesday'].phases.filter(phase => phase.type === 'superset').length : 0
+      periods,
+      currentStreak,
+      bestStreak,
+      completionRate: judged.length > 0 ? judged.filter(period => period.met).length / judged.length : 0,
+      unit: actionType.frequency.type === 'weekly' ? 'week' : 'day'
     };
   }
 
-  async addCalendarAction() {
-    const select = document.getElementById('calendarActionType');
-    const actionTypeId = parseInt(select.value);
-    
-    if (!actionTypeId) {
-      this.showNotification('Please select an action type', 'error');
-      return;
-    }
+  getTargetedActionTypes() {
+    return [
+      ...(this.data.actionTypes?.positive || []),
+      ...(this.data.actionTypes?.negative || [])
+    ].filter(type => type.frequency);
+  }
+
+  renderHabitStreaks() {
+    const card = document.getElementById('habitStreaksCard');
+    const container = document.getElementById('habitStreaks');
+    if (!card || !container) return;
 
-    if (!this.selectedDate) {
-      this.showNotification('Please select a date first', 'error');
-      return;
-    }
+    const types = this.getTargetedActionTypes();
+    card.hidden = types.length === 0;
+    if (types.length === 0) return;
 
-    // Use selected date
-    const targetDate = this.selectedDate;
-    const dateString = getDateString(targetDate);
-    
-    // Check if this action already exists for the selected date
-    const actionsForDate = (this.data.actions || []).filter(action => 
-      getDateString(new Date(action.date)) === dateString
-    );
-    
-    const isDuplicate = actionsForDate.some(action => action.action_type_id === actionTypeId);
-    
-    if (isDuplicate) {
-      this.showNotification('This action has already been completed for the selected date', 'warning');
-      return;
+    const summary = document.getElementById('habitStreakSummary');
+    if (summary) {
+      const streak = this.calculateCurrentStreak();
+      summary.textContent = types.some(type => type.frequency.type !== 'weekly')
+        ? `All daily targets met ${streak} day${streak === 1 ? '' : 's'} in a row`
+        : '';
     }
-    
-    await this.addAction(actionTypeId, 0, '', dateString, false); // Manual action from calendar
-    
-    // Refresh calendar and selected date display
-    this.renderCalendarGrid(); // Only re-render the grid, not the whole calendar
-    this.updateSelectedDateActions();
-    this.populateCalendarActionTypes(); // Refresh dropdown to show updated state
-    
-    // Reset select
-    select.value = '';
+
+    container.innerHTML = types.map(type => {
+      const stats = this.getHabitStats(type);
+      return `
+        <button class="habit-streak-item ${type.color ? 'habit-colored' : ''}" style="${this.getHabitColorStyle(type)}" onclick="app.showHabitDetail(${type.id})">
+          <span class="habit-streak-name">${this.renderActionTypeLabel(type)}</span>
+          <span class="habit-streak-meta">${this.describeFrequency(type.frequency)} · ${Math.round(stats.completionRate * 100)}%</span>
+          <span class="habit-streak-count">🔥 ${stats.currentStreak} ${stats.unit}${stats.currentStreak === 1 ? '' : 's'}</span>
+        </button>
+      `;
+    }).join('');
   }
 
-  // Data Export/Backup Feature
-  async exportData() {
-    const dataToExport = {
-      actions: this.data.actions,
-      settings: this.data.settings,
-      workoutProgress: this.data.workoutProgress,
-      customWorkouts: this.data.customWorkouts,
-      workoutState: this.data.workoutState,
-      actionTypes: this.data.actionTypes,
-      exportDate: new Date().toISOString(),
-      appVersion: "1.0.0"
+  // Abstinence counters
+
+  // Stored as { id, since }: since is the habit day tracking began (plain ids predate it)
+  getCleanTrackerEntries() {
+    return (this.data.settings?.cleanTrackers || [])
+      .map(entry => typeof entry === 'object' ? entry : { id: entry, since: null });
+  }
+
+  getCleanTrackers() {
+    return this.getCleanTrackerEntries()
+      .map(entry => this.findActionType(entry.id))
+      .filter(type => type && type.category === 'negative');
+  }
+
+  /**
+   * Clean runs for a negative habit: each relapse ends the run that started after the previous one
+   * (or when tracking began, if no earlier relapse was logged), and the current run counts the days
+   * since the last relapse
+   */
+  getCleanStats(actionType) {
+    const today = getTodayString();
+    const relapseDates = [...new Set((this.data.actions || [])
+      .filter(action => action.action_type_id === actionType.id)
+      .map(action => getDateString(action.date)))]
+      .filter(date => date <= today)
+      .sort();
+
+    const since = this.getCleanTrackerEntries().find(entry => entry.id === actionType.id)?.since;
+    let runStart = [since, relapseDates[0], today].filter(Boolean).sort()[0];
+    const relapses = relapseDates.map(date => {
+      const relapse = { date, cleanDaysBefore: Math.max(0, daysBetween(runStart, date)) };
+      runStart = date;
+      return relapse;
+    });
+
+    const currentClean = Math.max(0, daysBetween(runStart, today));
+    return {
+      currentClean,
+      longestClean: Math.max(currentClean, ...relapses.map(relapse => relapse.cleanDaysBefore)),
+      lastRelapse: relapses.length > 0 ? relapses[relapses.length - 1].date : null,
+      relapses: relapses.reverse()
     };
-    
-    const blob = new Blob([JSON.stringify(dataToExport, null, 2)], {type: 'application/json'});
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `habitide-backup-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
-    this.showNotification('Data exported successfully!', 'success');
   }
 
-  async importData(file) {
-    try {
-      // Enhanced file validation
-      if (!file || !file.size) {
-        throw new Error('No file selected or file is empty');
-      }
+  renderCleanCounters() {
+    const container = document.getElementById('cleanCounters');
+    const select = document.getElementById('cleanTrackerSelect');
+    if (!container || !select) return;
 
-      if (file.size > 10 * 1024 * 1024) { // 10MB limit
-        throw new Error('File is too large. Maximum size is 10MB.');
-      }
+    const trackers = this.getCleanTrackers();
+    container.innerHTML = trackers.map(type => {
+      const stats = this.getCleanStats(type);
+      return `
+        <div class="clean-counter ${type.color ? 'habit-colored' : ''}" style="${this.getHabitColorStyle(type)}">
+          <button class="clean-counter-main" onclick="app.showCleanHistory(${type.id})" title="Relapse history">
+            <span class="clean-counter-days">${stats.currentClean}</span>
+            <span class="clean-counter-label">day${stats.currentClean === 1 ? '' : 's'} clean · ${this.renderActionTypeLabel(type)}</span>
+            <span class="clean-counter-meta">Longest ${stats.longestClean} · ${stats.relapses.length} relapse${stats.relapses.length === 1 ? '' : 's'}</span>
+          </button>
+          <button class="btn btn--outline btn--sm" onclick="app.removeCleanTracker(${type.id})" title="Stop tracking">✕</button>
+        </div>
+      `;
+    }).join('') || '<p class="empty-state">Pick a negative habit to count the days since you last did it.</p>';
 
-      if (!file.name.toLowerCase().endsWith('.json')) {
-        throw new Error('Invalid file format. Please select a JSON file.');
-      }
+    const untracked = (this.data.actionTypes?.negative || []).filter(type => !trackers.includes(type));
+    select.innerHTML = untracked.length > 0
+      ? untracked.map(type => `<option value="${type.id}">${type.icon ? `${type.icon} ` : ''}${type.name}</option>`).join('')
+      : '<option value="">All negative habits are tracked</option>';
+    select.disabled = untracked.length === 0;
+  }
 
-      const text = await file.text();
-      let importedData;
-      
-      try {
-        importedData = JSON.parse(text);
-      } catch (parseError) {
-        throw new Error('Invalid JSON format. File may be corrupted.');
-      }
-      
-      // Enhanced data validation with integrity checks
-      if (!importedData || typeof importedData !== 'object') {
-        throw new Error('Invalid backup file structure');
-      }
+  async addCleanTracker() {
+    const typeId = parseInt(document.getElementById('cleanTrackerSelect')?.value);
+    if (isNaN(typeId)) return;
 
-      if (!importedData.actions || !Array.isArray(importedData.actions)) {
-        throw new Error('Invalid actions data in backup file');
-      }
-      
-      if (!importedData.settings || typeof importedData.settings !== 'object') {
-        throw new Error('Invalid settings data in backup file');
-      }
+    const entries = this.getCleanTrackerEntries();
+    if (entries.some(entry => entry.id === typeId)) return;
 
-      // Validate critical data structures
-      const requiredFields = ['actions', 'settings'];
-      for (const field of requiredFields) {
-        if (!(field in importedData)) {
-          throw new Error(`Missing required field: ${field}`);
-        }
-      }
+    this.data.settings.cleanTrackers = [...entries, { id: typeId, since: getTodayString() }];
+    await this.saveData();
+    this.renderCleanCounters();
+    this.renderBadges('badgesContainer');
+  }
 
-      // Validate action data integrity
-      const invalidActions = importedData.actions.filter(action => {
-        return !action.id || !action.action_type_id || !action.date;
-      });
+  async removeCleanTracker(actionTypeId) {
+    this.data.settings.cleanTrackers = this.getCleanTrackerEntries().filter(entry => entry.id !== actionTypeId);
+    await this.saveData();
+    this.renderCleanCounters();
+    this.renderBadges('badgesContainer');
+  }
 
-      if (invalidActions.length > 0) {
-        throw new Error(`Found ${invalidActions.length} invalid action(s) in backup file`);
-      }
+  showCleanHistory(actionTypeId) {
+    const actionType = this.findActionType(actionTypeId);
+    if (!actionType) return;
 
-      // Validate date formats in actions
-      const invalidDates = importedData.actions.filter(action => {
-        try {
-          const date = new Date(action.date);
-          return isNaN(date.getTime());
-        } catch {
-          return true;
-        }
-      });
+    const stats = this.getCleanStats(actionType);
+    document.getElementById('cleanHistoryModal')?.remove();
+    document.body.insertAdjacentHTML('beforeend', `
+      <div class="modal-overlay active" id="cleanHistoryModal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3>${this.renderActionTypeLabel(actionType)}</h3>
+            <button class="modal-close" onclick="document.getElementById('cleanHistoryModal').remove()">×</button>
+          </div>
+          <div class="modal-body">
+            <div class="habit-detail-stats">
+              <div class="stat-card">
+                <span class="stat-label">Clean Now</span>
+                <span class="stat-value">${stats.currentClean} day${stats.currentClean === 1 ? '' : 's'}</span>
+              </div>
+              <div class="stat-card">
+                <span class="stat-label">Longest Clean</span>
+                <span class="stat-value">${stats.longestClean} day${stats.longestClean === 1 ? '' : 's'}</span>
+              </div>
+            </div>
+            <h4>Relapses</h4>
+            <ul class="value-history">
+              ${stats.relapses.map(relapse => `
+                <li>${parseDateString(relapse.date).toLocaleDateString()} - after ${relapse.cleanDaysBefore} clean day${relapse.cleanDaysBefore === 1 ? '' : 's'}</li>
+              `).join('') || '<li>No relapses logged</li>'}
+            </ul>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn--primary" onclick="document.getElementById('cleanHistoryModal').remove()">Close</button>
+          </div>
+        </div>
+      </div>
+    `);
+  }
 
-      if (invalidDates.length > 0) {
-        throw new Error(`Found ${invalidDates.length} action(s) with invalid dates`);
-      }
+  showHabitDetail(actionTypeId) {
+    const actionType = this.findActionType(actionTypeId);
+    if (!actionType) return;
 
-      // Show confirmation with data summary
-      const exportDate = importedData.exportDate ? 
-        new Date(importedData.exportDate).toLocaleDateString() : 
-        'unknown date';
-      
-      const actionCount = importedData.actions.length;
-      const confirmMessage = `Import data from ${exportDate}?\n\nThis will import ${actionCount} action(s) and overwrite your current data.\n\nThis action cannot be undone.`;
-      
-      const confirmImport = confirm(confirmMessage);
-      
-      if (!confirmImport) return;
-      
-      // Create backup of current data before import
-      const currentBackup = {
-        actions: [...this.data.actions],
-        settings: { ...this.data.settings },
-        workoutProgress: { ...this.data.workoutProgress },
-        customWorkouts: { ...this.data.customWorkouts },
-        workoutState: { ...this.data.workoutState },
-        actionTypes: { ...this.data.actionTypes },
-        backupDate: new Date().toISOString()
-      };
+    const stats = actionType.frequency ? this.getHabitStats(actionType) : null;
+    const entries = (this.data.actions || [])
+      .filter(action => action.action_type_id === actionTypeId)
+      .sort((a, b) => this.compareActionsNewestFirst(a, b));
+    const total = entries.reduce((sum, action) => sum + (action.value || 0), 0);
 
-      try {
-        // Import data with proper merging and validation
-        this.data.actions = importedData.actions.map(action => ({
-          ...action,
-          // Ensure consistent data structure
-          id: action.id,
-          action_type_id: action.action_type_id,
-          date: getDateString(action.date),
-          notes: sanitizeInput(action.notes || ''),
-          user_id: this.user.id // Ensure proper user association
-        }));
+    document.getElementById('habitDetailModal')?.remove();
+    document.body.insertAdjacentHTML('beforeend', `
+      <div class="modal-overlay active" id="habitDetailModal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3>${this.renderActionTypeLabel(actionType)}</h3>
+            <button class="modal-close" onclick="document.getElementById('habitDetailModal').remove()">×</button>
+          </div>
+          <div class="modal-body">
+            <p style="margin-bottom: var(--space-16); color: var(--color-text-secondary);">
+              Target: ${this.describeFrequency(actionType.frequency)}${actionType.habit_category ? ` · ${actionType.habit_category}` : ''}
+            </p>
+            <div class="habit-detail-stats">
+              ${stats ? `
+              <div class="stat-card">
+                <span class="stat-label">Current Streak</span>
+                <span class="stat-value">${stats.currentStreak} ${stats.unit}${stats.currentStreak === 1 ? '' : 's'}</span>
+              </div>
+              <div class="stat-card">
+                <span class="stat-label">Best Streak</span>
+                <span class="stat-value">${stats.bestStreak} ${stats.unit}${stats.bestStreak === 1 ? '' : 's'}</span>
+              </div>
+              <div class="stat-card">
+                <span class="stat-label">Completion</span>
+                <span class="stat-value">${Math.round(stats.completionRate * 100)}%</span>
+              </div>
+              ` : ''}
+              <div class="stat-card">
+                <span class="stat-label">Logged</span>
+                <span class="stat-value">${entries.length}× · ${total >= 0 ? '+' : ''}${formatCurrency(total)}</span>
+              </div>
+            </div>
+            ${stats ? `
+            <div class="habit-detail-history" title="Oldest to newest">
+              ${stats.periods.slice(0, CONFIG.HABIT_DETAIL_PERIODS).reverse().map(period => `
+                <span class="habit-period ${period.met ? 'met' : period.inProgress ? 'pending' : 'missed'}"
+                      title="${period.date}: ${period.count} logged"></span>
+              `).join('')}
+            </div>
+            ` : `
+            <p style="color: var(--color-text-secondary);">Set a target when editing this habit to track streaks and completion.</p>
+            `}
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn--secondary" onclick="document.getElementById('habitDetailModal').remove(); app.showEditActionTypeModal(${actionType.id})">Edit Habit</button>
+            <button class="btn btn--primary" onclick="document.getElementById('habitDetailModal').remove()">Close</button>
+          </div>
+        </div>
+      </div>
+    `);
+  }
 
-        // Merge settings carefully, preserving current user-specific settings
-        this.data.settings = {
-          ...this.data.settings,
-          ...importedData.settings,
-          // Preserve critical user settings
-          userId: this.user.id
-        };
+  findActionType(typeId) {
+    const actionTypesData = this.data.actionTypes || { positive: [], negative: [] };
+    const allActionTypes = [
+      ...(Array.isArray(actionTypesData.positive) ? actionTypesData.positive : []),
+      ...(Array.isArray(actionTypesData.negative) ? actionTypesData.negative : []),
+      ...(Array.isArray(actionTypesData.archived) ? actionTypesData.archived : [])
+    ];
+    return allActionTypes.find(type => type.id === typeId);
+  }
 
-        // Import optional data structures with fallbacks
-        this.data.workoutProgress = importedData.workoutProgress || {};
-        this.data.customWorkouts = importedData.customWorkouts || {};
-        this.data.workoutState = importedData.workoutState || {};
-        
-        if (importedData.actionTypes && 
-            importedData.actionTypes.positive && 
-            importedData.actionTypes.negative) {
-          this.data.actionTypes = importedData.actionTypes;
-        }
+  getHabitCategories() {
+    return this.data.settings?.habitCategories || CONFIG.DEFAULT_HABIT_CATEGORIES;
+  }
 
-        // Invalidate caches after import
-        this.invalidateStatsCache();
-        
-        // Save data with validation
-        await this.saveData();
-        
-        this.showNotification(MESSAGES.SUCCESS.DATA_IMPORTED, 'success');
-        this.renderAll();
-        
-      } catch (saveError) {
-        // Restore backup on save failure
-        console.error('Failed to save imported data, restoring backup:', saveError);
-        this.data = {
-          actions: currentBackup.actions,
-          settings: currentBackup.settings,
-          workoutProgress: currentBackup.workoutProgress,
-          customWorkouts: currentBackup.customWorkouts,
-          workoutState: currentBackup.workoutState,
-          actionTypes: currentBackup.actionTypes
-        };
-        
-        throw new Error('Failed to save imported data. Your original data has been restored.');
-      }
-      
-    } catch (error) {
-      console.error('Import error:', error);
-      this.showNotification(`Import failed: ${error.message}`, 'error');
-    }
+  // Name with the type's emoji in front, for anywhere an action type is shown
+  renderActionTypeLabel(actionType) {
+    return `${actionType.icon ? `<span class="habit-icon">${actionType.icon}</span> ` : ''}${actionType.name}`;
   }
 
-  // Notification System
-  async requestNotificationPermission() {
-    if (!('Notification' in window)) {
-      console.log('This browser does not support notifications');
-      return false;
-    }
+  // Colours end up in inline styles, so only plain hex values are accepted
+  normalizeHabitColor(value) {
+    return /^#[0-9a-f]{6}$/i.test(value || '') ? value : null;
+  }
 
-    if (Notification.permission === 'granted') {
-      this.setupDailyReminder();
-      return true;
-    }
+  // Inline custom property read by .habit-colored to tint an element with the type's colour
+  getHabitColorStyle(actionType) {
+    return actionType?.color ? `--habit-color: ${actionType.color};` : '';
+  }
 
-    if (Notification.permission !== 'denied') {
-      const permission = await Notification.requestPermission();
-      if (permission === 'granted') {
-        this.showNotification('Notifications enabled! You\'ll get daily reminders.', 'success');
-        this.setupDailyReminder();
-        return true;
-      }
-    }
-    
-    return false;
+  // Quantity types declare a unit; their value is points per unit_size units (e.g. 100 per 10 pages)
+  isQuantityType(actionType) {
+    return Boolean(actionType?.unit);
   }
 
-  setupDailyReminder() {
-    // Clear any existing reminder
-    if (this.reminderTimeout) {
-      clearTimeout(this.reminderTimeout);
-    }
+  getActionValue(action) {
+    const actionType = this.findActionType(action.action_type_id);
+    return actionType ? this.computeActionValue(actionType, action.quantity, action.spent_amount, action.penalty_scaled) : 0;
+  }
 
-    const reminderTime = this.data.settings.reminderTime || '20:00';
-    const [hours, minutes] = reminderTime.split(':').map(Number);
-    
-    const scheduleNextReminder = () => {
-      const now = new Date();
-      const reminder = new Date();
-      reminder.setHours(hours, minutes, 0, 0);
-      
-      // If the time has passed today, schedule for tomorrow
-      if (reminder <= now) {
-        reminder.setDate(reminder.getDate() + 1);
-      }
-      
-      const timeUntilReminder = reminder.getTime() - now.getTime();
-      
-      this.reminderTimeout = setTimeout(() => {
-        this.sendDailyReminder();
-        scheduleNextReminder(); // Schedule the next one
-      }, timeUntilReminder);
-    };
+  computeActionValue(actionType, quantity = null, spentAmount = null, penaltyScaled = false) {
+    // A purchase logged with scaling on costs as many points as rupees spent
+    if (penaltyScaled && spentAmount > 0 && this.isSpendingType(actionType)) {
+      return -Math.round(spentAmount);
+    }
+    if (!this.isQuantityType(actionType)) return actionType.value;
+    return Math.round((actionType.value * (Number(quantity) || 0)) / (actionType.unit_size || 1));
+  }
 
-    scheduleNextReminder();
+  formatActionTypeValue(actionType) {
+    const valueText = `${actionType.value > 0 ? '+' : ''}${formatCurrency(actionType.value)}`;
+    if (!this.isQuantityType(actionType)) return valueText;
+    return `${valueText} per ${actionType.unit_size > 1 ? `${actionType.unit_size} ` : ''}${actionType.unit}`;
   }
 
-  sendDailyReminder() {
-    if (Notification.permission === 'granted') {
-      const today = new Date();
-      const todayStr = getDateString(today);
-      const todayActions = this.data.actions.filter(a => getDateString(a.date) === todayStr);
-      
-      let title = '🎯 Habitide Daily Reminder';
-      let body = 'Time to track your daily habits!';
-      
-      if (todayActions.length === 0) {
-        body = 'You haven\'t logged any actions today. Start building your habits!';
-      } else {
-        body = `Great job! You've completed ${todayActions.length} action${todayActions.length > 1 ? 's' : ''} today. Keep it up!`;
-      }
+  formatActionQuantity(action, actionType) {
+    if (!this.isQuantityType(actionType) || action.quantity == null) return '';
+    return ` · ${action.quantity} ${actionType.unit}`;
+  }
 
-      const notification = new Notification(title, {
-        body,
-        icon: '/favicon.ico',
-        badge: '/favicon.ico',
-        tag: 'daily-reminder'
-      });
+  // Several payments can land on the same day
+  allowsMultiple(actionType) {
+    return Boolean(actionType?.allow_multiple) || this.isDebtPaymentType(actionType);
+  }
 
-      notification.onclick = () => {
-        window.focus();
-        notification.close();
-      };
+  isDebtPaymentType(actionType) {
+    return Boolean(actionType?.is_debt_payment);
+  }
 
-      setTimeout(() => notification.close(), 10000); // Auto-close after 10 seconds
-    }
+  formatActionPayment(action) {
+    if (!action.payment_amount) return '';
+    const debt = this.getDebts().find(item => item.id === action.debt_id);
+    return ` · paid ${formatCurrency(action.payment_amount)}${debt ? ` to ${debt.name}` : ''}`;
   }
 
-  // Helper function to diagnose database issues - call from browser console: app.diagnoseDatabaseIssues()
-  async diagnoseDatabaseIssues() {
-    if (!this.user) {
-      console.log("HabitideApp: DIAGNOSTIC - No user logged in");
-      return;
-    }
-    
-    console.log("HabitideApp: DIAGNOSTIC - Starting database diagnostics...");
-    console.log("HabitideApp: DIAGNOSTIC - User ID:", this.user.id);
-    
-    // Test database connection
-    try {
-      const { data, error } = await supabase.from('user_settings').select('*').limit(1);
-      if (error) {
-        console.error("HabitideApp: DIAGNOSTIC - Database connection error:", error);
-      } else {
-        console.log("HabitideApp: DIAGNOSTIC - Database connection successful");
-      }
-    } catch (e) {
-      console.error("HabitideApp: DIAGNOSTIC - Exception during database test:", e);
-    }
-    
-    // Test current settings
-    console.log("HabitideApp: DIAGNOSTIC - Current settings object:", this.data.settings);
-    
-    // Test action types
-    console.log("HabitideApp: DIAGNOSTIC - Action types:", this.data.actionTypes);
-    
-    // Test actions in local data vs database
-    console.log("HabitideApp: DIAGNOSTIC - Local actions count:", this.data.actions.length);
-    console.log("HabitideApp: DIAGNOSTIC - Recent local actions:", this.data.actions.slice(0, 5));
-    
-    try {
-      const { data: dbActions, error } = await supabase
-        .from('actions')
-        .select('*')
-        .eq('user_id', this.user.id)
-        .order('date', { ascending: false })
-        .limit(5);
-        
-      if (error) {
-        console.error("HabitideApp: DIAGNOSTIC - Error fetching actions from DB:", error);
-      } else {
-        console.log("HabitideApp: DIAGNOSTIC - Database actions count:", dbActions.length);
-        console.log("HabitideApp: DIAGNOSTIC - Recent database actions:", dbActions);
-      }
-    } catch (e) {
-      console.error("HabitideApp: DIAGNOSTIC - Exception fetching actions:", e);
+  // Debt and amount fields for payment types, once the user has recorded a debt to pay
+  togglePaymentInput(prefix, typeId, action = null) {
+    const group = document.getElementById(`${prefix}PaymentGroup`);
+    if (!group) return;
+
+    const debts = this.getDebts();
+    group.hidden = !this.isDebtPaymentType(this.findActionType(typeId)) || debts.length === 0;
+
+    const select = document.getElementById(`${prefix}PaymentDebt`);
+    const input = document.getElementById(`${prefix}PaymentAmount`);
+    if (select) {
+      select.innerHTML = debts.map(debt => `
+        <option value="${debt.id}" ${debt.id === action?.debt_id ? 'selected' : ''}>${debt.name} (${formatCurrency(this.getDebtBalance(debt))} left)</option>
+      `).join('');
     }
+    if (input) input.value = action?.payment_amount ?? '';
   }
 
-  async ensureUserHasDefaultActionTypes() {
-    if (!this.user) {
-      console.warn('Cannot seed action types: no user logged in');
-      return false;
-    }
+  /**
+   * The payment entered alongside a payment type
+   * @returns {{debt_id: string, payment_amount: number}|null|undefined} null when there's nothing to record, undefined when the amount is invalid
+   */
+  readPaymentInput(prefix) {
+    const group = document.getElementById(`${prefix}PaymentGroup`);
+    if (!group || group.hidden) return null;
 
-    try {
-      // Check if user already has action types OR if default types exist
-      const { data: existing, error: checkError } = await supabase
-        .from('action_types')
-        .select('id')
-        .or(`user_id.eq.${this.user.id},is_default.eq.true`)
-        .limit(1);
+    const amount = parseFloat(document.getElementById(`${prefix}PaymentAmount`)?.value);
+    if (!(amount > 0)) return undefined;
+    return { debt_id: document.getElementById(`${prefix}PaymentDebt`)?.value, payment_amount: Math.round(amount * 100) / 100 };
+  }
 
-      if (checkError) {
-        console.error('Error checking existing action types:', checkError);
-        return false;
-      }
+  isSpendingType(actionType) {
+    return Boolean(actionType?.is_spending);
+  }
 
-      if (existing && existing.length > 0) {
-        console.log('User already has action types or defaults exist, skipping seeding');
-        return true;
-      }
+  // Saved on each purchase when it's logged, so turning the setting on or off never re-prices past ones
+  isPenaltyScaled(actionType) {
+    return Boolean(this.data.settings?.scaleSpendingPenalty) && this.isSpendingType(actionType);
+  }
 
-      // Default actions to seed - 16 total actions
-      const defaultActions = [
-        // Positive Actions (8 total)
-        { name: 'Workout/Exercise', value: 2000, category: 'positive' },
-        { name: 'Debt Payment', value: 5000, category: 'positive' },
-        { name: 'Healthy Meal', value: 1000, category: 'positive' },
-        { name: 'Meditation', value: 2000, category: 'positive' },
-        { name: 'Early Sleep', value: 2000, category: 'positive' },
-        { name: 'Learning', value: 2000, category: 'positive' },
-        { name: 'See sunrise', value: 5000, category: 'positive' },
-        { name: 'Reading', value: 2000, category: 'positive' },
-        // Negative Actions (8 total)
-        { name: 'Junk Food', value: -2000, category: 'negative' },
-        { name: 'Skipped Workout', value: -3000, category: 'negative' },
-        { name: 'Impulse Purchase', value: -3000, category: 'negative' },
-        { name: 'Porn', value: -5000, category: 'negative' },
-        { name: 'Procrastination', value: -5000, category: 'negative' },
-        { name: 'Miss sunrise', value: -10000, category: 'negative' },
-        { name: 'Overtrading', value: -10000, category: 'negative' },
-        { name: 'Bad financial decision', value: -10000, category: 'negative' }
-      ];
+  formatActionSpending(action) {
+    if (!action.spent_amount) return '';
+    const where = [action.merchant, action.spending_category].filter(Boolean).join(', ');
+    return ` · spent ${formatCurrency(action.spent_amount)}${where ? ` (${where})` : ''}`;
+  }
 
-      // Insert all for this user
-      const { data, error } = await supabase.from('action_types').insert(
-        defaultActions.map(a => ({ ...a, is_default: true, user_id: this.user.id }))
-      );
+  // Optional amount, category and merchant for spending types
+  toggleSpendingInput(prefix, typeId, action = null) {
+    const group = document.getElementById(`${prefix}SpendingGroup`);
+    if (!group) return;
 
-      if (error) {
-        console.error('Error seeding default action types:', error);
-        return false;
-      }
+    group.hidden = !this.isSpendingType(this.findActionType(typeId));
+    document.getElementById(`${prefix}SpentAmount`).value = action?.spent_amount ?? '';
+    document.getElementById(`${prefix}SpendingCategory`).value = action?.spending_category ?? '';
+    document.getElementById(`${prefix}Merchant`).value = action?.merchant ?? '';
+  }
 
-      console.log(`Successfully seeded ${defaultActions.length} default action types for user ${this.user.id}`);
-      return true;
-    } catch (error) {
-      console.error('Exception in ensureUserHasDefaultActionTypes:', error);
-      return false;
-    }
+  /**
+   * The spending details entered alongside a spending type
+   * @returns {{spent_amount: number|null, spending_category: string|null, merchant: string|null}|null|undefined} null when nothing was entered, undefined when the amount is invalid
+   */
+  readSpendingInput(prefix) {
+    const group = document.getElementById(`${prefix}SpendingGroup`);
+    if (!group || group.hidden) return null;
+
+    const amountValue = document.getElementById(`${prefix}SpentAmount`)?.value;
+    const amount = amountValue ? parseFloat(amountValue) : null;
+    if (amount !== null && !(amount > 0 && amount <= CONFIG.MAX_GOAL_AMOUNT)) return undefined;
+
+    const spending = {
+      spent_amount: amount !== null ? Math.round(amount * 100) / 100 : null,
+      spending_category: document.getElementById(`${prefix}SpendingCategory`)?.value || null,
+      merchant: sanitizeInput(document.getElementById(`${prefix}Merchant`)?.value || '').slice(0, CONFIG.MAX_MERCHANT_LENGTH) || null
+    };
+    return Object.values(spending).some(value => value !== null) ? spending : null;
   }
 
-  ensureMainSectionsExist() {
-    // Check if main-content exists
-    let mainContent = document.querySelector('.main-content');
-    if (!mainContent) {
-      mainContent = document.createElement('main');
-      mainContent.className = 'main-content';
-      document.body.appendChild(mainContent);
+  // Whether a day's actions already use up this type: its daily cap, or the single entry
+  isActionLimitReached(actionType, actionsForDate) {
+    const count = actionsForDate.filter(action => action.action_type_id === actionType.id).length;
+    if (this.allowsMultiple(actionType)) {
+      return Boolean(actionType.daily_cap) && count >= actionType.daily_cap;
     }
-    // Section definitions
-    const sections = [
-      { id: 'dashboard', active: true },
-      { id: 'workout', active: false },
-      { id: 'calendar', active: false },
-      { id: 'profile', active: false }
-    ];
-    // For each section, ensure it exists
-    sections.forEach(({ id, active }) => {
-      let section = document.getElementById(id);
-      if (!section) {
-        section = document.createElement('section');
-        section.id = id;
-        section.className = 'section' + (active ? ' active' : '');
-        section.innerHTML = '';
-        mainContent.appendChild(section);
-      }
-    });
+    // Quantity types can be logged again to add to the day's single entry
+    return count > 0 && !this.isQuantityType(actionType);
   }
 
-  calculateStats() {
-    const actions = this.data.actions || [];
-    const settings = this.data.settings || {};
-    const targetGoal = settings.targetGoal || 0;
-    
-    let totalEarned = 0;
-    let totalLost = 0;
-    let currentDebt = targetGoal; // Start with the debt amount
-    
-    actions.forEach(action => {
-      // Use the action's stored value instead of looking up action type
-      const value = action.value || 0;
-        if (value > 0) {
-          totalEarned += value;
-        currentDebt -= value; // SUBTRACT positive points from debt
-        } else {
-        totalLost += Math.abs(value); // Store as positive for display
-        currentDebt += Math.abs(value); // ADD negative points to debt
-      }
-    });
-    
-    // Ensure debt doesn't go below 0
-    currentDebt = Math.max(0, currentDebt);
-    
-    return {
-      totalEarned,
-      totalLost,
-      currentDebt,
-      targetGoal
-    };
+  formatActionTime(action) {
+    return action.time ? ` · ${action.time}` : '';
   }
 
-  updateDashboardStats() {
-    const stats = this.calculateStats();
-    const format = formatCurrency;
-    const settings = this.data.settings || {};
-    
-    const targetGoalDisplay = document.getElementById('targetGoalDisplay');
-    const currentLevelDisplay = document.getElementById('currentLevelDisplay');
-    const totalEarned = document.getElementById('totalEarned');
-    const totalLost = document.getElementById('totalLost');
-    const progressFill = document.getElementById('progressFill');
-    const progressPercentage = document.getElementById('progressPercentage');
-    const progressDescription = document.getElementById('progressDescription');
+  // Newest day first, then latest time within the day
+  compareActionsNewestFirst(a, b) {
+    const byDate = getDateString(b.date).localeCompare(getDateString(a.date));
+    if (byDate !== 0) return byDate;
+    return getTimeSortKey(b.time).localeCompare(getTimeSortKey(a.time)) || new Date(b.created_at) - new Date(a.created_at);
+  }
 
-    
-    if (targetGoalDisplay) targetGoalDisplay.textContent = format(settings.targetGoal || 0);
-    if (currentLevelDisplay) currentLevelDisplay.textContent = format(stats.currentDebt || 0);
-    if (totalEarned) totalEarned.textContent = format(stats.totalEarned || 0);
-    if (totalLost) totalLost.textContent = format(stats.totalLost || 0);
+  // Show a quantity field (labelled with the unit) only for quantity types
+  toggleQuantityInput(groupId, typeId) {
+    const group = document.getElementById(groupId);
+    if (!group) return;
 
-    // Update progress bar
-    const targetGoal = settings.targetGoal || 0;
-    const currentDebt = stats.currentDebt || 0;
-    let progressPercent = 0;
-    let description = '';
+    const actionType = this.findActionType(typeId);
+    group.hidden = !this.isQuantityType(actionType);
 
-    if (targetGoal > 0) {
-      const debtReduced = targetGoal - currentDebt;
-      progressPercent = Math.max(0, Math.min(100, (debtReduced / targetGoal) * 100));
-      
-      if (currentDebt <= 0) {
-        description = '🎉 Goal achieved! You\'ve eliminated your debt!';
-      } else {
-        const remaining = format(currentDebt);
-        description = `${remaining} remaining to reach your goal`;
-      }
-    } else {
-      description = 'Set a target goal in Profile to track progress';
+    const input = group.querySelector('input');
+    if (input) {
+      input.value = '';
+      input.placeholder = actionType?.unit ? `How many ${actionType.unit}?` : '';
     }
-
-    if (progressFill) progressFill.style.width = `${progressPercent}%`;
-    if (progressPercentage) progressPercentage.textContent = `${Math.round(progressPercent)}%`;
-    if (progressDescription) progressDescription.textContent = description;
-  }
-
-  findActionType(typeId) {
-    const actionTypesData = this.data.actionTypes || { positive: [], negative: [] };
-    const allActionTypes = [
-      ...(Array.isArray(actionTypesData.positive) ? actionTypesData.positive : []),
-      ...(Array.isArray(actionTypesData.negative) ? actionTypesData.negative : [])
-    ];
-    return allActionTypes.find(type => type.id === typeId);
   }
 
   populateActionTypeSelects() {
@@ -3630,7 +7344,7 @@ class HabitideApp {
       actionTypes.forEach(type => {
         const option = document.createElement('option');
         option.value = type.id;
-        option.textContent = `${type.name} (${type.value > 0 ? '+' : ''}${formatCurrency(type.value)})`;
+        option.textContent = `${type.name} (${this.formatActionTypeValue(type)})`;
         select.appendChild(option);
       });
     });
@@ -3664,16 +7378,13 @@ class HabitideApp {
     // Get actions for the selected date
     const selectedDateStr = getDateString(this.selectedDate);
     const actionsForDate = (this.data.actions || []).filter(action => 
-      getDateString(new Date(action.date)) === selectedDateStr
+      getDateString(action.date) === selectedDateStr
     );
     
-    const completedActionTypeIds = new Set(actionsForDate.map(action => action.action_type_id));
-
     console.log('Calendar dropdown debug:', {
       selectedDate: this.selectedDate.toDateString(),
       selectedDateStr,
       actionsForDate: actionsForDate.length,
-      completedActionTypeIds: Array.from(completedActionTypeIds),
       totalActionTypes: actionTypes.length
     });
 
@@ -3681,14 +7392,14 @@ class HabitideApp {
     let completedCount = 0;
 
     actionTypes.forEach(type => {
-      const isCompleted = completedActionTypeIds.has(type.id);
+      const isCompleted = this.isActionLimitReached(type, actionsForDate);
       
       if (isCompleted) {
         // Add completed action as disabled option with visual indicator
         const option = document.createElement('option');
         option.value = type.id;
         option.disabled = true;
-        option.textContent = `${type.name} (${type.value > 0 ? '+' : ''}${formatCurrency(type.value)}) ✓ Completed`;
+        option.textContent = `${type.name} (${this.formatActionTypeValue(type)}) ✓ Completed`;
         option.style.color = '#999';
         option.style.fontStyle = 'italic';
         selectElement.appendChild(option);
@@ -3697,7 +7408,7 @@ class HabitideApp {
         // Add available action as normal option
         const option = document.createElement('option');
         option.value = type.id;
-        option.textContent = `${type.name} (${type.value > 0 ? '+' : ''}${formatCurrency(type.value)})`;
+        option.textContent = `${type.name} (${this.formatActionTypeValue(type)})`;
         selectElement.appendChild(option);
         availableCount++;
       }
@@ -3762,9 +7473,9 @@ class HabitideApp {
       return;
     }
     
-    const todayStr = getDateString(new Date());
+    const todayStr = getTodayString();
     const todayActions = (this.data.actions || []).filter(action => 
-      getDateString(new Date(action.date)) === todayStr
+      getDateString(action.date) === todayStr
     );
     
     console.log('Quick Actions Debug:', {
@@ -3778,16 +7489,37 @@ class HabitideApp {
     let html = '';
     
     selectedActionTypes.forEach(type => {
-      const hasActionToday = todayActions.some(action => action.action_type_id === type.id);
+      const hasActionToday = this.isActionLimitReached(type, todayActions);
+      const todayCount = todayActions.filter(action => action.action_type_id === type.id).length;
       console.log(`Action type ${type.name} (ID: ${type.id}): ${hasActionToday ? 'COMPLETED' : 'AVAILABLE'} today`);
       
-      if (hasActionToday) {
+      if (this.isQuantityType(type)) {
+        // Quantity action - can be logged any number of times, amounts add up
+        const todayQuantity = todayActions
+          .filter(action => action.action_type_id === type.id)
+          .reduce((sum, action) => sum + (Number(action.quantity) || 0), 0);
+        html += `
+          <div class="action-button action-button--quantity ${type.color ? 'habit-colored' : ''}" style="${this.getHabitColorStyle(type)}">
+            <div class="action-name">${this.renderActionTypeLabel(type)}</div>
+            <div class="action-value ${type.value >= 0 ? 'positive' : 'negative'}">
+              ${this.formatActionTypeValue(type)}
+            </div>
+            <div class="quick-quantity-row">
+              <input type="number" class="form-control quick-quantity-input" 
+                     data-quantity-for="${type.id}" min="0" step="any" 
+                     placeholder="${type.unit}" aria-label="How many ${type.unit}?">
+              <button class="btn btn--primary btn--sm" data-action-id="${type.id}" title="Log amount for today">+</button>
+            </div>
+            <div class="quick-quantity-total">Today: ${todayQuantity} ${type.unit}</div>
+          </div>
+        `;
+      } else if (hasActionToday) {
         // Completed action - no click handler, styled as completed
         html += `
           <div class="action-button completed" 
                style="pointer-events: none; opacity: 0.7; cursor: not-allowed;"
                title="Completed today ✓">
-            <div class="action-name">${type.name}</div>
+            <div class="action-name">${this.renderActionTypeLabel(type)}</div>
             <div class="action-value ${type.value >= 0 ? 'positive' : 'negative'}">
               ${type.value >= 0 ? '+' : ''}${formatCurrency(type.value)}
             </div>
@@ -3797,11 +7529,15 @@ class HabitideApp {
         `;
       } else {
         // Active action - with click handler
+        const countLabel = this.allowsMultiple(type) && todayCount > 0
+          ? `<span class="action-count">${todayCount}${type.daily_cap ? `/${type.daily_cap}` : ''} today</span>`
+          : '';
         html += `
-          <button class="action-button" 
+          <button class="action-button ${type.color ? 'habit-colored' : ''}" 
+                  style="${this.getHabitColorStyle(type)}"
                   data-action-id="${type.id}"
-                  title="Click to mark as completed today">
-            <div class="action-name">${type.name}</div>
+                  title="${this.allowsMultiple(type) ? 'Click to log another one today' : 'Click to mark as completed today'}">
+            <div class="action-name">${this.renderActionTypeLabel(type)}${countLabel}</div>
             <div class="action-value ${type.value >= 0 ? 'positive' : 'negative'}">
               ${type.value >= 0 ? '+' : ''}${formatCurrency(type.value)}
             </div>
@@ -3824,8 +7560,8 @@ class HabitideApp {
     if (!container) return;
     
     const actions = this.data.actions || [];
-    const recentActions = actions
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
+    const recentActions = [...actions]
+      .sort((a, b) => this.compareActionsNewestFirst(a, b))
       .slice(0, 10);
     
     if (recentActions.length === 0) {
@@ -3836,23 +7572,23 @@ class HabitideApp {
     let html = '';
     
     recentActions.forEach(action => {
-      const actionType = this.findActionType(action.action_type_id);
-      if (!actionType) return;
+      // Deleted types no longer resolve, but the action still counts towards the totals
+      const actionType = this.findActionType(action.action_type_id) || { name: 'Removed action' };
       
-      const date = new Date(action.date);
-      const dateStr = date.toLocaleDateString();
+      const dateStr = parseDateString(getDateString(action.date)).toLocaleDateString();
       const value = action.value || 0;
       
       html += `
-        <div class="activity-card">
+        <div class="activity-card ${actionType.color ? 'habit-colored' : ''}" style="${this.getHabitColorStyle(actionType)}">
           <div class="activity-main">
-            <div class="activity-name">${actionType.name}</div>
-            <div class="activity-date">${dateStr}</div>
+            <div class="activity-name">${this.renderActionTypeLabel(actionType)}${actionType.archived_at ? ' <small class="archived-label">archived</small>' : ''}</div>
+            <div class="activity-date">${dateStr}${this.formatActionTime(action)}${this.formatActionQuantity(action, actionType)}${this.formatActionPayment(action)}${this.formatActionSpending(action)}</div>
             ${action.notes ? `<div class="activity-notes">${action.notes}</div>` : ''}
           </div>
           <div class="activity-value ${value >= 0 ? 'positive' : 'negative'}">
             ${value >= 0 ? '+' : ''}${formatCurrency(value)}
           </div>
+          <button class="action-edit-btn" onclick="app.showEditActionModal(${action.id})" title="Edit action">✏️</button>
         </div>
       `;
     });
@@ -3862,7 +7598,7 @@ class HabitideApp {
 
   // Handle quick action button clicks with event delegation
   handleQuickActionClick(event) {
-    const button = event.target.closest('.action-button[data-action-id]');
+    const button = event.target.closest('[data-action-id]');
     if (button && !button.classList.contains('completed')) {
       const actionId = parseInt(button.dataset.actionId);
       this.addQuickAction(actionId);
@@ -3910,6 +7646,11 @@ class HabitideApp {
         { id: 2, name: "Week Warrior", icon: "🔥", type: "streak", requirement: 7, description: "7-day streak", earned: false, color: "#F59E0B" },
         { id: 3, name: "Month Master", icon: "💎", type: "streak", requirement: 30, description: "30-day streak", earned: false, color: "#3B82F6" },
         { id: 4, name: "Hundred Hero", icon: "👑", type: "streak", requirement: 100, description: "100-day streak", earned: false, color: "#8B5CF6" },
+
+        // Abstinence badges (best current "days clean" counter)
+        { id: 11, name: "Clean Week", icon: "🌱", type: "clean", requirement: 7, description: "7 days clean from a tracked habit", earned: false, color: "#14B8A6" },
+        { id: 12, name: "Clean Month", icon: "🌿", type: "clean", requirement: 30, description: "30 days clean from a tracked habit", earned: false, color: "#22C55E" },
+        { id: 13, name: "Clean Quarter", icon: "🌳", type: "clean", requirement: 90, description: "90 days clean from a tracked habit", earned: false, color: "#15803D" },
         
         // Savings badges (debt reduction)
         { id: 5, name: "Quarter Crusher", icon: "⭐", type: "savings", requirement: 0.25, description: "Reduce debt by 25%", earned: false, color: "#06B6D4" },
@@ -3926,14 +7667,15 @@ class HabitideApp {
     // Calculate badge progress dynamically
     this.calculateBadgeProgress();
     
-    console.log('Rendering badges:', this.data.badges.length, 'badges found');
+    const badges = this.getEvaluatedBadges();
+    console.log('Rendering badges:', badges.length, 'badges found');
 
     let html = '';
     
     // Check if we're rendering in profile section (detailed view) or dashboard (compact view)
     const isProfileSection = container.id === 'badgeProgressList';
     
-    this.data.badges.forEach(badge => {
+    badges.forEach(badge => {
       const progress = this.getBadgeProgress(badge);
       const percentage = Math.min((progress / badge.requirement) * 100, 100);
       const isEarned = badge.earned || progress >= badge.requirement;
@@ -4012,7 +7754,22 @@ class HabitideApp {
       html = '<div class="empty-state">No badges available</div>';
     }
     container.innerHTML = html;
-    console.log('Badges rendered successfully:', this.data.badges.length, 'badges in', container.id || 'unknown container');
+    console.log('Badges rendered successfully:', badges.length, 'badges in', container.id || 'unknown container');
+  }
+
+  // Savings badges are earned per goal, so there's one of each for every goal
+  getEvaluatedBadges() {
+    const goals = this.getGoals();
+    return this.data.badges.flatMap(badge => {
+      if (badge.type !== 'savings') return [badge];
+      return goals.map(goal => ({
+        ...badge,
+        id: `${badge.id}-${goal.id}`,
+        goalId: goal.id,
+        earned: false,
+        description: goals.length > 1 ? `${badge.description} - ${goal.name}` : badge.description
+      }));
+    });
   }
 
   // Helper method to calculate badge progress
@@ -4026,22 +7783,30 @@ class HabitideApp {
       return actionType && actionType.value > 0;
     });
     
-    // Update badge progress and earned status
-    this.data.badges.forEach(badge => {
-      const progress = this.getBadgeProgress(badge);
-      if (progress >= badge.requirement && !badge.earned) {
-        badge.earned = true;
-        // Could show a badge earned notification here if desired
-      }
+    // Update badge progress and earned status (not sticky: a new season has to earn badges again)
+    this.data.badges.filter(badge => badge.type !== 'savings').forEach(badge => {
+      badge.earned = this.getBadgeProgress(badge) >= badge.requirement;
     });
   }
 
+  // Badges other than savings count from the most recently started season of any goal
+  getBadgeCycleStart() {
+    const today = getTodayString();
+    const starts = this.getGoals()
+      .map(goal => goal.cycleStart)
+      .filter(start => start && start <= today)
+      .sort();
+    return starts[starts.length - 1] || null;
+  }
+
   // Helper method to get progress for a specific badge
   getBadgeProgress(badge) {
     if (!this.data.actions) return 0;
     
-    const actions = this.data.actions || [];
-    const stats = this.calculateStats();
+    const cycleStart = this.getBadgeCycleStart();
+    const actions = (this.data.actions || []).filter(action => !cycleStart || getDateString(action.date) >= cycleStart);
+    // Streaks and clean runs only count the days since the season started
+    const seasonDays = cycleStart ? daysBetween(cycleStart, getTodayString()) + 1 : Infinity;
     
     switch (badge.type) {
       case 'milestone':
@@ -4050,21 +7815,22 @@ class HabitideApp {
         
       case 'streak':
         // Calculate current streak
-        return this.calculateCurrentStreak();
+        return Math.min(this.calculateCurrentStreak(), seasonDays);
+
+      case 'clean':
+        return Math.min(Math.max(0, ...this.getCleanTrackers().map(type => this.getCleanStats(type).currentClean)), seasonDays - 1);
         
       case 'savings':
-        // Calculate debt reduction percentage
-        const targetGoal = this.data.settings.targetGoal || 20000;
-        const currentDebt = targetGoal - stats.totalEarned + Math.abs(stats.totalLost);
-        const debtReduction = Math.max(0, (targetGoal - currentDebt) / targetGoal);
+        // Debt reduction percentage of the badge's goal
+        const goal = this.getGoals().find(item => item.id === badge.goalId) || this.getGoals()[0];
+        const goalStats = this.calculateStats(null, goal);
+        const currentDebt = goal.targetGoal - goalStats.totalEarned + Math.abs(goalStats.totalLost);
+        const debtReduction = Math.max(0, (goal.targetGoal - currentDebt) / goal.targetGoal);
         return debtReduction;
         
       case 'actions':
-        // Count positive actions
-        const positiveActions = actions.filter(a => {
-          const actionType = this.findActionType(a.action_type_id);
-          return actionType && actionType.value > 0;
-        });
+        // Count positive actions by the value they were logged with, so re-pricing a type can't change history
+        const positiveActions = actions.filter(a => (a.value ?? this.getActionValue(a)) > 0);
         return positiveActions.length;
         
       default:
@@ -4087,11 +7853,20 @@ class HabitideApp {
         if (progress >= badge.requirement) {
           return `🔥 ${Math.floor(progress)} day streak achieved!`;
         } else if (progress > 0) {
-          return `Current streak: ${Math.floor(progress)} days (${badge.requirement - Math.floor(progress)} more to go)`;
+          return `Current streak: ${Math.floor(progress)} days (${badge.requirement - Math.floor(progress)} more to go)`;
+        } else {
+          return `Start a ${badge.requirement}-day streak`;
+        }
+        
+      case 'clean':
+        if (progress >= badge.requirement) {
+          return `🌱 ${Math.floor(progress)} days clean!`;
+        } else if (progress > 0) {
+          return `${Math.floor(progress)} days clean (${badge.requirement - Math.floor(progress)} more to go)`;
         } else {
-          return `Start a ${badge.requirement}-day streak`;
+          return 'Track a negative habit under Days Clean to start';
         }
-        
+
       case 'savings':
         const currentPercentage = Math.min((progress / badge.requirement) * 100, 100);
         const targetPercentage = badge.requirement * 100;
@@ -4120,6 +7895,7 @@ class HabitideApp {
         return progress >= badge.requirement ? 'Complete!' : '0/1';
         
       case 'streak':
+      case 'clean':
         return `${Math.floor(progress)}/${badge.requirement} days`;
         
       case 'savings':
@@ -4135,42 +7911,76 @@ class HabitideApp {
     }
   }
 
-  // Helper method to calculate current streak
+  // Current streak: consecutive days on which every daily and weekday target due was met
   calculateCurrentStreak() {
     if (!this.data.actions || this.data.actions.length === 0) return 0;
-    
-    const actions = this.data.actions || [];
-    const sortedActions = actions.sort((a, b) => new Date(b.date) - new Date(a.date));
-    
-    let streak = 0;
-    let currentDate = new Date();
-    currentDate.setHours(0, 0, 0, 0);
-    
-    // Check if we have an action today or yesterday (to allow for current day)
-    const today = getDateString(new Date());
-    const yesterday = getDateString(new Date(Date.now() - 24 * 60 * 60 * 1000));
-    
-    let hasRecentAction = sortedActions.some(action => {
-      const actionDate = getDateString(new Date(action.date));
-      return actionDate === today || actionDate === yesterday;
+
+    const dailyTypes = this.getTargetedActionTypes().filter(type => type.frequency.type !== 'weekly');
+    if (dailyTypes.length === 0) return this.calculateActiveDayStreak();
+
+    const loggedByDate = new Map();
+    this.data.actions.forEach(action => {
+      const dateStr = getDateString(action.date);
+      if (!loggedByDate.has(dateStr)) loggedByDate.set(dateStr, new Set());
+      loggedByDate.get(dateStr).add(action.action_type_id);
     });
-    
-    if (!hasRecentAction) return 0;
-    
-    // Count consecutive days with actions
-    const actionDates = new Set(actions.map(action => getDateString(new Date(action.date))));
-    
-    // Start from yesterday (or today if no action yesterday) and count backwards
-    let checkDate = new Date();
-    if (!actionDates.has(today)) {
+
+    const startDates = new Map(dailyTypes.map(type => [type.id, this.getHabitStartDate(type)]));
+    const earliestStart = [...startDates.values()].sort()[0];
+    const today = getTodayString();
+
+    let streak = 0;
+    const checkDate = getToday();
+    for (let day = 0; day < CONFIG.MAX_STREAK_CALCULATION_DAYS; day++) {
+      const dateStr = getDateString(checkDate);
+      if (dateStr < earliestStart) break;
       checkDate.setDate(checkDate.getDate() - 1);
+      if (this.isPausedDate(dateStr)) continue;
+
+      const due = dailyTypes.filter(type =>
+        startDates.get(type.id) <= dateStr &&
+        (type.frequency.type === 'daily' || type.frequency.days.includes(parseDateString(dateStr).getDay()))
+      );
+      if (due.length === 0) continue;
+
+      const logged = loggedByDate.get(dateStr) || new Set();
+      if (due.every(type => logged.has(type.id))) {
+        streak++;
+      } else if (dateStr !== today) {
+        // Today is still in progress, so it only breaks the streak once it's over
+        break;
+      }
     }
-    
-    while (actionDates.has(getDateString(checkDate))) {
-      streak++;
+
+    return streak;
+  }
+
+  // Without any daily targets, fall back to consecutive days with a positive action;
+  // paused days and the workout plan's rest days without one are skipped rather than breaking it
+  calculateActiveDayStreak() {
+    const activeDates = new Set(this.data.actions
+      .filter(action => (action.value ?? this.getActionValue(action)) > 0)
+      .map(action => getDateString(action.date)));
+    const earliest = [...activeDates].sort()[0];
+    if (!earliest) return 0;
+
+    const checkDate = getToday();
+    if (!activeDates.has(getDateString(checkDate))) {
       checkDate.setDate(checkDate.getDate() - 1);
     }
-    
+
+    let streak = 0;
+    for (let day = 0; day < CONFIG.MAX_STREAK_CALCULATION_DAYS && getDateString(checkDate) >= earliest; day++) {
+      const dateStr = getDateString(checkDate);
+      checkDate.setDate(checkDate.getDate() - 1);
+
+      if (activeDates.has(dateStr)) {
+        streak++;
+      } else if (!this.isPausedDate(dateStr) && !this.isPlannedRestDay(parseDateString(dateStr))) {
+        break;
+      }
+    }
+
     return streak;
   }
 
@@ -4199,10 +8009,12 @@ class HabitideApp {
       displayElement.textContent = this.selectedDate.toLocaleDateString();
     }
 
+    this.renderCalendarPause();
+
     const dateStr = getDateString(this.selectedDate);
-    const dateActions = this.data.actions.filter(action => 
-      getDateString(action.date) === dateStr
-    );
+    const dateActions = this.data.actions
+      .filter(action => getDateString(action.date) === dateStr)
+      .sort((a, b) => getTimeSortKey(a.time).localeCompare(getTimeSortKey(b.time)));
 
     if (dateActions.length === 0) {
       container.innerHTML = `
@@ -4216,32 +8028,44 @@ class HabitideApp {
     let html = `<div class="date-actions-list">`;
 
     dateActions.forEach(action => {
-      const actionType = this.findActionType(action.action_type_id);
-      if (actionType) {
-        const value = action.value || 0;
-        html += `
-          <div class="date-action-item">
-            <div class="action-info">
-              <span class="action-name">${actionType.name}</span>
-              <span class="action-value ${value >= 0 ? 'positive' : 'negative'}">
-                ${value >= 0 ? '+' : ''}${formatCurrency(value)}
-              </span>
-            </div>
-            <button class="action-delete-btn" onclick="app.deleteAction(${action.id})" title="Delete action">
-              🗑️
-            </button>
+      const actionType = this.findActionType(action.action_type_id) || { name: 'Removed action' };
+      const value = action.value || 0;
+      html += `
+        <div class="date-action-item">
+          <div class="action-info">
+            ${action.time ? `<span class="action-time">${action.time}</span>` : ''}
+            <span class="action-name">${this.renderActionTypeLabel(actionType)}${actionType.archived_at ? ' <small class="archived-label">archived</small>' : ''}${this.formatActionQuantity(action, actionType)}${this.formatActionPayment(action)}${this.formatActionSpending(action)}</span>
+            <span class="action-value ${value >= 0 ? 'positive' : 'negative'}">
+              ${value >= 0 ? '+' : ''}${formatCurrency(value)}
+            </span>
           </div>
-        `;
-      }
+          <button class="action-edit-btn" onclick="app.showEditActionModal(${action.id})" title="Edit action">
+            ✏️
+          </button>
+          <button class="action-delete-btn" onclick="app.deleteAction(${action.id})" title="Delete action">
+            🗑️
+          </button>
+        </div>
+      `;
     });
 
+    const dayTotal = dateActions.reduce((sum, action) => sum + (action.value || 0), 0);
+    html += `
+      <div class="date-actions-total">
+        <span>${dateActions.length} ${dateActions.length === 1 ? 'entry' : 'entries'}</span>
+        <span class="action-value ${dayTotal >= 0 ? 'positive' : 'negative'}">
+          ${dayTotal >= 0 ? '+' : ''}${formatCurrency(dayTotal)}
+        </span>
+      </div>
+    `;
+
     html += '</div>';
     container.innerHTML = html;
   }
 
   changeMonth(direction) {
     if (!this.currentDate) {
-      this.currentDate = new Date();
+      this.currentDate = getToday();
     }
     
     this.currentDate.setMonth(this.currentDate.getMonth() + direction);
@@ -4249,16 +8073,27 @@ class HabitideApp {
   }
 
   async addQuickAction(typeId) {
-    const todayStr = getDateString(new Date());
+    const todayStr = getTodayString();
     
     // Check if action already exists for today FIRST
     const todayActions = (this.data.actions || []).filter(action => 
-      getDateString(new Date(action.date)) === todayStr
+      getDateString(action.date) === todayStr
     );
     
-    const hasActionToday = todayActions.some(action => action.action_type_id === typeId);
+    const actionType = this.findActionType(typeId);
+    const isQuantity = actionType && this.isQuantityType(actionType);
+
+    // A payment needs its amount and debt, which the quick button can't ask for
+    if (this.isDebtPaymentType(actionType) && this.getDebts().length > 0) {
+      this.openAddActionModal();
+      const typeSelect = document.getElementById('modalActionType');
+      if (typeSelect) typeSelect.value = typeId;
+      this.togglePaymentInput('modal', typeId);
+      document.getElementById('modalPaymentAmount')?.focus();
+      return;
+    }
     
-    if (hasActionToday) {
+    if (actionType && this.isActionLimitReached(actionType, todayActions)) {
       // Action already completed today - should not happen if UI is correct
       console.log('Action already completed today for type:', typeId);
       this.forceReRenderQuickActions(); // Force refresh UI to show correct state
@@ -4281,7 +8116,9 @@ class HabitideApp {
     }
     
     try {
-      await this.addAction(typeId, 0, '', todayStr, true); // Pass true for isQuickAction
+      const quantityInput = document.querySelector(`[data-quantity-for="${typeId}"]`);
+      const quantity = isQuantity ? parseFloat(quantityInput?.value) || 0 : 0;
+      await this.addAction(typeId, quantity, '', todayStr, true); // Pass true for isQuickAction
       
       // Force immediate re-render to show the correct state
       this.forceReRenderQuickActions();
@@ -4326,7 +8163,7 @@ class HabitideApp {
       console.error('HabitideApp: Main container not found');
     }
 
-    const sections = ['dashboard', 'workout', 'calendar', 'profile'];
+    const sections = ['dashboard', 'workout', 'calendar', 'insights', 'profile'];
     sections.forEach(id => {
       const section = document.getElementById(id);
       if (section) {
@@ -4391,7 +8228,7 @@ class HabitideApp {
     }
 
     // Hide main sections
-    const sections = ['dashboard', 'workout', 'calendar', 'profile'];
+    const sections = ['dashboard', 'workout', 'calendar', 'insights', 'profile'];
     sections.forEach(sectionId => {
       const section = document.getElementById(sectionId);
       if (section) section.style.display = 'none';
@@ -4422,54 +8259,23 @@ class HabitideApp {
             <button class="auth-tab" data-tab="signup">Sign Up</button>
           </div>
 
-          <!-- Sign In Form -->
-          <div class="auth-form active" id="signin-form">
-            <div class="form-group">
-              <label class="form-label" for="signin-username">Username</label>
-              <input type="text" class="form-control" id="signin-username" placeholder="Enter your username" required>
-            </div>
-            <div class="form-group">
-              <label class="form-label" for="signin-password">Password</label>
-              <input type="password" class="form-control" id="signin-password" placeholder="Enter your password" required>
-            </div>
-            <button class="btn btn--primary btn--full-width" onclick="app.signIn()">Sign In</button>
-            <div class="auth-error" id="signin-error"></div>
-          </div>
-
-          <!-- Sign Up Form -->
-          <div class="auth-form" id="signup-form">
-            <div class="form-group">
-              <label class="form-label" for="signup-username">Username</label>
-              <input type="text" class="form-control" id="signup-username" placeholder="Choose a username" required>
-            </div>
-            <div class="form-group">
-              <label class="form-label" for="signup-password">Password</label>
-              <input type="password" class="form-control" id="signup-password" placeholder="Choose a password (min 6 characters)" required>
-            </div>
-            <div class="form-group">
-              <label class="form-label" for="signup-password-confirm">Confirm Password</label>
-              <input type="password" class="form-control" id="signup-password-confirm" placeholder="Confirm your password" required>
-            </div>
-            <button class="btn btn--primary btn--full-width" onclick="app.signUp()">Sign Up</button>
-            <div class="auth-error" id="signup-error"></div>
-          </div>
+          ${this.auth.supportsPasswords ? this.renderPasswordAuthForms() : this.renderMagicLinkAuthForms()}
         </div>
       </div>
     `;
     authSection.style.display = 'block';
     
-    // Add tab switching functionality
+    // Add tab switching functionality (links inside forms switch forms the same way)
     const authTabs = authSection.querySelectorAll('.auth-tab');
     const authForms = authSection.querySelectorAll('.auth-form');
-    
-    authTabs.forEach(tab => {
+
+    authSection.querySelectorAll('.auth-tab, .auth-link').forEach(tab => {
       tab.addEventListener('click', () => {
         const targetTab = tab.dataset.tab;
-        
-        // Update active tab
-        authTabs.forEach(t => t.classList.remove('active'));
-        tab.classList.add('active');
-        
+
+        // Update active tab (the reset form has no tab of its own)
+        authTabs.forEach(t => t.classList.toggle('active', t.dataset.tab === targetTab));
+
         // Update active form
         authForms.forEach(form => form.classList.remove('active'));
         authSection.querySelector(`#${targetTab}-form`).classList.add('active');
@@ -4491,168 +8297,528 @@ class HabitideApp {
     
     addEnterKeyListener('signin-form', () => this.signIn());
     addEnterKeyListener('signup-form', () => this.signUp());
+    addEnterKeyListener('reset-form', () => this.resetPasswordWithRecoveryCode());
+  }
+
+  // Username/password sign in, sign up and recovery-code reset forms
+  renderPasswordAuthForms() {
+    return `
+      <!-- Sign In Form -->
+      <div class="auth-form active" id="signin-form">
+        <div class="form-group">
+          <label class="form-label" for="signin-username">Username</label>
+          <input type="text" class="form-control" id="signin-username" placeholder="Enter your username" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="signin-password">Password</label>
+          <input type="password" class="form-control" id="signin-password" placeholder="Enter your password" required>
+        </div>
+        <button class="btn btn--primary btn--full-width" onclick="app.signIn()">Sign In</button>
+        <div class="auth-error" id="signin-error"></div>
+        <button class="auth-link" data-tab="reset">Forgot password? Use a recovery code</button>
+      </div>
+
+      <!-- Password Reset Form -->
+      <div class="auth-form" id="reset-form">
+        <div class="form-group">
+          <label class="form-label" for="reset-username">Username</label>
+          <input type="text" class="form-control" id="reset-username" placeholder="Enter your username" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="reset-code">Recovery Code</label>
+          <input type="text" class="form-control" id="reset-code" placeholder="XXXXX-XXXXX" autocomplete="off" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="reset-password">New Password</label>
+          <input type="password" class="form-control" id="reset-password" placeholder="Choose a password (min ${CONFIG.MIN_PASSWORD_LENGTH} characters)" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="reset-password-confirm">Confirm New Password</label>
+          <input type="password" class="form-control" id="reset-password-confirm" placeholder="Confirm your password" required>
+        </div>
+        <button class="btn btn--primary btn--full-width" onclick="app.resetPasswordWithRecoveryCode()">Reset Password</button>
+        <div class="auth-error" id="reset-error"></div>
+        <button class="auth-link" data-tab="signin">Back to sign in</button>
+      </div>
+
+      <!-- Sign Up Form -->
+      <div class="auth-form" id="signup-form">
+        <div class="form-group">
+          <label class="form-label" for="signup-username">Username</label>
+          <input type="text" class="form-control" id="signup-username" placeholder="Choose a username" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="signup-password">Password</label>
+          <input type="password" class="form-control" id="signup-password" placeholder="Choose a password (min 6 characters)" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="signup-password-confirm">Confirm Password</label>
+          <input type="password" class="form-control" id="signup-password-confirm" placeholder="Confirm your password" required>
+        </div>
+        <button class="btn btn--primary btn--full-width" onclick="app.signUp()">Sign Up</button>
+        <div class="auth-error" id="signup-error"></div>
+      </div>
+    `;
+  }
+
+  // Email-only forms for magic-link providers
+  renderMagicLinkAuthForms() {
+    return `
+      <!-- Sign In Form -->
+      <div class="auth-form active" id="signin-form">
+        <div class="form-group">
+          <label class="form-label" for="signin-email">Email</label>
+          <input type="email" class="form-control" id="signin-email" placeholder="you@example.com" required>
+        </div>
+        <button class="btn btn--primary btn--full-width" onclick="app.signIn()">Email Me a Sign-In Link</button>
+        <div class="auth-error" id="signin-error"></div>
+      </div>
+
+      <!-- Sign Up Form -->
+      <div class="auth-form" id="signup-form">
+        <div class="form-group">
+          <label class="form-label" for="signup-email">Email</label>
+          <input type="email" class="form-control" id="signup-email" placeholder="you@example.com" required>
+        </div>
+        <button class="btn btn--primary btn--full-width" onclick="app.signUp()">Email Me a Sign-Up Link</button>
+        <div class="auth-error" id="signup-error"></div>
+      </div>
+    `;
+  }
+
+  async signUp() {
+    const errorElement = document.getElementById('signup-error');
+    let credentials;
+
+    // Clear previous errors
+    errorElement.textContent = '';
+
+    if (this.auth.supportsPasswords) {
+      const username = document.getElementById('signup-username').value.trim();
+      const password = document.getElementById('signup-password').value;
+      const passwordConfirm = document.getElementById('signup-password-confirm').value;
+
+      // Validation
+      if (!username || !password || !passwordConfirm) {
+        errorElement.textContent = 'Please fill in all fields';
+        return;
+      }
+
+      if (username.length < 3) {
+        errorElement.textContent = 'Username must be at least 3 characters long';
+        return;
+      }
+
+      if (password.length < CONFIG.MIN_PASSWORD_LENGTH) {
+        errorElement.textContent = `Password must be at least ${CONFIG.MIN_PASSWORD_LENGTH} characters long`;
+        return;
+      }
+
+      if (password !== passwordConfirm) {
+        errorElement.textContent = 'Passwords do not match';
+        return;
+      }
+
+      credentials = { username, password };
+    } else {
+      credentials = { email: document.getElementById('signup-email').value.trim() };
+    }
+
+    try {
+      this.showLoadingOverlay();
+
+      // On success the provider emits a change and handleAuthChange runs postAuthenticationFlow
+      const result = await this.auth.signUp(credentials);
+
+      if (!result.success) {
+        errorElement.textContent = result.error;
+        return;
+      }
+
+      if (result.pending) {
+        this.showNotification(result.message, 'info');
+        return;
+      }
+
+      this.showNotification('Account created successfully!', 'success');
+      if (result.recoveryCodes) this.showRecoveryCodesModal(result.recoveryCodes);
+
+    } catch (error) {
+      console.error('Sign-up error:', error);
+      errorElement.textContent = 'Failed to create account. Please try again.';
+    } finally {
+      this.hideLoadingOverlay();
+    }
+  }
+
+  async signIn() {
+    const errorElement = document.getElementById('signin-error');
+    let credentials;
+
+    // Clear previous errors
+    errorElement.textContent = '';
+
+    if (this.auth.supportsPasswords) {
+      const username = document.getElementById('signin-username').value.trim();
+      const password = document.getElementById('signin-password').value;
+
+      if (!username || !password) {
+        errorElement.textContent = 'Please enter both username and password';
+        return;
+      }
+
+      credentials = { username, password };
+    } else {
+      credentials = { email: document.getElementById('signin-email').value.trim() };
+    }
+
+    try {
+      this.showLoadingOverlay();
+
+      const result = await this.auth.signIn(credentials);
+
+      if (!result.success) {
+        errorElement.textContent = result.error;
+        return;
+      }
+
+      if (result.pending) {
+        this.showNotification(result.message, 'info');
+        return;
+      }
+
+      console.log('HabitideApp: USER SET TO:', this.user);
+      this.showNotification('Signed in successfully!', 'success');
+
+    } catch (error) {
+      console.error('Sign-in error:', error);
+      errorElement.textContent = 'Failed to sign in. Please try again.';
+    } finally {
+      this.hideLoadingOverlay();
+    }
+  }
+
+  async signOut() {
+    localStorage.removeItem('habitide-current-section'); // Clear navigation state
+
+    // Remove this browser's push subscription while the session can still authorize it
+    if (this.user) await this.cancelDailyReminder(this.user.id);
+
+    try {
+      await this.auth.signOut();
+    } catch (error) {
+      console.log('Sign-out error (ignored):', error);
+    }
+
+    // The provider normally triggers handleAuthChange; make sure the UI resets even if it failed
+    if (this.user) {
+      this.user = null;
+      this.showAuthUI();
+    }
+
+    this.showNotification('Signed out successfully', 'info');
+  }
+
+  // Prompt a recovered account to choose a password before it can sign in elsewhere
+  showForcedPasswordResetModal() {
+    const existingModal = document.getElementById('forcedPasswordResetModal');
+    if (existingModal) existingModal.remove();
+
+    document.body.insertAdjacentHTML('beforeend', `
+      <div class="modal-overlay active" id="forcedPasswordResetModal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3>Set a New Password</h3>
+          </div>
+          <div class="modal-body">
+            <p style="margin-bottom: var(--space-16); color: var(--color-text-secondary);">
+              Your account doesn't have a usable password. Choose one now so you can sign in again later.
+            </p>
+            <div class="form-group">
+              <label class="form-label" for="forcedResetPassword">New Password</label>
+              <input type="password" class="form-control" id="forcedResetPassword" placeholder="At least ${CONFIG.MIN_PASSWORD_LENGTH} characters">
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="forcedResetPasswordConfirm">Confirm Password</label>
+              <input type="password" class="form-control" id="forcedResetPasswordConfirm" placeholder="Confirm your password">
+            </div>
+            <div class="auth-error" id="forcedResetError"></div>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn--primary" id="forcedResetSaveBtn">Save Password</button>
+          </div>
+        </div>
+      </div>
+    `);
+
+    document.getElementById('forcedResetSaveBtn')?.addEventListener('click', () => this.completeForcedPasswordReset());
+  }
+
+  async completeForcedPasswordReset() {
+    const password = document.getElementById('forcedResetPassword')?.value || '';
+    const passwordConfirm = document.getElementById('forcedResetPasswordConfirm')?.value || '';
+    const errorElement = document.getElementById('forcedResetError');
+
+    if (errorElement) errorElement.textContent = '';
+
+    if (!this.user) {
+      if (errorElement) errorElement.textContent = MESSAGES.ERROR.USER_NOT_LOGGED_IN;
+      return;
+    }
+
+    if (password.length < CONFIG.MIN_PASSWORD_LENGTH) {
+      if (errorElement) errorElement.textContent = `Password must be at least ${CONFIG.MIN_PASSWORD_LENGTH} characters long`;
+      return;
+    }
+
+    if (password !== passwordConfirm) {
+      if (errorElement) errorElement.textContent = 'Passwords do not match';
+      return;
+    }
+
+    try {
+      const recoveryCodes = await this.auth.setPassword(password);
+
+      document.getElementById('forcedPasswordResetModal')?.remove();
+      this.showNotification('Password saved successfully!', 'success');
+      this.showRecoveryCodesModal(recoveryCodes);
+    } catch (error) {
+      console.error('Forced password reset error:', error);
+      if (errorElement) errorElement.textContent = 'Failed to save password. Please try again.';
+    }
+  }
+
+  // Show freshly generated recovery codes - they are never retrievable again
+  showRecoveryCodesModal(codes) {
+    const existingModal = document.getElementById('recoveryCodesModal');
+    if (existingModal) existingModal.remove();
+
+    document.body.insertAdjacentHTML('beforeend', `
+      <div class="modal-overlay active" id="recoveryCodesModal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3>Save Your Recovery Codes</h3>
+          </div>
+          <div class="modal-body">
+            <p style="margin-bottom: var(--space-16); color: var(--color-text-secondary);">
+              Each code can reset your password once. Store them somewhere safe - they will not be shown again.
+            </p>
+            <ul class="recovery-codes-list">
+              ${codes.map(code => `<li><code>${code}</code></li>`).join('')}
+            </ul>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn--outline" id="copyRecoveryCodesBtn">Copy</button>
+            <button class="btn btn--primary" onclick="document.getElementById('recoveryCodesModal').remove()">I've Saved Them</button>
+          </div>
+        </div>
+      </div>
+    `);
+
+    document.getElementById('copyRecoveryCodesBtn')?.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(codes.join('\n'));
+        this.showNotification('Recovery codes copied to clipboard', 'success');
+      } catch (error) {
+        console.warn('Clipboard copy failed:', error);
+        this.showNotification('Copy failed - please write the codes down', 'warning');
+      }
+    });
   }
 
-  async signUp() {
-    const username = document.getElementById('signup-username').value.trim();
-    const password = document.getElementById('signup-password').value;
-    const passwordConfirm = document.getElementById('signup-password-confirm').value;
-    const errorElement = document.getElementById('signup-error');
-    
-    // Clear previous errors
-    errorElement.textContent = '';
-    
-    // Validation
-    if (!username || !password || !passwordConfirm) {
-      errorElement.textContent = 'Please fill in all fields';
+  async changePassword() {
+    const currentInput = document.getElementById('currentPasswordInput');
+    const newInput = document.getElementById('newPasswordInput');
+    const confirmInput = document.getElementById('confirmNewPasswordInput');
+
+    const currentPassword = currentInput?.value || '';
+    const newPassword = newInput?.value || '';
+    const confirmPassword = confirmInput?.value || '';
+
+    if (!this.user) {
+      this.showNotification(MESSAGES.ERROR.USER_NOT_LOGGED_IN, 'error');
+      return;
+    }
+
+    if (!currentPassword || !newPassword || !confirmPassword) {
+      this.showNotification('Please fill in all password fields', 'error');
+      return;
+    }
+
+    if (newPassword.length < CONFIG.MIN_PASSWORD_LENGTH) {
+      this.showNotification(`Password must be at least ${CONFIG.MIN_PASSWORD_LENGTH} characters long`, 'error');
+      newInput?.focus();
       return;
     }
-    
-    if (username.length < 3) {
-      errorElement.textContent = 'Username must be at least 3 characters long';
+
+    if (newPassword !== confirmPassword) {
+      this.showNotification('New passwords do not match', 'error');
+      confirmInput?.focus();
       return;
     }
-    
-    if (password.length < CONFIG.MIN_PASSWORD_LENGTH) {
-      errorElement.textContent = `Password must be at least ${CONFIG.MIN_PASSWORD_LENGTH} characters long`;
+
+    try {
+      const result = await this.auth.changePassword(this.user.id, currentPassword, newPassword);
+      if (!result.success) {
+        this.showNotification(result.error, 'error');
+        currentInput?.focus();
+        return;
+      }
+
+      [currentInput, newInput, confirmInput].forEach(input => { if (input) input.value = ''; });
+      this.showNotification('Password changed successfully!', 'success');
+    } catch (error) {
+      console.error('Change password error:', error);
+      this.showNotification('Failed to change password. Please try again.', 'error');
+    }
+  }
+
+  // Replace all recovery codes (invalidates any unused ones); requires the current password
+  async regenerateRecoveryCodes() {
+    const currentInput = document.getElementById('currentPasswordInput');
+    const currentPassword = currentInput?.value || '';
+
+    if (!this.user) {
+      this.showNotification(MESSAGES.ERROR.USER_NOT_LOGGED_IN, 'error');
       return;
     }
-    
-    if (password !== passwordConfirm) {
-      errorElement.textContent = 'Passwords do not match';
+
+    if (!currentPassword) {
+      this.showNotification('Enter your current password to generate new recovery codes', 'warning');
+      currentInput?.focus();
       return;
     }
-    
+
     try {
-      this.showLoadingOverlay();
-      
-      // Check if username already exists
-      const { data: existingUser, error: checkError } = await supabase
-        .from('users')
-        .select('id')
-        .eq('username', username)
-        .single();
-      
-      if (existingUser) {
-        errorElement.textContent = 'Username already exists. Please choose a different one.';
-        this.hideLoadingOverlay();
+      const result = await this.auth.regenerateRecoveryCodes(this.user.id, currentPassword);
+      if (!result.success) {
+        this.showNotification(result.error, 'error');
+        currentInput?.focus();
         return;
       }
-      
-      // Create new user with basic hashing (in real app you'd use better hashing)
-      const hashedPassword = btoa(password); // Simple base64 encoding (not secure for production)
-      
-      // Generate UUID for user (to match database schema)
-      const userId = crypto.randomUUID();
-      
-      const { data: newUser, error: insertError } = await supabase
-        .from('users')
-        .insert({
-          id: userId,
-          username: username,
-          password_hash: hashedPassword,
-          created_at: new Date().toISOString()
-        })
-        .select()
-        .single();
-      
-      if (insertError) throw insertError;
-      
-      this.user = { id: newUser.id, username: newUser.username };
-      localStorage.setItem('habitide-user', JSON.stringify(this.user));
-      localStorage.setItem('habitide-session-timestamp', Date.now().toString());
-      
-      await this.ensureUserHasDefaultActionTypes();
-      
-      // Pass user to postAuthenticationFlow
-      await this.postAuthenticationFlow(this.user);
-      this.showNotification('Account created successfully!', 'success');
-      
+
+      if (currentInput) currentInput.value = '';
+      this.showRecoveryCodesModal(result.recoveryCodes);
     } catch (error) {
-      console.error('Sign-up error:', error);
-      this.hideLoadingOverlay();
-      errorElement.textContent = 'Failed to create account. Please try again.';
-      requestAnimationFrame(() => {
-        this.hideAuthUI();
-        this.navigateToSection('dashboard');
+      console.error('Recovery code generation error:', error);
+      this.showNotification('Failed to generate recovery codes. Please try again.', 'error');
+    }
+  }
+
+  // Short "Browser on OS" label for a session's user agent
+  describeUserAgent(userAgent = '') {
+    const browser = ['Edg', 'OPR', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(name));
+    const os = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find(name => userAgent.includes(name));
+    const browserNames = { Edg: 'Edge', OPR: 'Opera' };
+    return `${browserNames[browser] || browser || 'Unknown browser'} on ${os === 'Mac OS' ? 'macOS' : os || 'unknown device'}`;
+  }
+
+  async renderActiveSessions() {
+    const list = document.getElementById('activeSessionsList');
+    if (!list || !this.user) return;
+
+    try {
+      const sessions = await this.auth.listSessions();
+
+      if (sessions.length === 0) {
+        list.innerHTML = '<li class="session-item">No active sessions</li>';
+        return;
+      }
+
+      list.innerHTML = sessions.map(session => `
+        <li class="session-item">
+          <div class="session-info">
+            <strong>${this.describeUserAgent(session.user_agent)}</strong>${session.current ? ' <span class="session-current">This device</span>' : ''}
+            <small>Last active ${new Date(session.last_seen_at).toLocaleString()}</small>
+          </div>
+          ${session.current ? '' : `<button class="btn btn--outline btn--sm" data-session-id="${session.id}">Revoke</button>`}
+        </li>
+      `).join('');
+
+      list.querySelectorAll('[data-session-id]').forEach(button => {
+        button.addEventListener('click', () => this.revokeSession(button.dataset.sessionId));
       });
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      list.innerHTML = '<li class="session-item">Could not load sessions</li>';
     }
   }
 
-  async signIn() {
-    const username = document.getElementById('signin-username').value.trim();
-    const password = document.getElementById('signin-password').value;
-    const errorElement = document.getElementById('signin-error');
-    
-    // Clear previous errors
+  async revokeSession(sessionId) {
+    try {
+      await this.auth.revokeSession(sessionId);
+      this.showNotification('Session signed out', 'success');
+      this.renderActiveSessions();
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      this.showNotification('Failed to sign out that session. Please try again.', 'error');
+    }
+  }
+
+  async signOutEverywhere() {
+    if (!this.user || !confirm('Sign out of Habitide on every device, including this one?')) {
+      return;
+    }
+
+    try {
+      await this.auth.revokeAllSessions();
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      this.showNotification('Failed to sign out other devices. Please try again.', 'error');
+      return;
+    }
+
+    await this.signOut();
+  }
+
+  // Reset a forgotten (or forced-reset) password with a one-time recovery code
+  async resetPasswordWithRecoveryCode() {
+    const username = document.getElementById('reset-username').value.trim();
+    const recoveryCode = document.getElementById('reset-code').value;
+    const password = document.getElementById('reset-password').value;
+    const passwordConfirm = document.getElementById('reset-password-confirm').value;
+    const errorElement = document.getElementById('reset-error');
+
     errorElement.textContent = '';
-    
-    if (!username || !password) {
-      errorElement.textContent = 'Please enter both username and password';
+
+    if (!username || !recoveryCode || !password || !passwordConfirm) {
+      errorElement.textContent = 'Please fill in all fields';
       return;
     }
-    
+
+    if (password.length < CONFIG.MIN_PASSWORD_LENGTH) {
+      errorElement.textContent = `Password must be at least ${CONFIG.MIN_PASSWORD_LENGTH} characters long`;
+      return;
+    }
+
+    if (password !== passwordConfirm) {
+      errorElement.textContent = 'Passwords do not match';
+      return;
+    }
+
     try {
       this.showLoadingOverlay();
-      
-      // Find user by username
-      const { data: userData, error: userError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('username', username)
-        .single();
-      
-      if (userError || !userData) {
-        errorElement.textContent = 'Invalid username or password';
-        this.hideLoadingOverlay();
-        return;
-      }
-      
-      // Verify password (simple base64 check - not secure for production)
-      const hashedPassword = btoa(password);
-      if (userData.password_hash !== hashedPassword) {
-        errorElement.textContent = 'Invalid username or password';
+
+      const result = await this.auth.resetPassword({ username, recoveryCode, password });
+      if (!result.success) {
+        errorElement.textContent = result.error;
         this.hideLoadingOverlay();
         return;
       }
-      
-      this.user = { id: userData.id, username: userData.username };
-      localStorage.setItem('habitide-user', JSON.stringify(this.user));
-      localStorage.setItem('habitide-session-timestamp', Date.now().toString());
-      
-      console.log('HabitideApp: USER SET TO:', this.user);
-      
-      // Rely on postAuthenticationFlow for navigation
-      await this.postAuthenticationFlow(this.user);
-      this.showNotification('Signed in successfully!', 'success');
-      
+
+      const remaining = result.remainingCodes;
+
+      this.hideLoadingOverlay();
+      document.getElementById('signin-username').value = username;
+      document.querySelector('.auth-tab[data-tab="signin"]')?.click();
+      this.showNotification(`Password reset! ${remaining} recovery code${remaining === 1 ? '' : 's'} left.`, 'success');
     } catch (error) {
-      console.error('Sign-in error:', error);
+      console.error('Password reset error:', error);
       this.hideLoadingOverlay();
-      errorElement.textContent = 'Failed to sign in. Please try again.';
-      requestAnimationFrame(() => {
-        this.hideAuthUI();
-        this.navigateToSection('dashboard');
-      });
+      errorElement.textContent = 'Failed to reset password. Please try again.';
     }
   }
 
-  signOut() {
-    // Clear local data immediately
-    this.user = null;
-    localStorage.removeItem('habitide-user');
-    localStorage.removeItem('habitide-session-timestamp'); // Clear session timestamp
-    localStorage.removeItem('habitide-current-section'); // Clear navigation state
-    
-    // Sign out from Supabase silently (don't wait for it)
-    supabase.auth.signOut().catch(error => {
-      console.log('Supabase signout error (ignored):', error);
-    });
-    
-    this.showAuthUI();
-    this.showNotification('Signed out successfully', 'info');
-  }
-
   // Data management methods
   async loadData() {
     console.log('HabitideApp: Starting loadData');
@@ -4665,11 +8831,12 @@ class HabitideApp {
       console.log("HabitideApp: Loading data for user:", this.user.id);
       console.log("HabitideApp: User object:", this.user);
       
-      // Load actions
+      // Load actions (trashed ones are only shown in the Trash)
       const { data: actions, error: actionsError } = await supabase
         .from('actions')
         .select('*')
         .eq('user_id', this.user.id)
+        .is('deleted_at', null)
         .order('date', { ascending: false });
 
       if (actionsError) {
@@ -4679,6 +8846,11 @@ class HabitideApp {
       
       console.log("HabitideApp: Actions loaded:", actions?.length || 0, "actions found");
 
+      // Keep a copy for offline starts, then layer on changes that haven't synced yet
+      this.outbox.saveSnapshot(this.user.id, actions || []).catch(error => {
+        console.warn('HabitideApp: Could not cache actions for offline use:', error);
+      });
+
       // Load settings from profiles table
       const { data: profile, error: profileError } = await supabase
         .from('profiles')
@@ -4698,16 +8870,19 @@ class HabitideApp {
         settings = { ...settings, ...profile.data.settings };
       }
 
-      this.data.actions = actions || [];
+      this.data.actions = await this.withPendingChanges(actions || []);
       this.data.settings = settings;
+      setDayBoundary(settings);
       
       // Load custom workouts and workout state from profile data
       if (profile && profile.data) {
         this.data.customWorkouts = profile.data.customWorkouts || {};
         this.data.workoutState = profile.data.workoutState || {};
+        this.data.lastReset = profile.data.lastReset || null;
       } else {
         this.data.customWorkouts = {};
         this.data.workoutState = {};
+        this.data.lastReset = null;
       }
       this.data.lastFetched = Date.now(); // Update lastFetched after data fetch
       console.log('HabitideApp: loadData complete');
@@ -4715,20 +8890,24 @@ class HabitideApp {
     } catch (error) {
       console.error('Failed to load data:', error);
       
-      // Use default data on error
-      this.data.actions = [];
+      // Fall back to the cached action list when offline, defaults otherwise
+      const cachedActions = DatabaseManager.isConnectionError(error) ? await this.loadOfflineActions() : null;
+      this.data.actions = cachedActions || [];
       this.data.settings = { 
         targetGoal: 20000, 
         reminderTime: '20:00', 
         theme: 'light', 
         quickActions: [1, 2, 3, 4] 
       };
+      setDayBoundary(this.data.settings);
       this.data.customWorkouts = {};
       this.data.workoutState = {};
       this.data.lastFetched = Date.now(); // Even on error, update lastFetched to avoid infinite fetch loop
       
       // Show specific error information
-      if (error.message?.includes('406')) {
+      if (cachedActions) {
+        this.showNotification(MESSAGES.WARNING.OFFLINE_MODE, 'warning');
+      } else if (error.message?.includes('406')) {
         this.showNotification('Profile data access blocked - please check database setup', 'error');
       } else if (error.message?.includes('relation') && error.message?.includes('does not exist')) {
         this.showNotification('Database tables missing - please run setup script', 'error');
@@ -4752,6 +8931,7 @@ class HabitideApp {
         .from('action_types')
         .select('*')
         .or(`user_id.eq.${this.user.id},user_id.is.null`)
+        .is('deleted_at', null)
         .order('name');
 
       if (error) {
@@ -4780,10 +8960,12 @@ class HabitideApp {
         }
       });
 
-      // Group by category
+      // Group by category; archived types are kept apart so they can't be logged but still resolve for history
+      const activeActionTypes = uniqueActionTypes.filter(type => !type.archived_at);
       this.data.actionTypes = {
-        positive: uniqueActionTypes.filter(type => type.category === 'positive'),
-        negative: uniqueActionTypes.filter(type => type.category === 'negative')
+        positive: activeActionTypes.filter(type => type.category === 'positive'),
+        negative: activeActionTypes.filter(type => type.category === 'negative'),
+        archived: uniqueActionTypes.filter(type => type.archived_at)
       };
 
       console.log("HabitideApp: Action types grouped - Positive:", this.data.actionTypes.positive.length, "Negative:", this.data.actionTypes.negative.length);
@@ -4794,7 +8976,7 @@ class HabitideApp {
     } catch (error) {
       console.error('Failed to load action types:', error);
       // Use default empty arrays
-      this.data.actionTypes = { positive: [], negative: [] };
+      this.data.actionTypes = { positive: [], negative: [], archived: [] };
       this.data.lastFetched = Date.now();
       
       this.showNotification('Failed to load action types', 'warning');
@@ -4823,6 +9005,8 @@ class HabitideApp {
       profileData.settings = this.data.settings;
       profileData.customWorkouts = this.data.customWorkouts;
       profileData.workoutState = this.data.workoutState;
+      // Lets the reminder sender skip workout reminders once today's workout is done
+      profileData.workoutCompletedOn = this.isReminderConditionMet({ target: { type: 'workout' } }) ? getTodayString() : null;
 
       // Save updated profile
       const { error: saveError } = await supabase
@@ -4841,11 +9025,9 @@ class HabitideApp {
   }
 
   async saveSettings() {
-    const targetGoalInput = document.getElementById('targetGoalInput');
-    const reminderTimeInput = document.getElementById('reminderTimeInput');
     const themeSelect = document.getElementById('themeSelect');
 
-    if (!targetGoalInput || !reminderTimeInput || !themeSelect) {
+    if (!themeSelect) {
       this.showConfirmationModal(
         'Settings Error',
         'Settings form elements not found. Please refresh the page and try again.',
@@ -4855,54 +9037,56 @@ class HabitideApp {
     }
 
     try {
-      // Validate target goal
-      const targetGoal = parseInt(targetGoalInput.value);
-      if (isNaN(targetGoal) || targetGoal <= 0) {
-        this.showConfirmationModal(
-          'Invalid Input',
-          'Please enter a valid target goal amount (must be a positive number).',
-          'warning'
-        );
-        targetGoalInput.focus();
-        return;
-      }
-
-      if (targetGoal > 100000000) { // 10 crore limit
+      const timezone = document.getElementById('timezoneInput')?.value.trim() || '';
+      if (timezone && !isValidTimeZone(timezone)) {
         this.showConfirmationModal(
-          'Value Too Large',
-          'Target goal cannot exceed ₹10,00,00,000. Please enter a smaller amount.',
+          'Invalid Timezone',
+          'Please pick a timezone from the list, such as Asia/Kolkata.',
           'warning'
         );
-        targetGoalInput.focus();
         return;
       }
-
-      // Validate reminder time
-      const reminderTime = reminderTimeInput.value;
-      if (!reminderTime || !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(reminderTime)) {
+      const dayRolloverHour = parseInt(document.getElementById('dayRolloverSelect')?.value) || 0;
+      const spendingBudgetValue = document.getElementById('spendingBudgetInput')?.value;
+      const spendingBudget = spendingBudgetValue ? parseFloat(spendingBudgetValue) : null;
+      if (spendingBudget !== null && !(spendingBudget > 0)) {
         this.showConfirmationModal(
-          'Invalid Time',
-          'Please enter a valid reminder time in HH:MM format.',
+          'Invalid Budget',
+          'Please enter a monthly spending budget above ₹0, or leave it empty for no budget.',
           'warning'
         );
-        reminderTimeInput.focus();
         return;
       }
 
       // Store previous settings for rollback
       const previousSettings = { ...this.data.settings };
+      const dayBoundaryChanged = timezone !== getUserTimeZone() || dayRolloverHour !== dayBoundary.rolloverHour;
 
       // Update settings
       this.data.settings = {
         ...this.data.settings,
-        targetGoal: targetGoal,
-        reminderTime: reminderTime,
-        theme: themeSelect.value
+        theme: themeSelect.value,
+        timezone: timezone || null,
+        dayRolloverHour,
+        spendingBudget,
+        scaleSpendingPenalty: Boolean(document.getElementById('scaleSpendingPenaltyInput')?.checked)
       };
 
       // Apply theme
       this.setTheme(themeSelect.value);
 
+      if (dayBoundaryChanged) {
+        // "Today" may have moved, so everything keyed by date is re-rendered and reminders re-timed
+        setDayBoundary(this.data.settings);
+        this.selectedDate = getToday();
+        this.currentDate = getToday();
+        this.forceReRenderQuickActions();
+        this.updateDashboardStats();
+        this.renderRecentActivities();
+        this.setupDailyReminder();
+      }
+      this.renderSpending();
+
       // Save to database
       await this.saveData();
       
@@ -4956,24 +9140,51 @@ class HabitideApp {
   }
 
   async resetAllData() {
-    if (!confirm('Are you sure you want to reset all data? This action cannot be undone.')) {
+    if (!confirm(`Are you sure you want to reset all data? You can restore it from the Trash for ${CONFIG.TRASH_RETENTION_DAYS} days.`)) {
       return;
     }
 
     try {
       if (this.user) {
-        // Delete all actions
-        await supabase
+        // Queued offline changes would otherwise replay on top of the reset
+        await this.syncOutbox();
+        if (await this.outbox.count(this.user.id) > 0) {
+          this.showNotification('Some offline changes haven\'t synced yet - reconnect and try the reset again.', 'warning');
+          return;
+        }
+
+        // Everything wiped is kept so the reset can be undone until the trash is purged
+        const lastReset = {
+          deletedAt: new Date().toISOString(),
+          settings: this.data.settings,
+          customWorkouts: this.data.customWorkouts,
+          workoutState: this.data.workoutState
+        };
+
+        // Trash all actions
+        const { error: trashError } = await supabase
           .from('actions')
-          .delete()
-          .eq('user_id', this.user.id);
+          .update({ deleted_at: lastReset.deletedAt })
+          .eq('user_id', this.user.id)
+          .is('deleted_at', null);
+
+        if (trashError) throw trashError;
 
         // Reset settings in profile (preserve action types, only reset user data)
-        await supabase
+        const { data: currentProfile, error: profileError } = await supabase
+          .from('profiles')
+          .select('data')
+          .eq('id', this.user.id)
+          .single();
+
+        if (profileError && profileError.code !== 'PGRST116') throw profileError; // PGRST116 = no rows
+
+        const { error: saveError } = await supabase
           .from('profiles')
           .upsert({
             id: this.user.id,
             data: {
+              ...currentProfile?.data,
               settings: {
                 targetGoal: 20000,
                 reminderTime: '20:00',
@@ -4981,32 +9192,272 @@ class HabitideApp {
                 quickActions: [1, 2, 3, 4]
               },
               customWorkouts: {},
-              workoutState: {}
+              workoutState: {},
+              lastReset
             }
           });
+
+        if (saveError) throw saveError;
+
+        this.data.lastReset = lastReset;
       }
 
       // Store current action types before reset
       const preservedActionTypes = { ...this.data.actionTypes };
       const preservedBadges = [...this.data.badges];
 
-      // Reset local data but preserve action types
-      this.data = {
-        settings: { targetGoal: 20000, reminderTime: '20:00', theme: 'light', quickActions: [1, 2, 3, 4] },
-        actions: [],
-        workoutProgress: {},
-        customWorkouts: {},
-        workoutState: {},
-        actionTypes: preservedActionTypes, // Keep action types loaded
-        badges: preservedBadges // Keep badges structure
-      };
+      // Reset local data but preserve action types
+      this.data = {
+        settings: { targetGoal: 20000, reminderTime: '20:00', theme: 'light', quickActions: [1, 2, 3, 4] },
+        actions: [],
+        workoutProgress: {},
+        customWorkouts: {},
+        workoutState: {},
+        actionTypes: preservedActionTypes, // Keep action types loaded
+        badges: preservedBadges, // Keep badges structure
+        lastReset: this.data.lastReset
+      };
+
+      this.resetRenderFlags();
+      this.renderAll();
+      if (this.user) {
+        this.showUndoNotification('All data has been reset', () => this.restoreLastReset());
+      } else {
+        this.showNotification('All data has been reset', 'success');
+      }
+
+    } catch (error) {
+      console.error('Failed to reset data:', error);
+      this.showNotification('Failed to reset data', 'error');
+    }
+  }
+
+  // Trash
+
+  getTrashCutoff() {
+    return new Date(Date.now() - CONFIG.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  async restoreLastReset() {
+    const lastReset = this.data.lastReset;
+    if (!this.user || !lastReset) return;
+
+    if (lastReset.deletedAt < this.getTrashCutoff()) {
+      this.showNotification('This reset is too old to restore', 'warning');
+      return;
+    }
+
+    try {
+      // One-per-day actions logged again since the reset keep their place; the trashed copy stays in the trash
+      const [{ data: trashed, error: trashedError }, { data: live, error: liveError }] = await Promise.all([
+        supabase.from('actions').select('id, action_type_id, date, multi_entry').eq('user_id', this.user.id).eq('deleted_at', lastReset.deletedAt),
+        supabase.from('actions').select('action_type_id, date').eq('user_id', this.user.id).eq('multi_entry', false).is('deleted_at', null)
+      ]);
+      if (trashedError || liveError) throw trashedError || liveError;
+
+      const liveKeys = new Set(live.map(action => `${action.action_type_id}|${action.date}`));
+      const restorableIds = trashed
+        .filter(action => action.multi_entry || !liveKeys.has(`${action.action_type_id}|${action.date}`))
+        .map(action => action.id);
+
+      if (restorableIds.length > 0) {
+        const { error: actionsError } = await supabase
+          .from('actions')
+          .update({ deleted_at: null })
+          .eq('user_id', this.user.id)
+          .in('id', restorableIds);
+        if (actionsError) throw actionsError;
+      }
+
+      // Put back only what the reset replaced; anything else in the profile stays as it is
+      const { data: currentProfile, error: fetchError } = await supabase
+        .from('profiles')
+        .select('data')
+        .eq('id', this.user.id)
+        .single();
+      if (fetchError) throw fetchError;
+
+      const { lastReset: restoredReset, ...profileData } = currentProfile?.data || {};
+      const { error: profileError } = await supabase
+        .from('profiles')
+        .upsert({
+          id: this.user.id,
+          data: {
+            ...profileData,
+            settings: lastReset.settings,
+            customWorkouts: lastReset.customWorkouts,
+            workoutState: lastReset.workoutState
+          }
+        });
+      if (profileError) throw profileError;
+
+      await this.loadData();
+      this.resetRenderFlags();
+      this.renderAll();
+      this.refreshReminders();
+      this.showNotification('Your data has been restored', 'success');
+    } catch (error) {
+      console.error('Failed to restore reset data:', error);
+      this.showNotification('Failed to restore data', 'error');
+    }
+  }
+
+  async restoreActionType(actionTypeId, deletedAt) {
+    if (!this.user) return;
+
+    try {
+      const { error: typeError } = await supabase
+        .from('action_types')
+        .update({ deleted_at: null })
+        .eq('id', actionTypeId)
+        .eq('user_id', this.user.id);
+      if (typeError) throw typeError;
+
+      const { error: actionsError } = await supabase
+        .from('actions')
+        .update({ deleted_at: null })
+        .eq('user_id', this.user.id)
+        .eq('action_type_id', actionTypeId)
+        .eq('deleted_at', deletedAt);
+      if (actionsError) throw actionsError;
+
+      await this.loadActionTypes();
+      await this.loadData();
+      this.resetRenderFlags();
+      this.renderAll();
+      this.showNotification('Action type restored', 'success');
+    } catch (error) {
+      console.error('Failed to restore action type:', error);
+      this.showNotification('Failed to restore action type', 'error');
+    }
+  }
+
+  // Permanently remove anything that has sat in the trash past the retention period
+  async purgeExpiredTrash() {
+    const cutoff = this.getTrashCutoff();
+
+    // Actions first - they reference their action type
+    const { error: actionsError } = await supabase
+      .from('actions')
+      .delete()
+      .eq('user_id', this.user.id)
+      .lt('deleted_at', cutoff);
+    if (actionsError) throw actionsError;
+
+    const { error: typesError } = await supabase
+      .from('action_types')
+      .delete()
+      .eq('user_id', this.user.id)
+      .lt('deleted_at', cutoff);
+    if (typesError) throw typesError;
+  }
+
+  async renderTrash() {
+    const list = document.getElementById('trashList');
+    if (!list || !this.user) return;
+
+    try {
+      await this.purgeExpiredTrash();
+
+      const [{ data: actions, error: actionsError }, { data: actionTypes, error: typesError }] = await Promise.all([
+        supabase.from('actions').select('*').eq('user_id', this.user.id).not('deleted_at', 'is', null).order('deleted_at', { ascending: false }),
+        supabase.from('action_types').select('*').eq('user_id', this.user.id).not('deleted_at', 'is', null).order('deleted_at', { ascending: false })
+      ]);
+      if (actionsError) throw actionsError;
+      if (typesError) throw typesError;
+
+      const lastReset = this.data.lastReset && this.data.lastReset.deletedAt >= this.getTrashCutoff() ? this.data.lastReset : null;
+      const trashedTypeIds = new Set(actionTypes.map(type => type.id));
+      // Actions trashed along with their type or by a reset are restored as a group
+      const looseActions = actions.filter(action =>
+        !trashedTypeIds.has(action.action_type_id) && action.deleted_at !== lastReset?.deletedAt
+      );
+
+      this.trashedActions = new Map(looseActions.map(action => [action.id, action]));
+
+      const items = [
+        ...(lastReset ? [`
+          <li class="trash-item">
+            <div class="trash-info">
+              <strong>Data reset</strong>
+              <small>${actions.filter(action => action.deleted_at === lastReset.deletedAt).length} actions and your settings · ${new Date(lastReset.deletedAt).toLocaleString()}</small>
+            </div>
+            <button class="btn btn--outline btn--sm" data-trash-restore="reset">Restore</button>
+          </li>
+        `] : []),
+        ...actionTypes.map(type => `
+          <li class="trash-item">
+            <div class="trash-info">
+              <strong>${type.name}</strong>
+              <small>Action type with ${actions.filter(action => action.action_type_id === type.id && action.deleted_at === type.deleted_at).length} actions · ${new Date(type.deleted_at).toLocaleString()}</small>
+            </div>
+            <button class="btn btn--outline btn--sm" data-trash-restore="type" data-id="${type.id}" data-deleted-at="${type.deleted_at}">Restore</button>
+            <button class="btn btn--outline btn--sm" data-trash-purge="type" data-id="${type.id}">Delete Forever</button>
+          </li>
+        `),
+        ...looseActions.map(action => `
+          <li class="trash-item">
+            <div class="trash-info">
+              <strong>${this.findActionType(action.action_type_id)?.name || 'Action'}</strong>
+              <small>${getDateString(action.date)} · ${action.value >= 0 ? '+' : ''}${formatCurrency(action.value || 0)} · deleted ${new Date(action.deleted_at).toLocaleString()}</small>
+            </div>
+            <button class="btn btn--outline btn--sm" data-trash-restore="action" data-id="${action.id}">Restore</button>
+            <button class="btn btn--outline btn--sm" data-trash-purge="action" data-id="${action.id}">Delete Forever</button>
+          </li>
+        `)
+      ];
+
+      if (items.length === 0) {
+        list.innerHTML = '<li class="trash-item">Trash is empty</li>';
+        return;
+      }
+
+      list.innerHTML = items.join('');
+
+      list.querySelectorAll('[data-trash-restore]').forEach(button => {
+        button.addEventListener('click', async () => {
+          const { trashRestore, id, deletedAt } = button.dataset;
+          if (trashRestore === 'reset') await this.restoreLastReset();
+          if (trashRestore === 'type') await this.restoreActionType(Number(id), deletedAt);
+          if (trashRestore === 'action') await this.restoreAction(this.trashedActions.get(Number(id)));
+          this.renderTrash();
+        });
+      });
+      list.querySelectorAll('[data-trash-purge]').forEach(button => {
+        button.addEventListener('click', () => this.deleteFromTrash(button.dataset.trashPurge, Number(button.dataset.id)));
+      });
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      list.innerHTML = '<li class="trash-item">Could not load trash</li>';
+    }
+  }
+
+  async deleteFromTrash(kind, id) {
+    if (!confirm('Permanently delete this item? This cannot be undone.')) {
+      return;
+    }
 
-      this.showNotification('All data has been reset', 'success');
-      this.renderAll();
+    try {
+      if (kind === 'type') {
+        const { error } = await supabase
+          .from('actions')
+          .delete()
+          .eq('user_id', this.user.id)
+          .eq('action_type_id', id);
+        if (error) throw error;
+      }
+
+      const { error } = await supabase
+        .from(kind === 'type' ? 'action_types' : 'actions')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', this.user.id);
+      if (error) throw error;
 
+      this.renderTrash();
     } catch (error) {
-      console.error('Failed to reset data:', error);
-      this.showNotification('Failed to reset data', 'error');
+      console.error('Failed to delete from trash:', error);
+      this.showNotification('Failed to delete item', 'error');
     }
   }
 
@@ -5022,7 +9473,7 @@ class HabitideApp {
 
   // Reset render flags for performance optimization
   resetRenderFlags() {
-    const sections = ['dashboard', 'workout', 'calendar', 'profile'];
+    const sections = ['dashboard', 'workout', 'calendar', 'insights', 'profile'];
     sections.forEach(sectionId => {
       const section = document.getElementById(sectionId);
       if (section) delete section.dataset.rendered; // Fix: Remove attribute instead of setting 'false'
@@ -5035,7 +9486,10 @@ class HabitideApp {
   }
 
   // Action management
-  async addAction(typeId, amount = 0, notes = '', dateString = null, isQuickAction = false) {
+  /**
+   * @param {Object} [details] - Extra columns for the new action: a debt payment or spending details
+   */
+  async addAction(typeId, amount = 0, notes = '', dateString = null, isQuickAction = false, timeString = null, details = {}) {
     const validation = this.validateActionInput(typeId, '', dateString);
     if (!validation.valid) {
       this.showNotification(validation.error, 'error');
@@ -5054,28 +9508,43 @@ class HabitideApp {
       return;
     }
 
+    if (actionType.archived_at) {
+      this.showNotification(`"${actionType.name}" is archived - restore it in Profile to log it again`, 'warning');
+      return;
+    }
+
+    // Quantity types need an amount; everything else ignores it
+    const quantity = this.isQuantityType(actionType) ? Number(amount) : null;
+    if (quantity !== null && !(quantity > 0)) {
+      this.showNotification(`Please enter how many ${actionType.unit} to log`, 'error');
+      return;
+    }
+
     try {
       // Normalize the date to ensure consistent format (YYYY-MM-DD) without timezone conversion
       const normalizedDate = validation.dateToUse.match(/^\d{4}-\d{2}-\d{2}$/) 
         ? validation.dateToUse 
         : getDateString(validation.dateToUse);
       
-      // First, check if an action already exists for this user, action type, and date
-      const { data: existingActions, error: checkError } = await supabase
-        .from('actions')
-        .select('*')
-        .eq('user_id', this.user.id)
-        .eq('action_type_id', typeId)
-        .eq('date', normalizedDate);
-
-      if (checkError) {
-        console.error('Error checking for existing action:', checkError);
-        throw checkError;
+      // First, check if an action already exists for this action type and date
+      // (local data includes changes that haven't synced yet)
+      const actionsForDate = (this.data.actions || []).filter(action => getDateString(action.date) === normalizedDate);
+      const existingAction = this.allowsMultiple(actionType)
+        ? null
+        : actionsForDate.find(action => action.action_type_id === typeId) || null;
+
+      if (this.allowsMultiple(actionType) && this.isActionLimitReached(actionType, actionsForDate)) {
+        this.showNotification(`${actionType.name} is limited to ${actionType.daily_cap} per day`, 'warning');
+        return;
       }
 
-      const existingAction = existingActions && existingActions.length > 0 ? existingActions[0] : null;
+      // Handle duplicate actions
+      if (existingAction && quantity !== null) {
+        // Quantities accumulate into the day's single entry
+        await this.performActionUpdate(existingAction, actionType, validation.notes || notes || existingAction.notes, normalizedDate, (Number(existingAction.quantity) || 0) + quantity);
+        return;
+      }
 
-            // Handle duplicate actions
       if (existingAction) {
         if (isQuickAction) {
           // For quick actions, silently ignore duplicates to prevent confusion
@@ -5101,22 +9570,22 @@ class HabitideApp {
         user_id: this.user.id,
         action_type_id: typeId,
         date: normalizedDate,
+        time: timeString || getTimeString(),
         notes: validation.notes || notes,
-        value: actionType.value,
+        quantity,
+        value: this.computeActionValue(actionType, quantity, details.spent_amount, this.isPenaltyScaled(actionType)),
+        penalty_scaled: this.isPenaltyScaled(actionType),
+        multi_entry: this.allowsMultiple(actionType), // Exempts the row from the one-per-day unique index
+        ...details,
         created_at: new Date().toISOString()
       };
 
-      const { data: insertedData, error: insertError } = await supabase
-        .from('actions')
-        .insert([actionData])
-        .select()
-        .single();
+      // Queue for the server, then show it immediately under a local id
+      const localId = this.outbox.nextLocalId();
+      await this.outbox.enqueue({ userId: this.user.id, op: 'insert', actionId: localId, payload: actionData });
 
-      if (insertError) throw insertError;
-
-      // Add to local data
       this.data.actions = this.data.actions || [];
-      this.data.actions.unshift(insertedData);
+      this.data.actions.unshift({ ...actionData, id: localId });
 
       // Clear the form after successful add
       this.clearActionForm();
@@ -5125,43 +9594,34 @@ class HabitideApp {
       this.updateUIAfterAction(normalizedDate);
 
       // REMOVED: No notification for successful additions
+      if (actionData.spent_amount) this.checkSpendingBudget(normalizedDate);
+
+      this.syncOutbox();
 
     } catch (error) {
       console.error('Failed to add action:', error);
-      
-      // Enhanced error handling with specific messages
-      if (error.code === '23505' || error.message?.includes('duplicate key')) {
-        // This shouldn't happen with our new logic, but just in case
-        this.showNotification('Action already exists for this date and type', 'warning');
-      } else if (error.message?.includes('Network')) {
-        this.showNotification('Connection error. Please check your internet and try again.', 'error');
-      } else {
-        this.showNotification('Failed to save action. Please try again.', 'error');
-      }
+      this.showNotification('Failed to save action. Please try again.', 'error');
     }
   }
 
   // Helper method to perform action update
-  async performActionUpdate(existingAction, actionType, notes, normalizedDate) {
+  async performActionUpdate(existingAction, actionType, notes, normalizedDate, quantity = existingAction.quantity ?? null) {
     try {
-      const { data: updatedData, error: updateError } = await supabase
-        .from('actions')
-        .update({
-          notes: notes,
-          value: actionType.value,
-          created_at: new Date().toISOString()
-        })
-        .eq('id', existingAction.id)
-        .select()
-        .single();
+      const actionId = this.resolveActionId(existingAction.id);
+      const changes = {
+        notes: notes,
+        quantity,
+        value: this.computeActionValue(actionType, quantity, existingAction.spent_amount, existingAction.penalty_scaled),
+        created_at: new Date().toISOString()
+      };
 
-      if (updateError) throw updateError;
+      await this.outbox.enqueue({ userId: this.user.id, op: 'update', actionId, payload: changes });
 
       // Update local data
       this.data.actions = this.data.actions || [];
-      const localIndex = this.data.actions.findIndex(a => a.id === existingAction.id);
+      const localIndex = this.data.actions.findIndex(a => a.id === actionId);
       if (localIndex >= 0) {
-        this.data.actions[localIndex] = updatedData;
+        this.data.actions[localIndex] = { ...this.data.actions[localIndex], ...changes };
       }
 
       // Clear the form after successful update
@@ -5172,6 +9632,8 @@ class HabitideApp {
 
       // REMOVED: No notification for successful updates
 
+      this.syncOutbox();
+
     } catch (error) {
       console.error('Failed to update action:', error);
       this.showNotification('Failed to update action. Please try again.', 'error');
@@ -5183,14 +9645,13 @@ class HabitideApp {
     // Use requestAnimationFrame for smoother UI updates
     requestAnimationFrame(() => {
       // For today's actions, force refresh quick actions to show updated state
-      const actionDate = new Date(normalizedDate);
-      const today = new Date();
-      if (actionDate.toDateString() === today.toDateString()) {
+      if (normalizedDate === getTodayString()) {
         this.forceReRenderQuickActions();
       }
       
       this.renderRecentActivities();
       this.updateDashboardStats();
+      this.refreshReminders();
       
       // Re-render badges in correct context
       const activeSection = document.querySelector('.section.active');
@@ -5226,24 +9687,17 @@ class HabitideApp {
 
   // Delete action method
   async deleteAction(actionId) {
-    if (!confirm('Are you sure you want to delete this action?')) {
-      return;
-    }
-
     if (!this.user) {
       this.showNotification('Please sign in to delete actions', 'error');
       return;
     }
 
     try {
-      // Delete from database
-      const { error } = await supabase
-        .from('actions')
-        .delete()
-        .eq('id', actionId)
-        .eq('user_id', this.user.id); // Security: only delete user's own actions
+      actionId = this.resolveActionId(actionId);
+      const deletedAction = this.data.actions.find(action => action.id === actionId);
 
-      if (error) throw error;
+      // Queue the delete (replay only removes the user's own actions)
+      await this.outbox.enqueue({ userId: this.user.id, op: 'delete', actionId });
 
       // Remove from local data
       this.data.actions = this.data.actions.filter(action => action.id !== actionId);
@@ -5262,7 +9716,12 @@ class HabitideApp {
         this.renderQuickActions();
       }
 
-      // REMOVED: No notification for successful deletions
+      this.refreshReminders();
+      this.syncOutbox();
+
+      if (deletedAction) {
+        this.showUndoNotification('Action moved to trash', () => this.restoreAction(deletedAction));
+      }
 
     } catch (error) {
       console.error('Failed to delete action:', error);
@@ -5270,6 +9729,515 @@ class HabitideApp {
     }
   }
 
+  // Bring an action back from the trash (or straight after an undo)
+  async restoreAction(action) {
+    if (!this.user) return;
+
+    try {
+      const actionId = this.resolveActionId(action.id);
+      const { deleted_at, ...restored } = { ...action, id: actionId };
+
+      // A one-per-day action can't come back once the same day has been logged again
+      const actionType = this.findActionType(restored.action_type_id);
+      const clashes = !this.allowsMultiple(actionType) && this.data.actions.some(item =>
+        item.id !== actionId && item.action_type_id === restored.action_type_id && getDateString(item.date) === getDateString(restored.date)
+      );
+      if (clashes) {
+        this.showNotification(`${actionType?.name || 'This action'} is already logged for that date`, 'warning');
+        return;
+      }
+
+      await this.outbox.enqueue({ userId: this.user.id, op: 'restore', actionId, payload: restored });
+      this.data.actions = [restored, ...this.data.actions.filter(item => item.id !== actionId)];
+
+      this.updateUIAfterAction(getDateString(restored.date));
+      this.renderCalendarGrid();
+      this.updateSelectedDateActions();
+      this.syncOutbox();
+    } catch (error) {
+      console.error('Failed to restore action:', error);
+      this.showNotification('Failed to restore action', 'error');
+    }
+  }
+
+  showEditActionModal(actionId) {
+    actionId = this.resolveActionId(actionId);
+    const action = (this.data.actions || []).find(item => item.id === actionId);
+    if (!action) {
+      this.showNotification('Action not found', 'error');
+      return;
+    }
+
+    // An archived type stays selectable only for actions already logged with it
+    const currentType = this.findActionType(action.action_type_id);
+    const actionTypes = [
+      ...(this.data.actionTypes?.positive || []),
+      ...(this.data.actionTypes?.negative || []),
+      ...(currentType?.archived_at ? [currentType] : [])
+    ];
+
+    this.closeEditActionModal();
+    document.body.insertAdjacentHTML('beforeend', `
+      <div class="modal-overlay active" id="editActionModal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h3>Edit Action</h3>
+            <button class="modal-close" onclick="app.closeEditActionModal()">×</button>
+          </div>
+          <div class="modal-body">
+            <div class="form-container">
+              <div class="form-group">
+                <label class="form-label" for="editActionDate">Date</label>
+                <input type="date" class="form-control" id="editActionDate" value="${getDateString(action.date)}">
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="editActionTime">Time</label>
+                <input type="time" class="form-control" id="editActionTime" value="${action.time || ''}">
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="editActionType">Action Type</label>
+                <select class="form-control" id="editActionType">
+                  ${actionTypes.map(type => `
+                    <option value="${type.id}" ${type.id === action.action_type_id ? 'selected' : ''}>${type.name} (${this.formatActionTypeValue(type)})</option>
+                  `).join('')}
+                </select>
+              </div>
+              <div class="form-group" id="editQuantityGroup" hidden>
+                <label class="form-label" for="editActionQuantity">Quantity</label>
+                <input type="number" class="form-control" id="editActionQuantity" min="0" step="any" value="${action.quantity ?? ''}">
+              </div>
+              <div class="form-group" id="editPaymentGroup" hidden>
+                <label class="form-label" for="editPaymentAmount">Amount paid (₹)</label>
+                <input type="number" class="form-control" id="editPaymentAmount" min="0" step="0.01">
+                <select class="form-control" id="editPaymentDebt" aria-label="Debt paid"></select>
+              </div>
+              <div class="form-group" id="editSpendingGroup" hidden>
+                <label class="form-label" for="editSpentAmount">Amount spent (₹, optional)</label>
+                <input type="number" class="form-control" id="editSpentAmount" min="0" step="0.01">
+                <div class="spending-fields">
+                  <select class="form-control" id="editSpendingCategory" aria-label="Spending category">
+                    <option value="">No category</option>
+                    ${CONFIG.SPENDING_CATEGORIES.map(category => `<option value="${category}">${category}</option>`).join('')}
+                  </select>
+                  <input type="text" class="form-control" id="editMerchant" maxlength="${CONFIG.MAX_MERCHANT_LENGTH}" placeholder="Where? (optional)">
+                </div>
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="editActionNotes">Notes (Optional)</label>
+                <input type="text" class="form-control" id="editActionNotes" placeholder="Add a note...">
+              </div>
+            </div>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn--secondary" onclick="app.closeEditActionModal()">Cancel</button>
+            <button class="btn btn--primary" onclick="app.saveActionEdit(${action.id})">Save Changes</button>
+          </div>
+        </div>
+      </div>
+    `);
+
+    // Set as a property so quotes in notes can't break the markup
+    document.getElementById('editActionNotes').value = action.notes || '';
+    this.toggleQuantityInput('editQuantityGroup', action.action_type_id);
+    this.togglePaymentInput('edit', action.action_type_id, action);
+    this.toggleSpendingInput('edit', action.action_type_id, action);
+    document.getElementById('editActionType').addEventListener('change', (e) => {
+      this.toggleQuantityInput('editQuantityGroup', parseInt(e.target.value));
+      this.togglePaymentInput('edit', parseInt(e.target.value), action);
+      this.toggleSpendingInput('edit', parseInt(e.target.value), action);
+    });
+  }
+
+  closeEditActionModal() {
+    document.getElementById('editActionModal')?.remove();
+  }
+
+  async saveActionEdit(actionId) {
+    if (!this.user) {
+      this.showNotification('Please sign in to edit actions', 'error');
+      return;
+    }
+
+    actionId = this.resolveActionId(actionId);
+    const action = (this.data.actions || []).find(item => item.id === actionId);
+    if (!action) {
+      this.showNotification('Action not found', 'error');
+      this.closeEditActionModal();
+      return;
+    }
+
+    const date = document.getElementById('editActionDate')?.value;
+    const time = document.getElementById('editActionTime')?.value || null;
+    const typeId = parseInt(document.getElementById('editActionType')?.value);
+    const notes = document.getElementById('editActionNotes')?.value?.trim() || '';
+    const quantityValue = parseFloat(document.getElementById('editActionQuantity')?.value);
+
+    const dateValidation = validateDate(date);
+    if (!dateValidation.valid) {
+      this.showNotification(dateValidation.error, 'error');
+      return;
+    }
+
+    const actionType = this.findActionType(typeId);
+    if (!actionType) {
+      this.showNotification(MESSAGES.ERROR.ACTION_TYPE_NOT_FOUND, 'error');
+      return;
+    }
+
+    if (notes.length > CONFIG.MAX_NOTES_LENGTH) {
+      this.showNotification(`Notes cannot exceed ${CONFIG.MAX_NOTES_LENGTH} characters.`, 'error');
+      return;
+    }
+
+    const quantity = this.isQuantityType(actionType) ? quantityValue : null;
+    if (quantity !== null && !(quantity > 0)) {
+      this.showNotification(`Please enter how many ${actionType.unit} to log`, 'error');
+      return;
+    }
+
+    const payment = this.readPaymentInput('edit');
+    if (payment === undefined) {
+      this.showNotification('Please enter the amount you paid', 'error');
+      return;
+    }
+
+    const spending = this.readSpendingInput('edit');
+    if (spending === undefined) {
+      this.showNotification('Please enter a valid amount spent, or leave it blank', 'error');
+      return;
+    }
+
+    // The edited action must fit alongside the other entries already on the target date
+    const normalizedDate = getDateString(date);
+    const otherActionsForDate = this.data.actions.filter(item =>
+      item.id !== actionId && getDateString(item.date) === normalizedDate
+    );
+    const clashes = this.allowsMultiple(actionType)
+      ? this.isActionLimitReached(actionType, otherActionsForDate)
+      : otherActionsForDate.some(item => item.action_type_id === typeId);
+    if (clashes) {
+      this.showNotification(`${actionType.name} is already logged as often as allowed on that date`, 'warning');
+      return;
+    }
+
+    const previousDate = getDateString(action.date);
+    const changes = {
+      action_type_id: typeId,
+      date: normalizedDate,
+      time,
+      notes,
+      quantity,
+      value: this.computeActionValue(actionType, quantity, spending?.spent_amount, action.penalty_scaled),
+      multi_entry: this.allowsMultiple(actionType),
+      // Changing away from a payment or spending type drops its details
+      ...((payment || action.payment_amount) && { debt_id: payment?.debt_id ?? null, payment_amount: payment?.payment_amount ?? null }),
+      ...((spending || action.spent_amount || action.spending_category || action.merchant) && {
+        spent_amount: spending?.spent_amount ?? null,
+        spending_category: spending?.spending_category ?? null,
+        merchant: spending?.merchant ?? null
+      }),
+      created_at: new Date().toISOString()
+    };
+
+    try {
+      await this.outbox.enqueue({ userId: this.user.id, op: 'update', actionId, payload: changes });
+      this.data.actions = this.data.actions.map(item => item.id === actionId ? { ...item, ...changes } : item);
+      this.closeEditActionModal();
+
+      this.updateUIAfterAction(normalizedDate);
+      if (previousDate !== normalizedDate && previousDate === getTodayString()) {
+        this.forceReRenderQuickActions();
+      }
+      this.renderCalendarGrid();
+      this.updateSelectedDateActions();
+      if (changes.spent_amount) this.checkSpendingBudget(normalizedDate);
+
+      this.syncOutbox();
+    } catch (error) {
+      console.error('Failed to edit action:', error);
+      this.showNotification('Failed to save changes. Please try again.', 'error');
+    }
+  }
+
+  async handleActionLoggedFromNotification({ action, queued }) {
+    if (queued) {
+      // Queued in the outbox by the service worker; syncing picks it up
+      this.data.actions = await this.withPendingChanges(
+        this.data.actions.filter(existing => !this.outbox.isLocalId(existing.id))
+      );
+      this.syncOutbox();
+    } else if (!this.data.actions.some(existing => existing.id === action.id)) {
+      this.data.actions.unshift(action);
+    }
+
+    this.updateUIAfterAction(getDateString(action.date));
+  }
+
+  // Offline outbox sync
+
+  async withPendingChanges(actions) {
+    try {
+      return this.outbox.applyPending(actions, await this.outbox.getAll(this.user.id));
+    } catch (error) {
+      console.warn('HabitideApp: Could not read pending changes:', error);
+      return actions;
+    }
+  }
+
+  async loadOfflineActions() {
+    try {
+      const cachedActions = await this.outbox.loadSnapshot(this.user.id);
+      return cachedActions ? await this.withPendingChanges(cachedActions) : null;
+    } catch (error) {
+      console.warn('HabitideApp: No offline action cache available:', error);
+      return null;
+    }
+  }
+
+  // UI rendered before a sync may still hold an action's local id
+  resolveActionId(actionId) {
+    return this.syncedActionIds.get(actionId) ?? actionId;
+  }
+
+  // Replay queued changes in order; stops at the first one that can't reach the server
+  async syncOutbox() {
+    if (!this.user || this.isSyncing) return;
+
+    if (!navigator.onLine) {
+      await this.updateSyncIndicator();
+      return;
+    }
+
+    this.isSyncing = true;
+    const userId = this.user.id;
+    let changed = false;
+
+    try {
+      let entry;
+      while (this.user?.id === userId && (entry = await this.outbox.peek(userId))) {
+        if (!await this.replayOutboxEntry(entry)) break; // Still offline - keep the rest queued
+        await this.outbox.remove(entry.seq);
+        await this.updateSyncIndicator();
+        changed = true;
+      }
+    } catch (error) {
+      console.error('HabitideApp: Outbox sync failed:', error);
+    } finally {
+      this.isSyncing = false;
+      await this.updateSyncIndicator();
+    }
+
+    if (changed && this.user?.id === userId) {
+      // Synced rows are now server state; the service worker reads this for reminder summaries
+      this.outbox.saveSnapshot(userId, this.data.actions.filter(action => !this.outbox.isLocalId(action.id)))
+        .catch(error => console.warn('HabitideApp: Could not update offline action cache:', error));
+
+      this.renderRecentActivities();
+      this.updateSelectedDateActions();
+      this.updateDashboardStats();
+    }
+  }
+
+  /**
+   * Send one outbox entry and fold the server's answer into local data
+   * @param {Object} entry - Outbox entry
+   * @returns {Promise<boolean>} false if the server was unreachable
+   */
+  async replayOutboxEntry(entry) {
+    if (entry.op === 'insert' && entry.payload.multi_entry === undefined) {
+      // Queued before the flag existed
+      entry = { ...entry, payload: { ...entry.payload, multi_entry: this.allowsMultiple(this.findActionType(entry.payload.action_type_id)) } };
+    }
+
+    let result;
+    try {
+      result = await DatabaseManager.withRetry(() => this.sendOutboxEntry(entry));
+    } catch (error) {
+      console.warn('HabitideApp: Outbox replay paused:', error);
+      return false;
+    }
+
+    if (result.error) {
+      // Rejected for a reason retrying won't fix - drop it so it can't block the queue
+      console.error('HabitideApp: Discarding unsyncable change:', entry, result.error);
+      if (entry.op === 'insert' || entry.op === 'restore' || (entry.op === 'update' && result.deleted)) {
+        this.data.actions = this.data.actions.filter(action => action.id !== entry.actionId);
+      } else if (entry.op === 'update' && result.row) {
+        this.data.actions = this.data.actions.map(action => action.id === entry.actionId ? result.row : action);
+      }
+      this.showNotification(result.message || MESSAGES.ERROR.SAVE_FAILED, 'error');
+      return true;
+    }
+
+    if (entry.op === 'insert') {
+      const serverRow = result.row;
+      await this.outbox.remapActionId(entry.userId, entry.actionId, serverRow.id);
+      this.syncedActionIds.set(entry.actionId, serverRow.id);
+
+      // On a conflict the server row wins wholesale; otherwise only the id changes
+      this.data.actions = this.data.actions
+        .filter(action => action.id !== serverRow.id)
+        .map(action => action.id === entry.actionId
+          ? (result.conflict ? serverRow : { ...action, id: serverRow.id })
+          : action);
+    } else if ((entry.op === 'update' || entry.op === 'restore') && result.deleted) {
+      // Deleted on another device (or purged from the trash) - the delete wins
+      this.data.actions = this.data.actions.filter(action => action.id !== entry.actionId);
+    }
+
+    return true;
+  }
+
+  // Resolves to { row, error, conflict, deleted, message }; throws only on connection errors
+  async sendOutboxEntry(entry) {
+    switch (entry.op) {
+      case 'insert': {
+        const { data, error } = await supabase
+          .from('actions')
+          .insert([entry.payload])
+          .select()
+          .single();
+
+        DatabaseManager.throwIfConnectionError(error);
+        // Only one-per-day entries can clash; multi-entry rows are never merged into each other
+        if (error?.code === '23505' && !entry.payload.multi_entry) return this.resolveActionConflict(entry.payload);
+        return { row: data, error };
+      }
+
+      case 'update': {
+        const { data, error } = await supabase
+          .from('actions')
+          .update(entry.payload)
+          .eq('id', entry.actionId)
+          .eq('user_id', entry.userId)
+          .select();
+
+        DatabaseManager.throwIfConnectionError(error);
+        if (error) {
+          // The edit won't be retried, so fetch the server's copy to roll the local one back to
+          const { data: serverRows, error: fetchError } = await supabase
+            .from('actions')
+            .select('*')
+            .eq('id', entry.actionId)
+            .eq('user_id', entry.userId)
+            .is('deleted_at', null);
+
+          DatabaseManager.throwIfConnectionError(fetchError);
+          return {
+            row: serverRows?.[0] || null,
+            error,
+            deleted: !fetchError && !serverRows?.length,
+            message: error.code === '23505'
+              ? `That action was already logged on ${entry.payload.date || 'that day'} on another device, so this edit was undone`
+              : undefined
+          };
+        }
+        return { row: data?.[0] || null, error, deleted: !data?.length };
+      }
+
+      case 'delete': {
+        // Soft delete - the row stays in the trash until purged
+        const { error } = await supabase
+          .from('actions')
+          .update({ deleted_at: entry.queuedAt })
+          .eq('id', entry.actionId)
+          .eq('user_id', entry.userId); // Security: only delete user's own actions
+
+        DatabaseManager.throwIfConnectionError(error);
+        return { row: null, error, deleted: true };
+      }
+
+      case 'restore': {
+        const { data, error } = await supabase
+          .from('actions')
+          .update({ deleted_at: null })
+          .eq('id', entry.actionId)
+          .eq('user_id', entry.userId)
+          .select();
+
+        DatabaseManager.throwIfConnectionError(error);
+        if (error?.code === '23505') {
+          return { row: null, error, message: 'That action was logged again on another device, so the deleted copy stays in the trash' };
+        }
+        return { row: data?.[0] || null, error, deleted: !error && !data?.length };
+      }
+
+      default:
+        return { row: null, error: new Error(`Unknown outbox operation: ${entry.op}`) };
+    }
+  }
+
+  /**
+   * Another device already logged this one-per-day (user, action type, date).
+   * Payments to the same debt and quantities are added together; a payment is never
+   * replaced by one to a different debt, so that entry is refused instead. Otherwise
+   * the most recent created_at wins and on a tie the server copy is kept.
+   */
+  async resolveActionConflict(payload) {
+    const { data: serverRow, error } = await supabase
+      .from('actions')
+      .select('*')
+      .eq('user_id', payload.user_id)
+      .eq('action_type_id', payload.action_type_id)
+      .eq('date', payload.date)
+      .eq('multi_entry', false)
+      .is('deleted_at', null)
+      .single();
+
+    DatabaseManager.throwIfConnectionError(error);
+    if (error) return { row: null, error };
+
+    let changes;
+    if (payload.payment_amount || serverRow.payment_amount) {
+      if ((payload.debt_id ?? null) !== (serverRow.debt_id ?? null)) {
+        return {
+          row: null,
+          error: new Error('Conflicting debt payment'),
+          message: `Another device already logged a payment to a different debt on ${payload.date}, so this ${formatCurrency(payload.payment_amount || 0)} payment wasn't saved`
+        };
+      }
+      changes = {
+        payment_amount: Math.round(((serverRow.payment_amount || 0) + (payload.payment_amount || 0)) * 100) / 100,
+        value: (serverRow.value || 0) + payload.value,
+        notes: [serverRow.notes, payload.notes].filter(Boolean).join('; ')
+      };
+    } else if (payload.quantity != null) {
+      changes = {
+        quantity: (Number(serverRow.quantity) || 0) + Number(payload.quantity),
+        value: (serverRow.value || 0) + payload.value
+      };
+    } else if (new Date(payload.created_at) <= new Date(serverRow.created_at)) {
+      return { row: serverRow, error: null, conflict: true };
+    } else {
+      changes = { notes: payload.notes, time: payload.time, value: payload.value, created_at: payload.created_at };
+    }
+
+    const { data: updatedRow, error: updateError } = await supabase
+      .from('actions')
+      .update(changes)
+      .eq('id', serverRow.id)
+      .select()
+      .single();
+
+    DatabaseManager.throwIfConnectionError(updateError);
+    return { row: updatedRow, error: updateError, conflict: true };
+  }
+
+  async updateSyncIndicator() {
+    let pending = 0;
+    try {
+      pending = this.user ? await this.outbox.count(this.user.id) : 0;
+    } catch (error) {
+      console.warn('HabitideApp: Could not count pending changes:', error);
+    }
+
+    document.querySelectorAll('.sync-indicator').forEach(indicator => {
+      indicator.hidden = pending === 0;
+      indicator.textContent = `${pending} change${pending === 1 ? '' : 's'} pending sync`;
+      indicator.classList.toggle('sync-indicator--offline', !navigator.onLine);
+    });
+  }
+
   // Helper method to clear action form
   clearActionForm() {
     const actionNotesElement = document.getElementById('actionNotes');
@@ -0,0 +1,384 @@
+// Habitide service worker: precaches the app shell and keeps the last-loaded data for offline use
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `habitide-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `habitide-data-${CACHE_VERSION}`;
+
+// '/' rather than '/index.html': cleanUrls redirects the latter, and redirected responses can't answer navigations
+const SHELL_FILES = ['/', '/manifest.webmanifest', '/favicon.svg'];
+
+// Only these tables are cached; users and sessions must always be checked against the server
+const CACHEABLE_TABLES = ['actions', 'action_types', 'profiles'];
+const DATA_NETWORK_TIMEOUT = 4000;
+
+// Vite fingerprints the built JS/CSS, so read their URLs out of the built index.html
+async function getShellAssets() {
+  const response = await fetch('/', { cache: 'no-cache' });
+  const html = await response.text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+  return [...SHELL_FILES, ...assets];
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(await getShellAssets());
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(key => key.startsWith('habitide-') && key !== SHELL_CACHE && key !== DATA_CACHE)
+      .map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', event => {
+  // Sent on sign-out so the next user never sees cached data
+  if (event.data?.type === 'clear-data-cache') {
+    event.waitUntil(caches.delete(DATA_CACHE));
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(handleShellAsset(request));
+  } else if (isCacheableDataRequest(url)) {
+    event.respondWith(handleDataRequest(event, request));
+  }
+});
+
+function isCacheableDataRequest(url) {
+  const match = url.pathname.match(/\/rest\/v1\/([^/?]+)/);
+  return Boolean(match && CACHEABLE_TABLES.includes(match[1]));
+}
+
+// Network first so deploys show up, falling back to the cached app shell for every route
+async function handleNavigation(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put('/', response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await caches.match('/')) || Response.error();
+  }
+}
+
+// Cache first: built assets are fingerprinted, so a cached copy is never stale
+async function handleShellAsset(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// Network first with a timeout; the last good response is served while offline or slow
+async function handleDataRequest(event, request) {
+  const cache = await caches.open(DATA_CACHE);
+  const network = fetch(request).then(response => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+
+  // Keep the worker alive so a late response still refreshes the cache
+  event.waitUntil(network.catch(() => {}));
+
+  let timeoutId;
+  const timeout = new Promise((resolve, reject) => {
+    timeoutId = setTimeout(() => reject(new Error('Network timeout')), DATA_NETWORK_TIMEOUT);
+  });
+
+  try {
+    return await Promise.race([network, timeout]);
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (!cached) return network;
+
+    notifyClients({ type: 'served-from-cache', url: request.url });
+    return cached;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
+
+// Reminders
+
+const OFFLINE_DB_NAME = 'habitide-offline';
+const REMINDER_TAG = 'daily-reminder';
+const REMINDER_MAX_ACTIONS = 2;
+
+// Open the app's database without a version so the page stays in charge of upgrades.
+// Connections are short-lived and give way at once when the page needs to upgrade.
+function openOfflineDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_DB_NAME);
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    // Only fires while another connection holds up an upgrade; the open completes once it closes
+    request.onblocked = () => console.warn('Habitide SW: Waiting for another connection to release the offline database');
+  });
+}
+
+// Run fn(db) on a fresh connection and close it afterwards
+async function withOfflineDb(fn) {
+  const db = await openOfflineDb();
+  try {
+    return await fn(db);
+  } finally {
+    db.close();
+  }
+}
+
+function readStore(storeName, method, ...args) {
+  return withOfflineDb(db => {
+    if (!db.objectStoreNames.contains(storeName)) return undefined;
+
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(storeName, 'readonly').objectStore(storeName)[method](...args);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  });
+}
+
+function writeStore(storeName, method, value) {
+  return withOfflineDb(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    transaction.objectStore(storeName)[method](value);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  }));
+}
+
+async function getReminderConfig(userId) {
+  if (userId) return readStore('reminders', 'get', userId);
+  const reminders = await readStore('reminders', 'getAll');
+  return reminders?.[0];
+}
+
+// Wall-clock date and time in the user's timezone, as the app's getZonedParts()
+function getZonedParts(config, date) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: config.timezone || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour), minute: Number(parts.minute) };
+}
+
+// The habit day a moment counts toward: times before the rollover hour belong to the previous day
+function getDateString(config, date) {
+  const { date: dateString, hour } = getZonedParts(config, date);
+  if (hour >= (config.dayRolloverHour || 0)) return dateString;
+
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+}
+
+function getTimeString(config, date) {
+  const { hour, minute } = getZonedParts(config, date);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+// Last synced actions plus anything still waiting in the outbox, as the app would show them
+async function getTodayActions(config) {
+  const { userId } = config;
+  const snapshot = await readStore('snapshots', 'get', userId);
+  const entries = (await readStore('outbox', 'getAll')) || [];
+  let actions = snapshot?.actions || [];
+
+  entries
+    .filter(entry => entry.userId === userId)
+    .sort((a, b) => a.seq - b.seq)
+    .forEach(entry => {
+      if (entry.op === 'insert') actions = [{ ...entry.payload, id: entry.actionId }, ...actions];
+      if (entry.op === 'update') actions = actions.map(action => action.id === entry.actionId ? { ...action, ...entry.payload } : action);
+      if (entry.op === 'delete') actions = actions.filter(action => action.id !== entry.actionId);
+      if (entry.op === 'restore') actions = [{ ...entry.payload, id: entry.actionId }, ...actions];
+    });
+
+  const today = getDateString(config, new Date());
+  return actions.filter(action => String(action.date).slice(0, 10) === today);
+}
+
+// Same text and buttons as HabitideApp.buildReminderNotification(); null when a targeted reminder is already met
+async function buildReminderNotification(config, reminder) {
+  const todayActions = await getTodayActions(config);
+  const today = getDateString(config, new Date());
+  const options = {
+    icon: '/favicon.svg',
+    badge: '/favicon.svg',
+    tag: `${REMINDER_TAG}-${reminder.id}`,
+    data: { userId: config.userId, date: today, reminderId: reminder.id }
+  };
+
+  if (reminder.target?.type === 'action') {
+    if (todayActions.some(action => action.action_type_id === reminder.target.actionTypeId)) return null;
+
+    const type = (config.targetTypes || []).find(item => item.id === reminder.target.actionTypeId);
+    return {
+      title: `⏰ ${type?.name || 'Habit'} reminder`,
+      options: {
+        ...options,
+        body: `"${type?.name || 'This habit'}" isn't logged yet today.`,
+        actions: type && !type.unit ? [{ action: `log:${type.id}`, title: `✓ Log ${type.name}` }] : []
+      }
+    };
+  }
+
+  if (reminder.target?.type === 'workout') {
+    if (config.workoutCompletedOn === today) return null;
+
+    const weekday = new Date(`${today}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+    return {
+      title: '💪 Workout reminder',
+      options: { ...options, body: `Your ${weekday} workout isn't complete yet.`, actions: [] }
+    };
+  }
+
+  const count = todayActions.length;
+  const body = count === 0
+    ? 'You haven\'t logged any actions today. Start building your habits!'
+    : `Great job! You've completed ${count} action${count > 1 ? 's' : ''} today. Keep it up!`;
+
+  const actions = (config.quickActions || [])
+    .filter(type => !todayActions.some(action => action.action_type_id === type.id))
+    .slice(0, REMINDER_MAX_ACTIONS)
+    .map(type => ({ action: `log:${type.id}`, title: `✓ ${type.name}` }));
+
+  return { title: '🎯 Habitide Daily Reminder', options: { ...options, body, actions } };
+}
+
+// Push payload: { userId, reminderId } (userId is optional when a single user is signed in on this browser).
+// The sender already skips paused days and met targets, and the subscription is userVisibleOnly, so every
+// push shows a notification: otherwise the browser shows its own "updated in the background" notice instead.
+self.addEventListener('push', event => {
+  event.waitUntil((async () => {
+    const payload = event.data ? event.data.json() : {};
+    const config = await getReminderConfig(payload.userId);
+    const reminder = config && ((config.reminders || []).find(item => item.id === payload.reminderId) || config.reminders?.[0]);
+
+    // A target met since the push was sent (e.g. logged offline) falls back to the daily summary
+    const notification = reminder
+      ? await buildReminderNotification(config, reminder) || await buildReminderNotification(config, { id: reminder.id })
+      : {
+          title: '🎯 Habitide Daily Reminder',
+          options: { body: 'Time to check in on your habits.', icon: '/favicon.svg', badge: '/favicon.svg', tag: REMINDER_TAG }
+        };
+    await self.registration.showNotification(notification.title, notification.options);
+  })());
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+
+  const [command, typeId] = (event.action || '').split(':');
+  if (command === 'log') {
+    event.waitUntil(logQuickAction(event.notification.data, Number(typeId)));
+  } else {
+    event.waitUntil(focusApp());
+  }
+});
+
+async function focusApp() {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (clients.length > 0) return clients[0].focus();
+  return self.clients.openWindow('/');
+}
+
+// Insert straight through the REST API; fall back to the outbox if that fails
+async function logQuickAction({ userId, date, reminderId }, typeId) {
+  const config = await getReminderConfig(userId);
+  const type = [...(config?.quickActions || []), ...(config?.targetTypes || [])].find(item => item.id === typeId);
+  if (!type) return;
+
+  const action = {
+    user_id: userId,
+    action_type_id: typeId,
+    date,
+    time: getTimeString(config, new Date()),
+    notes: '',
+    value: type.value,
+    multi_entry: Boolean(type.multiEntry),
+    created_at: new Date().toISOString()
+  };
+
+  let loggedAction = null;
+  try {
+    const response = await fetch(`${config.supabaseUrl}/rest/v1/actions`, {
+      method: 'POST',
+      headers: {
+        apikey: config.supabaseKey,
+        Authorization: `Bearer ${config.supabaseKey}`,
+        'Content-Type': 'application/json',
+        Prefer: 'return=representation',
+        // Row-level security only lets the signed-in account write its own actions
+        ...(config.sessionToken && { [config.sessionHeader]: config.sessionToken })
+      },
+      body: JSON.stringify(action)
+    });
+
+    // 409: a one-per-day type already logged for this day - nothing left to do
+    if (response.status === 409) return;
+    if (!response.ok) throw new Error(`Insert failed with status ${response.status}`);
+    [loggedAction] = await response.json();
+  } catch (error) {
+    console.warn('Habitide SW: Logging from notification failed, queueing for sync:', error);
+  }
+
+  if (loggedAction) {
+    // Keep the cached server state current so the next summary counts it
+    const snapshot = await readStore('snapshots', 'get', userId);
+    if (snapshot) {
+      await writeStore('snapshots', 'put', { ...snapshot, actions: [loggedAction, ...snapshot.actions] });
+    }
+  } else {
+    loggedAction = { ...action, id: -Date.now() };
+    await writeStore('outbox', 'add', { userId, op: 'insert', actionId: loggedAction.id, payload: action, queuedAt: new Date().toISOString() });
+  }
+
+  await notifyClients({ type: 'action-logged', userId, action: loggedAction, queued: loggedAction.id < 0 });
+
+  // Replace the reminder with an updated summary (targeted reminders are now met, so just confirm)
+  const reminder = (config.reminders || []).find(item => item.id === reminderId);
+  const notification = reminder && await buildReminderNotification(config, reminder);
+  const tag = `${REMINDER_TAG}-${reminderId}`;
+  if (notification) {
+    await self.registration.showNotification(notification.title, { ...notification.options, body: `Logged ${type.name}. ${notification.options.body}` });
+  } else {
+    await self.registration.showNotification(`✓ Logged ${type.name}`, { icon: '/favicon.svg', badge: '/favicon.svg', tag });
+  }
+}
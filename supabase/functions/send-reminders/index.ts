@@ -0,0 +1,153 @@
+// Habitide reminder sender: run on a schedule (e.g. every 5 minutes with Supabase cron) to push
+// due reminders to subscribed browsers. Paused days and targeted reminders that are already met
+// are skipped here: the subscription is userVisibleOnly, so every push must show a notification.
+//
+// Environment: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, VAPID_SUBJECT (mailto: or https: URL),
+// VAPID_PUBLIC_KEY (same value as the app's VITE_VAPID_PUBLIC_KEY) and VAPID_PRIVATE_KEY.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import webpush from 'npm:web-push@3';
+
+// A reminder is sent on the first run after its time, but not if the sender was down for longer than this
+const SEND_WINDOW_MINUTES = 60;
+
+const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+const supabase = createClient(Deno.env.get('SUPABASE_URL')!, serviceRoleKey);
+
+webpush.setVapidDetails(
+  Deno.env.get('VAPID_SUBJECT')!,
+  Deno.env.get('VAPID_PUBLIC_KEY')!,
+  Deno.env.get('VAPID_PRIVATE_KEY')!
+);
+
+// Wall-clock date and minutes since midnight in a timezone, as getZonedParts() in the app
+function getZonedParts(timezone: string | null, date: Date) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// The habit day at this moment: times before the rollover hour still belong to the previous day
+function getHabitDate(local: { date: string, minutes: number }, rolloverHour: number) {
+  if (local.minutes >= rolloverHour * 60) return local.date;
+  const [year, month, day] = local.date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+}
+
+// Whether the app would stay silent for this reminder: a paused day, or a target already met
+// deno-lint-ignore no-explicit-any
+async function isSilenced(userId: string, profileData: any, reminder: { target?: { type: string, actionTypeId?: number } }, habitDate: string) {
+  const settings = profileData?.settings || {};
+  if ((settings.pauses || []).some((pause: { start: string, end: string }) => pause.start <= habitDate && habitDate <= pause.end)) {
+    return true;
+  }
+
+  if (reminder.target?.type === 'action') {
+    const { count } = await supabase
+      .from('actions')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('action_type_id', reminder.target.actionTypeId)
+      .eq('date', habitDate)
+      .is('deleted_at', null);
+    return (count || 0) > 0;
+  }
+
+  // Workout progress lives in the app; it records the day the workout was finished in the profile
+  if (reminder.target?.type === 'workout') {
+    return profileData?.workoutCompletedOn === habitDate;
+  }
+
+  return false;
+}
+
+function toMinutes(time: string) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function isDue(time: string, now: { minutes: number }) {
+  const elapsed = now.minutes - toMinutes(time);
+  return elapsed >= 0 && elapsed < SEND_WINDOW_MINUTES;
+}
+
+// Send one push; resolves to false when the subscription is gone for good
+async function sendPush(subscription: webpush.PushSubscription, payload: object) {
+  try {
+    await webpush.sendNotification(subscription, JSON.stringify(payload));
+    return true;
+  } catch (error) {
+    const { statusCode } = error as { statusCode?: number };
+    if (statusCode === 404 || statusCode === 410) return false;
+    throw error;
+  }
+}
+
+Deno.serve(async request => {
+  // Only the scheduler (holding the service role key) may trigger a run
+  if (request.headers.get('Authorization') !== `Bearer ${serviceRoleKey}`) {
+    return new Response('Unauthorized', { status: 401 });
+  }
+
+  const { data: subscriptions, error } = await supabase.from('push_subscriptions').select('*');
+  if (error) return new Response(error.message, { status: 500 });
+
+  const now = new Date();
+  let sent = 0;
+  let failed = 0;
+
+  for (const row of subscriptions || []) {
+    const local = getZonedParts(row.timezone, now);
+    const weekday = new Date(`${local.date}T12:00:00Z`).getUTCDay();
+    const lastSent = { ...row.last_sent };
+    let expired = false;
+
+    const due = (row.reminders || []).filter(reminder =>
+      reminder.days?.includes(weekday) && lastSent[reminder.id] !== local.date && isDue(reminder.time, local));
+
+    const profileData = due.length > 0
+      ? (await supabase.from('profiles').select('data').eq('id', row.user_id).single()).data?.data
+      : null;
+    const habitDate = getHabitDate(local, profileData?.settings?.dayRolloverHour || 0);
+
+    for (const reminder of due) {
+      try {
+        if (await isSilenced(row.user_id, profileData, reminder, habitDate)) {
+          lastSent[reminder.id] = local.date;
+          continue;
+        }
+
+        if (await sendPush(row.subscription, { userId: row.user_id, reminderId: reminder.id })) {
+          lastSent[reminder.id] = local.date;
+          sent++;
+        } else {
+          expired = true;
+          break;
+        }
+      } catch (pushError) {
+        // Left unmarked, so the next run within the window retries it
+        console.error(`send-reminders: Push to ${row.endpoint} failed:`, pushError);
+        failed++;
+      }
+    }
+
+    if (expired) {
+      await supabase.from('push_subscriptions').delete().eq('endpoint', row.endpoint);
+    } else if (Object.keys(lastSent).some(id => lastSent[id] !== row.last_sent?.[id])) {
+      await supabase.from('push_subscriptions').update({ last_sent: lastSent }).eq('endpoint', row.endpoint);
+    }
+  }
+
+  return Response.json({ sent, failed });
+});
@@ -0,0 +1,14 @@
+-- Salted PBKDF2 password hashes.
+-- Rows without a salt still hold the legacy base64 "hash" and are rewritten on their next sign-in.
+alter table public.users
+  add column if not exists password_salt text,
+  add column if not exists password_iterations integer,
+  add column if not exists password_reset_required boolean not null default false;
+
+-- Recovered accounts are created without any password until the user sets one
+alter table public.users alter column password_hash drop not null;
+
+-- Older versions marked recovered accounts with a placeholder hash instead of the flag
+update public.users
+set password_reset_required = true
+where password_hash = 'needs_reset';
@@ -0,0 +1,4 @@
+-- One-time recovery codes: [{ hash, salt, used_at }]. The codes are random, so a salted SHA-256
+-- is enough; hashing and matching happen only on the server (see public.hash_recovery_code).
+alter table public.users
+  add column if not exists recovery_codes jsonb not null default '[]'::jsonb;
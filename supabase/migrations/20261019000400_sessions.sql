@@ -0,0 +1,310 @@
+-- Server-side sessions for username/password accounts.
+-- The browser only holds an opaque token; the table itself is unreachable from the API and
+-- every read or write goes through the security definer functions below, which resolve the
+-- caller from that token. Sessions expire after 30 days without use; the expiry slides at
+-- most once an hour.
+
+create extension if not exists pgcrypto with schema extensions;
+
+create table if not exists public.sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null, -- No foreign key: a session outliving its users row is how missing accounts get recovered
+  token_hash text not null unique,
+  user_agent text,
+  created_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index if not exists sessions_user_id_idx on public.sessions (user_id);
+
+alter table public.sessions enable row level security;
+revoke all on public.sessions from anon, authenticated;
+
+-- Password and recovery code hashes are only ever compared inside the functions below; clients
+-- can read the salt and work factor they need to derive a password hash, and create accounts,
+-- but not change them. Recovery codes are only set through update_password().
+revoke select, insert, update on public.users from anon, authenticated;
+grant select (id, username, password_salt, password_iterations, password_reset_required, created_at)
+  on public.users to anon, authenticated;
+grant insert (id, username, password_hash, password_salt, password_iterations, password_reset_required, created_at)
+  on public.users to anon, authenticated;
+
+create or replace function public.hash_session_token(p_token text)
+returns text
+language sql immutable
+set search_path = public, extensions
+as $$
+  select encode(digest(p_token, 'sha256'), 'base64');
+$$;
+
+-- Recovery codes are compared without case or separators: 'abcde-fghij' matches 'ABCDEFGHIJ'
+create or replace function public.hash_recovery_code(p_code text, p_salt text)
+returns text
+language sql immutable
+set search_path = public, extensions
+as $$
+  select encode(digest(p_salt || upper(regexp_replace(p_code, '[^A-Za-z0-9]', '', 'g')), 'sha256'), 'base64');
+$$;
+
+-- Stored form of a fresh set of plain codes: [{ hash, salt, used_at }]
+create or replace function public.make_recovery_codes(p_codes jsonb)
+returns jsonb
+language sql volatile
+set search_path = public, extensions
+as $$
+  select coalesce(jsonb_agg(jsonb_build_object('hash', public.hash_recovery_code(code, salt), 'salt', salt, 'used_at', null)), '[]'::jsonb)
+  from (
+    select code, encode(gen_random_bytes(16), 'base64') as salt
+    from jsonb_array_elements_text(p_codes) code
+  ) fresh;
+$$;
+
+-- The caller's live session, or an error when the token is unknown, expired or revoked
+create or replace function public.require_session(p_token text)
+returns public.sessions
+language plpgsql stable security definer
+set search_path = public, extensions
+as $$
+declare
+  v_session public.sessions;
+begin
+  select * into v_session
+  from public.sessions
+  where token_hash = public.hash_session_token(p_token)
+    and revoked_at is null
+    and expires_at > now();
+
+  if not found then
+    raise exception 'Invalid or expired session' using errcode = '28000';
+  end if;
+  return v_session;
+end;
+$$;
+
+-- Sign in: the client derives the hash with the account's salt, the comparison happens here
+create or replace function public.issue_session(p_username text, p_password_hash text, p_user_agent text)
+returns jsonb
+language plpgsql security definer
+set search_path = public, extensions
+as $$
+declare
+  v_user public.users;
+  v_token text := encode(gen_random_bytes(32), 'base64');
+  v_session_id uuid;
+begin
+  select * into v_user from public.users where username = p_username;
+
+  if not found
+    or v_user.password_reset_required
+    or v_user.password_hash is null
+    or v_user.password_hash is distinct from p_password_hash then
+    raise exception 'Invalid username or password' using errcode = '28P01';
+  end if;
+
+  insert into public.sessions (user_id, token_hash, user_agent, expires_at)
+  values (v_user.id, public.hash_session_token(v_token), left(p_user_agent, 500), now() + interval '30 days')
+  returning id into v_session_id;
+
+  return jsonb_build_object('session_id', v_session_id, 'token', v_token, 'user_id', v_user.id, 'username', v_user.username);
+end;
+$$;
+
+-- Resolve a stored token, sliding its expiry at most once an hour.
+-- Returns null for unknown, expired or revoked tokens; username is null when the users row is gone.
+create or replace function public.validate_session(p_token text)
+returns jsonb
+language plpgsql security definer
+set search_path = public, extensions
+as $$
+declare
+  v_session public.sessions;
+  v_user public.users;
+begin
+  select * into v_session
+  from public.sessions
+  where token_hash = public.hash_session_token(p_token)
+    and revoked_at is null
+    and expires_at > now();
+
+  if not found then
+    return null;
+  end if;
+
+  if v_session.last_seen_at < now() - interval '1 hour' then
+    update public.sessions
+    set last_seen_at = now(), expires_at = now() + interval '30 days'
+    where id = v_session.id;
+  end if;
+
+  select * into v_user from public.users where id = v_session.user_id;
+
+  return jsonb_build_object(
+    'session_id', v_session.id,
+    'user_id', v_session.user_id,
+    'username', v_user.username,
+    'reset_required', coalesce(v_user.password_reset_required, false)
+  );
+end;
+$$;
+
+create or replace function public.list_sessions(p_token text)
+returns table (id uuid, user_agent text, created_at timestamptz, last_seen_at timestamptz, expires_at timestamptz, current boolean)
+language sql stable security definer
+set search_path = public, extensions
+as $$
+  with caller as (select * from public.require_session(p_token))
+  select s.id, s.user_agent, s.created_at, s.last_seen_at, s.expires_at, s.id = caller.id
+  from public.sessions s
+  join caller on s.user_id = caller.user_id
+  where s.revoked_at is null and s.expires_at > now()
+  order by s.last_seen_at desc;
+$$;
+
+-- Only sessions belonging to the caller's own account can be revoked
+create or replace function public.revoke_session(p_token text, p_session_id uuid)
+returns void
+language sql security definer
+set search_path = public, extensions
+as $$
+  update public.sessions s
+  set revoked_at = now()
+  from public.require_session(p_token) caller
+  where s.id = p_session_id
+    and s.user_id = caller.user_id
+    and s.revoked_at is null;
+$$;
+
+create or replace function public.revoke_all_sessions(p_token text, p_keep_current boolean default false)
+returns void
+language sql security definer
+set search_path = public, extensions
+as $$
+  update public.sessions s
+  set revoked_at = now()
+  from public.require_session(p_token) caller
+  where s.user_id = caller.user_id
+    and s.revoked_at is null
+    and (not p_keep_current or s.id <> caller.id);
+$$;
+
+/*
+ * Change the signed-in account's password and/or recovery codes.
+ * p_current_hash must match unless the account is waiting for a new password;
+ * p_password is { password_hash, password_salt, password_iterations } and
+ * p_recovery_codes the new plain codes, which are hashed here.
+ */
+create or replace function public.update_password(
+  p_token text,
+  p_current_hash text,
+  p_password jsonb default null,
+  p_recovery_codes jsonb default null,
+  p_revoke_others boolean default false
+)
+returns void
+language plpgsql security definer
+set search_path = public, extensions
+as $$
+declare
+  v_session public.sessions := public.require_session(p_token);
+  v_user public.users;
+begin
+  select * into v_user from public.users where id = v_session.user_id;
+  if not found then
+    raise exception 'Account not found' using errcode = '28000';
+  end if;
+
+  if not v_user.password_reset_required and v_user.password_hash is distinct from p_current_hash then
+    raise exception 'Current password is incorrect' using errcode = '28P01';
+  end if;
+
+  if p_password is not null then
+    update public.users
+    set password_hash = p_password->>'password_hash',
+        password_salt = p_password->>'password_salt',
+        password_iterations = (p_password->>'password_iterations')::integer,
+        password_reset_required = false
+    where id = v_user.id;
+  end if;
+
+  if p_recovery_codes is not null then
+    update public.users set recovery_codes = public.make_recovery_codes(p_recovery_codes) where id = v_user.id;
+  end if;
+
+  if p_revoke_others then
+    update public.sessions
+    set revoked_at = now()
+    where user_id = v_user.id and id <> v_session.id and revoked_at is null;
+  end if;
+end;
+$$;
+
+-- Whether an account waiting for a new password can set one with a recovery code.
+-- Null for unknown accounts and for accounts that can sign in normally.
+create or replace function public.has_recovery_codes(p_username text)
+returns boolean
+language sql stable security definer
+set search_path = public, extensions
+as $$
+  select exists (select 1 from jsonb_array_elements(recovery_codes) entry where entry->>'used_at' is null)
+  from public.users
+  where username = p_username and password_reset_required;
+$$;
+
+-- Forgotten password: the plain code is checked against the stored hashes here and burned,
+-- then the new password is set and every session signed out. Returns the number of unused codes left.
+create or replace function public.reset_password_with_code(
+  p_username text,
+  p_code text,
+  p_password jsonb
+)
+returns integer
+language plpgsql security definer
+set search_path = public, extensions
+as $$
+declare
+  v_user public.users;
+  v_index integer;
+  v_codes jsonb;
+begin
+  select * into v_user from public.users where username = p_username for update;
+
+  select entry.position - 1 into v_index
+  from jsonb_array_elements(coalesce(v_user.recovery_codes, '[]'::jsonb)) with ordinality as entry(code, position)
+  where entry.code->>'used_at' is null
+    and entry.code->>'hash' = public.hash_recovery_code(p_code, entry.code->>'salt')
+  limit 1;
+
+  if v_index is null then
+    raise exception 'Invalid username or recovery code' using errcode = '28P01';
+  end if;
+
+  v_codes := jsonb_set(v_user.recovery_codes, array[v_index::text, 'used_at'], to_jsonb(now()));
+
+  update public.users
+  set password_hash = p_password->>'password_hash',
+      password_salt = p_password->>'password_salt',
+      password_iterations = (p_password->>'password_iterations')::integer,
+      password_reset_required = false,
+      recovery_codes = v_codes
+  where id = v_user.id;
+
+  update public.sessions set revoked_at = now() where user_id = v_user.id and revoked_at is null;
+
+  return (select count(*) from jsonb_array_elements(v_codes) entry where entry->>'used_at' is null);
+end;
+$$;
+
+revoke execute on function public.require_session(text) from public, anon, authenticated;
+revoke execute on function public.make_recovery_codes(jsonb) from public, anon, authenticated;
+grant execute on function
+  public.issue_session(text, text, text),
+  public.validate_session(text),
+  public.list_sessions(text),
+  public.revoke_session(text, uuid),
+  public.revoke_all_sessions(text, boolean),
+  public.update_password(text, text, jsonb, jsonb, boolean),
+  public.has_recovery_codes(text),
+  public.reset_password_with_code(text, text, jsonb)
+  to anon, authenticated;
@@ -0,0 +1,55 @@
+-- Row-level security for the data tables. Username/password clients send their session token
+-- in the x-habitide-session header on every request (see the supabase client in app.js), and
+-- the caller is resolved from it here instead of trusting a user_id in the query.
+-- Supabase Auth (magic link) clients are identified by their JWT as usual.
+
+create or replace function public.app_user_id()
+returns uuid
+language plpgsql stable security definer
+set search_path = public, extensions
+as $$
+declare
+  v_token text := nullif(current_setting('request.headers', true), '')::json->>'x-habitide-session';
+  v_user_id uuid;
+begin
+  if v_token is null then
+    return auth.uid();
+  end if;
+
+  -- An unknown, expired or revoked token resolves to nobody rather than falling back
+  select user_id into v_user_id
+  from public.sessions
+  where token_hash = public.hash_session_token(v_token)
+    and revoked_at is null
+    and expires_at > now();
+  return v_user_id;
+end;
+$$;
+
+grant execute on function public.app_user_id() to anon, authenticated;
+
+alter table public.actions enable row level security;
+drop policy if exists "Own actions" on public.actions;
+create policy "Own actions" on public.actions
+  for all to anon, authenticated
+  using (user_id = (select public.app_user_id()))
+  with check (user_id = (select public.app_user_id()));
+
+-- Shared defaults (no user_id) are readable by everyone but owned by no one
+alter table public.action_types enable row level security;
+drop policy if exists "Read own and shared action types" on public.action_types;
+create policy "Read own and shared action types" on public.action_types
+  for select to anon, authenticated
+  using (user_id is null or user_id = (select public.app_user_id()));
+drop policy if exists "Write own action types" on public.action_types;
+create policy "Write own action types" on public.action_types
+  for all to anon, authenticated
+  using (user_id = (select public.app_user_id()))
+  with check (user_id = (select public.app_user_id()));
+
+alter table public.profiles enable row level security;
+drop policy if exists "Own profile" on public.profiles;
+create policy "Own profile" on public.profiles
+  for all to anon, authenticated
+  using (id = (select public.app_user_id()))
+  with check (id = (select public.app_user_id()));
@@ -0,0 +1,62 @@
+-- Web Push subscriptions for daily reminders, one row per browser (endpoint).
+-- The send-reminders edge function reads these and records the local date it last sent one.
+
+create table if not exists public.push_subscriptions (
+  endpoint text primary key,
+  user_id uuid not null,
+  subscription jsonb not null,
+  reminder_time text not null, -- 'HH:MM' in the subscriber's timezone
+  timezone text,
+  last_sent_on date,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists push_subscriptions_user_id_idx on public.push_subscriptions (user_id);
+
+-- Endpoints and keys are private to their owner and the sender (service role): clients only
+-- save and remove their own browser's subscription through the functions below
+alter table public.push_subscriptions enable row level security;
+revoke all on public.push_subscriptions from anon, authenticated;
+
+create or replace function public.save_push_subscription(
+  p_endpoint text,
+  p_subscription jsonb,
+  p_reminder_time text,
+  p_timezone text
+)
+returns void
+language plpgsql security definer
+set search_path = public, extensions
+as $$
+declare
+  v_user_id uuid := public.app_user_id();
+begin
+  if v_user_id is null then
+    raise exception 'Not signed in' using errcode = '28000';
+  end if;
+
+  -- A browser switching accounts takes its endpoint along
+  insert into public.push_subscriptions (endpoint, user_id, subscription, reminder_time, timezone, updated_at)
+  values (p_endpoint, v_user_id, p_subscription, p_reminder_time, p_timezone, now())
+  on conflict (endpoint) do update
+  set user_id = excluded.user_id,
+      subscription = excluded.subscription,
+      reminder_time = excluded.reminder_time,
+      timezone = excluded.timezone,
+      updated_at = excluded.updated_at;
+end;
+$$;
+
+create or replace function public.delete_push_subscription(p_endpoint text)
+returns void
+language sql security definer
+set search_path = public, extensions
+as $$
+  delete from public.push_subscriptions
+  where endpoint = p_endpoint and user_id = public.app_user_id();
+$$;
+
+grant execute on function
+  public.save_push_subscription(text, jsonb, text, text),
+  public.delete_push_subscription(text)
+  to anon, authenticated;
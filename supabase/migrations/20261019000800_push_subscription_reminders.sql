@@ -0,0 +1,53 @@
+-- Several reminder schedules per subscription:
+-- [{ id, time: 'HH:MM', days: [0-6, Sunday = 0], target: null | { type: 'action', actionTypeId } | { type: 'workout' } }].
+-- last_sent maps each reminder id to the local date it was last pushed.
+
+alter table public.push_subscriptions
+  add column if not exists reminders jsonb not null default '[]'::jsonb,
+  add column if not exists last_sent jsonb not null default '{}'::jsonb;
+
+update public.push_subscriptions
+set reminders = jsonb_build_array(jsonb_build_object(
+  'id', 'daily',
+  'time', reminder_time,
+  'days', '[0, 1, 2, 3, 4, 5, 6]'::jsonb
+))
+where reminder_time is not null and reminders = '[]'::jsonb;
+
+alter table public.push_subscriptions
+  drop column if exists reminder_time,
+  drop column if exists last_sent_on;
+
+-- Subscriptions now carry the whole reminder list instead of a single time
+drop function if exists public.save_push_subscription(text, jsonb, text, text);
+
+create or replace function public.save_push_subscription(
+  p_endpoint text,
+  p_subscription jsonb,
+  p_reminders jsonb,
+  p_timezone text
+)
+returns void
+language plpgsql security definer
+set search_path = public, extensions
+as $$
+declare
+  v_user_id uuid := public.app_user_id();
+begin
+  if v_user_id is null then
+    raise exception 'Not signed in' using errcode = '28000';
+  end if;
+
+  -- A browser switching accounts takes its endpoint along
+  insert into public.push_subscriptions (endpoint, user_id, subscription, reminders, timezone, updated_at)
+  values (p_endpoint, v_user_id, p_subscription, coalesce(p_reminders, '[]'::jsonb), p_timezone, now())
+  on conflict (endpoint) do update
+  set user_id = excluded.user_id,
+      subscription = excluded.subscription,
+      reminders = excluded.reminders,
+      timezone = excluded.timezone,
+      updated_at = excluded.updated_at;
+end;
+$$;
+
+grant execute on function public.save_push_subscription(text, jsonb, jsonb, text) to anon, authenticated;
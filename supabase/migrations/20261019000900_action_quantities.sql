@@ -0,0 +1,9 @@
+-- Quantity habits: a type with a unit is worth `value` points per `unit_size` units
+-- (e.g. 100 per 10 pages), and each action records how many units were logged.
+
+alter table public.action_types
+  add column if not exists unit text,
+  add column if not exists unit_size numeric check (unit_size > 0); -- Null (read as 1) for plain types
+
+alter table public.actions
+  add column if not exists quantity numeric check (quantity >= 0);
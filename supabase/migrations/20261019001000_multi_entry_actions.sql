@@ -0,0 +1,50 @@
+-- Time of day on actions, and action types that may be logged several times a day.
+-- The old one-per-day unique key on (user_id, action_type_id, date) is narrowed to rows
+-- that aren't multi-entry; the client sets multi_entry from the type when it logs an action.
+
+alter table public.action_types
+  add column if not exists allow_multiple boolean not null default false,
+  add column if not exists daily_cap integer check (daily_cap > 0); -- Null = no limit
+
+alter table public.actions
+  add column if not exists time text, -- 'HH:MM' local time
+  add column if not exists multi_entry boolean not null default false;
+
+-- The original key was created inline, so its name isn't known here: drop whichever
+-- unique constraint or index covers exactly (user_id, action_type_id, date)
+do $$
+declare
+  v_name text;
+begin
+  for v_name in
+    select con.conname
+    from pg_constraint con
+    where con.conrelid = 'public.actions'::regclass
+      and con.contype = 'u'
+      and (select array_agg(att.attname::text order by att.attname)
+           from pg_attribute att
+           where att.attrelid = con.conrelid and att.attnum = any(con.conkey))
+        = array['action_type_id', 'date', 'user_id']
+  loop
+    execute format('alter table public.actions drop constraint %I', v_name);
+  end loop;
+
+  for v_name in
+    select idx.indexrelid::regclass::text
+    from pg_index idx
+    where idx.indrelid = 'public.actions'::regclass
+      and idx.indisunique
+      and not idx.indisprimary
+      and (select array_agg(att.attname::text order by att.attname)
+           from pg_attribute att
+           where att.attrelid = idx.indrelid and att.attnum = any(idx.indkey))
+        = array['action_type_id', 'date', 'user_id']
+  loop
+    execute format('drop index %s', v_name);
+  end loop;
+end;
+$$;
+
+create unique index if not exists actions_one_per_day_idx
+  on public.actions (user_id, action_type_id, date)
+  where not multi_entry;
@@ -0,0 +1,16 @@
+-- Soft delete: trashed actions and action types keep their rows (with deleted_at set)
+-- until the app purges them after CONFIG.TRASH_RETENTION_DAYS.
+
+alter table public.action_types
+  add column if not exists deleted_at timestamptz;
+
+alter table public.actions
+  add column if not exists deleted_at timestamptz;
+
+create index if not exists actions_deleted_at_idx on public.actions (user_id, deleted_at) where deleted_at is not null;
+
+-- A trashed action must not stop the same day from being logged again
+drop index if exists public.actions_one_per_day_idx;
+create unique index actions_one_per_day_idx
+  on public.actions (user_id, action_type_id, date)
+  where not multi_entry and deleted_at is null;
@@ -0,0 +1,5 @@
+-- Earlier values of an action type: [{ value, until, repriced }], oldest first.
+-- Past actions keep the value they were logged with unless the change re-priced them.
+
+alter table public.action_types
+  add column if not exists value_history jsonb not null default '[]'::jsonb;
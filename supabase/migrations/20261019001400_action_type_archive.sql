@@ -0,0 +1,4 @@
+-- Archived action types are hidden from logging but keep their history and stats.
+
+alter table public.action_types
+  add column if not exists archived_at timestamptz;
@@ -0,0 +1,6 @@
+-- Per-habit emoji icon, accent color ('#rrggbb') and grouping category. All optional.
+
+alter table public.action_types
+  add column if not exists icon text,
+  add column if not exists color text check (color ~ '^#[0-9a-fA-F]{6}$'),
+  add column if not exists habit_category text;
@@ -0,0 +1,7 @@
+-- Habit schedule used for streaks and completion rates:
+-- { type: 'daily' }, { type: 'weekly', times: 1-7 } or { type: 'weekdays', days: [0-6] }.
+-- Null means daily.
+
+alter table public.action_types
+  add column if not exists frequency jsonb
+    check (frequency is null or frequency->>'type' in ('daily', 'weekly', 'weekdays'));
@@ -0,0 +1,22 @@
+-- Debt payment actions record the amount actually paid and which debt (an id from the
+-- profile's debt list) it went to. Action types flagged is_debt_payment log these; several
+-- payments can land on the same day, so their actions are multi-entry.
+
+alter table public.action_types
+  add column if not exists is_debt_payment boolean not null default false;
+
+alter table public.actions
+  add column if not exists debt_id text,
+  add column if not exists payment_amount numeric(12, 2) check (payment_amount > 0);
+
+-- Until the flag existed the type was recognised by its name
+update public.action_types
+set is_debt_payment = true
+where lower(trim(name)) = 'debt payment' and not is_debt_payment;
+
+update public.actions a
+set multi_entry = true
+from public.action_types t
+where t.id = a.action_type_id
+  and t.is_debt_payment
+  and not a.multi_entry;
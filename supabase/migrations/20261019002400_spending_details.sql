@@ -0,0 +1,22 @@
+-- Actions of types flagged is_spending record the amount spent, a spending category and the merchant.
+-- penalty_scaled is fixed when the action is logged: it says whether the "lose as many
+-- points as rupees spent" setting applied, so changing the setting never re-prices history.
+
+alter table public.action_types
+  add column if not exists is_spending boolean not null default false;
+
+alter table public.actions
+  add column if not exists spent_amount numeric(12, 2) check (spent_amount > 0),
+  add column if not exists spending_category text,
+  add column if not exists merchant text,
+  add column if not exists penalty_scaled boolean not null default false;
+
+-- Purchases logged with scaling on before the flag existed are the ones valued at minus the amount spent
+update public.actions
+set penalty_scaled = true
+where spent_amount > 0 and value = -round(spent_amount) and not penalty_scaled;
+
+-- Until the flag existed spending types were recognised by their names
+update public.action_types
+set is_spending = true
+where lower(trim(name)) in ('impulse purchase', 'bad financial decision') and not is_spending;